@@ -17,6 +17,10 @@ const assertEnvironment = () => {
   const __dirname = path.dirname(fileURLToPath(import.meta.url));
   const templateFile = readFileSync(path.join(__dirname, ".env.template"));
   const whitelistedKeys = Object.keys(dotenv.parse(templateFile));
+  // Commented out keys (`# KEY=`) are optional
+  const optionalKeys = [
+    ...templateFile.toString().matchAll(/^#\s*([A-Z0-9_]+)=/gm),
+  ].map((match) => match[1]);
 
   // Assert that required (all whitelisted) variables are defined
   for (const key of whitelistedKeys)
@@ -25,7 +29,11 @@ const assertEnvironment = () => {
   // Assert that any public keys are defined in the whitelist
   for (const key of Object.keys(process.env)) {
     if (key.startsWith("NEXT_PUBLIC_VERCEL_")) continue; // Variables injected by Vercel are fine
-    if (key.startsWith("NEXT_PUBLIC_") && !whitelistedKeys.includes(key))
+    if (
+      key.startsWith("NEXT_PUBLIC_") &&
+      !whitelistedKeys.includes(key) &&
+      !optionalKeys.includes(key)
+    )
       throw new Error(`${key} is not allowed`);
   }
 };
@@ -0,0 +1,31 @@
+import { timingSafeEqual } from "node:crypto";
+import { kv } from "@/app/api/kv-utils";
+
+// Outlives any run, in case one dies without releasing its lock
+const LOCK_TTL_IN_SECONDS = 5 * 60;
+
+// Scheduled requests carry `CRON_SECRET` as a bearer token. Nothing is
+// authorized while the secret isn’t configured.
+export const isAuthorizedCronRequest = (request) => {
+  const secret = process.env.CRON_SECRET?.trim();
+  if (!secret) return false;
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const actual = Buffer.from(request.headers.get("Authorization") ?? "");
+
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+};
+
+// Keeps scheduled runs from overlapping. Resolves to a release function, or
+// `null` if another run holds the lock.
+export const acquireRunLock = async (key) => {
+  const token = crypto.randomUUID();
+  const result = await kv.set(key, token, {
+    nx: true,
+    ex: LOCK_TTL_IN_SECONDS,
+  });
+  if (result == null) return null;
+  return async () => {
+    if ((await kv.get(key)) === token) await kv.del(key);
+  };
+};
@@ -0,0 +1,10 @@
+import { kv } from "@/app/api/kv-utils";
+
+const createKey = (address) => `delegate-statement:${address.toLowerCase()}`;
+
+// Versions are stored oldest first, as `{ body, timestamp, signature }`
+export const getStatementVersions = async (address) =>
+  (await kv.get(createKey(address))) ?? [];
+
+export const setStatementVersions = (address, versions) =>
+  kv.set(createKey(address), versions);
@@ -0,0 +1,83 @@
+import { createPublicClient, http, isAddress } from "viem";
+import { CHAIN_ID } from "@/constants/env";
+import { getChain } from "@/utils/chains";
+import { getJsonRpcUrl } from "@/wagmi-config";
+import {
+  appendVersion,
+  createStatementMessage,
+  validateStatement,
+} from "@/utils/delegate-statements";
+import { isAcceptableTimestamp } from "@/utils/signed-messages";
+import {
+  getStatementVersions,
+  setStatementVersions,
+} from "@/app/api/delegate-statement-utils";
+
+const chain = getChain(CHAIN_ID);
+
+const publicClient = createPublicClient({
+  chain,
+  transport: http(getJsonRpcUrl(chain.id)),
+});
+
+export async function GET(_, context) {
+  const address = context.params.address.toLowerCase();
+
+  if (!isAddress(address))
+    return Response.json({ error: "invalid-address" }, { status: 400 });
+
+  const versions = await getStatementVersions(address);
+
+  if (versions.length === 0)
+    return Response.json({ error: "not-found" }, { status: 404 });
+
+  return Response.json(
+    { address, versions: [...versions].reverse() },
+    { headers: { "Cache-Control": "no-cache" } },
+  );
+}
+
+// Publishes a new version. There’s no session involved, the signature over the
+// statement is what proves the account wrote it (smart contract accounts are
+// verified through ERC-1271).
+export async function POST(request, context) {
+  const address = context.params.address.toLowerCase();
+
+  if (!isAddress(address))
+    return Response.json({ error: "invalid-address" }, { status: 400 });
+
+  const { body, timestamp, signature } = await request.json();
+
+  const errors = validateStatement({ body, timestamp });
+  if (errors.length > 0)
+    return Response.json(
+      { error: "invalid-statement", errors },
+      { status: 400 },
+    );
+
+  const versions = await getStatementVersions(address);
+
+  if (
+    !isAcceptableTimestamp(timestamp, {
+      latestTimestamp: versions.at(-1)?.timestamp,
+    })
+  )
+    return Response.json({ error: "invalid-timestamp" }, { status: 400 });
+
+  const isValidSignature = await publicClient
+    .verifyMessage({
+      address,
+      message: createStatementMessage({ address, body, timestamp }),
+      signature,
+    })
+    .catch(() => false);
+
+  if (!isValidSignature)
+    return Response.json({ error: "invalid-signature" }, { status: 401 });
+
+  const version = { body, timestamp, signature };
+
+  await setStatementVersions(address, appendVersion(versions, version));
+
+  return Response.json({ version }, { status: 201 });
+}
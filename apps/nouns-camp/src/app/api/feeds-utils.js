@@ -0,0 +1,558 @@
+import { createPublicClient, http } from "viem";
+import { array as arrayUtils } from "@shades/common/utils";
+import { CHAIN_ID } from "@/constants/env";
+import { APPROXIMATE_BLOCKS_PER_DAY } from "@/constants/ethereum";
+import metaConfig from "@/metadata-config";
+import {
+  CANDIDATE_FEEDBACK_FIELDS,
+  DELEGATION_EVENT_FIELDS,
+  FULL_PROPOSAL_CANDIDATE_FIELDS,
+  FULL_PROPOSAL_FIELDS,
+  PROPOSAL_FEEDBACK_FIELDS,
+  TRANSFER_EVENT_FIELDS,
+  VOTE_FIELDS,
+  parsedSubgraphFetch,
+} from "@/nouns-subgraph";
+import * as PropdatesSubgraph from "@/propdates-subgraph";
+import {
+  buildAccountFeed,
+  buildAuctionFeed,
+  buildCandidateFeed,
+  buildNounsTokenRepresentationFeed,
+  buildPropdateFeedItem,
+  buildProposalFeed,
+} from "@/store-selectors/feeds";
+import { extractSlugFromId as extractSlugFromCandidateId } from "@/utils/candidates";
+import { getChain } from "@/utils/chains";
+import {
+  CONTENT_TYPES,
+  FORMATS,
+  buildAtomDocument,
+  buildEntries,
+  buildJsonFeedDocument,
+} from "@/utils/syndication";
+import { getJsonRpcUrl } from "@/wagmi-config";
+
+const DEFAULT_ITEM_LIMIT = 50;
+const MAX_ITEM_LIMIT = 200;
+
+const ACTIVITY_FEED_DAY_COUNT = 7;
+
+const MAX_AGE = 60;
+
+const chain = getChain(CHAIN_ID);
+
+const publicClient = createPublicClient({
+  chain,
+  transport: http(getJsonRpcUrl(chain.id)),
+});
+
+// The feed builders expect the shape of the client store. This collects
+// subgraph entities into the subset of it they read from.
+const createFeedState = () => ({
+  proposalsById: {},
+  proposalCandidatesById: {},
+  propdatesByProposalId: {},
+  accountsById: {},
+  nounsById: {},
+});
+
+const mergeEntity = (entitiesById, entity) => {
+  const existingEntity = entitiesById[entity.id];
+  if (existingEntity == null) {
+    entitiesById[entity.id] = entity;
+    return;
+  }
+  const mergedEntity = { ...existingEntity, ...entity };
+  for (const listKey of ["votes", "feedbackPosts", "events"]) {
+    if (existingEntity[listKey] == null || entity[listKey] == null) continue;
+    mergedEntity[listKey] = arrayUtils.unique(
+      (i1, i2) => i1.id === i2.id,
+      [...existingEntity[listKey], ...entity[listKey]],
+    );
+  }
+  entitiesById[entity.id] = mergedEntity;
+};
+
+const addEntities = (state, entities) => {
+  for (const [key, value] of Object.entries(entities)) {
+    if (value == null) continue;
+    switch (key) {
+      case "proposal":
+      case "proposals":
+        for (const p of [value].flat()) mergeEntity(state.proposalsById, p);
+        break;
+
+      case "proposalVersions":
+        for (const [id, versions] of Object.entries(
+          arrayUtils.groupBy((v) => v.proposalId, value),
+        ))
+          mergeEntity(state.proposalsById, { id, versions });
+        break;
+
+      case "proposalCandidate":
+      case "proposalCandidates":
+        for (const c of [value].flat()) {
+          mergeEntity(state.proposalCandidatesById, c);
+          if (c.proposalId != null)
+            mergeEntity(state.proposalsById, {
+              id: c.proposalId,
+              candidateId: c.id,
+            });
+        }
+        break;
+
+      case "proposalCandidateVersions":
+        for (const v of value) {
+          if (v.proposalId == null || v.targetProposalId != null) continue;
+          mergeEntity(state.proposalsById, {
+            id: v.proposalId,
+            candidateId: v.candidateId,
+          });
+        }
+        break;
+
+      case "votes":
+      case "proposalFeedbacks": {
+        const listKey = key === "votes" ? "votes" : "feedbackPosts";
+        for (const [id, items] of Object.entries(
+          arrayUtils.groupBy((i) => i.proposalId, value),
+        ))
+          mergeEntity(state.proposalsById, { id, [listKey]: items });
+        break;
+      }
+
+      case "candidateFeedbacks":
+        for (const [id, feedbackPosts] of Object.entries(
+          arrayUtils.groupBy((f) => f.candidateId, value),
+        ))
+          mergeEntity(state.proposalCandidatesById, {
+            id,
+            slug: extractSlugFromCandidateId(id),
+            feedbackPosts,
+          });
+        break;
+
+      case "transferEvents":
+      case "delegationEvents":
+        for (const event of value) {
+          mergeEntity(state.nounsById, {
+            id: event.nounId,
+            events: [event],
+          });
+          for (const accountId of new Set(
+            [
+              event.newAccountId,
+              event.previousAccountId,
+              event.delegatorId,
+            ].filter(Boolean),
+          ))
+            mergeEntity(state.accountsById, {
+              id: accountId,
+              events: [event],
+            });
+        }
+        break;
+
+      case "auctions":
+        for (const auction of value)
+          mergeEntity(state.nounsById, { id: auction.id, auction });
+        break;
+
+      case "propdates":
+        for (const [proposalId, propdates] of Object.entries(
+          arrayUtils.groupBy((p) => p.proposalId, value),
+        ))
+          state.propdatesByProposalId[proposalId] = arrayUtils.unique(
+            (p1, p2) => p1.id === p2.id,
+            [...(state.propdatesByProposalId[proposalId] ?? []), ...propdates],
+          );
+        break;
+
+      default:
+        throw new Error(`Unexpected entity "${key}"`);
+    }
+  }
+  return state;
+};
+
+// The subgraph only knows the blocks voting starts and ends at
+const addProposalTimestamps = async (state, { latestBlockNumber }) => {
+  const proposals = Object.values(state.proposalsById).filter(
+    (p) => p.startBlock != null,
+  );
+  const blockNumbers = arrayUtils.unique(
+    proposals
+      .flatMap((p) => [p.startBlock, p.endBlock, p.objectionPeriodEndBlock])
+      .filter((n) => n != null && n <= latestBlockNumber),
+  );
+  const blocks = await Promise.all(
+    blockNumbers.map((blockNumber) => publicClient.getBlock({ blockNumber })),
+  );
+  const timestampsByBlockNumber = Object.fromEntries(
+    blocks.map((b) => [b.number, new Date(Number(b.timestamp) * 1000)]),
+  );
+  for (const p of proposals)
+    mergeEntity(state.proposalsById, {
+      id: p.id,
+      startTimestamp: timestampsByBlockNumber[p.startBlock],
+      endTimestamp: timestampsByBlockNumber[p.endBlock],
+      objectionPeriodEndTimestamp:
+        timestampsByBlockNumber[p.objectionPeriodEndBlock],
+    });
+  return state;
+};
+
+const fetchCandidateEntities = (id) =>
+  parsedSubgraphFetch({
+    query: `
+      ${FULL_PROPOSAL_CANDIDATE_FIELDS}
+      ${CANDIDATE_FEEDBACK_FIELDS}
+      query {
+        proposalCandidate(id: ${JSON.stringify(id)}) {
+          ...FullProposalCandidateFields
+          versions {
+            id
+            createdBlock
+            createdTimestamp
+            updateMessage
+            content { title }
+          }
+        }
+        candidateFeedbacks(
+          where: { candidate_: { id: ${JSON.stringify(id)} } },
+          first: 1000
+        ) {
+          ...CandidateFeedbackFields
+        }
+      }`,
+  });
+
+// Returns `null` if the proposal doesn’t exist
+export const fetchProposalFeedItems = async (proposalId) => {
+  const [entities, propdates, latestBlockNumber] = await Promise.all([
+    parsedSubgraphFetch({
+      query: `
+        ${FULL_PROPOSAL_FIELDS}
+        query {
+          proposal(id: ${JSON.stringify(proposalId)}) {
+            ...FullProposalFields
+          }
+          proposalVersions(where: { proposal: ${JSON.stringify(proposalId)} }) {
+            createdAt
+            createdBlock
+            createdTransactionHash
+            updateMessage
+            proposal { id }
+          }
+          proposalCandidateVersions(
+            where: {
+              content_: { matchingProposalIds_contains: [${JSON.stringify(proposalId)}] }
+            }
+          ) {
+            id
+            proposal { id }
+            content { matchingProposalIds, proposalIdToUpdate }
+          }
+        }`,
+    }),
+    PropdatesSubgraph.fetchPropdatesForProposal(proposalId),
+    publicClient.getBlockNumber(),
+  ]);
+
+  if (entities.proposal == null) return null;
+
+  const state = addEntities(createFeedState(), { ...entities, propdates });
+
+  const candidateId = state.proposalsById[proposalId].candidateId;
+  if (candidateId != null)
+    addEntities(state, await fetchCandidateEntities(candidateId));
+
+  await addProposalTimestamps(state, { latestBlockNumber });
+
+  return buildProposalFeed(state, proposalId, { latestBlockNumber });
+};
+
+// Returns `null` if the candidate doesn’t exist
+export const fetchCandidateFeedItems = async (candidateId) => {
+  const entities = await fetchCandidateEntities(candidateId);
+  if (entities.proposalCandidate == null) return null;
+  return buildCandidateFeed(
+    addEntities(createFeedState(), entities),
+    candidateId,
+  );
+};
+
+export const fetchAccountFeedItems = async (accountAddress_, { limit }) => {
+  const accountAddress = accountAddress_.toLowerCase();
+  const entities = await parsedSubgraphFetch({
+    query: `
+      ${FULL_PROPOSAL_FIELDS}
+      ${FULL_PROPOSAL_CANDIDATE_FIELDS}
+      ${CANDIDATE_FEEDBACK_FIELDS}
+      ${TRANSFER_EVENT_FIELDS}
+      ${DELEGATION_EVENT_FIELDS}
+      query {
+        proposals(
+          where: { proposer: "${accountAddress}" },
+          orderBy: createdBlock,
+          orderDirection: desc,
+          first: ${limit}
+        ) {
+          ...FullProposalFields
+        }
+        proposalCandidates(
+          where: { proposer: "${accountAddress}" },
+          orderBy: createdBlock,
+          orderDirection: desc,
+          first: ${limit}
+        ) {
+          ...FullProposalCandidateFields
+        }
+        votes(
+          where: { voter: "${accountAddress}" },
+          orderBy: blockNumber,
+          orderDirection: desc,
+          first: ${limit}
+        ) {
+          ...VoteFields
+        }
+        proposalFeedbacks(
+          where: { voter: "${accountAddress}" },
+          orderBy: createdBlock,
+          orderDirection: desc,
+          first: ${limit}
+        ) {
+          ...ProposalFeedbackFields
+        }
+        candidateFeedbacks(
+          where: { voter: "${accountAddress}" },
+          orderBy: createdBlock,
+          orderDirection: desc,
+          first: ${limit}
+        ) {
+          ...CandidateFeedbackFields
+        }
+        transferEvents(
+          where: {
+            or: [
+              { newHolder: "${accountAddress}" },
+              { previousHolder: "${accountAddress}" }
+            ]
+          },
+          orderBy: blockNumber,
+          orderDirection: desc,
+          first: ${limit}
+        ) {
+          ...TransferEventFields
+        }
+        delegationEvents(
+          where: {
+            or: [
+              { newDelegate: "${accountAddress}" },
+              { previousDelegate: "${accountAddress}" },
+              { delegator: "${accountAddress}" }
+            ]
+          },
+          orderBy: blockNumber,
+          orderDirection: desc,
+          first: ${limit}
+        ) {
+          ...DelegationEventFields
+        }
+      }`,
+  });
+
+  return buildAccountFeed(
+    addEntities(createFeedState(), entities),
+    accountAddress,
+    {},
+  );
+};
+
+// Mirrors the default categories of the front page feed, over the past week
+export const fetchActivityFeedItems = async () => {
+  const latestBlockNumber = await publicClient.getBlockNumber();
+  const startBlock =
+    latestBlockNumber -
+    BigInt(APPROXIMATE_BLOCKS_PER_DAY * ACTIVITY_FEED_DAY_COUNT);
+  const endBlock = latestBlockNumber;
+  const startTimestamp = new Date(
+    Date.now() - ACTIVITY_FEED_DAY_COUNT * 24 * 60 * 60 * 1000,
+  );
+  const startTime = Math.floor(startTimestamp.getTime() / 1000);
+
+  const [entities, propdates] = await Promise.all([
+    parsedSubgraphFetch({
+      query: `
+        ${FULL_PROPOSAL_CANDIDATE_FIELDS}
+        ${CANDIDATE_FEEDBACK_FIELDS}
+        ${PROPOSAL_FEEDBACK_FIELDS}
+        ${VOTE_FIELDS}
+        ${TRANSFER_EVENT_FIELDS}
+        ${DELEGATION_EVENT_FIELDS}
+        query {
+          auctions(
+            where: {
+              or: [
+                { startTime_gte: ${startTime} },
+                { endTime_gte: ${startTime} }
+              ]
+            },
+            first: 1000
+          ) {
+            id
+            startTime
+            endTime
+            amount
+            bidder { id }
+            bids {
+              id
+              amount
+              blockNumber
+              blockTimestamp
+              txHash
+              bidder { id }
+            }
+          }
+          proposals(
+            where: {
+              or: [
+                { createdBlock_gte: ${startBlock}, createdBlock_lte: ${endBlock} },
+                { startBlock_gte: ${startBlock}, startBlock_lte: ${endBlock} },
+                { endBlock_gte: ${startBlock}, endBlock_lte: ${endBlock} },
+                { objectionPeriodEndBlock_gte: ${startBlock}, objectionPeriodEndBlock_lte: ${endBlock} }
+              ]
+            },
+            first: 1000
+          ) {
+            id
+            title
+            createdBlock
+            createdTimestamp
+            createdTransactionHash
+            startBlock
+            endBlock
+            objectionPeriodEndBlock
+            canceledBlock
+            canceledTimestamp
+            canceledTransactionHash
+            queuedBlock
+            queuedTimestamp
+            queuedTransactionHash
+            executedBlock
+            executedTimestamp
+            executedTransactionHash
+            proposer { id }
+          }
+          proposalCandidates(
+            where: { createdBlock_gte: ${startBlock}, createdBlock_lte: ${endBlock} },
+            first: 1000
+          ) {
+            ...FullProposalCandidateFields
+          }
+          candidateFeedbacks(
+            where: { createdBlock_gte: ${startBlock}, createdBlock_lte: ${endBlock} },
+            first: 1000
+          ) {
+            ...CandidateFeedbackFields
+          }
+          proposalFeedbacks(
+            where: { createdBlock_gte: ${startBlock}, createdBlock_lte: ${endBlock} },
+            first: 1000
+          ) {
+            ...ProposalFeedbackFields
+          }
+          votes(
+            where: { blockNumber_gte: ${startBlock}, blockNumber_lte: ${endBlock} },
+            orderBy: blockNumber,
+            orderDirection: desc,
+            first: 1000
+          ) {
+            ...VoteFields
+          }
+          transferEvents(
+            where: { blockNumber_gte: ${startBlock}, blockNumber_lte: ${endBlock} },
+            orderBy: blockNumber,
+            orderDirection: desc,
+            first: 1000
+          ) {
+            ...TransferEventFields
+          }
+          delegationEvents(
+            where: { blockNumber_gte: ${startBlock}, blockNumber_lte: ${endBlock} },
+            orderBy: blockNumber,
+            orderDirection: desc,
+            first: 1000
+          ) {
+            ...DelegationEventFields
+          }
+        }`,
+    }),
+    PropdatesSubgraph.fetchPropdates({ startBlock, endBlock }),
+  ]);
+
+  const state = addEntities(createFeedState(), { ...entities, propdates });
+  await addProposalTimestamps(state, { latestBlockNumber });
+
+  const items = [
+    ...Object.keys(state.proposalsById).flatMap((proposalId) =>
+      buildProposalFeed(state, proposalId, {
+        latestBlockNumber,
+        includeCandidateItems: false,
+        includePropdateItems: false,
+      }),
+    ),
+    ...Object.keys(state.proposalCandidatesById).flatMap((candidateId) =>
+      buildCandidateFeed(state, candidateId),
+    ),
+    ...Object.values(state.propdatesByProposalId).flatMap((propdates) =>
+      propdates.map(buildPropdateFeedItem),
+    ),
+    ...buildAuctionFeed(state, { excludeBids: true }),
+    ...buildNounsTokenRepresentationFeed(state),
+  ];
+
+  return arrayUtils.sortBy(
+    { value: (i) => i.timestamp ?? 0, order: "desc" },
+    items.filter((i) => i.timestamp != null && i.timestamp >= startTimestamp),
+  );
+};
+
+// Reads `?format=atom|json` and `?limit=`. Returns `null` for invalid input.
+export const readFeedOptions = (request) => {
+  const { searchParams } = new URL(request.url);
+  const format = searchParams.get("format") ?? "atom";
+  const limit = Number(searchParams.get("limit") ?? DEFAULT_ITEM_LIMIT);
+  if (!FORMATS.includes(format)) return null;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ITEM_LIMIT)
+    return null;
+  return { format, limit };
+};
+
+export const createFeedResponse = (
+  request,
+  { format, limit, title, pathname, items },
+) => {
+  const baseUrl = metaConfig.canonicalAppBasename;
+  const requestUrl = new URL(request.url);
+  const feed = {
+    title: `${title} - ${metaConfig.appTitle}`,
+    url: `${baseUrl}${pathname}`,
+    feedUrl: `${baseUrl}${requestUrl.pathname}${requestUrl.search}`,
+    baseUrl,
+    entries: buildEntries(items, { baseUrl }).slice(0, limit),
+  };
+
+  const body =
+    format === "json"
+      ? JSON.stringify(buildJsonFeedDocument(feed))
+      : buildAtomDocument(feed);
+
+  return new Response(body, {
+    headers: {
+      "Content-Type": CONTENT_TYPES[format],
+      "Cache-Control": `max-age=${MAX_AGE}, s-maxage=${MAX_AGE}, stale-while-revalidate=${MAX_AGE * 2}`,
+    },
+  });
+};
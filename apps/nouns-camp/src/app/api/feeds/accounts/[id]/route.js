@@ -0,0 +1,34 @@
+import { isAddress } from "viem";
+import { ethereum as ethereumUtils } from "@shades/common/utils";
+import { reportError } from "@/utils/monitoring";
+import {
+  createFeedResponse,
+  fetchAccountFeedItems,
+  readFeedOptions,
+} from "@/app/api/feeds-utils";
+
+export async function GET(request, context) {
+  const accountAddress = context.params.id.toLowerCase();
+  const options = readFeedOptions(request);
+
+  if (!isAddress(accountAddress))
+    return Response.json({ error: "invalid-address" }, { status: 400 });
+
+  if (options == null)
+    return Response.json({ error: "invalid-options" }, { status: 400 });
+
+  try {
+    const items = await fetchAccountFeedItems(accountAddress, {
+      limit: options.limit,
+    });
+    return createFeedResponse(request, {
+      ...options,
+      title: ethereumUtils.truncateAddress(accountAddress),
+      pathname: `/voters/${accountAddress}`,
+      items,
+    });
+  } catch (e) {
+    reportError(e);
+    return Response.json({ error: "fetch-failed" }, { status: 500 });
+  }
+}
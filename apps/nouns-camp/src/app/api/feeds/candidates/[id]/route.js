@@ -0,0 +1,33 @@
+import { reportError } from "@/utils/monitoring";
+import { extractSlugFromId, makeUrlId, normalizeId } from "@/utils/candidates";
+import {
+  createFeedResponse,
+  fetchCandidateFeedItems,
+  readFeedOptions,
+} from "@/app/api/feeds-utils";
+
+// Takes the same ids as candidate pages, e.g. `my-idea-0a1b...`
+export async function GET(request, context) {
+  const candidateId = normalizeId(context.params.id);
+  const options = readFeedOptions(request);
+
+  if (options == null)
+    return Response.json({ error: "invalid-options" }, { status: 400 });
+
+  try {
+    const items = await fetchCandidateFeedItems(candidateId);
+
+    if (items == null)
+      return Response.json({ error: "not-found" }, { status: 404 });
+
+    return createFeedResponse(request, {
+      ...options,
+      title: extractSlugFromId(candidateId),
+      pathname: `/candidates/${encodeURIComponent(makeUrlId(candidateId))}`,
+      items,
+    });
+  } catch (e) {
+    reportError(e);
+    return Response.json({ error: "fetch-failed" }, { status: 500 });
+  }
+}
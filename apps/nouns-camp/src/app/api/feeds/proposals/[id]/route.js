@@ -0,0 +1,34 @@
+import { reportError } from "@/utils/monitoring";
+import {
+  createFeedResponse,
+  fetchProposalFeedItems,
+  readFeedOptions,
+} from "@/app/api/feeds-utils";
+
+export async function GET(request, context) {
+  const proposalId = context.params.id;
+  const options = readFeedOptions(request);
+
+  if (!/^\d+$/.test(proposalId))
+    return Response.json({ error: "invalid-id" }, { status: 400 });
+
+  if (options == null)
+    return Response.json({ error: "invalid-options" }, { status: 400 });
+
+  try {
+    const items = await fetchProposalFeedItems(proposalId);
+
+    if (items == null)
+      return Response.json({ error: "not-found" }, { status: 404 });
+
+    return createFeedResponse(request, {
+      ...options,
+      title: `Prop ${proposalId}`,
+      pathname: `/proposals/${proposalId}`,
+      items,
+    });
+  } catch (e) {
+    reportError(e);
+    return Response.json({ error: "fetch-failed" }, { status: 500 });
+  }
+}
@@ -0,0 +1,26 @@
+import { reportError } from "@/utils/monitoring";
+import {
+  createFeedResponse,
+  fetchActivityFeedItems,
+  readFeedOptions,
+} from "@/app/api/feeds-utils";
+
+export async function GET(request) {
+  const options = readFeedOptions(request);
+
+  if (options == null)
+    return Response.json({ error: "invalid-options" }, { status: 400 });
+
+  try {
+    const items = await fetchActivityFeedItems();
+    return createFeedResponse(request, {
+      ...options,
+      title: "Activity",
+      pathname: "/",
+      items,
+    });
+  } catch (e) {
+    reportError(e);
+    return Response.json({ error: "fetch-failed" }, { status: 500 });
+  }
+}
@@ -0,0 +1,249 @@
+import { createPublicClient, hexToBigInt, http, numberToHex } from "viem";
+import { getChain } from "@/utils/chains";
+import { getJsonRpcUrl } from "@/wagmi-config";
+import { CHAIN_ID } from "@/constants/env";
+
+// Simulation providers running against a plain JSON-RPC node (see
+// `simulation-utils.js` for the interface). Neither has a shareable
+// simulation page, so results never have an `id`.
+
+const METHOD_NOT_FOUND_ERROR_CODES = [-32601, -32004];
+
+// Invalid params, the generic server error nodes use for e.g. insufficient
+// funds, and the -38000 range `eth_simulateV1` uses for invalid transactions
+const isInvalidTransactionErrorCode = (code) =>
+  code === -32602 || code === -32000 || (code <= -38000 && code > -39000);
+
+const chain = getChain(CHAIN_ID);
+
+const createClient = (url) =>
+  createPublicClient({
+    chain,
+    transport: http(url ?? getJsonRpcUrl(chain.id), {
+      fetchOptions: { cache: "no-cache" },
+    }),
+  });
+
+const toRpcCall = ({ from, to, input, value }) => ({
+  from,
+  to,
+  data: input,
+  value: numberToHex(BigInt(value || "0")),
+});
+
+// `eth_simulateV1` reports ETH transfers as ERC-20 style `Transfer` logs
+// from this address when `traceTransfers` is set
+const ETH_TRANSFER_LOG_ADDRESS = "0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee";
+
+const createDirectEthTransfers = ({ from, to, value }) =>
+  BigInt(value || "0") > 0n ? [{ from, to, value: String(value) }] : [];
+
+const sliceAddressTopic = (topic) => `0x${topic.slice(-40)}`;
+
+const pickLogFields = ({ address, topics, data }) => ({
+  address,
+  topics,
+  data,
+});
+
+const getErrorMessage = (error) =>
+  error.details ?? error.shortMessage ?? error.message;
+
+const createError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Maps node errors to the error codes documented in `simulation-utils.js`
+const toSimulationError = (error) =>
+  createError(
+    isInvalidTransactionErrorCode(error.code)
+      ? "invalid-transaction"
+      : "simulation-error",
+    getErrorMessage(error),
+  );
+
+const validateChainId = ({ chainId }) => {
+  if (chainId != null && Number(chainId) !== chain.id)
+    throw createError(
+      "invalid-transaction",
+      `Unsupported chain ${chainId}, expected ${chain.id}`,
+    );
+};
+
+const createSingleTransactionSimulate =
+  (simulateBundle) => async (transaction) => {
+    validateChainId(transaction);
+    const [simulation] = await simulateBundle([transaction]);
+    return simulation;
+  };
+
+// Runs every transaction in a single simulated block with `eth_simulateV1`,
+// so that each sees the state left by the ones before it. Nodes without
+// `eth_simulateV1` fall back to `eth_call`, which can’t carry state between
+// calls, so they only simulate single transactions.
+export const createJsonRpcProvider = ({ url } = {}) => {
+  const client = createClient(url);
+
+  const simulateWithEthSimulate = async (transactions) => {
+    const [block] = await client.request({
+      method: "eth_simulateV1",
+      params: [
+        {
+          blockStateCalls: [{ calls: transactions.map(toRpcCall) }],
+          validation: false,
+          traceTransfers: true,
+        },
+        "latest",
+      ],
+    });
+    return block.calls.map((call) => {
+      const logs = call.logs ?? [];
+      const isEthTransferLog = (l) =>
+        l.address.toLowerCase() === ETH_TRANSFER_LOG_ADDRESS;
+      return {
+        id: null,
+        status: call.status === "0x1",
+        error_message: call.error?.message,
+        logs: logs.filter((l) => !isEthTransferLog(l)).map(pickLogFields),
+        ethTransfers: logs.filter(isEthTransferLog).map((l) => ({
+          from: sliceAddressTopic(l.topics[1]),
+          to: sliceAddressTopic(l.topics[2]),
+          value: hexToBigInt(l.data).toString(),
+        })),
+      };
+    });
+  };
+
+  const simulateWithEthCall = async (transactions) => {
+    if (transactions.length > 1)
+      throw createError(
+        "simulation-error",
+        "Simulating multiple transactions requires a node with eth_simulateV1 support",
+      );
+
+    const [transaction] = transactions;
+
+    try {
+      await client.call({
+        account: transaction.from,
+        to: transaction.to,
+        data: transaction.input,
+        value: BigInt(transaction.value || "0"),
+      });
+      // `eth_call` doesn’t return logs
+      return [
+        {
+          id: null,
+          status: true,
+          logs: [],
+          ethTransfers: createDirectEthTransfers(transaction),
+        },
+      ];
+    } catch (e) {
+      return [{ id: null, status: false, error_message: getErrorMessage(e) }];
+    }
+  };
+
+  const simulateBundle = async (transactions) => {
+    try {
+      return await simulateWithEthSimulate(transactions);
+    } catch (e) {
+      if (!METHOD_NOT_FOUND_ERROR_CODES.includes(e.code))
+        throw toSimulationError(e);
+      return simulateWithEthCall(transactions);
+    }
+  };
+
+  return {
+    name: "json-rpc",
+    simulateBundle,
+    simulate: createSingleTransactionSimulate(simulateBundle),
+  };
+};
+
+// Sends the transactions for real to an anvil fork, impersonating the
+// sender, and reverts the fork once done. Bundles run one at a time since
+// they share the fork’s state.
+export const createAnvilProvider = ({ url } = {}) => {
+  const client = createClient(url);
+
+  let queue = Promise.resolve();
+  const enqueue = (fn) => {
+    const promise = queue.then(fn);
+    queue = promise.catch(() => {});
+    return promise;
+  };
+
+  const sendTransaction = async (transaction) => {
+    // Zero gas price so that senders without ETH to spare aren’t blocked
+    await client.request({
+      method: "anvil_setNextBlockBaseFeePerGas",
+      params: ["0x0"],
+    });
+    const hash = await client.request({
+      method: "eth_sendTransaction",
+      params: [{ ...toRpcCall(transaction), gasPrice: "0x0" }],
+    });
+    return client.waitForTransactionReceipt({ hash });
+  };
+
+  const simulateBundle = (transactions) =>
+    enqueue(async () => {
+      const snapshotId = await client.request({ method: "evm_snapshot" });
+      const senders = [...new Set(transactions.map((t) => t.from))];
+
+      try {
+        for (const address of senders)
+          await client.request({
+            method: "anvil_impersonateAccount",
+            params: [address],
+          });
+
+        const simulations = [];
+
+        for (const transaction of transactions) {
+          try {
+            const receipt = await sendTransaction(transaction);
+            const success = receipt.status === "success";
+            // Only top level ETH transfers are picked up, internal ones
+            // would need a trace
+            simulations.push({
+              id: null,
+              status: success,
+              error_message: success ? undefined : "Transaction reverted",
+              logs: receipt.logs.map(pickLogFields),
+              ethTransfers: success
+                ? createDirectEthTransfers(transaction)
+                : [],
+            });
+          } catch (e) {
+            simulations.push({
+              id: null,
+              status: false,
+              error_message: getErrorMessage(e),
+            });
+          }
+        }
+
+        return simulations;
+      } catch (e) {
+        // Transaction errors are caught above, so these come from the fork
+        throw createError("simulation-error", getErrorMessage(e));
+      } finally {
+        await client.request({ method: "evm_revert", params: [snapshotId] });
+        for (const address of senders)
+          await client.request({
+            method: "anvil_stopImpersonatingAccount",
+            params: [address],
+          });
+      }
+    });
+
+  return {
+    name: "anvil",
+    simulateBundle,
+    simulate: createSingleTransactionSimulate(simulateBundle),
+  };
+};
@@ -0,0 +1,110 @@
+import { kv as vercelKv } from "@vercel/kv";
+
+// In-memory stand-in for local development and tests, covering the subset of
+// the Vercel KV client we use. Data is lost when the server restarts.
+const createMemoryKv = () => {
+  const entries = new Map();
+
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (entry == null) return null;
+    if (entry.expiresAt != null && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  };
+
+  return {
+    async get(key) {
+      return structuredClone(read(key));
+    },
+    async set(key, value, { ex, nx = false } = {}) {
+      if (nx && read(key) != null) return null;
+      entries.set(key, {
+        value: structuredClone(value),
+        expiresAt: ex == null ? null : Date.now() + ex * 1000,
+      });
+      return "OK";
+    },
+    async del(...keys) {
+      return keys.filter((key) => read(key) != null && entries.delete(key))
+        .length;
+    },
+    async exists(...keys) {
+      return keys.filter((key) => read(key) != null).length;
+    },
+    // Hashes are plain objects, keeping the entry’s expiry on writes
+    async hset(key, fields) {
+      const hash = read(key) ?? {};
+      const addedCount = Object.keys(fields).filter((f) => !(f in hash)).length;
+      entries.set(key, {
+        value: { ...hash, ...structuredClone(fields) },
+        expiresAt: entries.get(key)?.expiresAt ?? null,
+      });
+      return addedCount;
+    },
+    async hget(key, field) {
+      return structuredClone(read(key)?.[field] ?? null);
+    },
+    async hgetall(key) {
+      const hash = read(key);
+      return hash == null || Object.keys(hash).length === 0
+        ? null
+        : structuredClone(hash);
+    },
+    async hdel(key, ...fields) {
+      const hash = read(key);
+      if (hash == null) return 0;
+      const deletedFields = fields.filter((f) => f in hash);
+      for (const field of deletedFields) delete hash[field];
+      return deletedFields.length;
+    },
+    async hexists(key, field) {
+      return read(key)?.[field] == null ? 0 : 1;
+    },
+    async hlen(key) {
+      return Object.keys(read(key) ?? {}).length;
+    },
+    // Lists are arrays, with the head first
+    async lpush(key, ...values) {
+      const list = [...structuredClone(values).reverse(), ...(read(key) ?? [])];
+      entries.set(key, {
+        value: list,
+        expiresAt: entries.get(key)?.expiresAt ?? null,
+      });
+      return list.length;
+    },
+    async rpush(key, ...values) {
+      const list = [...(read(key) ?? []), ...structuredClone(values)];
+      entries.set(key, {
+        value: list,
+        expiresAt: entries.get(key)?.expiresAt ?? null,
+      });
+      return list.length;
+    },
+    async lrange(key, start, stop) {
+      const list = read(key) ?? [];
+      return structuredClone(
+        list.slice(start, stop === -1 ? undefined : stop + 1),
+      );
+    },
+    async ltrim(key, start, stop) {
+      const list = read(key);
+      if (list == null) return "OK";
+      entries.get(key).value = list.slice(
+        start,
+        stop === -1 ? undefined : stop + 1,
+      );
+      return "OK";
+    },
+  };
+};
+
+const getMemoryKv = () => {
+  // Survive module reloads in dev
+  globalThis.__memoryKv ??= createMemoryKv();
+  return globalThis.__memoryKv;
+};
+
+export const kv = process.env.KV_REST_API_URL ? vercelKv : getMemoryKv();
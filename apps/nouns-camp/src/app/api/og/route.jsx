@@ -3,6 +3,7 @@ import { parseProposal, subgraphFetch } from "@/nouns-subgraph";
 import {
   getState,
   getStateLabel,
+  getQuorumVotes,
   isFinalState as isFinalProposalState,
   isSucceededState as isSucceededProposalState,
 } from "@/utils/proposals";
@@ -12,6 +13,7 @@ import { getChain } from "@/utils/chains";
 import { getJsonRpcUrl } from "@/wagmi-config";
 import { CHAIN_ID } from "@/constants/env";
 import { extractAmounts } from "@/utils/transactions";
+import { resolveCurrency } from "@/tokens";
 import { approximateBlockTimestamp } from "@/hooks/approximate-block-timestamp-calculator";
 import { date as dateUtils } from "@shades/common/utils";
 import { getTheme } from "@/theme";
@@ -53,6 +55,10 @@ const fetchProposal = async (id) => {
             againstVotes
             abstainVotes
             quorumVotes
+            minQuorumVotesBPS
+            maxQuorumVotesBPS
+            quorumCoefficient
+            adjustedTotalSupply
             targets
             signatures
             calldatas
@@ -149,8 +155,22 @@ const RequestedAmounts = ({ amounts }) => (
               <>{tokens.length} nouns</>
             );
 
-          default:
-            throw new Error();
+          default: {
+            const token = resolveCurrency(currency);
+            if (token == null) throw new Error();
+            if (token.decimals === 18)
+              return (
+                <FormattedAmount value={amount} tokenSymbol={token.symbol} />
+              );
+            return (
+              <>
+                {parseFloat(
+                  formatUnits(amount, token.decimals),
+                ).toLocaleString()}{" "}
+                {token.symbol}
+              </>
+            );
+          }
         }
       };
 
@@ -258,7 +278,8 @@ const VotesProgressBar = ({ style }) => {
 };
 
 const ProposalVotesProgress = ({ proposal }) => {
-  const { forVotes, againstVotes, abstainVotes, quorumVotes } = proposal;
+  const { forVotes, againstVotes, abstainVotes } = proposal;
+  const quorumVotes = getQuorumVotes(proposal);
 
   return (
     <div style={{ display: "flex", flexDirection: "column" }}>
@@ -0,0 +1,133 @@
+import { reportError } from "@/utils/monitoring";
+import { isAuthorizedCronRequest } from "@/app/api/cron-utils";
+import {
+  isPushConfigured,
+  acquireSendLock,
+  getPushSubscriptions,
+  deletePushSubscriptions,
+  getCursor,
+  setCursor,
+  queueDeliveries,
+  getQueuedDeliveries,
+  dropQueuedDeliveries,
+  fetchIndexedBlockNumber,
+  fetchNotifications,
+  sendPushNotification,
+} from "@/app/api/push-utils";
+
+// No new batches are started after this long, leaving the rest of the queue
+// for the next run
+const RUN_TIME_BUDGET_IN_MILLIS = 40 * 1000;
+
+const DELIVERY_BATCH_SIZE = 100;
+const MAX_CONCURRENT_DELIVERY_COUNT = 10;
+
+export const maxDuration = 60;
+
+// Sends push notifications for activity since the last run. Meant to be
+// called on a schedule, see the cron config in `vercel.json`.
+export async function GET(request) {
+  if (!isAuthorizedCronRequest(request))
+    return Response.json({ error: "unauthorized" }, { status: 401 });
+
+  if (!isPushConfigured()) return Response.json({ sentCount: 0 });
+
+  const releaseLock = await acquireSendLock();
+
+  // The previous run is still going
+  if (releaseLock == null)
+    return Response.json({ error: "already-running" }, { status: 409 });
+
+  try {
+    return await send();
+  } finally {
+    await releaseLock();
+  }
+}
+
+// Runs `fn` for every item, at most `limit` at a time
+const forEachConcurrently = async (items, limit, fn) => {
+  let nextIndex = 0;
+  const work = async () => {
+    while (nextIndex < items.length) await fn(items[nextIndex++]);
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, work),
+  );
+};
+
+const send = async () => {
+  const deadline = Date.now() + RUN_TIME_BUDGET_IN_MILLIS;
+
+  const [cursor, endBlock] = await Promise.all([
+    getCursor(),
+    fetchIndexedBlockNumber(),
+  ]);
+
+  if (cursor == null) {
+    // Nothing to catch up on the first run
+    await setCursor(endBlock);
+  } else if (BigInt(cursor) < endBlock) {
+    const [notifications, pushSubscriptionsByEndpoint] = await Promise.all([
+      fetchNotifications({ startBlock: BigInt(cursor) + 1n, endBlock }),
+      getPushSubscriptions(),
+    ]);
+
+    const deliveries = Object.values(pushSubscriptionsByEndpoint).flatMap(
+      ({ subscription, subscriptionKeys }) => {
+        const matchingNotifications = notifications.filter((n) =>
+          n.subscriptionKeys.some((key) => subscriptionKeys.includes(key)),
+        );
+        if (matchingNotifications.length === 0) return [];
+        return [
+          {
+            subscription,
+            notifications: matchingNotifications.map((n) => n.notification),
+          },
+        ];
+      },
+    );
+
+    // Deliveries are queued and the cursor moved past them before anything
+    // is sent, so that a run dying midway doesn’t resend the whole window
+    await queueDeliveries(deliveries);
+    await setCursor(endBlock);
+  }
+
+  const expiredEndpoints = [];
+  let sentCount = 0;
+
+  while (Date.now() < deadline) {
+    const batch = await getQueuedDeliveries(DELIVERY_BATCH_SIZE);
+    if (batch.length === 0) break;
+
+    await forEachConcurrently(
+      batch,
+      MAX_CONCURRENT_DELIVERY_COUNT,
+      async ({ subscription, notifications }) => {
+        for (const notification of notifications) {
+          try {
+            const result = await sendPushNotification(
+              subscription,
+              notification,
+            );
+            if (result === "expired") {
+              expiredEndpoints.push(subscription.endpoint);
+              return;
+            }
+            sentCount += 1;
+          } catch (e) {
+            reportError(e);
+          }
+        }
+      },
+    );
+
+    await dropQueuedDeliveries(batch.length);
+  }
+
+  if (expiredEndpoints.length > 0)
+    await deletePushSubscriptions(expiredEndpoints);
+
+  return Response.json({ sentCount });
+};
@@ -0,0 +1,40 @@
+import {
+  isPushConfigured,
+  readPushSubscription,
+  setPushSubscription,
+  deletePushSubscriptions,
+} from "@/app/api/push-utils";
+
+// Registers (or updates the subscription keys of) a push subscription. Push
+// endpoints are unguessable, so knowing one is what authorizes changes to it.
+export async function POST(request) {
+  if (!isPushConfigured())
+    return Response.json({ error: "not-configured" }, { status: 404 });
+
+  let pushSubscription;
+  try {
+    pushSubscription = await readPushSubscription(request);
+  } catch (e) {
+    return Response.json({ error: e.message }, { status: 400 });
+  }
+
+  try {
+    await setPushSubscription(pushSubscription);
+  } catch (e) {
+    if (e.code !== "subscription-limit-reached") throw e;
+    return Response.json({ error: e.code }, { status: 503 });
+  }
+
+  return new Response(null, { status: 204 });
+}
+
+export async function DELETE(request) {
+  const { endpoint } = await request.json();
+
+  if (typeof endpoint !== "string")
+    return Response.json({ error: "endpoint-required" }, { status: 400 });
+
+  await deletePushSubscriptions([endpoint]);
+
+  return new Response(null, { status: 204 });
+}
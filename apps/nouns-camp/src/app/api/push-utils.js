@@ -0,0 +1,348 @@
+import { ethereum as ethereumUtils } from "@shades/common/utils";
+import { APP_PRODUCTION_URL, VAPID_PUBLIC_KEY } from "@/constants/env";
+import { subgraphFetch } from "@/nouns-subgraph";
+import { fetchPropdates } from "@/propdates-subgraph";
+import {
+  extractSlugFromId as extractSlugFromCandidateId,
+  makeUrlId as makeCandidateUrlId,
+} from "@/utils/candidates";
+import { parseSubscriptionKey } from "@/utils/notifications";
+import {
+  createVapidAuthorizationHeader,
+  encryptPayload,
+} from "@/utils/web-push";
+import { kv } from "@/app/api/kv-utils";
+import { acquireRunLock } from "@/app/api/cron-utils";
+
+// Hash of subscriptions by endpoint, which lets us list them without an index
+const SUBSCRIPTIONS_KEY = "push-subscriptions-by-endpoint";
+const CURSOR_KEY = "push-notifications:cursor";
+const LOCK_KEY = "push-notifications:lock";
+// List of `{ subscription, notifications }` deliveries waiting to be sent,
+// oldest first
+const QUEUE_KEY = "push-notifications:queue";
+
+const QUEUE_WRITE_CHUNK_SIZE = 500;
+
+const REQUEST_TIMEOUT_IN_MILLIS = 10 * 1000;
+
+const MAX_SUBSCRIPTION_COUNT = 20_000;
+const MAX_SUBSCRIPTION_KEY_COUNT = 500;
+const MAX_BODY_LENGTH = 240;
+
+// Endpoints are only accepted from the browser vendors’ push services, since
+// we send requests to them on a schedule
+const PUSH_SERVICE_HOSTNAMES = [
+  "fcm.googleapis.com",
+  "updates.push.services.mozilla.com",
+  "web.push.apple.com",
+];
+const PUSH_SERVICE_HOSTNAME_SUFFIXES = [
+  ".notify.windows.com",
+  ".push.apple.com",
+];
+
+// Undelivered notifications are dropped after a day
+const TTL = 60 * 60 * 24;
+
+// Push is optional, and off unless both VAPID keys are configured
+export const isPushConfigured = () =>
+  !!VAPID_PUBLIC_KEY && !!process.env.VAPID_PRIVATE_KEY;
+
+export const isPushServiceUrl = (url) =>
+  url.protocol === "https:" &&
+  url.port === "" &&
+  (PUSH_SERVICE_HOSTNAMES.includes(url.hostname) ||
+    PUSH_SERVICE_HOSTNAME_SUFFIXES.some((suffix) =>
+      url.hostname.endsWith(suffix),
+    ));
+
+export const getPushSubscriptions = async () =>
+  (await kv.hgetall(SUBSCRIPTIONS_KEY)) ?? {};
+
+export const setPushSubscription = async ({
+  subscription,
+  subscriptionKeys,
+}) => {
+  const [isExisting, subscriptionCount] = await Promise.all([
+    kv.hexists(SUBSCRIPTIONS_KEY, subscription.endpoint),
+    kv.hlen(SUBSCRIPTIONS_KEY),
+  ]);
+
+  if (!isExisting && subscriptionCount >= MAX_SUBSCRIPTION_COUNT) {
+    const error = new Error("Too many push subscriptions");
+    error.code = "subscription-limit-reached";
+    throw error;
+  }
+
+  await kv.hset(SUBSCRIPTIONS_KEY, {
+    [subscription.endpoint]: {
+      subscription,
+      subscriptionKeys,
+      updatedAt: new Date().toISOString(),
+    },
+  });
+};
+
+export const deletePushSubscriptions = async (endpoints) => {
+  if (endpoints.length === 0) return;
+  await kv.hdel(SUBSCRIPTIONS_KEY, ...endpoints);
+};
+
+export const acquireSendLock = () => acquireRunLock(LOCK_KEY);
+
+export const getCursor = () => kv.get(CURSOR_KEY);
+
+export const setCursor = (blockNumber) =>
+  kv.set(CURSOR_KEY, String(blockNumber));
+
+export const queueDeliveries = async (deliveries) => {
+  for (let i = 0; i < deliveries.length; i += QUEUE_WRITE_CHUNK_SIZE)
+    await kv.rpush(
+      QUEUE_KEY,
+      ...deliveries.slice(i, i + QUEUE_WRITE_CHUNK_SIZE),
+    );
+};
+
+export const getQueuedDeliveries = (count) =>
+  kv.lrange(QUEUE_KEY, 0, count - 1);
+
+export const dropQueuedDeliveries = (count) => kv.ltrim(QUEUE_KEY, count, -1);
+
+// Expects `{ subscription, subscriptionKeys }`, where `subscription` is a
+// serialized `PushSubscription`
+export const readPushSubscription = async (request) => {
+  const { subscription, subscriptionKeys } = await request.json();
+
+  const endpoint = (() => {
+    try {
+      return new URL(subscription?.endpoint);
+    } catch (e) {
+      return null;
+    }
+  })();
+
+  if (
+    endpoint == null ||
+    !isPushServiceUrl(endpoint) ||
+    typeof subscription.keys?.p256dh !== "string" ||
+    typeof subscription.keys?.auth !== "string"
+  )
+    throw new Error("invalid-subscription");
+
+  if (
+    !Array.isArray(subscriptionKeys) ||
+    subscriptionKeys.length > MAX_SUBSCRIPTION_KEY_COUNT ||
+    subscriptionKeys.some(
+      (key) => typeof key !== "string" || parseSubscriptionKey(key) == null,
+    )
+  )
+    throw new Error("invalid-subscription-keys");
+
+  return {
+    subscription: {
+      endpoint: subscription.endpoint,
+      keys: {
+        p256dh: subscription.keys.p256dh,
+        auth: subscription.keys.auth,
+      },
+    },
+    subscriptionKeys,
+  };
+};
+
+// Returns "expired" if the push service has dropped the subscription
+export const sendPushNotification = async (subscription, notification) => {
+  const response = await fetch(subscription.endpoint, {
+    method: "POST",
+    headers: {
+      Authorization: createVapidAuthorizationHeader({
+        endpoint: subscription.endpoint,
+        publicKey: VAPID_PUBLIC_KEY,
+        privateKey: process.env.VAPID_PRIVATE_KEY,
+        subject: APP_PRODUCTION_URL ?? "https://nouns.camp",
+        expiresAt: new Date(Date.now() + 12 * 60 * 60 * 1000),
+      }),
+      "Content-Encoding": "aes128gcm",
+      "Content-Type": "application/octet-stream",
+      TTL: String(TTL),
+    },
+    body: encryptPayload(JSON.stringify(notification), subscription.keys),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_IN_MILLIS),
+  });
+
+  if (response.status === 404 || response.status === 410) return "expired";
+
+  if (!response.ok)
+    throw new Error(`Push service responded with ${response.status}`);
+
+  return "sent";
+};
+
+const truncate = (text) => {
+  if (text == null) return undefined;
+  const trimmedText = text.trim();
+  if (trimmedText.length <= MAX_BODY_LENGTH) return trimmedText || undefined;
+  return `${trimmedText.slice(0, MAX_BODY_LENGTH - 1)}…`;
+};
+
+const formatAccount = (address) => ethereumUtils.truncateAddress(address);
+
+const buildProposalUrl = (proposalId) => `/proposals/${proposalId}`;
+const buildCandidateUrl = (candidateId) =>
+  `/candidates/${encodeURIComponent(makeCandidateUrlId(candidateId))}`;
+
+const formatVoteAction = (support) =>
+  ({ 0: "voted against", 1: "voted for", 2: "abstained on" })[support];
+
+const formatFeedbackAction = (support) =>
+  ({ 0: "signaled against", 1: "signaled for", 2: "commented on" })[support];
+
+// Events are only fetched up to what the subgraph has indexed, so that nothing
+// slips through while it catches up
+export const fetchIndexedBlockNumber = async () => {
+  const { _meta } = await subgraphFetch({
+    query: "{ _meta { block { number } } }",
+  });
+  return BigInt(_meta.block.number);
+};
+
+// Collects the activity between two blocks as notifications, together with
+// the subscription keys each one concerns
+export const fetchNotifications = async ({ startBlock, endBlock }) => {
+  const [
+    {
+      votes,
+      proposalFeedbacks,
+      candidateFeedbacks,
+      proposalCandidateSignatures,
+    },
+    propdates,
+  ] = await Promise.all([
+    subgraphFetch({
+      query: `{
+        votes(
+          where: { blockNumber_gte: ${startBlock}, blockNumber_lte: ${endBlock} },
+          first: 1000
+        ) {
+          id
+          reason
+          supportDetailed
+          voter { id }
+          proposal { id }
+        }
+        proposalFeedbacks(
+          where: { createdBlock_gte: ${startBlock}, createdBlock_lte: ${endBlock} },
+          first: 1000
+        ) {
+          id
+          reason
+          supportDetailed
+          voter { id }
+          proposal { id }
+        }
+        candidateFeedbacks(
+          where: { createdBlock_gte: ${startBlock}, createdBlock_lte: ${endBlock} },
+          first: 1000
+        ) {
+          id
+          reason
+          supportDetailed
+          voter { id }
+          candidate { id }
+        }
+        proposalCandidateSignatures(
+          where: { createdBlock_gte: ${startBlock}, createdBlock_lte: ${endBlock} },
+          first: 1000
+        ) {
+          sig
+          reason
+          signer { id }
+          content { id }
+        }
+      }`,
+    }),
+    fetchPropdates({ startBlock, endBlock }),
+  ]);
+
+  // Signatures are made for candidate content, which versions link to
+  const candidateIdsByContentId = {};
+
+  if (proposalCandidateSignatures.length > 0) {
+    const { proposalCandidateVersions } = await subgraphFetch({
+      query: `{
+        proposalCandidateVersions(
+          where: {
+            content_in: [${proposalCandidateSignatures.map((s) => `"${s.content.id}"`)}]
+          },
+          first: 1000
+        ) {
+          proposal { id }
+          content { id }
+        }
+      }`,
+    });
+    for (const v of proposalCandidateVersions) {
+      candidateIdsByContentId[v.content.id] ??= new Set();
+      candidateIdsByContentId[v.content.id].add(v.proposal.id);
+    }
+  }
+
+  return [
+    ...votes.map((v) => ({
+      subscriptionKeys: [`proposal:${v.proposal.id}`, `account:${v.voter.id}`],
+      notification: {
+        tag: `vote-${v.id}`,
+        title: `${formatAccount(v.voter.id)} ${formatVoteAction(v.supportDetailed)} Prop ${v.proposal.id}`,
+        body: truncate(v.reason),
+        url: buildProposalUrl(v.proposal.id),
+      },
+    })),
+    ...proposalFeedbacks.map((f) => ({
+      subscriptionKeys: [`proposal:${f.proposal.id}`, `account:${f.voter.id}`],
+      notification: {
+        tag: `feedback-${f.id}`,
+        title: `${formatAccount(f.voter.id)} ${formatFeedbackAction(f.supportDetailed)} Prop ${f.proposal.id}`,
+        body: truncate(f.reason),
+        url: buildProposalUrl(f.proposal.id),
+      },
+    })),
+    ...candidateFeedbacks.map((f) => ({
+      subscriptionKeys: [
+        `candidate:${f.candidate.id}`,
+        `account:${f.voter.id}`,
+      ],
+      notification: {
+        tag: `feedback-${f.id}`,
+        title: `${formatAccount(f.voter.id)} ${formatFeedbackAction(f.supportDetailed)} "${extractSlugFromCandidateId(f.candidate.id)}"`,
+        body: truncate(f.reason),
+        url: buildCandidateUrl(f.candidate.id),
+      },
+    })),
+    ...proposalCandidateSignatures.flatMap((s) =>
+      [...(candidateIdsByContentId[s.content.id] ?? [])].map((candidateId) => ({
+        subscriptionKeys: [
+          `candidate:${candidateId}`,
+          `account:${s.signer.id}`,
+        ],
+        notification: {
+          tag: `candidate-signature-${candidateId}-${s.sig}`,
+          title: `${formatAccount(s.signer.id)} sponsored "${extractSlugFromCandidateId(candidateId)}"`,
+          body: truncate(s.reason),
+          url: buildCandidateUrl(candidateId),
+        },
+      })),
+    ),
+    ...propdates.map((p) => ({
+      subscriptionKeys: [`proposal:${p.proposalId}`],
+      notification: {
+        tag: `propdate-${p.id}`,
+        title: p.markedCompleted
+          ? `Prop ${p.proposalId} marked completed`
+          : `New propdate for Prop ${p.proposalId}`,
+        body: truncate(p.update),
+        url: buildProposalUrl(p.proposalId),
+      },
+    })),
+  ];
+};
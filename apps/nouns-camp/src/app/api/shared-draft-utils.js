@@ -0,0 +1,42 @@
+import { normalize as normalizeDraft } from "@/utils/drafts";
+import { kv } from "@/app/api/kv-utils";
+
+const MAX_CONTENT_LENGTH = 200_000;
+
+export const MAX_SHARED_DRAFT_COUNT_PER_ACCOUNT = 50;
+
+const createKey = (id) => `shared-draft:${id}`;
+
+// Ids of an account’s shared drafts, to cap how many it can publish
+const createOwnerKey = (ownerId) => `shared-draft-ids:${ownerId}`;
+
+export const getSharedDraft = (id) => kv.get(createKey(id));
+
+export const getAccountSharedDraftCount = (ownerId) =>
+  kv.hlen(createOwnerKey(ownerId));
+
+export const setSharedDraft = async (draft) => {
+  await kv.set(createKey(draft.id), draft);
+  await kv.hset(createOwnerKey(draft.ownerId), { [draft.id]: draft.createdAt });
+};
+
+export const deleteSharedDraft = async ({ id, ownerId }) => {
+  await kv.del(createKey(id));
+  await kv.hdel(createOwnerKey(ownerId), id);
+};
+
+// Drafts are sent in the same format as file exports, which gets us
+// validation and schema migrations for free. Parsing also resolves every
+// action, so drafts that would break the shared page are rejected.
+export const normalizeDraftContent = (text) => {
+  if (typeof text !== "string") throw new Error("invalid-content");
+  if (text.length > MAX_CONTENT_LENGTH) throw new Error("content-too-large");
+  try {
+    return normalizeDraft(text);
+  } catch (e) {
+    throw new Error("invalid-content");
+  }
+};
+
+export const readDraftContent = async (request) =>
+  normalizeDraftContent(await request.text());
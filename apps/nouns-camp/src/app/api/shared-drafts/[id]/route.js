@@ -0,0 +1,112 @@
+import { createPublicClient, http } from "viem";
+import { CHAIN_ID } from "@/constants/env";
+import { getChain } from "@/utils/chains";
+import { getJsonRpcUrl } from "@/wagmi-config";
+import { getSession } from "@/utils/session";
+import { createSharedDraftUpdateMessage } from "@/utils/drafts";
+import { isAcceptableTimestamp } from "@/utils/signed-messages";
+import {
+  getSharedDraft,
+  setSharedDraft,
+  deleteSharedDraft,
+  normalizeDraftContent,
+} from "@/app/api/shared-draft-utils";
+
+const chain = getChain(CHAIN_ID);
+
+const publicClient = createPublicClient({
+  chain,
+  transport: http(getJsonRpcUrl(chain.id)),
+});
+
+export async function GET(_, context) {
+  const draft = await getSharedDraft(context.params.id);
+
+  if (draft == null)
+    return Response.json({ error: "not-found" }, { status: 404 });
+
+  return Response.json({ draft }, { headers: { "Cache-Control": "no-cache" } });
+}
+
+// Only the owner may unpublish a shared draft
+const authorizeOwner = async (id) => {
+  const session = await getSession();
+
+  if (session.address == null)
+    return {
+      error: Response.json({ error: "not-logged-in" }, { status: 401 }),
+    };
+
+  const draft = await getSharedDraft(id);
+
+  if (draft == null)
+    return { error: Response.json({ error: "not-found" }, { status: 404 }) };
+
+  if (draft.ownerId !== session.address)
+    return { error: Response.json({ error: "forbidden" }, { status: 403 }) };
+
+  return { draft };
+};
+
+// Updates are signed by the owner’s wallet, over a hash of the new content in
+// its normalized form, which is what gets stored next to the signature
+export async function PUT(request, context) {
+  const { content, timestamp, signature } = await request
+    .json()
+    .catch(() => ({}));
+
+  const draft = await getSharedDraft(context.params.id);
+
+  if (draft == null)
+    return Response.json({ error: "not-found" }, { status: 404 });
+
+  let normalizedContent;
+  try {
+    normalizedContent = normalizeDraftContent(content);
+  } catch (e) {
+    return Response.json({ error: e.message }, { status: 400 });
+  }
+
+  if (
+    !Number.isInteger(timestamp) ||
+    !isAcceptableTimestamp(timestamp, { latestTimestamp: draft.signedAt })
+  )
+    return Response.json({ error: "invalid-timestamp" }, { status: 400 });
+
+  const isValidSignature = await publicClient
+    .verifyMessage({
+      address: draft.ownerId,
+      message: createSharedDraftUpdateMessage({
+        id: draft.id,
+        address: draft.ownerId,
+        content: normalizedContent,
+        timestamp,
+      }),
+      signature,
+    })
+    .catch(() => false);
+
+  if (!isValidSignature)
+    return Response.json({ error: "invalid-signature" }, { status: 401 });
+
+  const updatedDraft = {
+    ...draft,
+    content: normalizedContent,
+    signature,
+    signedAt: timestamp,
+    updatedAt: new Date().toISOString(),
+  };
+
+  await setSharedDraft(updatedDraft);
+
+  return Response.json({ draft: updatedDraft });
+}
+
+export async function DELETE(_, context) {
+  const { draft, error } = await authorizeOwner(context.params.id);
+  if (error != null) return error;
+
+  await deleteSharedDraft(draft);
+
+  return new Response(null, { status: 204 });
+}
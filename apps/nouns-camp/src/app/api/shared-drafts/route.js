@@ -0,0 +1,41 @@
+import { getSession } from "@/utils/session";
+import {
+  MAX_SHARED_DRAFT_COUNT_PER_ACCOUNT,
+  getAccountSharedDraftCount,
+  readDraftContent,
+  setSharedDraft,
+} from "@/app/api/shared-draft-utils";
+
+// Publishes a draft under a new shareable id, owned by the logged in account
+export async function POST(request) {
+  const session = await getSession();
+
+  if (session.address == null)
+    return Response.json({ error: "not-logged-in" }, { status: 401 });
+
+  const draftCount = await getAccountSharedDraftCount(session.address);
+
+  if (draftCount >= MAX_SHARED_DRAFT_COUNT_PER_ACCOUNT)
+    return Response.json({ error: "too-many-drafts" }, { status: 400 });
+
+  let content;
+  try {
+    content = await readDraftContent(request);
+  } catch (e) {
+    return Response.json({ error: e.message }, { status: 400 });
+  }
+
+  const now = new Date().toISOString();
+
+  const draft = {
+    id: crypto.randomUUID(),
+    ownerId: session.address,
+    content,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await setSharedDraft(draft);
+
+  return Response.json({ draft }, { status: 201 });
+}
@@ -1,4 +1,4 @@
-import { fetchSimulationBundle } from "@/app/api/tenderly-utils";
+import { fetchSimulationBundle } from "@/app/api/simulation-utils";
 import { parseCandidate, subgraphFetch } from "@/nouns-subgraph";
 
 const fetchCandidate = async (id) => {
@@ -1,4 +1,4 @@
-import { fetchContractSimulation } from "@/app/api/tenderly-utils";
+import { fetchContractSimulation } from "@/app/api/simulation-utils";
 
 export async function POST(request) {
   const body = await request.json();
@@ -3,7 +3,7 @@ import { getChain } from "@/utils/chains";
 import { getJsonRpcUrl } from "@/wagmi-config";
 import { CHAIN_ID } from "@/constants/env";
 import { resolveIdentifier } from "@/contracts";
-import { fetchSimulationBundle } from "@/app/api/tenderly-utils";
+import { fetchSimulationBundle } from "@/app/api/simulation-utils";
 
 const chain = getChain(CHAIN_ID);
 
@@ -0,0 +1,129 @@
+import { encodeFunctionData } from "viem";
+import { resolveIdentifier } from "@/contracts";
+import {
+  parseProposalAction,
+  tenderlyProvider,
+} from "@/app/api/tenderly-utils";
+import {
+  createAnvilProvider,
+  createJsonRpcProvider,
+} from "@/app/api/json-rpc-simulation-utils";
+
+// A simulation provider has:
+//
+// - `simulateBundle(transactions)`, running `{ from, to, input, value }`
+//   transactions in order, resolving with one `{ id, status, error_message,
+//   logs, ethTransfers }` per transaction, where `logs` are the raw `{
+//   address, topics, data }` logs emitted, and `ethTransfers` the `{ from, to,
+//   value }` ETH moved
+// - `simulate(transaction)`, same as above for a single transaction (which
+//   may also have a `chainId`)
+//
+// `id` is only set when the simulation can be viewed on Tenderly. Errors
+// thrown have a `code`, "invalid-transaction" meaning the whole bundle was
+// rejected (e.g. when the sender doesn’t have enough balance), and
+// "simulation-error" for anything else.
+//
+// `SIMULATION_PROVIDER` picks the provider ("tenderly", "json-rpc", or
+// "anvil"), defaulting to Tenderly when `TENDERLY_API_KEY` is set, and
+// `SIMULATION_JSON_RPC_URL` the node used by the latter two.
+const getSimulationProvider = () => {
+  const providerName =
+    process.env.SIMULATION_PROVIDER ||
+    (process.env.TENDERLY_API_KEY ? "tenderly" : "json-rpc");
+
+  const url = process.env.SIMULATION_JSON_RPC_URL || undefined;
+
+  switch (providerName) {
+    case "tenderly":
+      return tenderlyProvider;
+    case "json-rpc":
+      return createJsonRpcProvider({ url });
+    case "anvil":
+      return createAnvilProvider({ url });
+    default:
+      throw new Error(`Unknown simulation provider "${providerName}"`);
+  }
+};
+
+export const simulationProvider = getSimulationProvider();
+
+const propCacheHeader = "max-age=3600";
+
+const createErrorResponse = (error) => {
+  console.error(error);
+  return Response.json(
+    { error: error.code ?? "simulation-error", reason: error.message },
+    { status: 400 },
+  );
+};
+
+const buildExecutorTransactions = (parsedTxs) => {
+  const { address: executorAddress } = resolveIdentifier("executor");
+  return parsedTxs.map((t) => ({ ...t, from: executorAddress }));
+};
+
+// Responds with `{ simulations }` for the proposal and candidate routes
+export const fetchSimulationBundle = async (unparsedTxs) => {
+  const transactions = buildExecutorTransactions(
+    unparsedTxs.map((t) => parseProposalAction(t)),
+  );
+
+  try {
+    const simulations = await simulationProvider.simulateBundle(transactions);
+    return Response.json(
+      { simulations },
+      { headers: { "Cache-Control": propCacheHeader } },
+    );
+  } catch (e) {
+    if (e.code !== "invalid-transaction") return createErrorResponse(e);
+
+    // return an array with same length as the number of transactions
+    const errorResults = Array(transactions.length).fill({
+      status: false,
+      error_message: e.message,
+    });
+
+    return Response.json(
+      { simulations: errorResults, status: false, error_message: e.message },
+      { headers: { "Cache-Control": propCacheHeader } },
+    );
+  }
+};
+
+// Responds with the plain simulation array for action bundles, or a single
+// failed result if the bundle was rejected as a whole
+export const fetchActionBundleSimulation = async (parsedTxs) => {
+  try {
+    const simulations = await simulationProvider.simulateBundle(
+      buildExecutorTransactions(parsedTxs),
+    );
+    return Response.json(simulations);
+  } catch (e) {
+    if (e.code !== "invalid-transaction") return createErrorResponse(e);
+    return Response.json({ status: false, error_message: e.message });
+  }
+};
+
+export const fetchContractSimulation = async ({
+  chainId,
+  address,
+  abi,
+  functionName,
+  args,
+  from,
+  value,
+}) => {
+  try {
+    const simulation = await simulationProvider.simulate({
+      chainId,
+      from,
+      to: address,
+      input: encodeFunctionData({ abi, functionName, args }),
+      value,
+    });
+    return Response.json({ simulation });
+  } catch (e) {
+    return createErrorResponse(e);
+  }
+};
@@ -0,0 +1,74 @@
+import { subgraphFetch } from "@/nouns-subgraph";
+import { kv } from "@/app/api/kv-utils";
+
+export const TARGET_TYPES = ["proposal", "candidate"];
+
+// Manual tags are stored in one hash per target type, so that browse screens
+// can filter on them with a single request. Every account’s entry for a target
+// is its own field, so that writes don’t touch anyone else’s entries.
+const createKey = (targetType) => `tag-entries:${targetType}`;
+
+const createField = (targetId, accountId) => `${targetId}:${accountId}`;
+
+// Account ids are addresses, so the last colon separates them
+const parseField = (field) => {
+  const separatorIndex = field.lastIndexOf(":");
+  return {
+    targetId: field.slice(0, separatorIndex),
+    accountId: field.slice(separatorIndex + 1),
+  };
+};
+
+// Resolves with `{ [targetId]: { [accountId]: { tags, timestamp, signature } } }`
+export const getTagEntries = async (targetType) => {
+  const entriesByField = (await kv.hgetall(createKey(targetType))) ?? {};
+  const entriesByTargetId = {};
+  for (const [field, entry] of Object.entries(entriesByField)) {
+    const { targetId, accountId } = parseField(field);
+    entriesByTargetId[targetId] ??= {};
+    entriesByTargetId[targetId][accountId] = entry;
+  }
+  return entriesByTargetId;
+};
+
+export const getTagEntry = (targetType, targetId, accountId) =>
+  kv.hget(createKey(targetType), createField(targetId, accountId));
+
+// An empty tag list removes the entry
+export const setTagEntry = (targetType, targetId, accountId, entry) => {
+  const field = createField(targetId, accountId);
+  if (entry.tags.length === 0) return kv.hdel(createKey(targetType), field);
+  return kv.hset(createKey(targetType), { [field]: entry });
+};
+
+// Proposers may tag their own proposals and candidates, and any account with
+// voting power may tag anything. Returns `null` if the target doesn’t exist.
+export const fetchTaggingPermission = async (
+  targetType,
+  targetId,
+  accountId,
+) => {
+  const targetQuery =
+    targetType === "proposal"
+      ? `proposal(id: ${JSON.stringify(targetId)}) { proposer { id } }`
+      : `proposalCandidate(id: ${JSON.stringify(targetId)}) { proposer }`;
+
+  const { proposal, proposalCandidate, delegate } = await subgraphFetch({
+    query: `{
+      ${targetQuery}
+      delegate(id: ${JSON.stringify(accountId)}) { delegatedVotes }
+    }`,
+  });
+
+  const proposerId =
+    targetType === "proposal"
+      ? proposal?.proposer.id
+      : proposalCandidate?.proposer;
+
+  if (proposerId == null) return null;
+
+  return {
+    isProposer: proposerId.toLowerCase() === accountId,
+    isDelegate: Number(delegate?.delegatedVotes ?? 0) > 0,
+  };
+};
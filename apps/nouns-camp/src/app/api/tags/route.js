@@ -0,0 +1,100 @@
+import { createPublicClient, http, isAddress } from "viem";
+import { CHAIN_ID } from "@/constants/env";
+import { getChain } from "@/utils/chains";
+import { getJsonRpcUrl } from "@/wagmi-config";
+import { createTagsMessage, validateTags } from "@/utils/tags";
+import { isAcceptableTimestamp } from "@/utils/signed-messages";
+import {
+  TARGET_TYPES,
+  fetchTaggingPermission,
+  getTagEntries,
+  getTagEntry,
+  setTagEntry,
+} from "@/app/api/tag-utils";
+
+const chain = getChain(CHAIN_ID);
+
+const publicClient = createPublicClient({
+  chain,
+  transport: http(getJsonRpcUrl(chain.id)),
+});
+
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const targetType = searchParams.get("type");
+
+  if (!TARGET_TYPES.includes(targetType))
+    return Response.json({ error: "invalid-type" }, { status: 400 });
+
+  const entriesByTargetId = await getTagEntries(targetType);
+
+  return Response.json(
+    { entriesByTargetId },
+    { headers: { "Cache-Control": "no-cache" } },
+  );
+}
+
+// Sets the tags of the signing account for a proposal or candidate. An empty
+// list clears them.
+export async function POST(request) {
+  const { targetType, tags, timestamp, signature, ...body } =
+    await request.json();
+
+  const address = body.address?.toLowerCase();
+  const targetId = body.targetId?.toLowerCase();
+
+  if (!TARGET_TYPES.includes(targetType) || targetId == null)
+    return Response.json({ error: "invalid-target" }, { status: 400 });
+
+  if (address == null || !isAddress(address))
+    return Response.json({ error: "invalid-address" }, { status: 400 });
+
+  const errors = validateTags(tags);
+  if (errors.length > 0)
+    return Response.json({ error: "invalid-tags", errors }, { status: 400 });
+
+  const latestEntry = await getTagEntry(targetType, targetId, address);
+
+  if (
+    !Number.isInteger(timestamp) ||
+    !isAcceptableTimestamp(timestamp, {
+      latestTimestamp: latestEntry?.timestamp,
+    })
+  )
+    return Response.json({ error: "invalid-timestamp" }, { status: 400 });
+
+  const isValidSignature = await publicClient
+    .verifyMessage({
+      address,
+      message: createTagsMessage({
+        address,
+        targetType,
+        targetId,
+        tags,
+        timestamp,
+      }),
+      signature,
+    })
+    .catch(() => false);
+
+  if (!isValidSignature)
+    return Response.json({ error: "invalid-signature" }, { status: 401 });
+
+  const permission = await fetchTaggingPermission(
+    targetType,
+    targetId,
+    address,
+  );
+
+  if (permission == null)
+    return Response.json({ error: "not-found" }, { status: 404 });
+
+  if (!permission.isProposer && !permission.isDelegate)
+    return Response.json({ error: "forbidden" }, { status: 403 });
+
+  const entry = { tags, timestamp, signature };
+
+  await setTagEntry(targetType, targetId, address, entry);
+
+  return Response.json({ entry }, { status: 201 });
+}
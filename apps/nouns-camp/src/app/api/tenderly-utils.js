@@ -1,6 +1,5 @@
 import { decodeAbiParameters, encodeFunctionData, parseAbiItem } from "viem";
 import { reportError } from "@/utils/monitoring";
-import { resolveIdentifier } from "@/contracts";
 import { CHAIN_ID } from "@/constants/env";
 
 export const TENDERLY_API_ENDPOINT = `https://api.tenderly.co/api/v1/account/me/project/${process.env.TENDERLY_PROJECT_SLUG}`;
@@ -86,196 +85,98 @@ export const parseProposalAction = ({ target, value, signature, calldata }) => {
   }
 };
 
-export const fetchSimulationBundle = async (unparsedTxs) => {
-  const { address: executorAddress } = resolveIdentifier("executor");
-  const parsedTxs = unparsedTxs.map((t) => parseProposalAction(t));
-  const parsedTransactions = parsedTxs.map((transaction) => {
-    return {
-      ...transaction,
-      from: executorAddress,
-      estimate_gas: true,
-      network_id: CHAIN_ID,
-      ...TENDERLY_SIMULATION_OPTIONS,
-    };
-  });
+const createError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
 
-  const response = await fetch(`${TENDERLY_API_ENDPOINT}/simulate-bundle`, {
+const tenderlyFetch = async (path, body) => {
+  const response = await fetch(`${TENDERLY_API_ENDPOINT}${path}`, {
     method: "POST",
     headers: {
       Accept: "application/json",
       "Content-Type": "application/json",
       "X-Access-Key": process.env.TENDERLY_API_KEY,
     },
-    body: JSON.stringify({ simulations: parsedTransactions }),
+    body: JSON.stringify(body),
     cache: "no-cache",
   });
 
-  const text = await response.text();
-  const data = JSON.parse(text);
-
-  const propCacheHeader = "max-age=3600";
+  const data = await response.json();
 
   if (!response.ok) {
-    const errorSlug = data?.error?.slug;
-
     // not enough balance comes up as 400 error
-    if (errorSlug == "invalid_transaction_simulation") {
-      // return an array with same length as the number of transactions
-      const errorResults = Array(parsedTransactions.length).fill({
-        status: false,
-        error_message: data?.error?.message,
-      });
-
-      return new Response(
-        JSON.stringify({
-          simulations: errorResults,
-          status: false,
-          error_message: data?.error?.message,
-        }),
-        {
-          status: 200,
-          headers: {
-            "Content-Type": "application/json",
-            "Cache-Control": propCacheHeader,
-          },
-        },
-      );
-    }
-
-    return new Response(
-      JSON.stringify({
-        error: "simulation-error",
-        reason: data?.error?.message,
-      }),
-      {
-        status: 400,
-        headers: {
-          "Content-Type": "application/json",
-        },
-      },
-    );
-  }
-
-  const simulations =
-    data?.simulation_results?.map((sr) => {
-      const simulation = sr.simulation || {};
-      return {
-        id: simulation.id,
-        status: simulation.status,
-        error_message: simulation.error_message,
-      };
-    }) ?? [];
-
-  if (simulations.length == 0) {
-    return new Response(
-      JSON.stringify({
-        error: "empty-simulation",
-        reason: "No simulation results",
-      }),
-      {
-        status: 400,
-        headers: {
-          "Content-Type": "application/json",
-        },
-      },
-    );
-  }
-
-  // sometimes tenderly will return an internal server error
-  // we should consider that a tenderly api error and return a 400 error
-  if (
-    simulations.some(
-      (s) => s.error_message?.toLowerCase() === "internal server error",
-    )
-  ) {
-    return new Response(
-      JSON.stringify({
-        error: "tenderly-api-error",
-        reason: "Internal Server Error",
-      }),
-      {
-        status: 400,
-        headers: {
-          "Content-Type": "application/json",
-        },
-      },
-    );
+    if (data?.error?.slug === "invalid_transaction_simulation")
+      throw createError("invalid-transaction", data.error.message);
+    throw createError("simulation-error", data?.error?.message);
   }
 
-  await shareSimulations(simulations);
-
-  return new Response(JSON.stringify({ simulations: simulations }), {
-    status: 200,
-    headers: {
-      "Content-Type": "application/json",
-      "Cache-Control": propCacheHeader,
-    },
-  });
+  return data;
 };
 
-export const fetchContractSimulation = async ({
-  chainId,
-  address,
-  abi,
-  functionName,
-  args,
-  from,
-  value,
-}) => {
-  const encodedData = encodeFunctionData({ abi, functionName, args });
-
-  const transaction = {
-    to: address,
-    from,
-    input: encodedData,
-    estimate_gas: true,
-    network_id: chainId,
-    value,
-    ...TENDERLY_SIMULATION_OPTIONS,
+const parseSimulation = (simulation = {}, transaction) => {
+  const info = transaction?.transaction_info;
+  return {
+    id: simulation.id,
+    status: simulation.status,
+    error_message: simulation.error_message,
+    logs: info?.logs?.map((l) => l.raw).filter(Boolean) ?? [],
+    ethTransfers:
+      info?.asset_changes
+        ?.filter(
+          (c) =>
+            c.type === "Transfer" &&
+            c.token_info?.standard === "NativeCurrency",
+        )
+        .map((c) => ({ from: c.from, to: c.to, value: c.raw_amount })) ?? [],
   };
+};
 
-  const response = await fetch(`${TENDERLY_API_ENDPOINT}/simulate`, {
-    method: "POST",
-    headers: {
-      Accept: "application/json",
-      "Content-Type": "application/json",
-      "X-Access-Key": process.env.TENDERLY_API_KEY,
-    },
-    body: JSON.stringify(transaction),
-    cache: "no-cache",
-  });
+const createTenderlyTransaction = ({ chainId = CHAIN_ID, ...transaction }) => ({
+  ...transaction,
+  estimate_gas: true,
+  network_id: chainId,
+  ...TENDERLY_SIMULATION_OPTIONS,
+});
+
+// See `simulation-utils.js` for the provider interface
+export const tenderlyProvider = {
+  name: "tenderly",
+  simulateBundle: async (transactions) => {
+    // when a simulation fails, the other sims won't be executed
+    const data = await tenderlyFetch("/simulate-bundle", {
+      simulations: transactions.map(createTenderlyTransaction),
+    });
 
-  const text = await response.text();
-  const data = JSON.parse(text);
+    const simulations =
+      data?.simulation_results?.map((sr) =>
+        parseSimulation(sr.simulation, sr.transaction),
+      ) ?? [];
 
-  if (!response.ok) {
-    return new Response(
-      JSON.stringify({
-        error: "simulation-error",
-        reason: data?.error?.message,
-      }),
-      {
-        status: 400,
-        headers: {
-          "Content-Type": "application/json",
-        },
-      },
-    );
-  }
+    if (simulations.length === 0)
+      throw createError("empty-simulation", "No simulation results");
 
-  const simulation = data?.simulation || {};
-  const simulationResult = {
-    id: simulation.id,
-    status: simulation.status,
-    error_message: simulation.error_message,
-  };
+    // sometimes tenderly will return an internal server error within the
+    // simulation response, we consider that a tenderly api error
+    if (
+      simulations.some(
+        (s) => s.error_message?.toLowerCase() === "internal server error",
+      )
+    )
+      throw createError("tenderly-api-error", "Internal Server Error");
 
-  await shareSimulation(simulationResult);
+    await shareSimulations(simulations);
 
-  return new Response(JSON.stringify({ simulation: simulationResult }), {
-    status: 200,
-    headers: {
-      "Content-Type": "application/json",
-    },
-  });
+    return simulations;
+  },
+  simulate: async (transaction) => {
+    const data = await tenderlyFetch(
+      "/simulate",
+      createTenderlyTransaction(transaction),
+    );
+    const simulation = parseSimulation(data?.simulation, data?.transaction);
+    await shareSimulation(simulation);
+    return simulation;
+  },
 };
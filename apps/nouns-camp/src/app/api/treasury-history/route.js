@@ -0,0 +1,216 @@
+import { createPublicClient, http } from "viem";
+import { object as objectUtils } from "@shades/common/utils";
+import { CHAIN_ID } from "@/constants/env";
+import { resolveIdentifier as resolveContractIdentifier } from "@/contracts";
+import { subgraphFetch } from "@/nouns-subgraph";
+import { getChain } from "@/utils/chains";
+import {
+  parse as parseTransactions,
+  extractAmounts,
+} from "@/utils/transactions";
+import {
+  estimateBlockNumber,
+  getMonthStartTimestamps,
+  groupAssetsByMonth,
+} from "@/utils/treasury";
+import { getJsonRpcUrl } from "@/wagmi-config";
+
+const ONE_HOUR_IN_SECONDS = 60 * 60;
+
+const DEFAULT_MONTH_COUNT = 12;
+const MAX_MONTH_COUNT = 36;
+
+const chain = getChain(CHAIN_ID);
+
+const publicClient = createPublicClient({
+  chain,
+  transport: http(getJsonRpcUrl(chain.id)),
+  batch: {
+    multicall: {
+      wait: 250,
+    },
+  },
+});
+
+const balanceOf = ({ contract, account, blockNumber }) => {
+  const address = resolveContractIdentifier(contract)?.address;
+  return publicClient.readContract({
+    address,
+    chainId: CHAIN_ID,
+    abi: [
+      {
+        type: "function",
+        name: "balanceOf",
+        inputs: [{ type: "address" }],
+        outputs: [{ type: "uint256" }],
+      },
+    ],
+    functionName: "balanceOf",
+    args: [account],
+    blockNumber,
+  });
+};
+
+// Mirrors the balances returned by `/api/treasury`, minus anything that
+// requires offchain data
+const fetchBalances = async ({ blockNumber }) => {
+  const executorAddress = resolveContractIdentifier("executor")?.address;
+  const daoProxyAddress = resolveContractIdentifier("dao")?.address;
+  const clientIncentivesRewardsProxyAddress = resolveContractIdentifier(
+    "client-incentives-rewards-proxy",
+  )?.address;
+  const forkEscrowAddress = resolveContractIdentifier("fork-escrow")?.address;
+  const tokenBuyerAddress = resolveContractIdentifier("token-buyer")?.address;
+  const payerAddress = resolveContractIdentifier("payer")?.address;
+
+  const ethBalanceOf = (address) =>
+    publicClient.getBalance({ address, blockNumber });
+
+  // Contracts deployed after the given block revert
+  const tokenBalanceOf = (contract, account) =>
+    balanceOf({ contract, account, blockNumber }).catch(() => null);
+
+  const [
+    executorBalances,
+    daoProxyEthBalance,
+    tokenBuyerEthBalance,
+    clientIncentivesRewardsProxyWethBalance,
+    payerUsdcBalance,
+    forkEscrowNounsBalance,
+  ] = await Promise.all([
+    (async () => {
+      const balances = Object.fromEntries(
+        await Promise.all([
+          ethBalanceOf(executorAddress).then((balance) => ["eth", balance]),
+          ...[
+            { key: "weth", contract: "weth-token" },
+            { key: "usdc", contract: "usdc-token" },
+            { key: "steth", contract: "steth-token" },
+            { key: "wsteth", contract: "wsteth-token" },
+            CHAIN_ID === 1 ? { key: "reth", contract: "reth-token" } : null,
+            { key: "nouns", contract: "token" },
+          ]
+            .filter(Boolean)
+            .map(async ({ key, contract }) => {
+              const balance = await tokenBalanceOf(contract, executorAddress);
+              return [key, balance];
+            }),
+        ]),
+      );
+      return balances;
+    })(),
+    ethBalanceOf(daoProxyAddress),
+    ethBalanceOf(tokenBuyerAddress),
+    CHAIN_ID === 1
+      ? tokenBalanceOf("weth-token", clientIncentivesRewardsProxyAddress)
+      : null,
+    tokenBalanceOf("usdc-token", payerAddress),
+    tokenBalanceOf("token", forkEscrowAddress),
+  ]);
+
+  const toString = (v) => v?.toString() ?? null;
+
+  return {
+    executor: objectUtils.mapValues(toString, executorBalances),
+    "dao-proxy": { eth: toString(daoProxyEthBalance) },
+    "client-incentives-rewards-proxy": {
+      weth: toString(clientIncentivesRewardsProxyWethBalance),
+    },
+    "token-buyer": { eth: toString(tokenBuyerEthBalance) },
+    payer: { usdc: toString(payerUsdcBalance) },
+    "fork-escrow": { nouns: toString(forkEscrowNounsBalance) },
+  };
+};
+
+const fetchExecutedProposals = async ({ startTimestamp }) => {
+  const { proposals } = await subgraphFetch({
+    query: `{
+      proposals(
+        where: { executedTimestamp_gte: ${startTimestamp} },
+        orderDirection: asc,
+        orderBy: executedBlock,
+        first: 1000
+      ) {
+        id
+        executedTimestamp
+        targets
+        signatures
+        calldatas
+        values
+      }
+    }`,
+  });
+  return proposals;
+};
+
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const monthCount = Number(searchParams.get("months") ?? DEFAULT_MONTH_COUNT);
+
+  if (
+    !Number.isInteger(monthCount) ||
+    monthCount < 1 ||
+    monthCount > MAX_MONTH_COUNT
+  )
+    return Response.json({ code: "invalid-months" }, { status: 400 });
+
+  const latestBlock = await publicClient.getBlock();
+  const referenceBlock = {
+    blockNumber: latestBlock.number,
+    timestamp: Number(latestBlock.timestamp),
+  };
+
+  const monthStartTimestamps = getMonthStartTimestamps({
+    count: monthCount,
+    timestamp: referenceBlock.timestamp,
+  });
+
+  // Balances are sampled at the start of each month, plus the latest block
+  const samplePoints = [
+    ...monthStartTimestamps.map((timestamp) => ({
+      timestamp,
+      blockNumber: estimateBlockNumber(timestamp, referenceBlock),
+    })),
+    referenceBlock,
+  ];
+
+  const [balanceSamples, proposals] = await Promise.all([
+    Promise.all(
+      samplePoints.map(async ({ timestamp, blockNumber }) => ({
+        timestamp,
+        blockNumber: blockNumber.toString(),
+        balances: await fetchBalances({ blockNumber }),
+      })),
+    ),
+    fetchExecutedProposals({ startTimestamp: monthStartTimestamps[0] }),
+  ]);
+
+  const spending = groupAssetsByMonth(
+    proposals.map((proposal) => ({
+      id: proposal.id,
+      timestamp: Number(proposal.executedTimestamp),
+      assets: extractAmounts(parseTransactions(proposal)),
+    })),
+    { monthStartTimestamps },
+  ).map(({ timestamp, ids, assets }) => ({
+    timestamp,
+    proposalIds: ids,
+    assets: assets.map(({ currency, amount, tokens }) =>
+      tokens != null
+        ? { currency, tokens: tokens.map(String) }
+        : { currency, amount: amount.toString() },
+    ),
+  }));
+
+  // 1 hour cache
+  const cacheTime = ONE_HOUR_IN_SECONDS;
+
+  return Response.json(
+    { balances: balanceSamples, spending },
+    {
+      headers: {
+        "Cache-Control": `max-age=${cacheTime}, s-maxage=${cacheTime}, stale-while-revalidate=${cacheTime * 2}`,
+      },
+    },
+  );
+}
@@ -0,0 +1,125 @@
+import { array as arrayUtils } from "@shades/common/utils";
+import { reportError } from "@/utils/monitoring";
+import { isSubscribed } from "@/utils/webhooks";
+import { isAuthorizedCronRequest } from "@/app/api/cron-utils";
+import { fetchIndexedBlockNumber } from "@/app/api/push-utils";
+import {
+  acquireDispatchLock,
+  getWebhooks,
+  getCursor,
+  setCursor,
+  getRetries,
+  setRetries,
+  getProposalStates,
+  setProposalStates,
+  fetchEvents,
+  deliverEvents,
+} from "@/app/api/webhook-utils";
+
+// Delivery stops starting new requests after this long, leaving the rest for
+// the next run
+const RUN_TIME_BUDGET_IN_MILLIS = 40 * 1000;
+
+export const maxDuration = 60;
+
+// Delivers governance events since the last run to registered webhooks, and
+// retries earlier failed deliveries that are due. Meant to be called on a
+// schedule, see the cron config in `vercel.json`.
+export async function GET(request) {
+  if (!isAuthorizedCronRequest(request))
+    return Response.json({ error: "unauthorized" }, { status: 401 });
+
+  const releaseLock = await acquireDispatchLock();
+
+  // The previous run is still going
+  if (releaseLock == null)
+    return Response.json({ error: "already-running" }, { status: 409 });
+
+  try {
+    return await dispatch();
+  } finally {
+    await releaseLock();
+  }
+}
+
+const dispatch = async () => {
+  const deadline = Date.now() + RUN_TIME_BUDGET_IN_MILLIS;
+
+  const [cursor, endBlock, webhooksById, retries, previousProposalStates] =
+    await Promise.all([
+      getCursor(),
+      fetchIndexedBlockNumber(),
+      getWebhooks(),
+      getRetries(),
+      getProposalStates(),
+    ]);
+
+  // Nothing to catch up on the first run, but we still need the proposal
+  // states to compare against next time
+  const startBlock = cursor == null ? endBlock + 1n : BigInt(cursor) + 1n;
+  const hasNewBlocks = cursor == null || startBlock <= endBlock;
+
+  const { events, proposalStatesById } = hasNewBlocks
+    ? await fetchEvents({
+        startBlock,
+        endBlock,
+        proposalStatesById: previousProposalStates,
+      })
+    : { events: [], proposalStatesById: previousProposalStates };
+
+  const now = Date.now();
+
+  // Retries for deleted webhooks are dropped
+  const pendingRetries = retries.filter(
+    (r) => webhooksById[r.webhookId] != null && r.nextAttemptAt > now,
+  );
+
+  const jobs = [
+    ...retries.filter(
+      (r) => webhooksById[r.webhookId] != null && r.nextAttemptAt <= now,
+    ),
+    ...Object.values(webhooksById).flatMap((webhook) =>
+      events
+        .filter((event) => isSubscribed(webhook, event))
+        .map((event) => ({
+          webhookId: webhook.id,
+          event,
+          deliveryId: crypto.randomUUID(),
+          attemptCount: 0,
+          nextAttemptAt: now,
+        })),
+    ),
+  ];
+
+  // New events are queued as due retries and the cursor moved past them
+  // before anything is sent, so that a run dying midway neither loses nor
+  // refetches them. The next run picks up whatever is left in the queue.
+  await Promise.all([
+    setRetries([...pendingRetries, ...jobs]),
+    setProposalStates(proposalStatesById),
+    hasNewBlocks ? setCursor(endBlock) : null,
+  ]);
+
+  const jobsByWebhookId = arrayUtils.groupBy((j) => j.webhookId, jobs);
+
+  const newRetries = await Promise.all(
+    Object.entries(jobsByWebhookId).map(async ([webhookId, webhookJobs]) => {
+      try {
+        return await deliverEvents(webhooksById[webhookId], webhookJobs, {
+          deadline,
+        });
+      } catch (e) {
+        reportError(e);
+        // Left as they were, to be retried on the next run
+        return webhookJobs;
+      }
+    }),
+  );
+
+  await setRetries([...pendingRetries, ...newRetries.flat()]);
+
+  return Response.json({
+    eventCount: events.length,
+    deliveryCount: jobs.length,
+  });
+};
@@ -0,0 +1,369 @@
+import dns from "node:dns/promises";
+import { object as objectUtils } from "@shades/common/utils";
+import { APPROXIMATE_BLOCKS_PER_DAY } from "@/constants/ethereum";
+import metaConfig from "@/metadata-config";
+import { subgraphFetch, parseProposal } from "@/nouns-subgraph";
+import { makeUrlId as makeCandidateUrlId } from "@/utils/candidates";
+import { createSignatureHeader } from "@/utils/webhook-signatures";
+import {
+  SIGNATURE_HEADER,
+  diffProposalStates,
+  getRetryDelay,
+  isPrivateIpAddress,
+} from "@/utils/webhooks";
+import { kv } from "@/app/api/kv-utils";
+import { acquireRunLock } from "@/app/api/cron-utils";
+
+// Hash of webhooks by id
+const WEBHOOKS_KEY = "webhooks-by-id";
+const RETRIES_KEY = "webhook-retries";
+const CURSOR_KEY = "webhook-dispatch:cursor";
+const PROPOSAL_STATES_KEY = "webhook-dispatch:proposal-states";
+const LOCK_KEY = "webhook-dispatch:lock";
+
+// Newest first
+const createDeliveryLogKey = (webhookId) => `webhook-delivery-log:${webhookId}`;
+
+export const MAX_WEBHOOK_COUNT_PER_ACCOUNT = 5;
+
+const MAX_DELIVERY_LOG_LENGTH = 100;
+
+const REQUEST_TIMEOUT_IN_MILLIS = 10 * 1000;
+
+// Proposals older than this are assumed to have settled if we haven’t seen
+// them before
+const PROPOSAL_WINDOW_DAY_COUNT = 60;
+
+export const getWebhooks = async () => (await kv.hgetall(WEBHOOKS_KEY)) ?? {};
+
+export const getWebhook = (id) => kv.hget(WEBHOOKS_KEY, id);
+
+export const getAccountWebhooks = async (accountAddress) =>
+  Object.values(await getWebhooks()).filter(
+    (w) => w.ownerAddress === accountAddress,
+  );
+
+export const setWebhook = (webhook) =>
+  kv.hset(WEBHOOKS_KEY, { [webhook.id]: webhook });
+
+export const deleteWebhook = (id) =>
+  Promise.all([kv.hdel(WEBHOOKS_KEY, id), kv.del(createDeliveryLogKey(id))]);
+
+// The secret is only handed out once, when the webhook is created
+export const serializeWebhook = (webhook) =>
+  objectUtils.omitKey("secret", webhook);
+
+export const getDeliveries = (webhookId) =>
+  kv.lrange(createDeliveryLogKey(webhookId), 0, MAX_DELIVERY_LOG_LENGTH - 1);
+
+const logDeliveries = async (webhookId, deliveries) => {
+  const key = createDeliveryLogKey(webhookId);
+  await kv.lpush(key, ...deliveries);
+  await kv.ltrim(key, 0, MAX_DELIVERY_LOG_LENGTH - 1);
+};
+
+export const acquireDispatchLock = () => acquireRunLock(LOCK_KEY);
+
+export const getCursor = () => kv.get(CURSOR_KEY);
+
+export const setCursor = (blockNumber) =>
+  kv.set(CURSOR_KEY, String(blockNumber));
+
+export const getRetries = async () => (await kv.get(RETRIES_KEY)) ?? [];
+
+export const setRetries = (retries) => kv.set(RETRIES_KEY, retries);
+
+export const getProposalStates = async () =>
+  (await kv.get(PROPOSAL_STATES_KEY)) ?? {};
+
+export const setProposalStates = (statesById) =>
+  kv.set(PROPOSAL_STATES_KEY, statesById);
+
+const buildProposalUrl = (proposalId) =>
+  `${metaConfig.canonicalAppBasename}/proposals/${proposalId}`;
+const buildCandidateUrl = (candidateId) =>
+  `${metaConfig.canonicalAppBasename}/candidates/${encodeURIComponent(makeCandidateUrlId(candidateId))}`;
+
+const PROPOSAL_FIELDS = `
+  fragment ProposalFields on Proposal {
+    id
+    status
+    title
+    createdBlock
+    startBlock
+    endBlock
+    updatePeriodEndBlock
+    objectionPeriodEndBlock
+    forVotes
+    againstVotes
+    abstainVotes
+    executionETA
+    quorumVotes
+    minQuorumVotesBPS
+    maxQuorumVotesBPS
+    quorumCoefficient
+    adjustedTotalSupply
+    proposer { id }
+  }`;
+
+// Collects the events between two blocks. State changes are found by
+// comparing with the proposal states seen on the previous run, which are
+// returned to be stored for the next one.
+export const fetchEvents = async ({
+  startBlock,
+  endBlock,
+  proposalStatesById,
+}) => {
+  const windowStartBlock =
+    endBlock - BigInt(APPROXIMATE_BLOCKS_PER_DAY * PROPOSAL_WINDOW_DAY_COUNT);
+  const trackedProposalIds = Object.keys(proposalStatesById);
+
+  const {
+    createdProposals,
+    openProposals,
+    trackedProposals,
+    votes,
+    proposalCandidateSignatures,
+  } = await subgraphFetch({
+    query: `
+      ${PROPOSAL_FIELDS}
+      query {
+        createdProposals: proposals(
+          where: { createdBlock_gte: ${startBlock}, createdBlock_lte: ${endBlock} },
+          first: 1000
+        ) { ...ProposalFields }
+        openProposals: proposals(
+          where: {
+            status_not_in: ["CANCELLED", "VETOED", "EXECUTED"],
+            createdBlock_gte: ${windowStartBlock}
+          },
+          first: 1000
+        ) { ...ProposalFields }
+        trackedProposals: proposals(
+          where: { id_in: [${trackedProposalIds.map((id) => `"${id}"`)}] },
+          first: 1000
+        ) { ...ProposalFields }
+        votes(
+          where: { blockNumber_gte: ${startBlock}, blockNumber_lte: ${endBlock} },
+          orderBy: blockNumber,
+          first: 1000
+        ) {
+          id
+          reason
+          supportDetailed
+          votes
+          blockNumber
+          blockTimestamp
+          transactionHash
+          voter { id }
+          proposal { id }
+        }
+        proposalCandidateSignatures(
+          where: { createdBlock_gte: ${startBlock}, createdBlock_lte: ${endBlock} },
+          orderBy: createdBlock,
+          first: 1000
+        ) {
+          sig
+          reason
+          createdBlock
+          createdTimestamp
+          createdTransactionHash
+          expirationTimestamp
+          signer { id }
+          content { id }
+        }
+      }`,
+  });
+
+  // Signatures are made for candidate content, which versions link to
+  const candidateIdsByContentId = {};
+
+  if (proposalCandidateSignatures.length > 0) {
+    const { proposalCandidateVersions } = await subgraphFetch({
+      query: `{
+        proposalCandidateVersions(
+          where: {
+            content_in: [${proposalCandidateSignatures.map((s) => `"${s.content.id}"`)}]
+          },
+          first: 1000
+        ) {
+          proposal { id }
+          content { id }
+        }
+      }`,
+    });
+    for (const v of proposalCandidateVersions) {
+      candidateIdsByContentId[v.content.id] ??= new Set();
+      candidateIdsByContentId[v.content.id].add(v.proposal.id);
+    }
+  }
+
+  const proposalsById = {};
+  for (const p of [...createdProposals, ...openProposals, ...trackedProposals])
+    proposalsById[p.id] = parseProposal(p);
+
+  const { events: stateChangeEvents, statesById } = diffProposalStates(
+    Object.values(proposalsById),
+    proposalStatesById,
+    { blockNumber: endBlock },
+  );
+
+  const events = [
+    ...createdProposals.map((p) => ({
+      id: `proposal-created:${p.id}`,
+      type: "proposal-created",
+      data: {
+        proposalId: p.id,
+        title: p.title,
+        proposerId: p.proposer.id,
+        blockNumber: p.createdBlock,
+        url: buildProposalUrl(p.id),
+      },
+    })),
+    ...stateChangeEvents.map((e) => ({
+      ...e,
+      data: { ...e.data, url: buildProposalUrl(e.data.proposalId) },
+    })),
+    ...votes.map((v) => ({
+      id: `vote-cast:${v.id}`,
+      type: "vote-cast",
+      data: {
+        proposalId: v.proposal.id,
+        voterId: v.voter.id,
+        support: v.supportDetailed,
+        votes: Number(v.votes),
+        reason: v.reason || null,
+        blockNumber: v.blockNumber,
+        timestamp: new Date(Number(v.blockTimestamp) * 1000).toISOString(),
+        transactionHash: v.transactionHash,
+        url: buildProposalUrl(v.proposal.id),
+      },
+    })),
+    ...proposalCandidateSignatures.flatMap((s) =>
+      [...(candidateIdsByContentId[s.content.id] ?? [])].map((candidateId) => ({
+        id: `candidate-sponsored:${candidateId}:${s.sig}`,
+        type: "candidate-sponsored",
+        data: {
+          candidateId,
+          signerId: s.signer.id,
+          reason: s.reason || null,
+          blockNumber: s.createdBlock,
+          timestamp: new Date(Number(s.createdTimestamp) * 1000).toISOString(),
+          expirationTimestamp: new Date(
+            Number(s.expirationTimestamp) * 1000,
+          ).toISOString(),
+          transactionHash: s.createdTransactionHash,
+          url: buildCandidateUrl(candidateId),
+        },
+      })),
+    ),
+  ];
+
+  return { events, proposalStatesById: statesById };
+};
+
+// Best-effort protection against webhooks pointing at internal hosts through
+// DNS. The address could still change between this lookup and the request.
+const resolvesToPrivateAddress = async (url) => {
+  const { hostname } = new URL(url);
+  const addresses = await dns.lookup(hostname.replace(/^\[|\]$/g, ""), {
+    all: true,
+  });
+  return addresses.some(({ address }) => isPrivateIpAddress(address));
+};
+
+const postEvent = async (webhook, event, { deliveryId }) => {
+  try {
+    if (await resolvesToPrivateAddress(webhook.url))
+      return {
+        ok: false,
+        responseStatus: null,
+        error: "Resolves to a private address",
+      };
+  } catch (e) {
+    return { ok: false, responseStatus: null, error: e.message };
+  }
+
+  const body = JSON.stringify({
+    id: event.id,
+    type: event.type,
+    data: event.data,
+  });
+  try {
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "NounsCamp-Webhooks/1.0",
+        "X-Camp-Event": event.type,
+        "X-Camp-Delivery": deliveryId,
+        [SIGNATURE_HEADER]: createSignatureHeader(webhook.secret, body),
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_IN_MILLIS),
+    });
+    return {
+      ok: response.ok,
+      responseStatus: response.status,
+      error: response.ok ? null : `Responded with ${response.status}`,
+    };
+  } catch (e) {
+    return { ok: false, responseStatus: null, error: e.message };
+  }
+};
+
+// Delivers a webhook’s events in order, logging every attempt. Failed
+// deliveries are returned as retries, unless out of attempts. Jobs not
+// started before `deadline` are returned as they are, to be picked up by the
+// next run.
+export const deliverEvents = async (
+  webhook,
+  jobs,
+  { deadline = Infinity } = {},
+) => {
+  const logEntries = [];
+  const retries = [];
+
+  for (const job of jobs) {
+    if (Date.now() >= deadline) {
+      retries.push({
+        ...job,
+        webhookId: webhook.id,
+        nextAttemptAt: Date.now(),
+      });
+      continue;
+    }
+
+    const { event, deliveryId, attemptCount } = job;
+    const attempt = attemptCount + 1;
+    const { ok, responseStatus, error } = await postEvent(webhook, event, {
+      deliveryId,
+    });
+    const retryDelay = ok ? null : getRetryDelay(attempt);
+
+    logEntries.push({
+      deliveryId,
+      eventId: event.id,
+      eventType: event.type,
+      attempt,
+      status: ok ? "delivered" : retryDelay == null ? "failed" : "retrying",
+      responseStatus,
+      error,
+      timestamp: new Date().toISOString(),
+    });
+
+    if (retryDelay != null)
+      retries.push({
+        webhookId: webhook.id,
+        deliveryId,
+        event,
+        attemptCount: attempt,
+        nextAttemptAt: Date.now() + retryDelay,
+      });
+  }
+
+  if (logEntries.length > 0) await logDeliveries(webhook.id, logEntries);
+
+  return retries;
+};
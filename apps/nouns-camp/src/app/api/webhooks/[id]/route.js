@@ -0,0 +1,48 @@
+import { getSession } from "@/utils/session";
+import {
+  deleteWebhook,
+  getDeliveries,
+  getWebhook,
+  serializeWebhook,
+} from "@/app/api/webhook-utils";
+
+// Only the owner may see the delivery log of, or remove, a webhook
+const authorizeOwner = async (id) => {
+  const session = await getSession();
+
+  if (session.address == null)
+    return {
+      error: Response.json({ error: "not-logged-in" }, { status: 401 }),
+    };
+
+  const webhook = await getWebhook(id);
+
+  if (webhook == null)
+    return { error: Response.json({ error: "not-found" }, { status: 404 }) };
+
+  if (webhook.ownerAddress !== session.address)
+    return { error: Response.json({ error: "forbidden" }, { status: 403 }) };
+
+  return { webhook };
+};
+
+export async function GET(_, context) {
+  const { webhook, error } = await authorizeOwner(context.params.id);
+  if (error != null) return error;
+
+  const deliveries = await getDeliveries(webhook.id);
+
+  return Response.json(
+    { webhook: serializeWebhook(webhook), deliveries },
+    { headers: { "Cache-Control": "no-cache" } },
+  );
+}
+
+export async function DELETE(_, context) {
+  const { error } = await authorizeOwner(context.params.id);
+  if (error != null) return error;
+
+  await deleteWebhook(context.params.id);
+
+  return new Response(null, { status: 204 });
+}
@@ -0,0 +1,57 @@
+import { getSession } from "@/utils/session";
+import { createSecret } from "@/utils/webhook-signatures";
+import { validateWebhook } from "@/utils/webhooks";
+import {
+  MAX_WEBHOOK_COUNT_PER_ACCOUNT,
+  getAccountWebhooks,
+  serializeWebhook,
+  setWebhook,
+} from "@/app/api/webhook-utils";
+
+export async function GET() {
+  const session = await getSession();
+
+  if (session.address == null)
+    return Response.json({ error: "not-logged-in" }, { status: 401 });
+
+  const webhooks = await getAccountWebhooks(session.address);
+
+  return Response.json(
+    { webhooks: webhooks.map(serializeWebhook) },
+    { headers: { "Cache-Control": "no-cache" } },
+  );
+}
+
+// Registers a webhook owned by the logged in account. The response is the
+// only time the signing secret is revealed.
+export async function POST(request) {
+  const session = await getSession();
+
+  if (session.address == null)
+    return Response.json({ error: "not-logged-in" }, { status: 401 });
+
+  const { url, events = [] } = await request.json();
+
+  const errors = validateWebhook({ url, events });
+
+  if (errors.length > 0)
+    return Response.json({ error: "invalid-webhook", errors }, { status: 400 });
+
+  const webhooks = await getAccountWebhooks(session.address);
+
+  if (webhooks.length >= MAX_WEBHOOK_COUNT_PER_ACCOUNT)
+    return Response.json({ error: "too-many-webhooks" }, { status: 400 });
+
+  const webhook = {
+    id: crypto.randomUUID(),
+    ownerAddress: session.address,
+    url,
+    events,
+    secret: createSecret(),
+    createdAt: new Date().toISOString(),
+  };
+
+  await setWebhook(webhook);
+
+  return Response.json({ webhook }, { status: 201 });
+}
@@ -0,0 +1,16 @@
+import ClientAppProvider from "@/app/client-app-provider";
+import { build as buildMetadata } from "@/utils/metadata";
+import AuctionHistoryScreen from "@/components/auction-history-screen";
+
+export const metadata = buildMetadata({
+  title: "Auction history",
+  canonicalPathname: "/auction/history",
+});
+
+export default function Page() {
+  return (
+    <ClientAppProvider>
+      <AuctionHistoryScreen />
+    </ClientAppProvider>
+  );
+}
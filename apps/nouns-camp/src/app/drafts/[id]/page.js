@@ -0,0 +1,15 @@
+import { build as buildMetadata } from "@/utils/metadata";
+import ClientAppProvider from "@/app/client-app-provider";
+import SharedDraftScreen from "@/components/shared-draft-screen";
+
+export const metadata = buildMetadata({
+  title: "Shared draft",
+});
+
+export default function Page({ params }) {
+  return (
+    <ClientAppProvider>
+      <SharedDraftScreen sharedDraftId={params.id} />
+    </ClientAppProvider>
+  );
+}
@@ -0,0 +1,16 @@
+import ClientAppProvider from "@/app/client-app-provider";
+import { build as buildMetadata } from "@/utils/metadata";
+import ForkScreen from "@/components/fork-screen";
+
+export const metadata = buildMetadata({
+  title: "Fork",
+  canonicalPathname: "/fork",
+});
+
+export default function Page() {
+  return (
+    <ClientAppProvider>
+      <ForkScreen />
+    </ClientAppProvider>
+  );
+}
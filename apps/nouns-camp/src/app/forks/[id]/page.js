@@ -0,0 +1,18 @@
+import ClientAppProvider from "@/app/client-app-provider";
+import { build as buildMetadata } from "@/utils/metadata";
+import ForkScreen from "@/components/fork-screen";
+
+export function generateMetadata({ params }) {
+  return buildMetadata({
+    title: `Fork #${params.id}`,
+    canonicalPathname: `/forks/${params.id}`,
+  });
+}
+
+export default function Page({ params }) {
+  return (
+    <ClientAppProvider>
+      <ForkScreen forkId={params.id} />
+    </ClientAppProvider>
+  );
+}
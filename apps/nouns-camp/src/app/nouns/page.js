@@ -0,0 +1,16 @@
+import ClientAppProvider from "@/app/client-app-provider";
+import { build as buildMetadata } from "@/utils/metadata";
+import NounTraitExplorerScreen from "@/components/noun-trait-explorer-screen";
+
+export const metadata = buildMetadata({
+  title: "Nouns",
+  canonicalPathname: "/nouns",
+});
+
+export default function Page() {
+  return (
+    <ClientAppProvider>
+      <NounTraitExplorerScreen />
+    </ClientAppProvider>
+  );
+}
@@ -0,0 +1,16 @@
+import ClientAppProvider from "@/app/client-app-provider";
+import { build as buildMetadata } from "@/utils/metadata";
+import ClientRewardsScreen from "@/components/client-rewards-screen";
+
+export const metadata = buildMetadata({
+  title: "Client rewards",
+  canonicalPathname: "/rewards",
+});
+
+export default function Page() {
+  return (
+    <ClientAppProvider>
+      <ClientRewardsScreen />
+    </ClientAppProvider>
+  );
+}
@@ -1,5 +1,6 @@
 import { defaultCache } from "@serwist/next/worker";
 import { Serwist } from "serwist";
+import metaConfig from "@/metadata-config";
 
 const serwist = new Serwist({
   precacheEntries: self.__SW_MANIFEST,
@@ -10,3 +11,57 @@ const serwist = new Serwist({
 });
 
 serwist.addEventListeners();
+
+// Pushes without a (JSON) payload still have to show something, since
+// browsers expect a notification for every push
+const readPushPayload = (data) => {
+  if (data == null) return {};
+  try {
+    const payload = data.json();
+    return payload != null && typeof payload === "object" ? payload : {};
+  } catch (e) {
+    return {};
+  }
+};
+
+self.addEventListener("push", (event) => {
+  const {
+    title = metaConfig.appTitle,
+    body = "There’s new activity",
+    url,
+    tag,
+  } = readPushPayload(event.data);
+  event.waitUntil(
+    self.registration.showNotification(title, {
+      body,
+      tag,
+      icon: "/apple-icon.png",
+      data: { url },
+    }),
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+
+  const url = new URL(
+    event.notification.data?.url ?? "/",
+    self.location.origin,
+  );
+
+  event.waitUntil(
+    (async () => {
+      const windowClients = await self.clients.matchAll({
+        type: "window",
+        includeUncontrolled: true,
+      });
+      // Reuse an open tab if there is one
+      const windowClient = windowClients.find(
+        (c) => new URL(c.url).origin === url.origin,
+      );
+      if (windowClient == null) return self.clients.openWindow(url.href);
+      await windowClient.focus();
+      return windowClient.navigate(url.href);
+    })(),
+  );
+});
@@ -0,0 +1,16 @@
+import ClientAppProvider from "@/app/client-app-provider";
+import { build as buildMetadata } from "@/utils/metadata";
+import CompareVotersScreen from "@/components/compare-voters-screen";
+
+export const metadata = buildMetadata({
+  title: "Compare voters",
+  canonicalPathname: "/voters/compare",
+});
+
+export default function Page() {
+  return (
+    <ClientAppProvider>
+      <CompareVotersScreen />
+    </ClientAppProvider>
+  );
+}
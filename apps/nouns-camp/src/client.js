@@ -27,3 +27,5 @@ const clientDataById = {
 };
 
 export const getClientData = (id) => clientDataById[id];
+
+export const getClientIds = () => Object.keys(clientDataById).map(Number);
@@ -20,14 +20,17 @@ import { resolveAddress as resolveContractAddress } from "@/contracts";
 import { CHAIN_ID } from "@/constants/env";
 import { pickDisplayName as pickFarcasterAccountDisplayName } from "@/utils/farcaster";
 import { buildEtherscanLink } from "@/utils/etherscan";
+import { buildCompareHref } from "@/utils/voter-comparison";
 import { useActions, useDelegate, useAccount } from "@/store";
 import { useWallet } from "@/hooks/wallet";
 import { useDialog } from "@/hooks/global-dialogs";
+import { useNavigate } from "@/hooks/navigation";
 import useEnsName from "@/hooks/ens-name";
 import useAccountDisplayName from "@/hooks/account-display-name";
 import { useAccountsWithVerifiedEthAddress as useFarcasterAccountsWithVerifiedEthAddress } from "@/hooks/farcaster";
 import AccountAvatar from "@/components/account-avatar";
 import NounPreviewPopoverTrigger from "@/components/noun-preview-popover-trigger";
+import DelegateStatementExcerpt from "@/components/delegate-statement-excerpt";
 import NextLink from "next/link";
 
 const isProduction = process.env.NODE_ENV === "production";
@@ -138,6 +141,7 @@ const AccountPreviewPopoverTrigger = React.forwardRef(
 );
 
 const AccountPreview = React.forwardRef(({ accountAddress, close }, ref) => {
+  const navigate = useNavigate();
   const { address: connectedAccountAddress } = useWallet();
   const connectedAccount = useAccount(connectedAccountAddress);
   const farcasterAccounts =
@@ -193,6 +197,7 @@ const AccountPreview = React.forwardRef(({ accountAddress, close }, ref) => {
   });
 
   const { open: openDelegationDialog } = useDialog("delegation");
+  const { open: openStatementDialog } = useDialog("delegate-statement");
 
   const accountLink = `/voters/${ensName ?? accountAddress}`;
 
@@ -337,6 +342,10 @@ const AccountPreview = React.forwardRef(({ accountAddress, close }, ref) => {
               )}
             </>
           )}
+          <DelegateStatementExcerpt
+            accountAddress={accountAddress}
+            css={(t) => css({ fontSize: t.text.sizes.small })}
+          />
         </div>
       )}
 
@@ -463,6 +472,14 @@ const AccountPreview = React.forwardRef(({ accountAddress, close }, ref) => {
                             id: "delegate-to-account",
                             label: "Delegate to this account",
                           },
+                    isMe && {
+                      id: "edit-delegate-statement",
+                      label: "Edit delegate statement",
+                    },
+                    {
+                      id: "compare-voting-record",
+                      label: "Compare voting record",
+                    },
                     {
                       id: "copy-account-address",
                       label: "Copy account address",
@@ -569,6 +586,22 @@ const AccountPreview = React.forwardRef(({ accountAddress, close }, ref) => {
                     close();
                     break;
 
+                  case "edit-delegate-statement":
+                    openStatementDialog();
+                    close();
+                    break;
+
+                  case "compare-voting-record":
+                    // Compare with whoever votes for the connected account
+                    navigate(
+                      buildCompareHref([
+                        accountAddress,
+                        connectedAccount?.delegateId ?? connectedAccountAddress,
+                      ]),
+                    );
+                    close();
+                    break;
+
                   case "copy-account-address":
                     navigator.clipboard.writeText(accountAddress.toLowerCase());
                     close();
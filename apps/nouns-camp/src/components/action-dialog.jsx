@@ -27,6 +27,7 @@ import Select from "@shades/ui-web/select";
 import Dialog from "@shades/ui-web/dialog";
 import DialogHeader from "@shades/ui-web/dialog-header";
 import { resolveIdentifier as getContractWithIdentifier } from "@/contracts";
+import { getTokens, resolveCurrency } from "@/tokens";
 import { createSignature } from "@/utils/transactions";
 import usePublicClient from "@/hooks/public-client";
 import { fetchContractInfo } from "@/hooks/etherscan-contract-info";
@@ -40,12 +41,6 @@ import NounAvatar from "@/components/noun-avatar";
 import { subgraphFetch } from "@/nouns-subgraph";
 import { buildEtherscanLink } from "@/utils/etherscan";
 
-const decimalsByCurrency = {
-  eth: 18,
-  weth: 18,
-  usdc: 6,
-};
-
 const parseAbiString = (string) => {
   try {
     const abi = JSON.parse(string);
@@ -201,16 +196,17 @@ const buildInitialInputState = (inputs = []) => {
 };
 
 const parseAmount = (amount, currency) => {
-  switch (currency.toLowerCase()) {
-    case "eth":
-    case "weth":
-    case "usdc":
-      return parseUnits(amount.toString(), decimalsByCurrency[currency]);
-    default:
-      throw new Error();
-  }
+  const token = resolveCurrency(currency);
+  if (token == null) throw new Error(`Unsupported currency "${currency}"`);
+  return parseUnits(amount.toString(), token.decimals);
 };
 
+const buildCurrencyOptions = ({ streamable } = {}) =>
+  getTokens({ streamable }).map((t) => ({
+    value: t.currency,
+    label: t.symbol,
+  }));
+
 const ActionDialog = ({ isOpen, close, ...props }) => (
   <EnsCacheProvider>
     <Dialog
@@ -430,10 +426,7 @@ const StreamingPaymentActionForm = ({ state, setState }) => {
         setAmount={(amount) => setState({ amount })}
         currency={state.currency}
         setCurrency={(currency) => setState({ currency })}
-        currencyOptions={[
-          { value: "weth", label: "WETH" },
-          { value: "usdc", label: "USDC" },
-        ]}
+        currencyOptions={buildCurrencyOptions({ streamable: true })}
       />
 
       <AddressInput
@@ -824,10 +817,7 @@ const formConfigByActionType = {
             setAmount={(amount) => setState({ amount })}
             currency={state.currency}
             setCurrency={(currency) => setState({ currency })}
-            currencyOptions={[
-              { value: "eth", label: "ETH" },
-              { value: "usdc", label: "USDC" },
-            ]}
+            currencyOptions={buildCurrencyOptions()}
           />
 
           <AddressInput
@@ -1819,9 +1809,7 @@ const useFetchPredictedStreamContractAddress = () => {
     ({ amount: amount_, currency, receiverAddress, startDate, endDate }) => {
       const executorContract = getContractWithIdentifier("executor");
       const streamFactoryContract = getContractWithIdentifier("stream-factory");
-      const paymentTokenContract = getContractWithIdentifier(
-        `${currency}-token`,
-      );
+      const paymentToken = resolveCurrency(currency);
 
       let amount = 0;
       try {
@@ -1855,7 +1843,7 @@ const useFetchPredictedStreamContractAddress = () => {
           executorContract.address,
           receiverAddress,
           parseAmount(amount, currency),
-          paymentTokenContract.address,
+          paymentToken.address,
           (startDate?.getTime() ?? 0) / 1000,
           (endDate?.getTime() ?? 0) / 1000,
         ],
@@ -75,7 +75,7 @@ const heartBounceAnimation = keyframes({
 // });
 
 const ActivityFeed = ({
-  context, // "proposal" | "candidate" | null
+  context, // "proposal" | "candidate" | "fork" | null
   items = [],
   spacing = "2rem",
   onReply,
@@ -1190,6 +1190,17 @@ const ItemTitle = ({ item, variant, context, hasBeenOnScreen }) => {
     </span>
   );
 
+  // Fork items skip the link when already on the fork screen
+  const forkLink =
+    item.forkId == null || context === "fork" ? null : (
+      <>
+        {" "}
+        <NextLink prefetch href={`/forks/${item.forkId}`}>
+          #{item.forkId}
+        </NextLink>
+      </>
+    );
+
   const renderTitle = () => {
     if (variant === "author-only") return author;
 
@@ -1481,6 +1492,32 @@ const ItemTitle = ({ item, variant, context, hasBeenOnScreen }) => {
               </>
             );
 
+          case "fork-escrow":
+            return (
+              <>
+                {author} escrowed{" "}
+                <NounsPreviewPopoverTrigger nounIds={item.nounIds} /> to fork
+                {forkLink}
+              </>
+            );
+
+          case "fork-escrow-withdrawal":
+            return (
+              <>
+                {author} withdrew{" "}
+                <NounsPreviewPopoverTrigger nounIds={item.nounIds} /> from fork
+                {forkLink}
+              </>
+            );
+
+          case "fork-join":
+            return (
+              <>
+                {author} joined fork{forkLink} with{" "}
+                <NounsPreviewPopoverTrigger nounIds={item.nounIds} />
+              </>
+            );
+
           default:
             throw new Error(`Unknown event "${item.eventType}"`);
         }
@@ -1965,13 +2002,9 @@ const NounTransferItem = ({ item, isOnScreen }) => {
       return (
         <>
           {renderAuthor(item.fromAccount)} joined fork{" "}
-          <a
-            href={`https://nouns.wtf/fork/${transferMeta.forkId}`}
-            target="_blank"
-            rel="noreferrer"
-          >
+          <NextLink prefetch href={`/forks/${transferMeta.forkId}`}>
             #{transferMeta.forkId}
-          </a>{" "}
+          </NextLink>{" "}
           with {nounsElement}
         </>
       );
@@ -1981,13 +2014,9 @@ const NounTransferItem = ({ item, isOnScreen }) => {
       return (
         <>
           {renderAuthor(item.fromAccount)} escrowed {nounsElement} to fork{" "}
-          <a
-            href={`https://nouns.wtf/fork/${transferMeta.forkId}`}
-            target="_blank"
-            rel="noreferrer"
-          >
+          <NextLink prefetch href={`/forks/${transferMeta.forkId}`}>
             #{transferMeta.forkId}
-          </a>
+          </NextLink>
         </>
       );
 
@@ -1996,13 +2025,9 @@ const NounTransferItem = ({ item, isOnScreen }) => {
       return (
         <>
           {renderAuthor(item.toAccount)} withdrew {nounsElement} from fork{" "}
-          <a
-            href={`https://nouns.wtf/fork/${transferMeta.forkId}`}
-            target="_blank"
-            rel="noreferrer"
-          >
+          <NextLink prefetch href={`/forks/${transferMeta.forkId}`}>
             #{transferMeta.forkId}
-          </a>
+          </NextLink>
         </>
       );
 
@@ -23,6 +23,7 @@ import { CHAIN_ID } from "@/constants/env";
 import { getTheme } from "@/theme";
 import { getChain as getSupportedChain } from "@/utils/chains";
 import { resolveIdentifier as resolveContractIdentifier } from "@/contracts";
+import { getMinBidValue } from "@/utils/auto-rebid";
 import { useActions, useNoun } from "@/store";
 import usePublicClient from "@/hooks/public-client";
 import {
@@ -32,6 +33,7 @@ import {
   useCreateBid,
   useSettleCurrentAndCreateNewAuction,
 } from "@/hooks/auction-house-contract";
+import useAutoRebid from "@/hooks/auto-rebid";
 import useThemePreferred from "@/hooks/preferred-theme";
 import useKeyboardShortcuts, {
   isEventTargetTextInputOrTextArea,
@@ -444,14 +446,11 @@ export const Auction = ({
 
   const nounImageDataUri = useNounImageDataUri(seed, { transparent: true });
 
-  const minBidValue = (() => {
-    if (auction == null) return null;
-    if (auction.amount == 0) return reservePrice;
-    if (minBidIncrementPercentage == null || auction.amount == null)
-      return null;
-    const amount = BigInt(auction.amount);
-    return amount + (amount / 100n) * BigInt(minBidIncrementPercentage);
-  })();
+  const minBidValue = getMinBidValue({
+    amount: auction?.amount,
+    reservePrice,
+    minBidIncrementPercentage,
+  });
 
   const suggestedBidValue = (() => {
     if (minBidValue == null) return null;
@@ -1002,6 +1001,7 @@ export const Auction = ({
                 );
               })()}
             </div>
+            <AutoRebid nounId={nounId} minBidValue={minBidValue} />
           </>
         );
       })()}
@@ -1265,6 +1265,138 @@ export const Auction = ({
   );
 };
 
+const AutoRebid = ({ nounId, minBidValue }) => {
+  const { session, step, isPending, error, start, cancel } = useAutoRebid();
+
+  const [isFormOpen, setFormOpen] = React.useState(false);
+  const [maxBid, setMaxBid] = React.useState("");
+
+  const maxBidValue = (() => {
+    try {
+      return parseEther(maxBid);
+    } catch (e) {
+      return null;
+    }
+  })();
+
+  const isMaxBidValid =
+    maxBid.trim() !== "" &&
+    maxBidValue != null &&
+    minBidValue != null &&
+    maxBidValue >= minBidValue;
+
+  const containerStyles = (t) =>
+    css({
+      marginTop: "0.8rem",
+      color: t.colors.textDimmed,
+      fontSize: t.text.sizes.small,
+      em: { fontStyle: "normal", fontWeight: t.text.weights.emphasis },
+      ".error": { color: t.colors.textNegative },
+      "button[data-link]": {
+        display: "inline",
+        cursor: "pointer",
+        textDecoration: "underline",
+      },
+    });
+
+  if (session != null)
+    return (
+      <div css={containerStyles}>
+        Auto rebidding up to{" "}
+        <em>
+          Ξ<FormattedEth value={session.maxBidValue} tokenSymbol={null} />
+        </em>{" "}
+        on this page.{" "}
+        {(() => {
+          if (isPending) return "Confirm the bid in your wallet.";
+          switch (step?.type) {
+            case "leading":
+              return "You have the highest bid.";
+            case "rebid":
+              return (
+                <>
+                  Preparing a bid of Ξ
+                  <FormattedEth value={step.bidValue} tokenSymbol={null} />
+                  ...
+                </>
+              );
+            case "cap-reached":
+              return (
+                <span className="error">
+                  The next bid (Ξ
+                  <FormattedEth value={step.minBidValue} tokenSymbol={null} />)
+                  is above your cap.
+                </span>
+              );
+            default:
+              return null;
+          }
+        })()}{" "}
+        <button data-link onClick={cancel}>
+          Cancel
+        </button>
+      </div>
+    );
+
+  if (!isFormOpen)
+    return (
+      <div css={containerStyles}>
+        {error != null && (
+          <div className="error">
+            Auto rebid stopped: {error.shortMessage || error.message}
+          </div>
+        )}
+        <button data-link onClick={() => setFormOpen(true)}>
+          Auto rebid when outbid
+        </button>
+      </div>
+    );
+
+  return (
+    <form
+      css={containerStyles}
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (!isMaxBidValid) return;
+        if (
+          !confirm(
+            `Your wallet will ask you to sign the minimum valid bid every time you’re outbid on Noun ${nounId}, up to ${formatEther(maxBidValue)} ETH. This stops when the auction ends, when you decline a bid, or when you leave this page.`,
+          )
+        )
+          return;
+        start({ nounId, maxBidValue });
+        setFormOpen(false);
+        setMaxBid("");
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: "0.8rem",
+          marginBottom: "0.4rem",
+        }}
+      >
+        <Input
+          size="small"
+          value={maxBid}
+          onChange={(e) => setMaxBid(e.target.value.trim())}
+          placeholder="Max bid (ETH)"
+          style={{ flex: 1, minWidth: 0 }}
+        />
+        <Button size="small" type="submit" disabled={!isMaxBidValid}>
+          Start
+        </Button>
+        <Button size="small" type="button" onClick={() => setFormOpen(false)}>
+          Cancel
+        </Button>
+      </div>
+      Rebids the minimum amount whenever you’re outbid, until your cap is
+      reached. Each bid needs your signature.
+    </form>
+  );
+};
+
 const Now = ({ interval = 1000, children }) => {
   const [now, setNow] = React.useState(() => new Date().getTime());
   useInterval(
@@ -0,0 +1,381 @@
+import React from "react";
+import { css } from "@emotion/react";
+import { TRAIT_TYPES } from "@shades/common/nouns";
+import * as Tooltip from "@shades/ui-web/tooltip";
+import Button from "@shades/ui-web/button";
+import Select from "@shades/ui-web/select";
+import {
+  LEADERBOARD_ORDERS,
+  buildAuctionsCsv,
+  getBidCountDistribution,
+  getBidIncrementDistribution,
+  getBidderLeaderboard,
+  getMonthlySettlementPrices,
+  getPriceByTrait,
+} from "@/utils/auction-history";
+import useAuctionHistory from "@/hooks/auction-history";
+import Layout, { MainContentContainer } from "@/components/layout";
+import AccountPreviewPopoverTrigger from "@/components/account-preview-popover-trigger";
+import FormattedDate from "@/components/formatted-date";
+import { FormattedEthWithConditionalTooltip } from "@/components/transaction-list";
+
+const LEADERBOARD_SIZE = 20;
+
+const leaderboardOrderLabels = {
+  wins: "Most won",
+  bids: "Most bids",
+  spent: "Most spent",
+};
+
+const traitTypeLabels = {
+  background: "Background",
+  body: "Body",
+  accessory: "Accessory",
+  head: "Head",
+  glasses: "Glasses",
+};
+
+const FormattedEth = (props) => (
+  <FormattedEthWithConditionalTooltip
+    portal
+    decimals={2}
+    truncationDots={false}
+    tokenSymbol={false}
+    localeFormatting
+    {...props}
+  />
+);
+
+const downloadCsv = (auctions) => {
+  const url = URL.createObjectURL(
+    new Blob([buildAuctionsCsv(auctions)], { type: "text/csv" }),
+  );
+  const anchor = document.createElement("a");
+  anchor.href = url;
+  anchor.download = "nouns-auctions.csv";
+  anchor.click();
+  URL.revokeObjectURL(url);
+};
+
+const AuctionHistoryScreen = () => {
+  const { auctions, error, isLoading } = useAuctionHistory();
+
+  const [leaderboardOrder, setLeaderboardOrder] = React.useState("wins");
+  const [traitType, setTraitType] = React.useState("head");
+
+  const months = React.useMemo(
+    () => (auctions == null ? [] : getMonthlySettlementPrices(auctions)),
+    [auctions],
+  );
+  const leaderboard = React.useMemo(
+    () =>
+      auctions == null
+        ? []
+        : getBidderLeaderboard(auctions, { orderBy: leaderboardOrder }).slice(
+            0,
+            LEADERBOARD_SIZE,
+          ),
+    [auctions, leaderboardOrder],
+  );
+  const bidCounts = React.useMemo(
+    () => (auctions == null ? [] : getBidCountDistribution(auctions)),
+    [auctions],
+  );
+  const bidIncrements = React.useMemo(
+    () => (auctions == null ? [] : getBidIncrementDistribution(auctions)),
+    [auctions],
+  );
+  const traitPrices = React.useMemo(
+    () => (auctions == null ? [] : getPriceByTrait(auctions, traitType)),
+    [auctions, traitType],
+  );
+
+  return (
+    <Layout
+      navigationStack={[
+        { to: "/auction", label: "Auction", desktopOnly: true },
+        { to: "/auction/history", label: "History" },
+      ]}
+    >
+      <MainContentContainer>
+        <div
+          css={(t) =>
+            css({
+              padding: "0.8rem 1.6rem 3.2rem",
+              fontSize: t.text.sizes.small,
+              "@media (min-width: 600px)": {
+                padding: "6rem 1.6rem 12rem",
+              },
+              h1: {
+                fontSize: t.text.sizes.headerLarger,
+                fontWeight: t.text.weights.header,
+                color: t.colors.textHeader,
+                margin: "0 0 2.4rem",
+              },
+              table: {
+                width: "100%",
+                borderCollapse: "collapse",
+                "th, td": { padding: "0.4rem 0", textAlign: "right" },
+                "th:first-of-type, td:first-of-type": { textAlign: "left" },
+                th: { fontWeight: "normal" },
+              },
+              "[data-hint]": { color: t.colors.textDimmed },
+              "[data-numeric]": { fontVariantNumeric: "tabular-nums" },
+            })
+          }
+        >
+          <h1>Auction history</h1>
+
+          {auctions == null ? (
+            <p data-hint>
+              {error != null
+                ? "Failed to load auctions"
+                : isLoading
+                  ? "Loading auctions..."
+                  : null}
+            </p>
+          ) : (
+            <>
+              <p data-hint>
+                {auctions.length.toLocaleString()} settled auctions
+              </p>
+
+              <Heading>Settlement price</Heading>
+              <SettlementPriceChart months={months} />
+
+              <Heading>
+                <span>Bidders</span>
+                <Select
+                  size="small"
+                  aria-label="Order by"
+                  inlineLabel="Order by"
+                  value={leaderboardOrder}
+                  options={LEADERBOARD_ORDERS.map((order) => ({
+                    value: order,
+                    label: leaderboardOrderLabels[order],
+                  }))}
+                  onChange={setLeaderboardOrder}
+                  fullWidth={false}
+                  width="max-content"
+                />
+              </Heading>
+              <table>
+                <thead data-hint>
+                  <tr>
+                    <th>Account</th>
+                    <th>Won</th>
+                    <th>Spent</th>
+                    <th>Bids</th>
+                    <th>Auctions bid on</th>
+                    <th>Highest bid</th>
+                  </tr>
+                </thead>
+                <tbody data-numeric>
+                  {leaderboard.map((e) => (
+                    <tr key={e.accountId}>
+                      <td>
+                        <AccountPreviewPopoverTrigger
+                          showAvatar
+                          accountAddress={e.accountId}
+                        />
+                      </td>
+                      <td>{e.winCount}</td>
+                      <td>
+                        <FormattedEth value={e.wonAmount} />
+                      </td>
+                      <td>{e.bidCount}</td>
+                      <td>{e.auctionCount}</td>
+                      <td>
+                        <FormattedEth value={e.highestBidAmount} />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <Heading>Bids per auction</Heading>
+              <DistributionChart buckets={bidCounts} unit="auction" />
+
+              <Heading>Bid increments</Heading>
+              <DistributionChart buckets={bidIncrements} unit="bid" />
+
+              <Heading>
+                <span>Price by trait</span>
+                <Select
+                  size="small"
+                  aria-label="Trait"
+                  inlineLabel="Trait"
+                  value={traitType}
+                  options={TRAIT_TYPES.map((type) => ({
+                    value: type,
+                    label: traitTypeLabels[type],
+                  }))}
+                  onChange={setTraitType}
+                  fullWidth={false}
+                  width="max-content"
+                />
+              </Heading>
+              <table>
+                <thead data-hint>
+                  <tr>
+                    <th>{traitTypeLabels[traitType]}</th>
+                    <th>Nouns</th>
+                    <th>Average</th>
+                    <th>Highest</th>
+                  </tr>
+                </thead>
+                <tbody data-numeric>
+                  {traitPrices.map((g) => (
+                    <tr key={g.name}>
+                      <td style={{ textTransform: "capitalize" }}>{g.name}</td>
+                      <td>{g.count}</td>
+                      <td>
+                        <FormattedEth value={g.averageAmount} />
+                      </td>
+                      <td>
+                        <FormattedEth value={g.maxAmount} />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <div style={{ marginTop: "2.8rem" }}>
+                <Button size="small" onClick={() => downloadCsv(auctions)}>
+                  Export CSV
+                </Button>
+              </div>
+            </>
+          )}
+        </div>
+      </MainContentContainer>
+    </Layout>
+  );
+};
+
+const Heading = (props) => (
+  <h2
+    css={(t) =>
+      css({
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "space-between",
+        gap: "1.6rem",
+        minHeight: "3.2rem",
+        textTransform: "uppercase",
+        fontSize: t.text.sizes.small,
+        fontWeight: t.text.weights.emphasis,
+        color: t.colors.textDimmed,
+        margin: "0 0 1rem",
+        "* + &": { marginTop: "2.8rem" },
+        "& > *:not(:first-of-type)": { textTransform: "none" },
+      })
+    }
+    {...props}
+  />
+);
+
+const barChartStyles = (t) =>
+  css({
+    display: "flex",
+    alignItems: "flex-end",
+    gap: "0.2rem",
+    height: "12rem",
+    borderBottom: "0.1rem solid",
+    borderColor: t.colors.borderLight,
+    "[data-bar]": {
+      flex: 1,
+      minWidth: 0,
+      minHeight: "0.1rem",
+      background: t.colors.textMutedAlpha,
+      borderTopLeftRadius: "0.2rem",
+      borderTopRightRadius: "0.2rem",
+    },
+    "@media(hover: hover)": {
+      "[data-bar]:hover": { background: t.colors.primary },
+    },
+  });
+
+const SettlementPriceChart = ({ months }) => {
+  const maxAmount = months.reduce(
+    (max, m) => (m.averageAmount > max ? m.averageAmount : max),
+    0n,
+  );
+  return (
+    <div css={barChartStyles}>
+      {months.map((m) => (
+        <Tooltip.Root key={m.startTimestamp.getTime()}>
+          <Tooltip.Trigger asChild>
+            <div
+              data-bar
+              style={{
+                height:
+                  maxAmount === 0n
+                    ? 0
+                    : `${Number((m.averageAmount * 1000n) / maxAmount) / 10}%`,
+              }}
+            />
+          </Tooltip.Trigger>
+          <Tooltip.Content side="top" sideOffset={6} portal>
+            <FormattedDate
+              value={m.startTimestamp}
+              month="short"
+              year="numeric"
+              timeZone="UTC"
+            />
+            <div>
+              Average <FormattedEth value={m.averageAmount} tokenSymbol="ETH" />
+            </div>
+            <div>
+              Range <FormattedEth value={m.minAmount} />–
+              <FormattedEth value={m.maxAmount} tokenSymbol="ETH" />
+            </div>
+            <div>
+              {m.count} {m.count === 1 ? "auction" : "auctions"}
+            </div>
+          </Tooltip.Content>
+        </Tooltip.Root>
+      ))}
+    </div>
+  );
+};
+
+const DistributionChart = ({ buckets, unit }) => {
+  const maxCount = Math.max(0, ...buckets.map((b) => b.count));
+  return (
+    <>
+      <div css={barChartStyles}>
+        {buckets.map((b) => (
+          <Tooltip.Root key={b.label}>
+            <Tooltip.Trigger asChild>
+              <div
+                data-bar
+                style={{
+                  height: maxCount === 0 ? 0 : `${(b.count / maxCount) * 100}%`,
+                }}
+              />
+            </Tooltip.Trigger>
+            <Tooltip.Content side="top" sideOffset={6} portal>
+              {b.count.toLocaleString()} {b.count === 1 ? unit : `${unit}s`}
+            </Tooltip.Content>
+          </Tooltip.Root>
+        ))}
+      </div>
+      <div
+        data-hint
+        css={css({
+          display: "flex",
+          gap: "0.2rem",
+          marginTop: "0.4rem",
+          "& > *": { flex: 1, minWidth: 0, textAlign: "center" },
+        })}
+      >
+        {buckets.map((b) => (
+          <span key={b.label}>{b.label}</span>
+        ))}
+      </div>
+    </>
+  );
+};
+
+export default AuctionHistoryScreen;
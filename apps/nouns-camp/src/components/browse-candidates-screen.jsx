@@ -18,12 +18,15 @@ import {
   getForYouGroup as getCandidateForYouGroup,
   getScore as getCandidateScore,
 } from "@/utils/candidates";
+import { combineTags } from "@/utils/tags";
 import useMatchDesktopLayout from "@/hooks/match-desktop-layout";
 import { useWallet } from "@/hooks/wallet";
 import { useSearchParams } from "@/hooks/navigation";
+import { useTagEntries } from "@/hooks/tags";
 import Layout, { MainContentContainer } from "@/components/layout";
 import DateRangePicker from "@/components/date-range-picker";
 import ProposalList from "@/components/sectioned-list";
+import { TagFilterSelect } from "@/components/proposal-tags";
 import { FULL_PROPOSAL_CANDIDATE_FIELDS } from "@/nouns-subgraph";
 
 const NEW_THRESHOLD_IN_DAYS = 7;
@@ -121,12 +124,16 @@ const BrowseCandidatesScreen = ({ candidateType = "proposal" }) => {
       ? "best-match"
       : "chronological";
   const isAscendingOrder = searchParams.get("asc") != null;
+  const tagFilter = searchParams.get("tag");
+
+  const tagEntriesByCandidateId = useTagEntries("candidate");
 
   const sortOrder = isAscendingOrder ? "asc" : "desc";
 
   const deferredQuery = React.useDeferredValue(query.trim());
   const deferredSortStrategy = React.useDeferredValue(sortStrategy);
   const deferredSortOrder = React.useDeferredValue(sortOrder);
+  const deferredTagFilter = React.useDeferredValue(tagFilter);
 
   const deferredShowRegular = React.useDeferredValue(showRegular);
   const deferredShowCanceled = React.useDeferredValue(showCanceled);
@@ -178,9 +185,21 @@ const BrowseCandidatesScreen = ({ candidateType = "proposal" }) => {
         };
       })();
 
-      const predicates = [stateFilterPredicate, timeframePredicate].filter(
-        Boolean,
-      );
+      const tagPredicate = (() => {
+        if (deferredTagFilter == null) return null;
+        return (c) =>
+          combineTags({
+            transactions: c.latestVersion?.content.transactions,
+            proposerId: c.proposerId,
+            entriesByAccountId: tagEntriesByCandidateId?.[c.id.toLowerCase()],
+          }).some((t) => t.key === deferredTagFilter);
+      })();
+
+      const predicates = [
+        stateFilterPredicate,
+        timeframePredicate,
+        tagPredicate,
+      ].filter(Boolean);
 
       if (predicates.length === 0) return candidates;
 
@@ -315,9 +334,23 @@ const BrowseCandidatesScreen = ({ candidateType = "proposal" }) => {
     deferredSortStrategy,
     deferredSortOrder,
     deferredDateRange,
+    deferredTagFilter,
+    tagEntriesByCandidateId,
     candidates,
   ]);
 
+  const setTagFilter = (tag) => {
+    setSearchParams(
+      (p) => {
+        const newParams = new URLSearchParams(p);
+        if (tag == null) newParams.delete("tag");
+        else newParams.set("tag", tag);
+        return newParams;
+      },
+      { replace: true },
+    );
+  };
+
   const handleSearchInputChange = useDebouncedCallback((query) => {
     // Clear search from path if query is empty
     if (query.trim() === "") {
@@ -501,6 +534,14 @@ const BrowseCandidatesScreen = ({ candidateType = "proposal" }) => {
                       value={localDateRange}
                       onChange={setLocalDateRange}
                     />
+                    <div>
+                      <Label style={{ display: "block" }}>Tag</Label>
+                      <TagFilterSelect
+                        size="default"
+                        value={tagFilter}
+                        onChange={setTagFilter}
+                      />
+                    </div>
                   </div>
                 </>
               )
@@ -677,6 +718,12 @@ const BrowseCandidatesScreen = ({ candidateType = "proposal" }) => {
                       value={localDateRange}
                       onChange={setLocalDateRange}
                     />
+                    <TagFilterSelect
+                      inlineLabel="Tag"
+                      size="small"
+                      value={tagFilter}
+                      onChange={setTagFilter}
+                    />
                   </div>
                 )}
               </div>
@@ -685,7 +732,8 @@ const BrowseCandidatesScreen = ({ candidateType = "proposal" }) => {
                   candidates.length === 0 ||
                   sortStrategy !== deferredSortStrategy ||
                   sortOrder !== deferredSortOrder ||
-                  dateRange !== deferredDateRange
+                  dateRange !== deferredDateRange ||
+                  tagFilter !== deferredTagFilter
                 }
                 sortStrategy={deferredSortStrategy}
                 items={sortedFilteredCandidates}
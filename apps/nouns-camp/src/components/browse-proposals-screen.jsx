@@ -21,12 +21,15 @@ import {
   // isFinalState as isFinalProposalState,
   getForYouGroup as getProposalForYouGroup,
 } from "@/utils/proposals";
+import { combineTags } from "@/utils/tags";
 import useMatchDesktopLayout from "@/hooks/match-desktop-layout";
 import { useWallet } from "@/hooks/wallet";
 import { useSearchParams } from "@/hooks/navigation";
+import { useTagEntries } from "@/hooks/tags";
 import Layout, { MainContentContainer } from "@/components/layout";
 import DateRangePicker from "@/components/date-range-picker";
 import ProposalList from "@/components/sectioned-list";
+import { TagFilterSelect } from "@/components/proposal-tags";
 
 const capitalize = (string) =>
   (string[0].toUpperCase() + string.slice(1)).replaceAll("-", " ");
@@ -125,12 +128,16 @@ const BrowseProposalsScreen = () => {
       ? "best-match"
       : "chronological";
   const isAscendingOrder = searchParams.get("asc") != null;
+  const tagFilter = searchParams.get("tag");
+
+  const tagEntriesByProposalId = useTagEntries("proposal");
 
   const sortOrder = isAscendingOrder ? "asc" : "desc";
 
   const deferredQuery = React.useDeferredValue(query.trim());
   const deferredSortStrategy = React.useDeferredValue(sortStrategy);
   const deferredSortOrder = React.useDeferredValue(sortOrder);
+  const deferredTagFilter = React.useDeferredValue(tagFilter);
 
   const visibleProposalStates = React.useMemo(
     () =>
@@ -182,6 +189,16 @@ const BrowseProposalsScreen = () => {
         };
       })();
 
+      const tagPredicate = (() => {
+        if (deferredTagFilter == null) return null;
+        return (p) =>
+          combineTags({
+            transactions: p.transactions,
+            proposerId: p.proposerId,
+            entriesByAccountId: tagEntriesByProposalId?.[p.id],
+          }).some((t) => t.key === deferredTagFilter);
+      })();
+
       const sortStrategyPredicate = (() => {
         switch (deferredSortStrategy) {
           case "token-turnout":
@@ -204,6 +221,7 @@ const BrowseProposalsScreen = () => {
       const predicates = [
         proposalStateFilterPredicate,
         timeframePredicate,
+        tagPredicate,
         sortStrategyPredicate,
       ].filter(Boolean);
 
@@ -357,9 +375,23 @@ const BrowseProposalsScreen = () => {
     deferredSortStrategy,
     deferredSortOrder,
     deferredDateRange,
+    deferredTagFilter,
+    tagEntriesByProposalId,
     proposals,
   ]);
 
+  const setTagFilter = (tag) => {
+    setSearchParams(
+      (p) => {
+        const newParams = new URLSearchParams(p);
+        if (tag == null) newParams.delete("tag");
+        else newParams.set("tag", tag);
+        return newParams;
+      },
+      { replace: true },
+    );
+  };
+
   const handleSearchInputChange = useDebouncedCallback((query) => {
     // Clear search from path if query is empty
     if (query.trim() === "") {
@@ -424,10 +456,17 @@ const BrowseProposalsScreen = () => {
               againstVotes
               abstainVotes
               quorumVotes
+              minQuorumVotesBPS
+              maxQuorumVotesBPS
+              quorumCoefficient
               executionETA
               adjustedTotalSupply
               proposer { id }
               signers { id }
+              targets
+              signatures
+              calldatas
+              values
             }
           }`,
         });
@@ -520,6 +559,14 @@ const BrowseProposalsScreen = () => {
                       value={localDateRange}
                       onChange={setLocalDateRange}
                     />
+                    <div>
+                      <Label style={{ display: "block" }}>Tag</Label>
+                      <TagFilterSelect
+                        size="default"
+                        value={tagFilter}
+                        onChange={setTagFilter}
+                      />
+                    </div>
                   </div>
                 </>
               )
@@ -688,6 +735,12 @@ const BrowseProposalsScreen = () => {
                       value={localDateRange}
                       onChange={setLocalDateRange}
                     />
+                    <TagFilterSelect
+                      inlineLabel="Tag"
+                      size="small"
+                      value={tagFilter}
+                      onChange={setTagFilter}
+                    />
                   </div>
                 )}
               </div>
@@ -696,7 +749,8 @@ const BrowseProposalsScreen = () => {
                   proposals.length === 0 ||
                   sortStrategy !== deferredSortStrategy ||
                   sortOrder !== deferredSortOrder ||
-                  dateRange !== deferredDateRange
+                  dateRange !== deferredDateRange ||
+                  tagFilter !== deferredTagFilter
                 }
                 sortStrategy={deferredSortStrategy}
                 items={sortedFilteredProposals}
@@ -86,6 +86,9 @@ import { useCachedCandidatePost } from "@/hooks/cached-post";
 import TopicScreen from "@/components/topic-screen";
 
 const ActivityFeed = React.lazy(() => import("@/components/activity-feed"));
+const DiscussionThreads = React.lazy(
+  () => import("@/components/discussion-threads"),
+);
 
 const CandidateEditDialog = React.lazy(
   () => import("@/components/candidate-edit-dialog"),
@@ -594,6 +597,13 @@ const ProposalCandidateScreenContent = ({
                     </React.Suspense>
                   )}
                 </Tabs.Item>
+                <Tabs.Item key="discussion" title="Discussion">
+                  <div style={{ padding: "3.2rem 0 4rem" }}>
+                    <React.Suspense fallback={null}>
+                      <DiscussionThreads items={feedItems} />
+                    </React.Suspense>
+                  </div>
+                </Tabs.Item>
                 <Tabs.Item key="transactions" title="Transactions">
                   <div style={{ paddingTop: "3.2rem" }}>
                     {candidate.latestVersion.content.transactions != null && (
@@ -823,6 +833,7 @@ const ProposalCandidateScreenContent = ({
             createdAt={candidate.createdTimestamp}
             updatedAt={candidate.lastUpdatedTimestamp}
             transactions={candidate.latestVersion.content.transactions}
+            tagTarget={{ type: "candidate", id: candidateId }}
             actionItems={[
               {
                 id: "main",
@@ -1009,6 +1020,18 @@ const ProposalCandidateScreenContent = ({
                     )}
                   </div>
                 </Tabs.Item>
+                <Tabs.Item key="discussion" title="Discussion">
+                  <div
+                    style={{
+                      padding: "2.4rem 0 6.4rem",
+                      minHeight: "calc(100vh - 10rem)",
+                    }}
+                  >
+                    <React.Suspense fallback={null}>
+                      <DiscussionThreads items={feedItems} />
+                    </React.Suspense>
+                  </div>
+                </Tabs.Item>
                 <Tabs.Item key="sponsors" title="Sponsors">
                   <div
                     style={{
@@ -1637,6 +1660,7 @@ const CandidateScreen = ({ candidateId: rawId }) => {
     <ScreenContext.Provider value={screenContextValue}>
       <Layout
         scrollContainerRef={scrollContainerRef}
+        subscription={{ type: "candidate", id: candidateId }}
         navigationStack={[
           { to: "/candidates", label: "Candidates", desktopOnly: true },
           {
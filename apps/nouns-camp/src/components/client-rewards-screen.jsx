@@ -0,0 +1,291 @@
+"use client";
+
+import React from "react";
+import { css } from "@emotion/react";
+import { array as arrayUtils } from "@shades/common/utils";
+import Button from "@shades/ui-web/button";
+import Spinner from "@shades/ui-web/spinner";
+import { CAMP_CLIENT_ID } from "@/constants/env";
+import { getClientData, getClientIds } from "@/client";
+import { useWallet } from "@/hooks/wallet";
+import usePendingClientRewards from "@/hooks/pending-client-rewards";
+import {
+  useClientBalancesAndOwners,
+  useWithdrawClientBalance,
+} from "@/hooks/client-incentives-rewards-contract";
+import Layout, { MainContentContainer } from "@/components/layout";
+import Callout from "@/components/callout";
+import { FormattedEthWithConditionalTooltip } from "@/components/transaction-list";
+
+const getClientName = (clientId) =>
+  getClientData(clientId)?.name ?? `Client ${clientId}`;
+
+const ClientRewardsScreen = () => {
+  const { address: connectedAccountAddress } = useWallet();
+
+  const pendingRewards = usePendingClientRewards();
+
+  const clientIds = arrayUtils.unique([
+    ...getClientIds(),
+    ...(pendingRewards?.rewards.map((r) => r.clientId) ?? []),
+  ]);
+
+  const { data: clientsById, refetch: refetchClients } =
+    useClientBalancesAndOwners(clientIds);
+
+  const pendingRewardsByClientId = arrayUtils.indexBy(
+    (r) => r.clientId,
+    pendingRewards?.rewards ?? [],
+  );
+
+  const getPendingReward = (clientId) => {
+    const rewards = pendingRewardsByClientId[clientId];
+    if (rewards == null) return 0n;
+    return rewards.proposalReward + rewards.voteReward;
+  };
+
+  const ownedClientIds =
+    connectedAccountAddress == null || clientsById == null
+      ? []
+      : clientIds.filter(
+          (id) =>
+            clientsById[id]?.owner === connectedAccountAddress.toLowerCase(),
+        );
+
+  const sortedClientIds = arrayUtils.sortBy(
+    { value: (id) => getPendingReward(id), order: "desc" },
+    { value: (id) => clientsById?.[id]?.balance ?? 0n, order: "desc" },
+    clientIds,
+  );
+
+  return (
+    <Layout navigationStack={[{ to: "/rewards", label: "Client rewards" }]}>
+      <MainContentContainer narrow>
+        <div
+          css={(t) =>
+            css({
+              padding: "0.8rem 1.6rem 3.2rem",
+              "@media (min-width: 600px)": {
+                padding: "6rem 1.6rem 12rem",
+              },
+              h2: {
+                fontSize: t.text.sizes.large,
+                fontWeight: t.text.weights.header,
+                margin: "0 0 1.6rem",
+              },
+              section: { marginTop: "4.8rem" },
+              "[data-hint]": {
+                fontSize: t.text.sizes.small,
+                color: t.colors.textDimmed,
+              },
+            })
+          }
+        >
+          <h1
+            css={(t) =>
+              css({
+                fontSize: t.text.sizes.headerLarger,
+                lineHeight: 1.15,
+                margin: "0 0 1.6rem",
+                color: t.colors.textHeader,
+                "@media(min-width: 600px)": {
+                  fontSize: t.text.sizes.huge,
+                },
+              })
+            }
+          >
+            Client rewards
+          </h1>
+          <p>
+            Clients earn a share of auction revenue for proposals created and
+            votes cast through them. Rewards are credited in periodic updates,
+            after which the client owner can withdraw them as WETH.
+          </p>
+
+          {ownedClientIds.length > 0 && (
+            <section>
+              <h2>Your clients</h2>
+              {ownedClientIds.map((clientId) => (
+                <OwnedClient
+                  key={clientId}
+                  clientId={clientId}
+                  balance={clientsById[clientId].balance}
+                  pendingReward={getPendingReward(clientId)}
+                  onWithdraw={refetchClients}
+                />
+              ))}
+            </section>
+          )}
+
+          <section>
+            <h2>All clients</h2>
+            {pendingRewards != null && (
+              <p data-hint style={{ margin: "0 0 1.6rem" }}>
+                {pendingRewards.proposalIds.length === 0 ? (
+                  <>No proposals have ended since the last rewards update.</>
+                ) : (
+                  <>
+                    Pending rewards are estimated from{" "}
+                    {pendingRewards.proposalIds.length === 1
+                      ? `proposal ${pendingRewards.proposalIds[0]}`
+                      : `proposals ${pendingRewards.proposalIds[0]}–${pendingRewards.proposalIds.at(-1)}`}
+                    , funded by{" "}
+                    <FormattedEthWithConditionalTooltip
+                      value={pendingRewards.auctionRevenue}
+                    />{" "}
+                    ETH of auction revenue.
+                  </>
+                )}
+              </p>
+            )}
+            {clientsById == null || pendingRewards == null ? (
+              <div
+                css={css({
+                  display: "flex",
+                  justifyContent: "center",
+                  padding: "3.2rem 0",
+                })}
+              >
+                <Spinner size="2rem" />
+              </div>
+            ) : (
+              <ClientList
+                clientIds={sortedClientIds}
+                clientsById={clientsById}
+                pendingRewardsByClientId={pendingRewardsByClientId}
+              />
+            )}
+          </section>
+        </div>
+      </MainContentContainer>
+    </Layout>
+  );
+};
+
+const OwnedClient = ({ clientId, balance, pendingReward, onWithdraw }) => {
+  const [hasPendingWithdraw, setPendingWithdraw] = React.useState(false);
+  const [hasWithdrawn, setWithdrawn] = React.useState(false);
+
+  const withdraw = useWithdrawClientBalance({ clientId, amount: balance });
+
+  return (
+    <Callout style={{ marginBottom: "1.6rem" }}>
+      <p>
+        <em>{getClientName(clientId)}</em> (client {clientId})
+      </p>
+      <p data-hint>
+        Withdrawable:{" "}
+        <FormattedEthWithConditionalTooltip value={balance ?? 0n} /> WETH
+        {pendingReward > 0n && (
+          <>
+            , pending: ~
+            <FormattedEthWithConditionalTooltip value={pendingReward} /> WETH
+          </>
+        )}
+      </p>
+      {hasWithdrawn && <p>Rewards successfully withdrawn!</p>}
+      <Button
+        size="small"
+        variant="primary"
+        style={{ marginTop: "1.2rem" }}
+        disabled={withdraw == null || hasPendingWithdraw}
+        isLoading={hasPendingWithdraw}
+        onClick={async () => {
+          try {
+            setPendingWithdraw(true);
+            await withdraw();
+            setWithdrawn(true);
+            onWithdraw();
+          } catch (e) {
+            console.error(e);
+            alert("Ops, looks like something went wrong!");
+          } finally {
+            setPendingWithdraw(false);
+          }
+        }}
+      >
+        Withdraw rewards
+      </Button>
+    </Callout>
+  );
+};
+
+const ClientList = ({ clientIds, clientsById, pendingRewardsByClientId }) => (
+  <div
+    css={(t) =>
+      css({
+        display: "grid",
+        gridTemplateColumns: "minmax(0,1fr) repeat(4, auto)",
+        columnGap: "1.6rem",
+        fontSize: t.text.sizes.small,
+        "& > *": {
+          padding: "0.8rem 0",
+          borderBottom: "0.1rem solid",
+          borderColor: t.colors.borderLighter,
+        },
+        "[data-header]": {
+          color: t.colors.textDimmed,
+          fontWeight: t.text.weights.emphasis,
+        },
+        "[data-number]": {
+          textAlign: "right",
+          fontVariantNumeric: "tabular-nums",
+        },
+        "[data-camp]": { fontWeight: t.text.weights.emphasis },
+      })
+    }
+  >
+    <div data-header>Client</div>
+    <div data-header data-number>
+      Proposals
+    </div>
+    <div data-header data-number>
+      Votes
+    </div>
+    <div data-header data-number>
+      Pending
+    </div>
+    <div data-header data-number>
+      Withdrawable
+    </div>
+    {clientIds.map((clientId) => {
+      const pendingRewards = pendingRewardsByClientId[clientId];
+      const balance = clientsById[clientId]?.balance;
+      const url = getClientData(clientId)?.url;
+      const name = getClientName(clientId);
+      return (
+        <React.Fragment key={clientId}>
+          <div data-camp={clientId === CAMP_CLIENT_ID || undefined}>
+            {url == null ? (
+              name
+            ) : (
+              <a href={url} target="_blank" rel="noreferrer">
+                {name}
+              </a>
+            )}
+          </div>
+          <div data-number>{pendingRewards?.proposalCount ?? 0}</div>
+          <div data-number>{pendingRewards?.voteCount ?? 0}</div>
+          <div data-number>
+            <FormattedEthWithConditionalTooltip
+              value={
+                pendingRewards == null
+                  ? 0n
+                  : pendingRewards.proposalReward + pendingRewards.voteReward
+              }
+            />
+          </div>
+          <div data-number>
+            {balance == null ? (
+              "-"
+            ) : (
+              <FormattedEthWithConditionalTooltip value={balance} />
+            )}
+          </div>
+        </React.Fragment>
+      );
+    })}
+  </div>
+);
+
+export default ClientRewardsScreen;
@@ -0,0 +1,405 @@
+import React from "react";
+import NextLink from "next/link";
+import { isAddress } from "viem";
+import { css } from "@emotion/react";
+import { array as arrayUtils } from "@shades/common/utils";
+import { useFetch } from "@shades/common/react";
+import Button from "@shades/ui-web/button";
+import Link from "@shades/ui-web/link";
+import Switch from "@shades/ui-web/switch";
+import { CrossSmall as CrossSmallIcon } from "@shades/ui-web/icons";
+import { useActions, useDelegates, useProposals } from "@/store";
+import {
+  MAX_ACCOUNT_COUNT,
+  MIN_ACCOUNT_COUNT,
+  alignVotes,
+  getOverlapStats,
+  parseAccountsParam,
+} from "@/utils/voter-comparison";
+import { useSearchParams } from "@/hooks/navigation";
+import useEnsAddress from "@/hooks/ens-address";
+import Layout, { MainContentContainer } from "@/components/layout";
+import AddressInput from "@/components/address-input";
+import AccountPreviewPopoverTrigger from "@/components/account-preview-popover-trigger";
+
+const VISIBLE_ROW_PAGE_SIZE = 40;
+
+const formatPercentage = (rate) =>
+  rate == null ? "-" : `${Math.round(rate * 100)}%`;
+
+const supportLabels = { 0: "Against", 1: "For", 2: "Abstain" };
+const supportKeys = { 0: "against", 1: "for", 2: "abstain" };
+
+const CompareVotersScreen = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const accountIds = React.useMemo(
+    () => parseAccountsParam(searchParams.get("accounts")),
+    [searchParams],
+  );
+
+  const [showAllRows, setShowAllRows] = React.useState(false);
+  const [page, setPage] = React.useState(1);
+
+  const { fetchDelegate, fetchBrowseScreenData } = useActions();
+
+  useFetch(
+    () => Promise.all(accountIds.map((id) => fetchDelegate(id))),
+    [fetchDelegate, accountIds.join(",")],
+  );
+  useFetch(
+    () => fetchBrowseScreenData({ first: 1000 }),
+    [fetchBrowseScreenData],
+  );
+
+  const delegates = useDelegates();
+  const proposals = useProposals();
+
+  const proposalsById = React.useMemo(
+    () => arrayUtils.indexBy((p) => p.id, proposals),
+    [proposals],
+  );
+
+  const votesByAccountId = React.useMemo(() => {
+    const delegatesById = arrayUtils.indexBy((d) => d.id, delegates);
+    return Object.fromEntries(
+      accountIds.map((id) => [id, delegatesById[id]?.votes ?? []]),
+    );
+  }, [delegates, accountIds]);
+
+  const rows = React.useMemo(
+    () => alignVotes(accountIds, votesByAccountId),
+    [accountIds, votesByAccountId],
+  );
+
+  const stats = React.useMemo(
+    () => getOverlapStats(accountIds, votesByAccountId),
+    [accountIds, votesByAccountId],
+  );
+
+  const filteredRows = showAllRows
+    ? rows
+    : rows.filter((r) => r.isDisagreement);
+  const visibleRows = filteredRows.slice(0, VISIBLE_ROW_PAGE_SIZE * page);
+
+  const setAccountIds = (ids) => {
+    setSearchParams(
+      (p) => {
+        const newParams = new URLSearchParams(p);
+        if (ids.length === 0) newParams.delete("accounts");
+        else newParams.set("accounts", ids.join(","));
+        return newParams;
+      },
+      { replace: true },
+    );
+  };
+
+  return (
+    <Layout
+      navigationStack={[
+        { to: "/voters", label: "Voters", desktopOnly: true },
+        { to: "/voters/compare", label: "Compare" },
+      ]}
+    >
+      <MainContentContainer>
+        <div
+          css={(t) =>
+            css({
+              padding: "0.8rem 1.6rem 3.2rem",
+              "@media (min-width: 600px)": {
+                padding: "6rem 1.6rem 12rem",
+              },
+              h1: {
+                fontSize: t.text.sizes.headerLarger,
+                fontWeight: t.text.weights.header,
+                color: t.colors.textHeader,
+                margin: "0 0 2.4rem",
+              },
+              h2: {
+                fontSize: t.text.sizes.large,
+                fontWeight: t.text.weights.header,
+                margin: "0 0 1.6rem",
+              },
+              section: { marginTop: "4.8rem" },
+              "[data-hint]": {
+                fontSize: t.text.sizes.small,
+                color: t.colors.textDimmed,
+              },
+              "[data-support=for]": { color: t.colors.textPositive },
+              "[data-support=against]": { color: t.colors.textNegative },
+              "[data-support=abstain]": { color: t.colors.textDimmed },
+            })
+          }
+        >
+          <h1>Compare voters</h1>
+
+          <AccountsSection
+            accountIds={accountIds}
+            onChange={(ids) => {
+              setPage(1);
+              setAccountIds(ids);
+            }}
+          />
+
+          {accountIds.length < MIN_ACCOUNT_COUNT ? (
+            <p data-hint style={{ marginTop: "2.4rem" }}>
+              Add at least {MIN_ACCOUNT_COUNT} accounts to compare how they
+              voted.
+            </p>
+          ) : (
+            <>
+              <section>
+                <h2>Overlap</h2>
+                <p>
+                  {stats.sharedCount}{" "}
+                  {stats.sharedCount === 1 ? "proposal" : "proposals"} voted on
+                  by at least two of them
+                  {accountIds.length > 2 && (
+                    <>
+                      , {stats.allVotedCount} by all, unanimously on{" "}
+                      {stats.unanimousCount}
+                    </>
+                  )}
+                  .
+                </p>
+                <table
+                  css={(t) =>
+                    css({
+                      marginTop: "1.6rem",
+                      borderCollapse: "collapse",
+                      fontSize: t.text.sizes.small,
+                      "th, td": {
+                        padding: "0.4rem 1.6rem 0.4rem 0",
+                        textAlign: "left",
+                        fontWeight: "normal",
+                      },
+                      "td[data-numeric]": {
+                        textAlign: "right",
+                        fontVariantNumeric: "tabular-nums",
+                      },
+                    })
+                  }
+                >
+                  <thead data-hint>
+                    <tr>
+                      <th>Accounts</th>
+                      <th>Agreement</th>
+                      <th>Shared votes</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {stats.pairs.map((p) => (
+                      <tr key={p.accountIds.join("-")}>
+                        <td>
+                          <AccountPreviewPopoverTrigger
+                            showAvatar
+                            accountAddress={p.accountIds[0]}
+                          />{" "}
+                          &{" "}
+                          <AccountPreviewPopoverTrigger
+                            showAvatar
+                            accountAddress={p.accountIds[1]}
+                          />
+                        </td>
+                        <td data-numeric>{formatPercentage(p.rate)}</td>
+                        <td data-numeric>{p.commonCount}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </section>
+
+              <section>
+                <div
+                  css={css({
+                    display: "flex",
+                    alignItems: "center",
+                    gap: "1.6rem",
+                    marginBottom: "1.6rem",
+                    h2: { flex: 1, minWidth: 0, margin: 0 },
+                  })}
+                >
+                  <h2>{showAllRows ? "Shared votes" : "Disagreements"}</h2>
+                  <Switch
+                    label="Show agreements"
+                    size="small"
+                    isSelected={showAllRows}
+                    onChange={(selected) => {
+                      setPage(1);
+                      setShowAllRows(selected);
+                    }}
+                  />
+                </div>
+                {visibleRows.length === 0 ? (
+                  <p data-hint>
+                    {showAllRows
+                      ? "No proposals voted on by more than one of them"
+                      : "No disagreements found"}
+                  </p>
+                ) : (
+                  <ul css={css({ listStyle: "none" })}>
+                    {visibleRows.map((row) => (
+                      <ProposalRow
+                        key={row.proposalId}
+                        row={row}
+                        proposal={proposalsById[row.proposalId]}
+                        accountIds={accountIds}
+                      />
+                    ))}
+                  </ul>
+                )}
+                {filteredRows.length > visibleRows.length && (
+                  <div css={{ textAlign: "center", padding: "3.2rem 0" }}>
+                    <Button
+                      size="small"
+                      onClick={() => {
+                        setPage((p) => p + 1);
+                      }}
+                    >
+                      Show more
+                    </Button>
+                  </div>
+                )}
+              </section>
+            </>
+          )}
+        </div>
+      </MainContentContainer>
+    </Layout>
+  );
+};
+
+const AccountsSection = ({ accountIds, onChange }) => {
+  const [query, setQuery] = React.useState("");
+
+  const ensAddress = useEnsAddress(query.trim(), {
+    enabled: query.trim().split("."),
+  });
+
+  const queryAddress = isAddress(query.trim()) ? query.trim() : ensAddress;
+
+  return (
+    <div>
+      <ul
+        css={css({
+          listStyle: "none",
+          display: "flex",
+          flexWrap: "wrap",
+          gap: "0.8rem 1.6rem",
+          li: { display: "flex", alignItems: "center", gap: "0.4rem" },
+        })}
+      >
+        {accountIds.map((id) => (
+          <li key={id}>
+            <AccountPreviewPopoverTrigger showAvatar accountAddress={id} />
+            <Button
+              size="tiny"
+              variant="transparent"
+              icon={<CrossSmallIcon style={{ width: "1.6rem" }} />}
+              aria-label="Remove account"
+              onClick={() => {
+                onChange(accountIds.filter((id_) => id_ !== id));
+              }}
+            />
+          </li>
+        ))}
+      </ul>
+      {accountIds.length < MAX_ACCOUNT_COUNT && (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (queryAddress == null) return;
+            onChange([...accountIds, queryAddress.toLowerCase()]);
+            setQuery("");
+          }}
+          css={css({
+            display: "flex",
+            alignItems: "flex-start",
+            gap: "0.8rem",
+            marginTop: "1.6rem",
+            maxWidth: "48rem",
+          })}
+        >
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <AddressInput
+              size="small"
+              value={query}
+              onChange={setQuery}
+              placeholder="0x..., vitalik.eth"
+              aria-label="Account to compare"
+            />
+          </div>
+          <Button type="submit" size="small" disabled={queryAddress == null}>
+            Add
+          </Button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+const ProposalRow = ({ row, proposal, accountIds }) => (
+  <li
+    css={(t) =>
+      css({
+        padding: "1.6rem 0",
+        borderBottom: "0.1rem solid",
+        borderColor: t.colors.borderLighter,
+      })
+    }
+  >
+    <Link
+      underline
+      component={NextLink}
+      href={`/proposals/${row.proposalId}`}
+      css={(t) => css({ fontWeight: t.text.weights.emphasis })}
+    >
+      Prop {row.proposalId}
+      {proposal?.title != null && <>: {proposal.title}</>}
+    </Link>
+    <div
+      css={(t) =>
+        css({
+          display: "grid",
+          gridTemplateColumns: "repeat(auto-fit, minmax(16rem, 1fr))",
+          gap: "1.2rem",
+          marginTop: "1rem",
+          fontSize: t.text.sizes.small,
+        })
+      }
+    >
+      {accountIds.map((id) => {
+        const vote = row.votesByAccountId[id];
+        return (
+          <div key={id}>
+            <div>
+              <AccountPreviewPopoverTrigger showAvatar accountAddress={id} />{" "}
+              {vote == null ? (
+                <span data-hint>Didn’t vote</span>
+              ) : (
+                <span
+                  data-support={supportKeys[vote.support]}
+                  css={(t) => css({ fontWeight: t.text.weights.emphasis })}
+                >
+                  {supportLabels[vote.support]}
+                </span>
+              )}
+            </div>
+            {row.isDisagreement && vote?.reason?.trim() && (
+              <p
+                css={css({
+                  marginTop: "0.6rem",
+                  whiteSpace: "pre-wrap",
+                  wordBreak: "break-word",
+                })}
+              >
+                {vote.reason.trim()}
+              </p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  </li>
+);
+
+export default CompareVotersScreen;
@@ -0,0 +1,403 @@
+import React from "react";
+import { css } from "@emotion/react";
+import { array as arrayUtils } from "@shades/common/utils";
+import { useFetch } from "@shades/common/react";
+import * as Tooltip from "@shades/ui-web/tooltip";
+import {
+  useActions,
+  useDelegate,
+  useDelegates,
+  useDelegatesFetch,
+  useProposals,
+} from "@/store";
+import {
+  getAgreementMatrix,
+  getParticipationByQuarter,
+  getSupportSplit,
+  getSupportedCategories,
+  getTimeToVoteStats,
+} from "@/utils/delegate-analytics";
+import useBlockNumber from "@/hooks/block-number";
+import useAccountDisplayName from "@/hooks/account-display-name";
+import AccountAvatar from "@/components/account-avatar";
+import AccountPreviewPopoverTrigger from "@/components/account-preview-popover-trigger";
+import FormattedDate from "@/components/formatted-date";
+import VotingBar from "@/components/voting-bar";
+import { FormattedEthWithConditionalTooltip } from "@/components/transaction-list";
+
+const TOP_DELEGATE_COUNT = 7;
+
+const formatPercentage = (rate) =>
+  rate == null ? "-" : `${Math.round(rate * 100)}%`;
+
+const formatDuration = (seconds) => {
+  const units = [
+    ["day", 24 * 60 * 60],
+    ["hour", 60 * 60],
+    ["minute", 60],
+  ];
+  for (const [unit, unitSeconds] of units) {
+    if (seconds < unitSeconds) continue;
+    const count = Math.round((seconds / unitSeconds) * 10) / 10;
+    return `${count.toLocaleString()} ${count === 1 ? unit : `${unit}s`}`;
+  }
+  return "Less than a minute";
+};
+
+const DelegateAnalytics = ({ voterAddress }) => {
+  const blockNumber = useBlockNumber();
+  const delegate = useDelegate(voterAddress);
+  const delegates = useDelegates();
+  const proposals = useProposals();
+
+  const { fetchBrowseScreenData } = useActions();
+
+  // Proposals with transactions, and votes of all delegates, for comparison
+  useFetch(
+    () => fetchBrowseScreenData({ first: 1000 }),
+    [fetchBrowseScreenData],
+  );
+  useDelegatesFetch({ includeVotes: true });
+
+  const votes = React.useMemo(() => delegate?.votes ?? [], [delegate]);
+
+  const proposalsById = React.useMemo(
+    () => arrayUtils.indexBy((p) => p.id, proposals),
+    [proposals],
+  );
+
+  const topDelegateIds = React.useMemo(
+    () =>
+      arrayUtils
+        .sortBy(
+          { value: (d) => d.delegatedVotes ?? 0, order: "desc" },
+          delegates.filter((d) => d.id !== voterAddress && d.votes != null),
+        )
+        .slice(0, TOP_DELEGATE_COUNT)
+        .map((d) => d.id),
+    [delegates, voterAddress],
+  );
+
+  const supportSplit = getSupportSplit(votes);
+
+  const participation = React.useMemo(
+    () => getParticipationByQuarter(votes, proposals, { blockNumber }),
+    [votes, proposals, blockNumber],
+  );
+
+  const timeToVote = React.useMemo(
+    () => getTimeToVoteStats(votes, proposalsById),
+    [votes, proposalsById],
+  );
+
+  const supportedCategories = React.useMemo(
+    () => getSupportedCategories(votes, proposalsById),
+    [votes, proposalsById],
+  );
+
+  const matrixAccountIds = React.useMemo(
+    () => [voterAddress, ...topDelegateIds],
+    [voterAddress, topDelegateIds],
+  );
+
+  const agreementMatrix = React.useMemo(() => {
+    const votesByAccountId = Object.fromEntries(
+      delegates.map((d) => [d.id, d.votes ?? []]),
+    );
+    votesByAccountId[voterAddress] = votes;
+    return getAgreementMatrix(matrixAccountIds, votesByAccountId);
+  }, [delegates, matrixAccountIds, voterAddress, votes]);
+
+  if (delegate == null || votes.length === 0)
+    return (
+      <div
+        css={(t) =>
+          css({
+            padding: "6.4rem 0",
+            textAlign: "center",
+            color: t.colors.textDimmed,
+          })
+        }
+      >
+        No votes to analyze
+      </div>
+    );
+
+  const participatedProposalCount = participation.reduce(
+    (sum, q) => sum + q.voteCount,
+    0,
+  );
+  const eligibleProposalCount = participation.reduce(
+    (sum, q) => sum + q.proposalCount,
+    0,
+  );
+
+  return (
+    <div
+      css={(t) =>
+        css({
+          padding: "2rem 0",
+          fontSize: t.text.sizes.small,
+          "[data-hint]": { color: t.colors.textDimmed },
+          "[data-support=for]": { color: t.colors.textPositive },
+          "[data-support=against]": { color: t.colors.textNegative },
+          "[data-support=abstain]": { color: t.colors.textDimmed },
+          "[data-numeric]": { fontVariantNumeric: "tabular-nums" },
+        })
+      }
+    >
+      <Heading>Vote split</Heading>
+      <VotingBar
+        votes={[
+          { support: 0, votes: supportSplit.against },
+          { support: 1, votes: supportSplit.for },
+          { support: 2, votes: supportSplit.abstain },
+        ]}
+      />
+      <p style={{ marginTop: "0.8rem" }}>
+        <span data-support="for">
+          For {supportSplit.for} (
+          {formatPercentage(supportSplit.for / supportSplit.total)})
+        </span>
+        {" · "}
+        <span data-support="against">
+          Against {supportSplit.against} (
+          {formatPercentage(supportSplit.against / supportSplit.total)})
+        </span>
+        {" · "}
+        <span data-support="abstain">
+          Abstain {supportSplit.abstain} (
+          {formatPercentage(supportSplit.abstain / supportSplit.total)})
+        </span>
+      </p>
+
+      <Heading>Participation</Heading>
+      {participation.length > 0 && (
+        <>
+          <p style={{ marginBottom: "1.2rem" }}>
+            Voted on {participatedProposalCount} of {eligibleProposalCount}{" "}
+            proposals since their first vote (
+            {formatPercentage(
+              participatedProposalCount / eligibleProposalCount,
+            )}
+            )
+          </p>
+          <ParticipationChart quarters={participation} />
+        </>
+      )}
+
+      <Heading>Time to vote</Heading>
+      {timeToVote == null ? (
+        <p data-hint>Not enough data</p>
+      ) : (
+        <p>
+          On average {formatDuration(timeToVote.averageSeconds)} after voting
+          starts (median {formatDuration(timeToVote.medianSeconds)})
+        </p>
+      )}
+
+      <Heading>Agreement with top delegates</Heading>
+      {topDelegateIds.length === 0 ? (
+        <p data-hint>Loading delegates...</p>
+      ) : (
+        <AgreementMatrix
+          accountIds={matrixAccountIds}
+          matrix={agreementMatrix}
+        />
+      )}
+
+      <Heading>Proposals voted for</Heading>
+      {supportedCategories.length === 0 ? (
+        <p data-hint>No proposals voted for</p>
+      ) : (
+        <table
+          css={css({
+            width: "100%",
+            borderCollapse: "collapse",
+            "th, td": { padding: "0.4rem 0", textAlign: "right" },
+            "th:first-of-type, td:first-of-type": { textAlign: "left" },
+            th: { fontWeight: "normal" },
+          })}
+        >
+          <thead data-hint>
+            <tr>
+              <th>Category</th>
+              <th>Proposals</th>
+              <th>ETH requested</th>
+              <th>USDC requested</th>
+            </tr>
+          </thead>
+          <tbody data-numeric>
+            {supportedCategories.map((c) => (
+              <tr key={c.key}>
+                <td>{c.title}</td>
+                <td>{c.proposalIds.length}</td>
+                <td>
+                  <FormattedEthWithConditionalTooltip
+                    portal
+                    value={c.ethAmount}
+                    decimals={2}
+                    truncationDots={false}
+                    tokenSymbol={false}
+                    localeFormatting
+                  />
+                </td>
+                <td>
+                  <FormattedEthWithConditionalTooltip
+                    portal
+                    value={c.usdcAmount}
+                    currency="usdc"
+                    decimals={0}
+                    truncationDots={false}
+                    tokenSymbol={false}
+                    localeFormatting
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+const Heading = (props) => (
+  <h2
+    css={(t) =>
+      css({
+        textTransform: "uppercase",
+        fontSize: t.text.sizes.small,
+        fontWeight: t.text.weights.emphasis,
+        color: t.colors.textDimmed,
+        margin: "0 0 1rem",
+        "* + &": { marginTop: "2.8rem" },
+      })
+    }
+    {...props}
+  />
+);
+
+const ParticipationChart = ({ quarters }) => (
+  <div
+    css={(t) =>
+      css({
+        display: "flex",
+        alignItems: "flex-end",
+        gap: "0.2rem",
+        height: "8rem",
+        borderBottom: "0.1rem solid",
+        borderColor: t.colors.borderLight,
+        "[data-bar]": {
+          flex: 1,
+          minWidth: 0,
+          minHeight: "0.1rem",
+          background: t.colors.textMutedAlpha,
+          borderTopLeftRadius: "0.2rem",
+          borderTopRightRadius: "0.2rem",
+        },
+        "@media(hover: hover)": {
+          "[data-bar]:hover": { background: t.colors.primary },
+        },
+      })
+    }
+  >
+    {quarters.map((q) => (
+      <Tooltip.Root key={q.startTimestamp}>
+        <Tooltip.Trigger asChild>
+          <div data-bar style={{ height: `${q.rate * 100}%` }} />
+        </Tooltip.Trigger>
+        <Tooltip.Content side="top" sideOffset={6} portal>
+          <FormattedDate
+            value={q.startTimestamp}
+            month="short"
+            year="numeric"
+            timeZone="UTC"
+          />{" "}
+          quarter
+          <div>
+            {q.voteCount} of {q.proposalCount}{" "}
+            {q.proposalCount === 1 ? "proposal" : "proposals"} (
+            {formatPercentage(q.rate)})
+          </div>
+        </Tooltip.Content>
+      </Tooltip.Root>
+    ))}
+  </div>
+);
+
+const AccountLabel = ({ accountId }) => {
+  const displayName = useAccountDisplayName(accountId);
+  return (
+    <Tooltip.Root>
+      <Tooltip.Trigger asChild>
+        <span style={{ display: "inline-flex" }}>
+          <AccountAvatar address={accountId} size="2rem" />
+        </span>
+      </Tooltip.Trigger>
+      <Tooltip.Content side="top" sideOffset={6} portal>
+        {displayName}
+      </Tooltip.Content>
+    </Tooltip.Root>
+  );
+};
+
+const AgreementMatrix = ({ accountIds, matrix }) => (
+  <div css={css({ overflowX: "auto" })}>
+    <table
+      css={(t) =>
+        css({
+          borderCollapse: "collapse",
+          "th, td": {
+            padding: "0.4rem",
+            textAlign: "center",
+            fontWeight: "normal",
+          },
+          "th[scope=row]": { textAlign: "left", whiteSpace: "nowrap" },
+          "td[data-empty]": { color: t.colors.textMuted },
+          "tr:first-of-type td:not([data-empty])": {
+            fontWeight: t.text.weights.emphasis,
+          },
+        })
+      }
+    >
+      <thead>
+        <tr>
+          <th />
+          {accountIds.map((id) => (
+            <th key={id} scope="col">
+              <AccountLabel accountId={id} />
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {accountIds.map((rowId, i) => (
+          <tr key={rowId}>
+            <th scope="row">
+              <AccountPreviewPopoverTrigger showAvatar accountAddress={rowId} />
+            </th>
+            {accountIds.map((columnId, j) => {
+              const cell = matrix[i][j];
+              if (cell?.rate == null) return <td key={columnId} data-empty />;
+              return (
+                <td
+                  key={columnId}
+                  title={`Voted the same on ${cell.agreeCount} of ${cell.commonCount} proposals`}
+                  style={{
+                    // Higher agreement gets a stronger tint
+                    background: `hsl(145 50% 50% / ${Math.round(cell.rate * 40)}%)`,
+                  }}
+                >
+                  {formatPercentage(cell.rate)}
+                </td>
+              );
+            })}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+export default DelegateAnalytics;
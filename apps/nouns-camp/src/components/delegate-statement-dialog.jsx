@@ -0,0 +1,209 @@
+import React from "react";
+import { css } from "@emotion/react";
+import {
+  markdown as markdownUtils,
+  message as messageUtils,
+} from "@shades/common/utils";
+import { ErrorBoundary } from "@shades/common/react";
+import Dialog from "@shades/ui-web/dialog";
+import DialogHeader from "@shades/ui-web/dialog-header";
+import Button from "@shades/ui-web/button";
+import { MAX_BODY_LENGTH } from "@/utils/delegate-statements";
+import { useWallet } from "@/hooks/wallet";
+import {
+  useDelegateStatement,
+  usePublishDelegateStatement,
+} from "@/hooks/delegate-statements";
+import RichTextEditor, {
+  Provider as EditorProvider,
+  Toolbar as EditorToolbar,
+  isNodeEmpty as isRichTextEditorNodeEmpty,
+  toMessageBlocks as richTextToMessageBlocks,
+  fromMessageBlocks as messageToRichTextBlocks,
+} from "@/components/rich-text-editor";
+import { EditorRenderError } from "@/components/proposal-editor";
+
+const DelegateStatementDialog = ({ isOpen, close }) => (
+  <Dialog
+    isOpen={isOpen}
+    onRequestClose={() => {
+      close();
+    }}
+    width="72rem"
+  >
+    {(props) => <Content dismiss={close} {...props} />}
+  </Dialog>
+);
+
+const Content = ({ titleProps, dismiss }) => {
+  const { address: connectedAccountAddress } = useWallet();
+  const statement = useDelegateStatement(connectedAccountAddress);
+
+  // Wait for any previous statement, since the editor is initialized from it
+  if (statement === undefined)
+    return (
+      <div style={{ padding: "2rem" }}>
+        <DialogHeader
+          title="Delegate statement"
+          titleProps={titleProps}
+          dismiss={dismiss}
+        />
+      </div>
+    );
+
+  return (
+    <Editor
+      accountAddress={connectedAccountAddress}
+      initialMarkdown={statement?.latestVersion.body ?? ""}
+      titleProps={titleProps}
+      dismiss={dismiss}
+    />
+  );
+};
+
+const Editor = ({ accountAddress, initialMarkdown, titleProps, dismiss }) => {
+  const editorRef = React.useRef();
+
+  const [body, setBody] = React.useState(() =>
+    messageToRichTextBlocks(markdownUtils.toMessageBlocks(initialMarkdown)),
+  );
+  const [hasPendingSubmit, setPendingSubmit] = React.useState(false);
+  const [error, setError] = React.useState(null);
+
+  const publish = usePublishDelegateStatement(accountAddress);
+
+  const deferredBody = React.useDeferredValue(body);
+
+  const markdownBody = React.useMemo(
+    () => messageUtils.toMarkdown(richTextToMessageBlocks(deferredBody)),
+    [deferredBody],
+  );
+
+  const isEmpty = deferredBody.every(isRichTextEditorNodeEmpty);
+  const isTooLong = markdownBody.length > MAX_BODY_LENGTH;
+  const hasChanges = markdownBody !== initialMarkdown;
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setPendingSubmit(true);
+    try {
+      await publish(messageUtils.toMarkdown(richTextToMessageBlocks(body)));
+      dismiss();
+    } catch (e) {
+      if (e.message?.includes("User rejected the request")) return;
+      console.error(e);
+      setError("Could not publish statement, please try again.");
+    } finally {
+      setPendingSubmit(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={submit}
+      css={(t) =>
+        css({
+          padding: "1.6rem",
+          "@media (min-width: 600px)": {
+            padding: "2rem",
+          },
+          "[data-hint]": {
+            fontSize: t.text.sizes.small,
+            color: t.colors.textDimmed,
+          },
+          "[data-error]": {
+            fontSize: t.text.sizes.small,
+            color: t.colors.textNegative,
+          },
+        })
+      }
+    >
+      <DialogHeader
+        title="Delegate statement"
+        titleProps={titleProps}
+        dismiss={dismiss}
+      />
+      <p data-hint style={{ marginBottom: "1.6rem" }}>
+        Explain what you stand for and how you intend to vote. Statements are
+        signed with your wallet, and previous versions stay visible in the
+        version history.
+      </p>
+      <EditorProvider>
+        <div
+          css={(t) =>
+            css({
+              border: "0.1rem solid",
+              borderColor: t.colors.borderLight,
+              borderTopLeftRadius: "0.6rem",
+              borderTopRightRadius: "0.6rem",
+              padding: "0.8rem",
+              background: t.colors.backgroundSecondary,
+            })
+          }
+        >
+          <EditorToolbar />
+        </div>
+        <div
+          css={(t) =>
+            css({
+              padding: "1.6rem",
+              minHeight: "24rem",
+              border: "0.1rem solid",
+              borderColor: t.colors.borderLight,
+              borderBottomLeftRadius: "0.6rem",
+              borderBottomRightRadius: "0.6rem",
+              borderTop: 0,
+            })
+          }
+        >
+          <ErrorBoundary fallback={() => <EditorRenderError body={body} />}>
+            <RichTextEditor
+              ref={editorRef}
+              value={body}
+              onChange={(e) => {
+                setBody(e);
+              }}
+              placeholder={`Use markdown shortcuts like "# " and "1. " to create headings and lists.`}
+              imagesMaxWidth={null}
+              imagesMaxHeight={480}
+            />
+          </ErrorBoundary>
+        </div>
+      </EditorProvider>
+      {isTooLong && (
+        <p data-error style={{ marginTop: "0.8rem" }}>
+          Statements are limited to {MAX_BODY_LENGTH.toLocaleString()}{" "}
+          characters of markdown
+        </p>
+      )}
+      {error != null && (
+        <p data-error style={{ marginTop: "0.8rem" }}>
+          {error}
+        </p>
+      )}
+      <footer
+        css={css({
+          display: "flex",
+          justifyContent: "flex-end",
+          gap: "1rem",
+          paddingTop: "2rem",
+        })}
+      >
+        <Button type="button" onClick={dismiss}>
+          Cancel
+        </Button>
+        <Button
+          type="submit"
+          variant="primary"
+          disabled={isEmpty || isTooLong || !hasChanges || hasPendingSubmit}
+          isLoading={hasPendingSubmit}
+        >
+          Sign and publish
+        </Button>
+      </footer>
+    </form>
+  );
+};
+
+export default DelegateStatementDialog;
@@ -0,0 +1,41 @@
+import NextLink from "next/link";
+import { css } from "@emotion/react";
+import { markdown as markdownUtils } from "@shades/common/utils";
+import Link from "@shades/ui-web/link";
+import { useDelegateStatement } from "@/hooks/delegate-statements";
+import MarkdownRichText from "@/components/markdown-rich-text";
+
+// First paragraph of the latest statement, linking to the full one
+const DelegateStatementExcerpt = ({ accountAddress, ...props }) => {
+  const statement = useDelegateStatement(accountAddress);
+
+  if (statement == null) return null;
+
+  return (
+    <div {...props}>
+      <MarkdownRichText
+        text={markdownUtils.getFirstParagraph(statement.latestVersion.body)}
+        displayImages={false}
+        compact
+        css={css({
+          display: "-webkit-box",
+          WebkitBoxOrient: "vertical",
+          WebkitLineClamp: 3,
+          overflow: "hidden",
+        })}
+      />
+      <Link
+        underline
+        component={NextLink}
+        href={`/voters/${accountAddress}?tab=statement`}
+        css={(t) =>
+          css({ fontSize: t.text.sizes.small, color: t.colors.textDimmed })
+        }
+      >
+        Read delegate statement
+      </Link>
+    </div>
+  );
+};
+
+export default DelegateStatementExcerpt;
@@ -0,0 +1,120 @@
+import React from "react";
+import { useDateFormatter } from "react-aria";
+import { css } from "@emotion/react";
+import Button from "@shades/ui-web/button";
+import Select from "@shades/ui-web/select";
+import { useWallet } from "@/hooks/wallet";
+import { useDialog } from "@/hooks/global-dialogs";
+import { useDelegateStatement } from "@/hooks/delegate-statements";
+import * as Tabs from "@/components/tabs";
+import MarkdownRichText from "@/components/markdown-rich-text";
+import FormattedDateWithTooltip from "@/components/formatted-date-with-tooltip";
+
+const DelegateStatement = ({ accountAddress }) => {
+  const { address: connectedAccountAddress } = useWallet();
+  const statement = useDelegateStatement(accountAddress);
+  const { open: openStatementDialog } = useDialog("delegate-statement");
+
+  const [selectedTimestamp, setSelectedTimestamp] = React.useState(null);
+
+  const formatDate = useDateFormatter({
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+  });
+
+  const isMe = accountAddress === connectedAccountAddress;
+
+  if (statement === undefined) return null;
+
+  if (statement === null)
+    return (
+      <Tabs.EmptyPlaceholder
+        title="No statement"
+        description={
+          isMe
+            ? "Let Noun owners know what you stand for"
+            : "This account has not published a delegate statement"
+        }
+        buttonLabel={isMe ? "Write statement" : null}
+        buttonProps={{
+          size: "small",
+          onClick: () => {
+            openStatementDialog();
+          },
+        }}
+        css={css({ padding: "6.4rem 0" })}
+      />
+    );
+
+  const selectedVersion =
+    statement.versions.find((v) => v.timestamp === selectedTimestamp) ??
+    statement.latestVersion;
+
+  return (
+    <div css={css({ padding: "2rem 0" })}>
+      <div
+        css={(t) =>
+          css({
+            display: "flex",
+            alignItems: "center",
+            gap: "1rem",
+            marginBottom: "2rem",
+            fontSize: t.text.sizes.small,
+            color: t.colors.textDimmed,
+          })
+        }
+      >
+        <div style={{ flex: 1, minWidth: 0 }}>
+          Signed{" "}
+          <FormattedDateWithTooltip
+            relativeDayThreshold={7}
+            capitalize={false}
+            value={selectedVersion.timestamp}
+            day="numeric"
+            month="short"
+            year="numeric"
+          />
+        </div>
+        {statement.versions.length > 1 && (
+          <Select
+            size="small"
+            aria-label="Statement version"
+            value={String(selectedVersion.timestamp)}
+            options={statement.versions.map((v, i) => ({
+              value: String(v.timestamp),
+              label:
+                i === 0
+                  ? `Latest (${formatDate.format(v.timestamp)})`
+                  : formatDate.format(v.timestamp),
+            }))}
+            onChange={(value) => {
+              setSelectedTimestamp(Number(value));
+            }}
+            fullWidth={false}
+            width="max-content"
+          />
+        )}
+        {isMe && (
+          <Button
+            size="small"
+            onClick={() => {
+              openStatementDialog();
+            }}
+          >
+            Edit statement
+          </Button>
+        )}
+      </div>
+      <MarkdownRichText
+        text={selectedVersion.body}
+        imagesMaxHeight={480}
+        imagesMaxWidth={null}
+      />
+    </div>
+  );
+};
+
+export default DelegateStatement;
@@ -1,23 +1,30 @@
 import React from "react";
 import { css } from "@emotion/react";
 import { isAddress } from "viem";
+import NextLink from "next/link";
 import Dialog from "@shades/ui-web/dialog";
 import DialogHeader from "@shades/ui-web/dialog-header";
 import Button from "@shades/ui-web/button";
 import Spinner from "@shades/ui-web/spinner";
+import InlineButton from "@shades/ui-web/inline-button";
+import Link from "@shades/ui-web/link";
 import {
   useAccount,
   useDelegate,
   useAccountFetch,
   useDelegateFetch,
+  useNounsRepresented,
 } from "@/store";
 import useEnsAddress from "@/hooks/ens-address";
 import { useWallet } from "@/hooks/wallet";
 import { useDialog } from "@/hooks/global-dialogs";
-import { useSetDelegate } from "@/hooks/token-contract";
+import { useSetDelegate, useTransferNouns } from "@/hooks/token-contract";
+import { buildCompareHref } from "@/utils/voter-comparison";
 import AddressInput from "@/components/address-input";
+import NounAvatar from "@/components/noun-avatar";
 import { NounList } from "@/components/account-dialog";
 import AccountPreviewPopoverTrigger from "@/components/account-preview-popover-trigger";
+import DelegateStatementExcerpt from "@/components/delegate-statement-excerpt";
 import Callout from "@/components/callout";
 
 const DelegationDialog = ({ isOpen, close }) => {
@@ -53,6 +60,7 @@ const Content = ({ targetAddress, titleProps, dismiss }) => {
   useAccountFetch(accountAddress, { fetchInterval: 3_000 });
   useDelegateFetch(accountAddress, { fetchInterval: 3_000 });
 
+  const [mode, setMode] = React.useState("all"); // "all" | "by-noun"
   const [accountQuery, setAccountQuery] = React.useState(targetAddress ?? "");
   const [hasPendingUpdate, setPendingUpdate] = React.useState(false);
   const [hasPendingClear, setPendingClear] = React.useState(false);
@@ -117,6 +125,18 @@ const Content = ({ targetAddress, titleProps, dismiss }) => {
       </div>
     );
 
+  if (mode === "by-noun")
+    return (
+      <ByNounContent
+        accountAddress={accountAddress}
+        titleProps={titleProps}
+        dismiss={dismiss}
+        back={() => {
+          setMode("all");
+        }}
+      />
+    );
+
   return (
     <div
       css={css({
@@ -178,6 +198,29 @@ const Content = ({ targetAddress, titleProps, dismiss }) => {
                 </>
               )}
             </p>
+            {targetAddress == null && (
+              <p
+                css={(t) =>
+                  css({
+                    fontSize: t.text.sizes.small,
+                    color: t.colors.textDimmed,
+                    marginTop: "0.8rem",
+                  })
+                }
+              >
+                Want to split your votes across delegates?{" "}
+                <InlineButton
+                  variant="link"
+                  onClick={() => {
+                    setSuccessfulTransaction(false);
+                    setMode("by-noun");
+                  }}
+                  disabled={hasPendingUpdate || hasPendingClear}
+                >
+                  Delegate by Noun
+                </InlineButton>
+              </p>
+            )}
 
             <form
               id="delegate-form"
@@ -200,6 +243,45 @@ const Content = ({ targetAddress, titleProps, dismiss }) => {
                 }
               />
             </form>
+            {hasChanges && (
+              <DelegateStatementExcerpt
+                accountAddress={queryAccountAddress}
+                css={(t) =>
+                  css({
+                    fontSize: t.text.sizes.small,
+                    marginTop: "0.8rem",
+                    padding: "1rem 1.2rem",
+                    borderRadius: "0.6rem",
+                    background: t.colors.backgroundModifierNormal,
+                  })
+                }
+              />
+            )}
+            {isDelegating && hasChanges && (
+              <p
+                css={(t) =>
+                  css({
+                    fontSize: t.text.sizes.small,
+                    color: t.colors.textDimmed,
+                    marginTop: "0.8rem",
+                  })
+                }
+              >
+                <Link
+                  underline
+                  component={NextLink}
+                  href={buildCompareHref([
+                    account.delegate.id,
+                    queryAccountAddress,
+                  ])}
+                  onClick={() => {
+                    dismiss();
+                  }}
+                >
+                  Compare voting records with your current delegate
+                </Link>
+              </p>
+            )}
           </>
         )}
       </main>
@@ -267,4 +349,336 @@ const Content = ({ targetAddress, titleProps, dismiss }) => {
   );
 };
 
+// Nouns delegate on an account level, so the only way to split an account’s
+// voting power is to move some of its Nouns to a separate wallet, which in
+// turn delegates to someone else.
+const ByNounContent = ({ accountAddress, titleProps, dismiss, back }) => {
+  const account = useAccount(accountAddress);
+
+  const [selectedNounIds, setSelectedNounIds] = React.useState([]);
+  const [receiverQuery, setReceiverQuery] = React.useState("");
+  const [hasPendingTransfer, setPendingTransfer] = React.useState(false);
+  const [submittedSuccessfulTransaction, setSuccessfulTransaction] =
+    React.useState(false);
+  const [failedTransfer, setFailedTransfer] = React.useState(null);
+
+  const ensAddress = useEnsAddress(receiverQuery.trim(), {
+    enabled: receiverQuery.trim().split("."),
+  });
+
+  const receiverAddress = isAddress(receiverQuery.trim())
+    ? receiverQuery.trim()
+    : ensAddress;
+
+  const receiverAccount = useAccount(receiverAddress);
+
+  useAccountFetch(receiverAddress);
+
+  // Accounts that never delegated vote for themselves
+  const sourceDelegateId =
+    account?.delegate?.id ?? accountAddress?.toLowerCase();
+  const receiverDelegateId =
+    receiverAccount?.delegate?.id ?? receiverAddress?.toLowerCase();
+
+  useDelegateFetch(sourceDelegateId, { fetchInterval: 3_000 });
+  useDelegateFetch(receiverDelegateId, { fetchInterval: 3_000 });
+
+  const sourceDelegateNouns = useNounsRepresented(sourceDelegateId);
+  const receiverDelegateNouns = useNounsRepresented(receiverDelegateId);
+
+  const transferNouns = useTransferNouns({
+    from: accountAddress,
+    to: receiverAddress,
+  });
+
+  const nouns = account?.nouns ?? [];
+  const selectedCount = selectedNounIds.length;
+
+  const isReceiverSelf =
+    receiverAddress != null &&
+    receiverAddress.toLowerCase() === accountAddress.toLowerCase();
+
+  const hasRequiredInputs =
+    selectedCount > 0 && receiverAddress != null && !isReceiverSelf;
+
+  const votingPowerPreview = (() => {
+    if (!hasRequiredInputs) return null;
+    if (sourceDelegateId === receiverDelegateId) return [];
+
+    return [
+      {
+        delegateId: sourceDelegateId,
+        votes: sourceDelegateNouns?.length,
+        change: -selectedCount,
+      },
+      {
+        delegateId: receiverDelegateId,
+        votes: receiverDelegateNouns?.length ?? 0,
+        change: selectedCount,
+      },
+    ];
+  })();
+
+  const toggleNoun = (nounId) => {
+    setSuccessfulTransaction(false);
+    setFailedTransfer(null);
+    setSelectedNounIds((ids) =>
+      ids.includes(nounId)
+        ? ids.filter((id) => id !== nounId)
+        : [...ids, nounId],
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const nounsLabel = selectedNounIds.map((id) => `Noun ${id}`).join(", ");
+    if (
+      !confirm(
+        `This transfers ownership of ${nounsLabel} to ${receiverQuery.trim()}. Only the receiving wallet can move ${selectedCount > 1 ? "them" : "it"} back. Continue?`,
+      )
+    )
+      return;
+
+    setSuccessfulTransaction(false);
+    setFailedTransfer(null);
+    setPendingTransfer(true);
+    try {
+      const results = await transferNouns(selectedNounIds);
+      const transferredNounIds = results
+        .filter((r) => r.status === "success")
+        .map((r) => r.nounId);
+      setSelectedNounIds((ids) =>
+        ids.filter((id) => !transferredNounIds.includes(id)),
+      );
+
+      const failedResult = results.find((r) => r.status === "failed");
+      if (failedResult == null) {
+        setSuccessfulTransaction(true);
+        return;
+      }
+
+      console.error(failedResult.error);
+      setFailedTransfer({
+        nounId: failedResult.nounId,
+        transferredCount: transferredNounIds.length,
+      });
+    } finally {
+      setPendingTransfer(false);
+    }
+  };
+
+  return (
+    <div
+      css={css({
+        overflow: "auto",
+        padding: "1.6rem",
+        "@media (min-width: 600px)": {
+          padding: "2rem",
+        },
+      })}
+    >
+      <DialogHeader
+        title="Delegate by Noun"
+        titleProps={titleProps}
+        dismiss={dismiss}
+      />
+      <main
+        css={(t) =>
+          css({
+            h2: {
+              fontSize: "inherit",
+              fontWeight: t.text.weights.emphasis,
+            },
+            "[data-hint]": {
+              fontSize: t.text.sizes.small,
+              color: t.colors.textDimmed,
+            },
+          })
+        }
+      >
+        {submittedSuccessfulTransaction && (
+          <Callout variant="info" style={{ margin: "0 0 2rem" }}>
+            Transaction successful! Connect the receiving wallet to change who
+            it delegates to.
+          </Callout>
+        )}
+        {failedTransfer != null && (
+          <Callout variant="error" style={{ margin: "0 0 2rem" }}>
+            Transferring Noun {failedTransfer.nounId} failed.
+            {failedTransfer.transferredCount > 0 &&
+              ` ${failedTransfer.transferredCount} ${failedTransfer.transferredCount === 1 ? "Noun was" : "Nouns were"} moved before the failure and ${failedTransfer.transferredCount === 1 ? "has" : "have"} been removed from the selection.`}
+          </Callout>
+        )}
+        <p>
+          Move selected Nouns to a separate wallet you control. Their votes
+          follow the delegation of the receiving wallet.
+        </p>
+        <p data-hint style={{ marginTop: "0.8rem" }}>
+          This transfers ownership of the Nouns, not just their votes. Only the
+          receiving wallet can move them back.
+        </p>
+        <form id="delegate-by-noun-form" onSubmit={handleSubmit}>
+          <h2 style={{ margin: "2rem 0 1rem" }}>Nouns to move</h2>
+          <ul
+            css={(t) =>
+              css({
+                listStyle: "none",
+                display: "flex",
+                flexWrap: "wrap",
+                gap: "0.8rem",
+                button: {
+                  display: "flex",
+                  alignItems: "center",
+                  gap: "0.8rem",
+                  padding: "0.4rem 0.8rem 0.4rem 0.4rem",
+                  borderRadius: "0.6rem",
+                  border: "0.1rem solid",
+                  borderColor: t.colors.borderLight,
+                  outline: "none",
+                  ":focus-visible": { boxShadow: t.shadows.focus },
+                  "&[data-selected]": {
+                    borderColor: t.colors.primary,
+                    background: t.colors.primaryTransparentSoft,
+                  },
+                  "@media(hover: hover)": {
+                    cursor: "pointer",
+                    ":not([data-selected]):hover": {
+                      background: t.colors.backgroundModifierHover,
+                    },
+                  },
+                },
+              })
+            }
+          >
+            {nouns.map((n) => {
+              const isSelected = selectedNounIds.includes(n.id);
+              return (
+                <li key={n.id}>
+                  <button
+                    type="button"
+                    aria-pressed={isSelected}
+                    data-selected={isSelected || undefined}
+                    disabled={hasPendingTransfer}
+                    onClick={() => {
+                      toggleNoun(n.id);
+                    }}
+                  >
+                    <NounAvatar id={n.id} size="2.4rem" />
+                    Noun {n.id}
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+
+          <div style={{ marginTop: "2rem" }}>
+            <AddressInput
+              label="Receiving wallet"
+              value={receiverQuery}
+              onChange={(maybeAddress) => {
+                setSuccessfulTransaction(false);
+                setFailedTransfer(null);
+                setReceiverQuery(maybeAddress);
+              }}
+              disabled={hasPendingTransfer}
+              placeholder="0x..., vitalik.eth"
+              hint={
+                isReceiverSelf
+                  ? "Nouns can’t be moved to the wallet that holds them"
+                  : !isAddress(receiverQuery.trim())
+                    ? "Specify an Ethereum account address or ENS name"
+                    : null
+              }
+            />
+          </div>
+        </form>
+
+        {votingPowerPreview != null && (
+          <>
+            <h2 style={{ margin: "2rem 0 1rem" }}>Resulting voting power</h2>
+            {votingPowerPreview.length === 0 ? (
+              <p data-hint>
+                Both wallets delegate to{" "}
+                <AccountPreviewPopoverTrigger
+                  showAvatar
+                  accountAddress={sourceDelegateId}
+                />
+                . Voting power is unchanged.
+              </p>
+            ) : (
+              <ul
+                css={(t) =>
+                  css({
+                    listStyle: "none",
+                    li: {
+                      display: "flex",
+                      justifyContent: "space-between",
+                      gap: "1rem",
+                      padding: "0.4rem 0",
+                    },
+                    "[data-change]": {
+                      fontVariantNumeric: "tabular-nums",
+                      "[data-negative]": { color: t.colors.textNegative },
+                      "[data-positive]": { color: t.colors.textPositive },
+                    },
+                  })
+                }
+              >
+                {votingPowerPreview.map(({ delegateId, votes, change }) => (
+                  <li key={delegateId}>
+                    <AccountPreviewPopoverTrigger
+                      showAvatar
+                      accountAddress={delegateId}
+                    />
+                    <span data-change>
+                      {votes == null ? (
+                        "..."
+                      ) : (
+                        <>
+                          {votes} → {votes + change}{" "}
+                          <span
+                            data-positive={change > 0 || undefined}
+                            data-negative={change < 0 || undefined}
+                          >
+                            ({change > 0 ? "+" : ""}
+                            {change})
+                          </span>
+                        </>
+                      )}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+      </main>
+      <footer
+        css={css({
+          display: "flex",
+          justifyContent: "flex-end",
+          gap: "1rem",
+          padding: "2rem 0 0",
+        })}
+      >
+        <Button onClick={back} disabled={hasPendingTransfer}>
+          Back
+        </Button>
+        <Button
+          form="delegate-by-noun-form"
+          type="submit"
+          variant="primary"
+          disabled={
+            !hasRequiredInputs || hasPendingTransfer || transferNouns == null
+          }
+          isLoading={hasPendingTransfer}
+        >
+          {selectedCount > 1 ? `Move ${selectedCount} Nouns` : "Move Noun"}
+        </Button>
+      </footer>
+    </div>
+  );
+};
+
 export default DelegationDialog;
@@ -0,0 +1,284 @@
+import React from "react";
+import { css } from "@emotion/react";
+import Avatar from "@shades/ui-web/avatar";
+import * as Tabs from "@/components/tabs";
+import {
+  buildDiscussionThreads,
+  getAncestorIds,
+} from "@/utils/discussion-threads";
+import useAccountDisplayName from "@/hooks/account-display-name";
+import AccountPreviewPopoverTrigger from "@/components/account-preview-popover-trigger";
+import FormattedDateWithTooltip from "@/components/formatted-date-with-tooltip";
+import MarkdownRichText from "@/components/markdown-rich-text";
+
+// Replies nested deeper than this are collapsed
+const COLLAPSED_DEPTH = 3;
+// Replies beyond this count are hidden until expanded
+const VISIBLE_REPLY_COUNT = 3;
+
+const getElementId = (nodeId) => `thread-item-${nodeId}`;
+
+const ThreadContext = React.createContext();
+
+const DiscussionThreads = ({ items }) => {
+  const { threads, nodesById } = React.useMemo(
+    () => buildDiscussionThreads(items),
+    [items],
+  );
+
+  const [expandedIds, setExpandedIds] = React.useState(() => new Set());
+  const [highlightedId, setHighlightedId] = React.useState(null);
+
+  React.useEffect(() => {
+    if (highlightedId == null) return;
+    document
+      .getElementById(getElementId(highlightedId))
+      ?.scrollIntoView({ behavior: "smooth", block: "center" });
+    const timeoutHandle = setTimeout(() => setHighlightedId(null), 2000);
+    return () => clearTimeout(timeoutHandle);
+  }, [highlightedId]);
+
+  const contextValue = React.useMemo(
+    () => ({
+      nodesById,
+      expandedIds,
+      highlightedId,
+      expand: (id) => setExpandedIds((ids) => new Set([...ids, id])),
+      // Makes sure the node isn’t hidden in a collapsed branch before scrolling
+      jumpTo: (id) => {
+        setExpandedIds(
+          (ids) => new Set([...ids, ...getAncestorIds(nodesById, id)]),
+        );
+        setHighlightedId(id);
+      },
+    }),
+    [nodesById, expandedIds, highlightedId],
+  );
+
+  if (threads.length === 0)
+    return (
+      <Tabs.EmptyPlaceholder
+        title="No discussion"
+        description="Comments and replies will show here"
+      />
+    );
+
+  return (
+    <ThreadContext.Provider value={contextValue}>
+      <ul
+        css={(t) =>
+          css({
+            listStyle: "none",
+            fontSize: t.text.sizes.base,
+            "& > li + li": { marginTop: "2.4rem" },
+            "[data-hint]": { color: t.colors.textDimmed },
+            "[data-support=for]": { color: t.colors.textPositive },
+            "[data-support=against]": { color: t.colors.textNegative },
+            "[data-support=abstain]": { color: t.colors.textDimmed },
+            "button[data-link]": {
+              color: t.colors.textDimmed,
+              fontSize: t.text.sizes.small,
+              "@media(hover: hover)": {
+                cursor: "pointer",
+                ":hover": { color: t.colors.textNormal },
+              },
+            },
+          })
+        }
+      >
+        {threads.map((node) => (
+          <ThreadNode key={node.id} node={node} />
+        ))}
+      </ul>
+    </ThreadContext.Provider>
+  );
+};
+
+const ThreadNode = ({ node }) => {
+  const { expandedIds, highlightedId, expand, jumpTo } =
+    React.useContext(ThreadContext);
+
+  const isExpanded = expandedIds.has(node.id);
+  const isCollapsed = node.depth >= COLLAPSED_DEPTH && !isExpanded;
+  const visibleChildren = isExpanded
+    ? node.children
+    : node.children.slice(0, VISIBLE_REPLY_COUNT);
+  const hiddenChildCount = node.children.length - visibleChildren.length;
+
+  return (
+    <li
+      id={getElementId(node.id)}
+      data-highlight={highlightedId === node.id || undefined}
+      css={(t) =>
+        css({
+          scrollMarginTop: "6rem",
+          borderRadius: "0.4rem",
+          transition: "background 0.3s ease-out",
+          "&[data-highlight]": { background: t.colors.backgroundModifierHover },
+        })
+      }
+    >
+      <div
+        css={(t) =>
+          css({
+            display: "flex",
+            alignItems: "center",
+            flexWrap: "wrap",
+            gap: "0.6rem",
+            fontSize: t.text.sizes.small,
+          })
+        }
+      >
+        <Author item={node.item} />
+        <SupportLabel item={node.item} />
+        {node.item.timestamp != null && (
+          <span data-hint>
+            <FormattedDateWithTooltip
+              tinyRelative
+              relativeDayThreshold={7}
+              month="short"
+              day="numeric"
+              value={node.item.timestamp}
+            />
+          </span>
+        )}
+      </div>
+
+      {[node.parentId, ...node.otherParentIds]
+        .filter((id) => id != null)
+        .map((id) => (
+          <NodeLink key={id} id={id} label="In reply to" onClick={jumpTo} />
+        ))}
+      {node.quotedIds.map((id) => (
+        <NodeLink key={id} id={id} label="Quoting" onClick={jumpTo} />
+      ))}
+
+      {node.body?.trim() && (
+        <div style={{ marginTop: "0.4rem" }}>
+          <MarkdownRichText text={node.body} compact displayImages={false} />
+        </div>
+      )}
+
+      {node.quotingIds.length > 0 && (
+        <div data-hint style={{ marginTop: "0.4rem" }}>
+          {node.quotingIds.map((id) => (
+            <NodeLink key={id} id={id} label="Quoted by" onClick={jumpTo} />
+          ))}
+        </div>
+      )}
+
+      {node.children.length > 0 && (
+        <div
+          css={(t) =>
+            css({
+              marginTop: "1.2rem",
+              paddingLeft: "1.2rem",
+              borderLeft: "0.2rem solid",
+              borderColor: t.colors.borderLight,
+            })
+          }
+        >
+          {isCollapsed ? (
+            <button
+              data-link
+              onClick={() => {
+                expand(node.id);
+              }}
+            >
+              Show {node.descendantCount}{" "}
+              {node.descendantCount === 1 ? "reply" : "replies"}
+            </button>
+          ) : (
+            <>
+              <ul
+                css={css({
+                  listStyle: "none",
+                  "& > li + li": { marginTop: "1.6rem" },
+                })}
+              >
+                {visibleChildren.map((child) => (
+                  <ThreadNode key={child.id} node={child} />
+                ))}
+              </ul>
+              {hiddenChildCount > 0 && (
+                <button
+                  data-link
+                  style={{ marginTop: "1.2rem" }}
+                  onClick={() => {
+                    expand(node.id);
+                  }}
+                >
+                  Show {hiddenChildCount} more{" "}
+                  {hiddenChildCount === 1 ? "reply" : "replies"}
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </li>
+  );
+};
+
+const Author = ({ item }) => {
+  if (item.authorAccount != null)
+    return (
+      <AccountPreviewPopoverTrigger
+        showAvatar
+        accountAddress={item.authorAccount}
+      />
+    );
+
+  return (
+    <span css={css({ display: "inline-flex", gap: "0.4rem" })}>
+      {item.authorAvatarUrl != null && (
+        <Avatar url={item.authorAvatarUrl} size="2rem" />
+      )}
+      {item.authorDisplayName ?? "Unknown caster"}
+    </span>
+  );
+};
+
+const SupportLabel = ({ item }) => {
+  if (item.type === "farcaster-cast") return <span data-hint>(cast)</span>;
+
+  const supportKey = { 0: "against", 1: "for", 2: "abstain" }[item.support];
+  if (supportKey == null) return null;
+
+  const label =
+    item.type === "feedback-post"
+      ? { for: "for signal", against: "against signal", abstain: "comment" }[
+          supportKey
+        ]
+      : { for: "for", against: "against", abstain: "abstained" }[supportKey];
+
+  return <span data-support={supportKey}>({label})</span>;
+};
+
+const AccountDisplayName = ({ address }) => useAccountDisplayName(address);
+
+const NodeAuthorName = ({ item }) =>
+  item.authorAccount != null ? (
+    <AccountDisplayName address={item.authorAccount} />
+  ) : (
+    (item.authorDisplayName ?? "Unknown caster")
+  );
+
+const NodeLink = ({ id, label, onClick }) => {
+  const { nodesById } = React.useContext(ThreadContext);
+  const node = nodesById.get(id);
+  if (node == null) return null;
+  return (
+    <button
+      data-link
+      style={{ display: "block", marginTop: "0.2rem" }}
+      onClick={() => {
+        onClick(id);
+      }}
+    >
+      {label} <NodeAuthorName item={node.item} />
+    </button>
+  );
+};
+
+export default DiscussionThreads;
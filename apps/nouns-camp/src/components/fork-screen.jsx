@@ -0,0 +1,665 @@
+"use client";
+
+import React from "react";
+import { css } from "@emotion/react";
+import { array as arrayUtils } from "@shades/common/utils";
+import Button from "@shades/ui-web/button";
+import Input from "@shades/ui-web/input";
+import Spinner from "@shades/ui-web/spinner";
+import { resolveIdentifier as resolveContractIdentifier } from "@/contracts";
+import {
+  getState as getForkState,
+  getCurrentForkId,
+  getRemainingEscrowCount,
+} from "@/utils/forks";
+import {
+  useActions,
+  useAccount,
+  useAccountFetch,
+  useFork,
+  useForkFetch,
+  useForkFeedItems,
+} from "@/store";
+import { useWallet } from "@/hooks/wallet";
+import {
+  useForkThreshold,
+  useForkEndTimestamp,
+  useNumTokensInForkEscrow,
+  useEscrowToFork,
+  useWithdrawFromForkEscrow,
+  useExecuteFork,
+  useJoinFork,
+} from "@/hooks/dao-contract";
+import {
+  useIsApprovedForAll,
+  useSetApprovalForAll,
+} from "@/hooks/token-contract";
+import { useEscrowForkId } from "@/hooks/fork-escrow-contract";
+import Layout, { MainContentContainer } from "@/components/layout";
+import ErrorScreen from "@/components/error-screen";
+import Callout from "@/components/callout";
+import NounAvatar from "@/components/noun-avatar";
+import AccountPreviewPopoverTrigger from "@/components/account-preview-popover-trigger";
+import FormattedDateWithTooltip from "@/components/formatted-date-with-tooltip";
+import ChainExplorerAddressLink from "@/components/chain-explorer-address-link";
+import ActivityFeed from "@/components/activity-feed";
+
+const { address: daoAddress } = resolveContractIdentifier("dao");
+
+const useForkId = (specifiedForkId) => {
+  const escrowForkId = useEscrowForkId();
+  const forkEndTimestamp = useForkEndTimestamp();
+
+  if (specifiedForkId != null) return specifiedForkId;
+  if (escrowForkId == null || forkEndTimestamp == null) return null;
+
+  return String(
+    getCurrentForkId({
+      escrowForkId,
+      forkEndTimestamp,
+      timestamp: Math.floor(Date.now() / 1000),
+    }),
+  );
+};
+
+const ForkScreen = ({ forkId: specifiedForkId }) => {
+  const forkId = useForkId(specifiedForkId);
+  const escrowForkId = useEscrowForkId();
+
+  const [notFound, setNotFound] = React.useState(false);
+
+  useForkFetch(forkId, {
+    fetchInterval: 30_000,
+    onError: (e) => {
+      console.error(e);
+      setNotFound(true);
+    },
+  });
+
+  const fork = useFork(forkId);
+  const feedItems = useForkFeedItems(forkId);
+
+  // The escrow only knows about forks up to the one currently collecting
+  const isFutureFork =
+    forkId != null && escrowForkId != null && Number(forkId) > escrowForkId;
+
+  if (notFound || isFutureFork)
+    return (
+      <ErrorScreen
+        title="Fork not found"
+        linkLabel="Go to current fork"
+        linkHref="/fork"
+      />
+    );
+
+  if (fork == null)
+    return (
+      <Layout>
+        <div
+          css={css({
+            flex: 1,
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            paddingBottom: "10vh",
+          })}
+        >
+          <Spinner size="2rem" />
+        </div>
+      </Layout>
+    );
+
+  const state = getForkState(fork);
+
+  return (
+    <Layout navigationStack={[{ to: `/forks/${forkId}`, label: "Fork" }]}>
+      <MainContentContainer narrow>
+        <div
+          css={(t) =>
+            css({
+              padding: "0.8rem 1.6rem 3.2rem",
+              "@media (min-width: 600px)": {
+                padding: "6rem 1.6rem 12rem",
+              },
+              h2: {
+                fontSize: t.text.sizes.large,
+                fontWeight: t.text.weights.header,
+                margin: "0 0 1.6rem",
+              },
+              section: {
+                marginTop: "4.8rem",
+              },
+              "[data-hint]": {
+                fontSize: t.text.sizes.small,
+                color: t.colors.textDimmed,
+              },
+            })
+          }
+        >
+          <h1
+            css={(t) =>
+              css({
+                fontSize: t.text.sizes.headerLarger,
+                lineHeight: 1.15,
+                margin: "0 0 0.3rem",
+                color: t.colors.textHeader,
+                "@media(min-width: 600px)": {
+                  fontSize: t.text.sizes.huge,
+                },
+              })
+            }
+          >
+            Fork #{forkId}
+          </h1>
+          <div
+            css={(t) =>
+              css({
+                color: t.colors.textDimmed,
+                fontSize: t.text.sizes.base,
+              })
+            }
+          >
+            {state === "escrow" ? (
+              <>Escrow period</>
+            ) : state === "forking" ? (
+              <>
+                Forking period, ends{" "}
+                <FormattedDateWithTooltip
+                  capitalize={false}
+                  relativeDayThreshold={7}
+                  value={fork.forkingPeriodEndTimestamp}
+                  day="numeric"
+                  month="short"
+                />
+              </>
+            ) : (
+              <>
+                Executed{" "}
+                <FormattedDateWithTooltip
+                  capitalize={false}
+                  value={fork.executedTimestamp}
+                  day="numeric"
+                  month="short"
+                  year="numeric"
+                />
+              </>
+            )}
+          </div>
+
+          {state === "escrow" ? (
+            <EscrowProgress />
+          ) : (
+            <ForkSummary fork={fork} />
+          )}
+
+          {state !== "ended" && <ForkActions forkId={forkId} state={state} />}
+
+          {fork.escrowedNouns?.length > 0 && (
+            <section>
+              <h2>Escrowed Nouns</h2>
+              <EscrowedNounList escrowedNouns={fork.escrowedNouns} />
+            </section>
+          )}
+
+          {feedItems.length > 0 && (
+            <section>
+              <h2>Activity</h2>
+              <ActivityFeed context="fork" items={feedItems} />
+            </section>
+          )}
+        </div>
+      </MainContentContainer>
+    </Layout>
+  );
+};
+
+const EscrowProgress = () => {
+  const forkThreshold = useForkThreshold();
+  const escrowCount = useNumTokensInForkEscrow({ watch: true });
+
+  const { address: connectedAccountAddress } = useWallet();
+
+  const remainingCount =
+    forkThreshold == null || escrowCount == null
+      ? null
+      : getRemainingEscrowCount({ escrowCount, forkThreshold });
+
+  const executeFork = useExecuteFork({ enabled: remainingCount === 0 });
+  const [hasPendingExecute, setPendingExecute] = React.useState(false);
+
+  if (remainingCount == null) return null;
+
+  const requiredCount = forkThreshold + 1;
+
+  return (
+    <div style={{ marginTop: "3.2rem" }}>
+      <div
+        css={(t) =>
+          css({
+            display: "flex",
+            justifyContent: "space-between",
+            fontSize: t.text.sizes.small,
+            margin: "0 0 0.8rem",
+            "[data-count]": {
+              fontWeight: t.text.weights.emphasis,
+              fontVariantNumeric: "tabular-nums",
+            },
+          })
+        }
+      >
+        <span>
+          <span data-count>{escrowCount}</span> of{" "}
+          <span data-count>{requiredCount}</span> Nouns in escrow
+        </span>
+        <span data-hint>
+          {remainingCount === 0
+            ? "Threshold met"
+            : `${remainingCount} more ${remainingCount === 1 ? "Noun" : "Nouns"} needed`}
+        </span>
+      </div>
+      <div
+        css={(t) =>
+          css({
+            height: "0.6rem",
+            borderRadius: "0.3rem",
+            background: t.colors.backgroundModifierStrong,
+            overflow: "hidden",
+            "[data-bar]": {
+              height: "100%",
+              background: t.colors.primary,
+            },
+          })
+        }
+      >
+        <div
+          data-bar
+          style={{
+            width: `${Math.min(1, escrowCount / requiredCount) * 100}%`,
+          }}
+        />
+      </div>
+
+      {remainingCount === 0 && (
+        <Callout style={{ marginTop: "1.6rem" }}>
+          <p>
+            The fork threshold has been met. Anyone can execute the fork, which
+            starts the forking period and moves the escrowed Nouns’ share of the
+            treasury to the new DAO.
+          </p>
+          {connectedAccountAddress != null && (
+            <Button
+              size="small"
+              style={{ marginTop: "1.2rem" }}
+              disabled={executeFork == null || hasPendingExecute}
+              isLoading={hasPendingExecute}
+              onClick={async () => {
+                try {
+                  setPendingExecute(true);
+                  await executeFork();
+                } catch (e) {
+                  console.error(e);
+                  alert("Ops, looks like something went wrong!");
+                } finally {
+                  setPendingExecute(false);
+                }
+              }}
+            >
+              Execute fork
+            </Button>
+          )}
+        </Callout>
+      )}
+    </div>
+  );
+};
+
+const ForkSummary = ({ fork }) => (
+  <dl
+    css={(t) =>
+      css({
+        display: "grid",
+        gridTemplateColumns: "auto minmax(0,1fr)",
+        gap: "0.8rem 1.6rem",
+        marginTop: "3.2rem",
+        fontSize: t.text.sizes.small,
+        dt: { color: t.colors.textDimmed },
+        dd: { fontVariantNumeric: "tabular-nums" },
+      })
+    }
+  >
+    <dt>Nouns forked</dt>
+    <dd>{fork.tokensForkingCount}</dd>
+    {fork.forkTreasury != null && (
+      <>
+        <dt>Treasury</dt>
+        <dd>
+          <ChainExplorerAddressLink address={fork.forkTreasury}>
+            {fork.forkTreasury}
+          </ChainExplorerAddressLink>
+        </dd>
+      </>
+    )}
+    {fork.forkToken != null && (
+      <>
+        <dt>Token</dt>
+        <dd>
+          <ChainExplorerAddressLink address={fork.forkToken}>
+            {fork.forkToken}
+          </ChainExplorerAddressLink>
+        </dd>
+      </>
+    )}
+  </dl>
+);
+
+const ForkActions = ({ forkId, state }) => {
+  const {
+    address: connectedAccountAddress,
+    requestAccess: requestWalletAccess,
+  } = useWallet();
+
+  const fork = useFork(forkId);
+  const account = useAccount(connectedAccountAddress);
+
+  useAccountFetch(connectedAccountAddress);
+
+  if (connectedAccountAddress == null)
+    return (
+      <section>
+        <Button
+          onClick={() => {
+            requestWalletAccess();
+          }}
+        >
+          Connect wallet to {state === "escrow" ? "escrow Nouns" : "join fork"}
+        </Button>
+      </section>
+    );
+
+  const accountNounIds = account?.nouns?.map((n) => n.id) ?? [];
+  const escrowedNounIds =
+    fork.escrowedNouns
+      ?.filter((n) => n.ownerId === connectedAccountAddress.toLowerCase())
+      .map((n) => n.nounId) ?? [];
+
+  return (
+    <>
+      {accountNounIds.length > 0 && (
+        <section>
+          <h2>{state === "escrow" ? "Escrow Nouns" : "Join fork"}</h2>
+          <DepositForm
+            forkId={forkId}
+            mode={state === "escrow" ? "escrow" : "join"}
+            nounIds={accountNounIds}
+          />
+        </section>
+      )}
+      {state === "escrow" && escrowedNounIds.length > 0 && (
+        <section>
+          <h2>Withdraw Nouns</h2>
+          <WithdrawForm forkId={forkId} nounIds={escrowedNounIds} />
+        </section>
+      )}
+    </>
+  );
+};
+
+// Escrowing and joining take the same inputs, the difference being that
+// escrowed Nouns can be withdrawn until the fork is executed
+const DepositForm = ({ forkId, mode, nounIds }) => {
+  const { address: connectedAccountAddress } = useWallet();
+  const { fetchFork, fetchAccount } = useActions();
+
+  const [selectedNounIds, setSelectedNounIds] = React.useState([]);
+  const [reason, setReason] = React.useState("");
+  const [hasPendingTransaction, setPendingTransaction] = React.useState(false);
+
+  const { isApproved, refetch: refetchApproval } = useIsApprovedForAll({
+    owner: connectedAccountAddress,
+    operator: daoAddress,
+  });
+  const approve = useSetApprovalForAll(daoAddress, {
+    enabled: isApproved === false,
+  });
+
+  const args = { nounIds: selectedNounIds, reason: reason.trim() };
+  const escrowToFork = useEscrowToFork(args, {
+    enabled: mode === "escrow" && isApproved === true,
+  });
+  const joinFork = useJoinFork(args, {
+    enabled: mode === "join" && isApproved === true,
+  });
+  const submit = mode === "escrow" ? escrowToFork : joinFork;
+
+  const runTransaction = async (fn) => {
+    try {
+      setPendingTransaction(true);
+      await fn();
+    } catch (e) {
+      console.error(e);
+      alert("Ops, looks like something went wrong!");
+    } finally {
+      setPendingTransaction(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        runTransaction(async () => {
+          await submit();
+          setSelectedNounIds([]);
+          setReason("");
+          await Promise.all([
+            fetchFork(forkId),
+            fetchAccount(connectedAccountAddress),
+          ]);
+        });
+      }}
+    >
+      <p data-hint style={{ margin: "0 0 1.6rem" }}>
+        {mode === "escrow"
+          ? "Escrowed Nouns can be withdrawn until the fork is executed."
+          : "Joining is final. Your Nouns move to the DAO treasury, and you receive fork tokens in return."}
+      </p>
+      <NounPicker
+        nounIds={nounIds}
+        selectedNounIds={selectedNounIds}
+        onChange={setSelectedNounIds}
+        disabled={hasPendingTransaction}
+      />
+      <Input
+        component="textarea"
+        label="Reason (optional)"
+        rows={3}
+        value={reason}
+        onChange={(e) => {
+          setReason(e.target.value);
+        }}
+        disabled={hasPendingTransaction}
+        containerProps={{ style: { marginTop: "1.6rem" } }}
+      />
+      <div style={{ marginTop: "1.6rem", display: "flex", gap: "0.8rem" }}>
+        {isApproved === false ? (
+          <Button
+            type="button"
+            variant="primary"
+            disabled={approve == null || hasPendingTransaction}
+            isLoading={hasPendingTransaction}
+            onClick={() => {
+              runTransaction(async () => {
+                await approve();
+                await refetchApproval();
+              });
+            }}
+          >
+            Approve DAO to move Nouns
+          </Button>
+        ) : (
+          <Button
+            type="submit"
+            variant="primary"
+            disabled={submit == null || hasPendingTransaction}
+            isLoading={hasPendingTransaction}
+          >
+            {mode === "escrow" ? "Escrow" : "Join"}{" "}
+            {selectedNounIds.length === 0
+              ? "Nouns"
+              : `${selectedNounIds.length} ${selectedNounIds.length === 1 ? "Noun" : "Nouns"}`}
+          </Button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+const WithdrawForm = ({ forkId, nounIds }) => {
+  const { address: connectedAccountAddress } = useWallet();
+  const { fetchFork, fetchAccount } = useActions();
+
+  const [selectedNounIds, setSelectedNounIds] = React.useState([]);
+  const [hasPendingTransaction, setPendingTransaction] = React.useState(false);
+
+  const withdraw = useWithdrawFromForkEscrow(selectedNounIds);
+
+  return (
+    <form
+      onSubmit={async (e) => {
+        e.preventDefault();
+        try {
+          setPendingTransaction(true);
+          await withdraw();
+          setSelectedNounIds([]);
+          await Promise.all([
+            fetchFork(forkId),
+            fetchAccount(connectedAccountAddress),
+          ]);
+        } catch (e) {
+          console.error(e);
+          alert("Ops, looks like something went wrong!");
+        } finally {
+          setPendingTransaction(false);
+        }
+      }}
+    >
+      <NounPicker
+        nounIds={nounIds}
+        selectedNounIds={selectedNounIds}
+        onChange={setSelectedNounIds}
+        disabled={hasPendingTransaction}
+      />
+      <Button
+        type="submit"
+        disabled={withdraw == null || hasPendingTransaction}
+        isLoading={hasPendingTransaction}
+        style={{ marginTop: "1.6rem" }}
+      >
+        Withdraw{" "}
+        {selectedNounIds.length === 0
+          ? "Nouns"
+          : `${selectedNounIds.length} ${selectedNounIds.length === 1 ? "Noun" : "Nouns"}`}
+      </Button>
+    </form>
+  );
+};
+
+const NounPicker = ({ nounIds, selectedNounIds, onChange, disabled }) => (
+  <ul
+    css={(t) =>
+      css({
+        listStyle: "none",
+        display: "flex",
+        flexWrap: "wrap",
+        gap: "0.8rem",
+        button: {
+          display: "flex",
+          alignItems: "center",
+          gap: "0.8rem",
+          padding: "0.4rem 0.8rem 0.4rem 0.4rem",
+          borderRadius: "0.6rem",
+          border: "0.1rem solid",
+          borderColor: t.colors.borderLight,
+          outline: "none",
+          ":focus-visible": { boxShadow: t.shadows.focus },
+          "&[data-selected]": {
+            borderColor: t.colors.primary,
+            background: t.colors.primaryTransparentSoft,
+          },
+          "@media(hover: hover)": {
+            cursor: "pointer",
+            ":not([data-selected]):hover": {
+              background: t.colors.backgroundModifierHover,
+            },
+          },
+        },
+      })
+    }
+  >
+    {nounIds.map((nounId) => {
+      const isSelected = selectedNounIds.includes(nounId);
+      return (
+        <li key={nounId}>
+          <button
+            type="button"
+            aria-pressed={isSelected}
+            data-selected={isSelected || undefined}
+            disabled={disabled}
+            onClick={() => {
+              onChange(
+                isSelected
+                  ? selectedNounIds.filter((id) => id !== nounId)
+                  : [...selectedNounIds, nounId],
+              );
+            }}
+          >
+            <NounAvatar id={nounId} size="2.4rem" />
+            Noun {nounId}
+          </button>
+        </li>
+      );
+    })}
+  </ul>
+);
+
+const EscrowedNounList = ({ escrowedNouns }) => (
+  <ul
+    css={(t) =>
+      css({
+        listStyle: "none",
+        "li + li": { marginTop: "1.6rem" },
+        li: { display: "flex", gap: "1.2rem" },
+        "[data-title]": { fontWeight: t.text.weights.emphasis },
+        "[data-owner]": {
+          fontSize: t.text.sizes.small,
+          color: t.colors.textDimmed,
+        },
+        "[data-reason]": {
+          whiteSpace: "pre-wrap",
+          marginTop: "0.4rem",
+        },
+      })
+    }
+  >
+    {arrayUtils
+      .sortBy((n) => Number(n.nounId), escrowedNouns)
+      .map((n) => (
+        <li key={n.id}>
+          <NounAvatar id={n.nounId} size="3.2rem" />
+          <div style={{ minWidth: 0 }}>
+            <div data-title>Noun {n.nounId}</div>
+            <div data-owner>
+              Escrowed by{" "}
+              <AccountPreviewPopoverTrigger
+                showAvatar
+                accountAddress={n.ownerId}
+              />
+            </div>
+            {n.reason?.trim() && <div data-reason>{n.reason.trim()}</div>}
+          </div>
+        </li>
+      ))}
+  </ul>
+);
+
+export default ForkScreen;
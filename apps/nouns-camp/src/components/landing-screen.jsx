@@ -35,6 +35,8 @@ import {
 } from "@/utils/candidates";
 import useBlockNumber from "@/hooks/block-number";
 import { useSearchParams } from "@/hooks/navigation";
+import { useDialog } from "@/hooks/global-dialogs";
+import { useSavedFeeds, useSavedFeed } from "@/hooks/saved-feeds";
 import { useWallet } from "@/hooks/wallet";
 import useMatchDesktopLayout from "@/hooks/match-desktop-layout";
 import {
@@ -46,6 +48,7 @@ import {
   useProposalUpdateCandidates,
   useEnsCache,
   useMainFeedItems,
+  useSavedFeedItems,
 } from "@/store";
 import { useCollection as useDrafts } from "@/hooks/drafts";
 
@@ -294,6 +297,8 @@ const BrowseScreen = () => {
   });
 
   const { items: allProposalDrafts } = useDrafts();
+  const { feeds: savedFeeds } = useSavedFeeds();
+  const pinnedFeeds = savedFeeds.filter((f) => f.pinned);
 
   const [page, setPage] = React.useState(1);
   const [proposalSortStrategy, setProposalSortStrategy] = React.useState(
@@ -466,13 +471,25 @@ const BrowseScreen = () => {
 
   const defaultTabKey = isDesktopLayout ? "digest" : "activity";
 
+  const selectedTabKey = (() => {
+    const key = searchParams.get("tab");
+    if (key == null) return defaultTabKey;
+    // Fall back if a saved feed tab has been unpinned or deleted
+    if (
+      key.startsWith("feed-") &&
+      !pinnedFeeds.some((f) => `feed-${f.id}` === key)
+    )
+      return defaultTabKey;
+    return key;
+  })();
+
   const listings = (
     <>
       <div ref={tabAnchorRef} />
       <Tabs.Root
         ref={tabContainerRef}
         aria-label="Listings tabs"
-        selectedKey={searchParams.get("tab") ?? defaultTabKey}
+        selectedKey={selectedTabKey}
         onSelectionChange={(key) => {
           const tabAnchorRect = tabAnchorRef.current?.getBoundingClientRect();
           const tabContainerRect =
@@ -854,6 +871,11 @@ const BrowseScreen = () => {
 
           <VoterList sortStrategy={voterSortStrategy} />
         </Tabs.Item>
+        {pinnedFeeds.map((feed) => (
+          <Tabs.Item key={`feed-${feed.id}`} title={feed.name}>
+            <SavedFeedTabContent feedId={feed.id} />
+          </Tabs.Item>
+        ))}
         {/* <Tabs.Item key="drafts" title="My drafts">
           <div css={css({ paddingTop: "2.4rem" })}>
             <DraftTabContent items={sectionsByName["drafts"]?.children} />
@@ -868,6 +890,7 @@ const BrowseScreen = () => {
       <Layout
         scrollContainerRef={scrollContainerRef}
         actions={[
+          "notifications-dialog-trigger",
           { extends: "create-menu", desktopOnly: false },
           { extends: "treasury-dialog-trigger", desktopOnly: false },
           { extends: "auction-dialog-trigger", desktopOnly: false },
@@ -976,7 +999,7 @@ const FEED_PAGE_ITEM_COUNT = 30;
 
 let hasFetchedActivityFeedOnce = false;
 
-const useActivityFeedItems = ({ categories }) => {
+const useActivityFeedFetch = () => {
   const { fetchNounsActivity } = useActions();
 
   const [hasFetchedOnce, setHasFetchedOnce] = React.useState(
@@ -1015,9 +1038,38 @@ const useActivityFeedItems = ({ categories }) => {
     [latestBlockNumber, fetchNounsActivity],
   );
 
+  return { hasFetchedOnce };
+};
+
+const useActivityFeedItems = ({ categories }) => {
+  const { hasFetchedOnce } = useActivityFeedFetch();
   return useMainFeedItems(categories, { enabled: hasFetchedOnce });
 };
 
+const useSavedFeedItemsWithFetch = (feed) => {
+  const { fetchProposal, fetchProposalCandidate } = useActions();
+  const { hasFetchedOnce } = useActivityFeedFetch();
+
+  // Watched proposals and candidates might not have seen recent activity
+  useFetch(
+    feed == null
+      ? null
+      : () =>
+          Promise.all([
+            ...feed.proposalIds.map((id) => fetchProposal(id)),
+            ...feed.candidateIds.map((id) => fetchProposalCandidate(id)),
+          ]),
+    [
+      feed?.proposalIds,
+      feed?.candidateIds,
+      fetchProposal,
+      fetchProposalCandidate,
+    ],
+  );
+
+  return useSavedFeedItems(feed, { enabled: hasFetchedOnce });
+};
+
 const TruncatedActivityFeed = ({ items }) => {
   const [page, setPage] = React.useState(2);
   const visibleItems = items.slice(0, FEED_PAGE_ITEM_COUNT * page);
@@ -1119,11 +1171,18 @@ const Feed = React.memo(() => {
   return (
     <div css={css({ transition: "0.2s ease-out opacity" })}>
       <React.Suspense fallback={null}>
-        <div css={css({ margin: "0 0 2rem" })}>
+        <div
+          css={css({
+            display: "flex",
+            gap: "0.8rem",
+            margin: "0 0 2rem",
+          })}
+        >
           <FeedFilterMenu
             selectedCategories={selectedCategories}
             setSelectedCategories={setSelectedCategories}
           />
+          <SavedFeedsMenu />
         </div>
 
         <TruncatedActivityFeed items={feedItems} />
@@ -1142,11 +1201,18 @@ const FeedTabContent = React.memo(() => {
   return (
     <div css={css({ transition: "0.2s ease-out opacity", padding: "2rem 0" })}>
       <React.Suspense fallback={null}>
-        <div css={css({ margin: "0 0 2.8rem" })}>
+        <div
+          css={css({
+            display: "flex",
+            gap: "0.8rem",
+            margin: "0 0 2.8rem",
+          })}
+        >
           <FeedFilterMenu
             selectedCategories={selectedCategories}
             setSelectedCategories={setSelectedCategories}
           />
+          <SavedFeedsMenu />
         </div>
 
         <TruncatedActivityFeed items={feedItems} />
@@ -1155,6 +1221,83 @@ const FeedTabContent = React.memo(() => {
   );
 });
 
+const SavedFeedTabContent = React.memo(({ feedId }) => {
+  const feed = useSavedFeed(feedId);
+  const feedItems = useSavedFeedItemsWithFetch(feed);
+  const { open: openSavedFeedDialog } = useDialog("saved-feed");
+
+  if (feed == null) return null;
+
+  return (
+    <div css={css({ transition: "0.2s ease-out opacity", padding: "2rem 0" })}>
+      <div
+        css={css({
+          display: "flex",
+          justifyContent: "flex-end",
+          margin: "0 0 2rem",
+        })}
+      >
+        <Button
+          size="small"
+          onClick={() => {
+            openSavedFeedDialog({ feedId });
+          }}
+        >
+          Edit feed
+        </Button>
+      </div>
+      <React.Suspense fallback={null}>
+        {feedItems.length === 0 ? (
+          <div
+            css={(t) =>
+              css({
+                fontSize: t.text.sizes.small,
+                color: t.colors.textDimmed,
+                textAlign: "center",
+                padding: "3.2rem 0",
+              })
+            }
+          >
+            No recent activity matches this feed
+          </div>
+        ) : (
+          <TruncatedActivityFeed items={feedItems} />
+        )}
+      </React.Suspense>
+    </div>
+  );
+});
+
+const SavedFeedsMenu = () => {
+  const { feeds } = useSavedFeeds();
+  const { open: openSavedFeedDialog } = useDialog("saved-feed");
+
+  return (
+    <Menu.Root>
+      <Menu.Trigger asChild>
+        <Button
+          size="small"
+          iconRight={
+            <CaretDownIcon style={{ width: "1.1rem", height: "auto" }} />
+          }
+        >
+          Saved feeds
+        </Button>
+      </Menu.Trigger>
+      <Menu.Content
+        onAction={(key) => {
+          openSavedFeedDialog(key === "new" ? undefined : { feedId: key });
+        }}
+      >
+        {[
+          ...feeds.map((f) => <Menu.Item key={f.id}>{f.name}</Menu.Item>),
+          <Menu.Item key="new">New saved feed...</Menu.Item>,
+        ]}
+      </Menu.Content>
+    </Menu.Root>
+  );
+};
+
 const VoterList = ({ sortStrategy }) => {
   const subgraphFetch = useSubgraphFetch();
   const accounts = useDelegates();
@@ -7,6 +7,8 @@ import { useMatchMedia } from "@shades/common/react";
 import Button from "@shades/ui-web/button";
 import * as DropdownMenu from "@shades/ui-web/dropdown-menu";
 import {
+  Bell as BellIcon,
+  BellOff as BellOffIcon,
   CaretDown as CaretDownIcon,
   DotsHorizontal as DotsIcon,
   ChatBubbles as ChatBubblesIcon,
@@ -27,6 +29,12 @@ import {
 import { useDialog } from "@/hooks/global-dialogs";
 import { useConnectedFarcasterAccounts } from "@/hooks/farcaster";
 import useAccountDisplayName from "@/hooks/account-display-name";
+import {
+  useNotifications,
+  useSubscriptions,
+  useSubscriptionsFetch,
+} from "@/hooks/notifications";
+import { usePushSubscriptionSync } from "@/hooks/push-notifications";
 import {
   useAuctionData,
   useLazySeed,
@@ -50,6 +58,7 @@ const Layout = ({
   scrollContainerRef,
   navigationStack = [],
   actions,
+  subscription,
   scrollView = true,
   children,
   ...props
@@ -69,7 +78,11 @@ const Layout = ({
     }
     {...props}
   >
-    <NavBar navigationStack={navigationStack} actions={actions} />
+    <NavBar
+      navigationStack={navigationStack}
+      actions={actions}
+      subscription={subscription}
+    />
     {scrollView ? (
       <div
         css={css({
@@ -238,6 +251,62 @@ const AuctionDialogTrigger = React.forwardRef((props, ref) => {
   );
 });
 
+const NotificationsDialogTrigger = (props) => {
+  const { subscriptions } = useSubscriptions();
+  const { items } = useNotifications();
+  const { open: openDialog, preload: preloadDialog } =
+    useDialog("notifications");
+
+  useSubscriptionsFetch();
+  usePushSubscriptionSync();
+
+  if (subscriptions.length === 0) return null;
+
+  return (
+    <Button
+      {...props}
+      aria-label="Notifications"
+      onClick={() => openDialog()}
+      onPointerEnter={() => {
+        preloadDialog();
+      }}
+      icon={<BellIcon style={{ width: "1.6rem", height: "auto" }} />}
+      css={(t) =>
+        css({
+          "[data-count]": {
+            fontSize: t.text.sizes.tiny,
+            fontWeight: t.text.weights.emphasis,
+            color: t.colors.textPrimary,
+          },
+        })
+      }
+    >
+      {items.length > 0 && <span data-count>{items.length}</span>}
+    </Button>
+  );
+};
+
+const SubscriptionToggleButton = ({ subscription, ...props }) => {
+  const { isSubscribed, subscribe, unsubscribe } = useSubscriptions();
+  const isSubscribed_ = isSubscribed(subscription);
+  const Icon = isSubscribed_ ? BellOffIcon : BellIcon;
+
+  return (
+    <Button
+      {...props}
+      onClick={() => {
+        if (isSubscribed_) unsubscribe(subscription);
+        else subscribe(subscription);
+      }}
+      icon={<Icon style={{ width: "1.6rem", height: "auto" }} />}
+    >
+      <span data-desktop-only>
+        {isSubscribed_ ? "Unsubscribe" : "Subscribe"}
+      </span>
+    </Button>
+  );
+};
+
 const predefinedActions = {
   "create-menu": {
     key: "create-menu",
@@ -291,6 +360,10 @@ const predefinedActions = {
     key: "auction-dialog-trigger",
     component: AuctionDialogTrigger,
   },
+  "notifications-dialog-trigger": {
+    key: "notifications-dialog-trigger",
+    component: NotificationsDialogTrigger,
+  },
 };
 
 const resolvePredefinedAction = (actionId) => {
@@ -312,13 +385,21 @@ const resolveAction = (action) => {
 };
 
 const defaultActionIds = [
+  "notifications-dialog-trigger",
   "create-menu",
   "treasury-dialog-trigger",
   "auction-dialog-trigger",
 ];
 
-const NavBar = ({ navigationStack, actions: customActions }) => {
-  const unresolvedActions = customActions ?? defaultActionIds;
+const NavBar = ({ navigationStack, actions: customActions, subscription }) => {
+  const unresolvedActions = [
+    subscription != null && {
+      key: "subscription-toggle",
+      component: SubscriptionToggleButton,
+      buttonProps: { subscription },
+    },
+    ...(customActions ?? defaultActionIds),
+  ].filter(Boolean);
   const searchParams = useSearchParams();
 
   const { open: openTreasuryDialog } = useDialog("treasury");
@@ -326,6 +407,7 @@ const NavBar = ({ navigationStack, actions: customActions }) => {
   const { open: openProposalDraftsDialog } = useDialog("drafts");
   const { open: openDelegationDialog } = useDialog("delegation");
   const { open: openStreamsDialog } = useDialog("streams");
+  const { open: openWebhooksDialog } = useDialog("webhooks");
   const { open: openSettingsDialog } = useDialog("settings");
   const { open: openAccountAuthenticationDialog } = useDialog(
     "account-authentication",
@@ -398,6 +480,9 @@ const NavBar = ({ navigationStack, actions: customActions }) => {
       case "open-streams-dialog":
         openStreamsDialog();
         break;
+      case "open-webhooks-dialog":
+        openWebhooksDialog();
+        break;
       case "copy-account-address":
         navigator.clipboard.writeText(userAccountAddress);
         break;
@@ -419,6 +504,9 @@ const NavBar = ({ navigationStack, actions: customActions }) => {
       case "navigate-to-auction":
         navigate("/auction");
         break;
+      case "navigate-to-noun-listing":
+        navigate("/nouns");
+        break;
       case "navigate-to-proposal-listing":
         navigate("/proposals");
         break;
@@ -431,6 +519,12 @@ const NavBar = ({ navigationStack, actions: customActions }) => {
       case "navigate-to-account-listing":
         navigate("/voters");
         break;
+      case "navigate-to-fork":
+        navigate("/fork");
+        break;
+      case "navigate-to-client-rewards":
+        navigate("/rewards");
+        break;
       case "open-settings-dialog":
         openSettingsDialog();
         break;
@@ -745,6 +839,7 @@ const NavBar = ({ navigationStack, actions: customActions }) => {
                 title: "DAO",
                 children: [
                   { id: "navigate-to-auction", title: "Auction" },
+                  { id: "navigate-to-noun-listing", title: "Nouns" },
                   { id: "navigate-to-proposal-listing", title: "Proposals" },
                   {
                     id: "navigate-to-candidate-listing",
@@ -756,6 +851,11 @@ const NavBar = ({ navigationStack, actions: customActions }) => {
                   },
                   { id: "navigate-to-account-listing", title: "Voters" },
                   { id: "open-treasury-dialog", title: "Treasury" },
+                  { id: "navigate-to-fork", title: "Fork" },
+                  {
+                    id: "navigate-to-client-rewards",
+                    title: "Client rewards",
+                  },
                 ],
               };
               const externalSection = {
@@ -835,6 +935,10 @@ const NavBar = ({ navigationStack, actions: customActions }) => {
                         id: "open-drafts-dialog",
                         title: "Proposal & topic drafts",
                       },
+                      {
+                        id: "open-webhooks-dialog",
+                        title: "Webhooks",
+                      },
                       !hasVerifiedFarcasterAccount
                         ? null
                         : !hasFarcasterAccountKey
@@ -0,0 +1,202 @@
+import React from "react";
+import { css } from "@emotion/react";
+import NextLink from "next/link";
+import Dialog from "@shades/ui-web/dialog";
+import DialogHeader from "@shades/ui-web/dialog-header";
+import Button from "@shades/ui-web/button";
+import Link from "@shades/ui-web/link";
+import Switch from "@shades/ui-web/switch";
+import { CrossSmall as CrossSmallIcon } from "@shades/ui-web/icons";
+import {
+  extractSlugFromId as extractSlugFromCandidateId,
+  makeUrlId as makeCandidateUrlId,
+} from "@/utils/candidates";
+import { createSubscriptionKey } from "@/utils/notifications";
+import { useNotifications, useSubscriptions } from "@/hooks/notifications";
+import { usePushNotifications } from "@/hooks/push-notifications";
+import useAccountDisplayName from "@/hooks/account-display-name";
+
+const ActivityFeed = React.lazy(() => import("@/components/activity-feed"));
+
+const NotificationsDialog = ({ isOpen, close }) => (
+  <Dialog
+    isOpen={isOpen}
+    onRequestClose={() => {
+      close();
+    }}
+    width="60rem"
+  >
+    {(props) => <Content dismiss={close} {...props} />}
+  </Dialog>
+);
+
+const Content = ({ titleProps, dismiss }) => {
+  const { items, markAllSeen } = useNotifications();
+  const { subscriptions, unsubscribe } = useSubscriptions();
+
+  return (
+    <div
+      css={(t) =>
+        css({
+          padding: "1.6rem",
+          "@media (min-width: 600px)": {
+            padding: "2rem",
+          },
+          h2: {
+            fontSize: t.text.sizes.base,
+            fontWeight: t.text.weights.header,
+            margin: "0 0 1.2rem",
+          },
+          "[data-hint]": {
+            fontSize: t.text.sizes.small,
+            color: t.colors.textDimmed,
+          },
+          section: { marginTop: "3.2rem" },
+        })
+      }
+    >
+      <DialogHeader
+        title="Notifications"
+        titleProps={titleProps}
+        dismiss={dismiss}
+      />
+      <main>
+        {subscriptions.length === 0 ? (
+          <p data-hint>
+            Subscribe to proposals, candidates, or voters to get notified about
+            new activity.
+          </p>
+        ) : items.length === 0 ? (
+          <p data-hint>You’re all caught up.</p>
+        ) : (
+          <>
+            <React.Suspense fallback={null}>
+              <ActivityFeed items={items} />
+            </React.Suspense>
+            <div
+              css={css({
+                display: "flex",
+                justifyContent: "flex-end",
+                marginTop: "2.4rem",
+              })}
+            >
+              <Button
+                size="small"
+                onClick={() => {
+                  markAllSeen();
+                }}
+              >
+                Mark all as seen
+              </Button>
+            </div>
+          </>
+        )}
+
+        {subscriptions.length > 0 && (
+          <section>
+            <h2>Subscriptions</h2>
+            <ul
+              css={(t) =>
+                css({
+                  listStyle: "none",
+                  li: {
+                    display: "flex",
+                    alignItems: "center",
+                    gap: "0.8rem",
+                    padding: "0.4rem 0",
+                    fontSize: t.text.sizes.small,
+                  },
+                  "li > :first-child": { flex: 1, minWidth: 0 },
+                })
+              }
+            >
+              {subscriptions.map((s) => (
+                <li key={createSubscriptionKey(s)}>
+                  <div>
+                    <SubscriptionLabel subscription={s} />
+                  </div>
+                  <Button
+                    size="tiny"
+                    variant="transparent"
+                    icon={<CrossSmallIcon style={{ width: "1.6rem" }} />}
+                    aria-label="Unsubscribe"
+                    onClick={() => {
+                      unsubscribe(s);
+                    }}
+                  />
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        <PushNotificationsSection />
+      </main>
+    </div>
+  );
+};
+
+const SubscriptionLabel = ({ subscription: { type, id } }) => {
+  const accountDisplayName = useAccountDisplayName(
+    type === "account" ? id : null,
+  );
+
+  const [label, href] = (() => {
+    switch (type) {
+      case "proposal":
+        return [`Proposal ${id}`, `/proposals/${id}`];
+      case "candidate":
+        return [
+          extractSlugFromCandidateId(id),
+          `/candidates/${encodeURIComponent(makeCandidateUrlId(id))}`,
+        ];
+      case "account":
+        return [accountDisplayName, `/voters/${id}`];
+      default:
+        throw new Error();
+    }
+  })();
+
+  return (
+    <Link underline component={NextLink} href={href}>
+      {label}
+    </Link>
+  );
+};
+
+const PushNotificationsSection = () => {
+  const { isSupported, isEnabled, enable, disable } = usePushNotifications();
+  const [hasPendingToggle, setPendingToggle] = React.useState(false);
+
+  if (!isSupported) return null;
+
+  return (
+    <section>
+      <Switch
+        label="Push notifications"
+        isSelected={isEnabled}
+        isDisabled={hasPendingToggle}
+        onChange={async (enabled) => {
+          try {
+            setPendingToggle(true);
+            if (enabled) await enable();
+            else await disable();
+          } catch (e) {
+            console.error(e);
+            if (e.message === "permission-denied")
+              alert("Notifications are blocked in your browser settings");
+            else alert("Ops, looks like something went wrong!");
+          } finally {
+            setPendingToggle(false);
+          }
+        }}
+      />
+      <p data-hint style={{ marginTop: "0.8rem" }}>
+        Get notified on this device about activity on your subscriptions, even
+        when Camp is closed.
+      </p>
+    </section>
+  );
+};
+
+export default NotificationsDialog;
@@ -18,11 +18,22 @@ const useNounDataUri = (seed, { enabled = true, transparent = false } = {}) => {
 };
 
 const NounAvatar = React.forwardRef(
-  ({ id, transparent = false, signatureFallback = true, ...props }, ref) => {
+  (
+    {
+      id,
+      seed: customSeed,
+      transparent = false,
+      signatureFallback = true,
+      ...props
+    },
+    ref,
+  ) => {
     const noun = useNoun(id);
-    const seed = useNounSeed(id, { enabled: noun?.seed == null });
+    const seed = useNounSeed(id, {
+      enabled: customSeed == null && noun?.seed == null,
+    });
 
-    const nounAvatarUrl = useNounDataUri(noun?.seed ?? seed, {
+    const nounAvatarUrl = useNounDataUri(customSeed ?? noun?.seed ?? seed, {
       transparent,
     });
 
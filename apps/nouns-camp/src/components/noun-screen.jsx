@@ -85,7 +85,14 @@ const NounScreen = ({ nounId: eagerSpecifiedNounId }) => {
   return (
     <EmotionThemeProvider theme={getTheme("light")}>
       <Layout
-        actions={["create-menu"]}
+        actions={[
+          "create-menu",
+          {
+            key: "auction-history",
+            label: "History",
+            onSelect: () => navigate("/auction/history"),
+          },
+        ]}
         navigationStack={[
           {
             key: "noun",
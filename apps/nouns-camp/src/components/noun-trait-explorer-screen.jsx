@@ -0,0 +1,331 @@
+import React from "react";
+import NextLink from "next/link";
+import { css } from "@emotion/react";
+import { TRAIT_TYPES, getTraitName } from "@shades/common/nouns";
+import { array as arrayUtils } from "@shades/common/utils";
+import Button from "@shades/ui-web/button";
+import Link from "@shades/ui-web/link";
+import { CaretDown as CaretDownIcon } from "@shades/ui-web/icons";
+import { resolveIdentifier as resolveContractIdentifier } from "@/contracts";
+import {
+  filterNounsByTraits,
+  getTraitOptionCounts,
+  parseTraitFilters,
+} from "@/utils/noun-traits";
+import { useSearchParams } from "@/hooks/navigation";
+import useAllNouns from "@/hooks/all-nouns";
+import Layout, { MainContentContainer } from "@/components/layout";
+import NativeSelect from "@/components/native-select";
+import NounAvatar from "@/components/noun-avatar";
+import AccountPreviewPopoverTrigger from "@/components/account-preview-popover-trigger";
+
+const VISIBLE_NOUN_PAGE_SIZE = 60;
+
+const traitTypeLabels = {
+  background: "Background",
+  body: "Body",
+  accessory: "Accessory",
+  head: "Head",
+  glasses: "Glasses",
+};
+
+const formatPercentage = (rate) =>
+  rate < 0.01 ? "<1%" : `${Math.round(rate * 100)}%`;
+
+const NounTraitExplorerScreen = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = React.useMemo(
+    () => parseTraitFilters(searchParams),
+    [searchParams],
+  );
+
+  const [page, setPage] = React.useState(1);
+
+  const { nouns, error, isLoading } = useAllNouns();
+
+  const matchingNouns = React.useMemo(
+    () => (nouns == null ? [] : filterNounsByTraits(nouns, filters)),
+    [nouns, filters],
+  );
+
+  const optionCounts = React.useMemo(
+    () => (nouns == null ? null : getTraitOptionCounts(nouns, filters)),
+    [nouns, filters],
+  );
+
+  const visibleNouns = matchingNouns.slice(0, VISIBLE_NOUN_PAGE_SIZE * page);
+
+  const setFilter = (type, index) => {
+    setPage(1);
+    setSearchParams(
+      (p) => {
+        const newParams = new URLSearchParams(p);
+        if (index == null) newParams.delete(type);
+        else newParams.set(type, index);
+        return newParams;
+      },
+      { replace: true },
+    );
+  };
+
+  const hasFilters = Object.keys(filters).length > 0;
+
+  return (
+    <Layout navigationStack={[{ to: "/nouns", label: "Nouns" }]}>
+      <MainContentContainer>
+        <div
+          css={(t) =>
+            css({
+              padding: "0.8rem 1.6rem 3.2rem",
+              "@media (min-width: 600px)": {
+                padding: "6rem 1.6rem 12rem",
+              },
+              h1: {
+                fontSize: t.text.sizes.headerLarger,
+                fontWeight: t.text.weights.header,
+                color: t.colors.textHeader,
+                margin: "0 0 2.4rem",
+              },
+              "[data-hint]": {
+                fontSize: t.text.sizes.small,
+                color: t.colors.textDimmed,
+              },
+            })
+          }
+        >
+          <h1>Nouns</h1>
+
+          <div
+            css={(t) =>
+              css({
+                display: "flex",
+                flexWrap: "wrap",
+                gap: "0.8rem",
+                marginBottom: "1.6rem",
+                "[data-filter]": {
+                  padding: "0.4rem 0.8rem",
+                  borderRadius: "0.4rem",
+                  fontSize: t.text.sizes.small,
+                  background: t.colors.backgroundModifierNormal,
+                  "&[data-active]": {
+                    color: t.colors.textPrimary,
+                    fontWeight: t.text.weights.emphasis,
+                  },
+                },
+                "[data-label]": { color: t.colors.textDimmed },
+              })
+            }
+          >
+            {TRAIT_TYPES.map((type) => (
+              <TraitSelect
+                key={type}
+                type={type}
+                value={filters[type]}
+                options={optionCounts?.[type] ?? []}
+                onChange={(index) => setFilter(type, index)}
+                disabled={optionCounts == null}
+              />
+            ))}
+            {hasFilters && (
+              <Button
+                size="small"
+                variant="transparent"
+                onClick={() => {
+                  setPage(1);
+                  setSearchParams(
+                    (p) => {
+                      const newParams = new URLSearchParams(p);
+                      for (const type of TRAIT_TYPES) newParams.delete(type);
+                      return newParams;
+                    },
+                    { replace: true },
+                  );
+                }}
+              >
+                Clear filters
+              </Button>
+            )}
+          </div>
+
+          {nouns == null ? (
+            <p data-hint>
+              {error != null
+                ? "Failed to load Nouns"
+                : isLoading
+                  ? "Loading Nouns..."
+                  : null}
+            </p>
+          ) : (
+            <>
+              <p data-hint>
+                {hasFilters
+                  ? `${matchingNouns.length.toLocaleString()} of ${nouns.length.toLocaleString()} Nouns match (${formatPercentage(matchingNouns.length / nouns.length)})`
+                  : `${nouns.length.toLocaleString()} Nouns`}
+              </p>
+              {hasFilters && (
+                <p data-hint>
+                  {Object.entries(filters).map(([type, index], i) => {
+                    const { totalCount } = optionCounts[type][index];
+                    return (
+                      <React.Fragment key={type}>
+                        {i > 0 && " · "}
+                        {traitTypeLabels[type]} “{getTraitName(type, index)}”:{" "}
+                        {totalCount.toLocaleString()}{" "}
+                        {totalCount === 1 ? "Noun" : "Nouns"} (
+                        {formatPercentage(totalCount / nouns.length)})
+                      </React.Fragment>
+                    );
+                  })}
+                </p>
+              )}
+
+              <ul
+                css={css({
+                  listStyle: "none",
+                  display: "grid",
+                  gridTemplateColumns: "repeat(auto-fill, minmax(14rem, 1fr))",
+                  gap: "2rem 1.6rem",
+                  marginTop: "2.4rem",
+                })}
+              >
+                {visibleNouns.map((noun) => (
+                  <NounItem key={noun.id} noun={noun} />
+                ))}
+              </ul>
+
+              {matchingNouns.length > visibleNouns.length && (
+                <div css={{ textAlign: "center", padding: "3.2rem 0" }}>
+                  <Button
+                    size="small"
+                    onClick={() => {
+                      setPage((p) => p + 1);
+                    }}
+                  >
+                    Show more
+                  </Button>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </MainContentContainer>
+    </Layout>
+  );
+};
+
+const TraitSelect = ({ type, value, options, onChange, disabled }) => {
+  const sortedOptions = React.useMemo(
+    () => arrayUtils.sortBy((o) => o.name, options),
+    [options],
+  );
+
+  return (
+    <NativeSelect
+      data-filter
+      data-active={value != null || undefined}
+      value={value ?? ""}
+      disabled={disabled}
+      options={[
+        { value: "", label: `Any ${traitTypeLabels[type].toLowerCase()}` },
+        ...sortedOptions.map((o) => ({
+          value: o.index,
+          label: `${o.name} (${o.count})`,
+        })),
+      ]}
+      onChange={(e) => {
+        const index = parseInt(e.target.value);
+        onChange(Number.isNaN(index) ? null : index);
+      }}
+      renderSelectedOption={() => (
+        <>
+          <span data-label>{traitTypeLabels[type]}:</span>
+          &nbsp;
+          {value == null ? "Any" : getTraitName(type, value)}
+          <CaretDownIcon
+            style={{
+              display: "inline-block",
+              width: "0.9rem",
+              height: "auto",
+              marginLeft: "0.35em",
+            }}
+          />
+        </>
+      )}
+    />
+  );
+};
+
+const NounItem = ({ noun }) => {
+  const { address: auctionHouseAddress } =
+    resolveContractIdentifier("auction-house");
+
+  const isOnAuction = noun.ownerId === auctionHouseAddress;
+  const isDelegating =
+    noun.delegateId != null &&
+    noun.ownerId != null &&
+    noun.delegateId !== noun.ownerId;
+
+  return (
+    <li
+      css={(t) =>
+        css({
+          minWidth: 0,
+          fontSize: t.text.sizes.small,
+          ".avatar-link": { display: "block", marginBottom: "0.8rem" },
+          "[data-account]": {
+            overflow: "hidden",
+            textOverflow: "ellipsis",
+            whiteSpace: "nowrap",
+          },
+        })
+      }
+    >
+      <NextLink
+        href={isOnAuction ? "/auction" : `/nouns/${noun.id}`}
+        className="avatar-link"
+      >
+        <NounAvatar
+          id={noun.id}
+          seed={noun.seed}
+          signatureFallback={false}
+          size="100%"
+          style={{ aspectRatio: "1 / 1", height: "auto" }}
+        />
+      </NextLink>
+      <Link
+        underline
+        component={NextLink}
+        href={isOnAuction ? "/auction" : `/nouns/${noun.id}`}
+        css={(t) => css({ fontWeight: t.text.weights.emphasis })}
+      >
+        Noun {noun.id}
+      </Link>
+      {isOnAuction ? (
+        <div data-hint>On auction</div>
+      ) : (
+        noun.ownerId != null && (
+          <>
+            <div data-account>
+              <span data-hint>Owner</span>{" "}
+              <AccountPreviewPopoverTrigger
+                showAvatar
+                accountAddress={noun.ownerId}
+              />
+            </div>
+            {isDelegating && (
+              <div data-account>
+                <span data-hint>Delegate</span>{" "}
+                <AccountPreviewPopoverTrigger
+                  showAvatar
+                  accountAddress={noun.delegateId}
+                />
+              </div>
+            )}
+          </>
+        )
+      )}
+    </li>
+  );
+};
+
+export default NounTraitExplorerScreen;
@@ -0,0 +1,286 @@
+import React from "react";
+import { isAddress } from "viem";
+import { css } from "@emotion/react";
+import Button from "@shades/ui-web/button";
+import Input from "@shades/ui-web/input";
+import Switch from "@shades/ui-web/switch";
+import { useWallet } from "@/hooks/wallet";
+import {
+  usePropdateAdmin,
+  usePostPropdate,
+  useTransferPropdateAdmin,
+  useAcceptPropdateAdmin,
+} from "@/hooks/propdates-contract";
+import AddressInput from "@/components/address-input";
+import AccountPreviewPopoverTrigger from "@/components/account-preview-popover-trigger";
+import Callout from "@/components/callout";
+
+const MarkdownRichText = React.lazy(
+  () => import("@/components/markdown-rich-text"),
+);
+
+const PropdateForm = ({ proposalId, proposerId }) => {
+  const { address: connectedAccountAddress } = useWallet();
+  const propdateAdmin = usePropdateAdmin(proposalId);
+
+  if (propdateAdmin == null || connectedAccountAddress == null) return null;
+
+  const { admin, pendingAdmin, isCompleted, refetch } = propdateAdmin;
+  const connectedAccount = connectedAccountAddress.toLowerCase();
+
+  const isAdmin = admin === connectedAccount;
+  const isPendingAdmin = pendingAdmin === connectedAccount;
+  // The proposer can assign an admin as long as there is none
+  const canAssignAdmin = admin == null && proposerId === connectedAccount;
+
+  if (!isAdmin && !isPendingAdmin && !canAssignAdmin) return null;
+
+  return (
+    <Callout
+      css={(t) =>
+        css({
+          marginBottom: "3.2rem",
+          h2: {
+            fontSize: t.text.sizes.base,
+            fontWeight: t.text.weights.header,
+            margin: "0 0 0.8rem",
+          },
+          "[data-hint]": {
+            fontSize: t.text.sizes.small,
+            color: t.colors.textDimmed,
+          },
+          "* + h2": { marginTop: "2.4rem" },
+        })
+      }
+    >
+      {isAdmin && (
+        <>
+          <h2>Post propdate</h2>
+          {isCompleted && (
+            <p data-hint style={{ marginBottom: "1.2rem" }}>
+              This proposal is marked completed. You can still post updates.
+            </p>
+          )}
+          <PostForm
+            proposalId={proposalId}
+            isCompleted={isCompleted}
+            onPost={refetch}
+          />
+        </>
+      )}
+      {isPendingAdmin && (
+        <>
+          <h2>Propdate admin</h2>
+          <AcceptAdminForm proposalId={proposalId} onAccept={refetch} />
+        </>
+      )}
+      {(isAdmin || canAssignAdmin) && (
+        <>
+          <h2>
+            {isAdmin ? "Transfer propdate admin" : "Assign propdate admin"}
+          </h2>
+          <TransferAdminForm
+            proposalId={proposalId}
+            pendingAdmin={pendingAdmin}
+            onTransfer={refetch}
+          />
+        </>
+      )}
+    </Callout>
+  );
+};
+
+const PostForm = ({ proposalId, isCompleted, onPost }) => {
+  const [update, setUpdate] = React.useState("");
+  const [markCompleted, setMarkCompleted] = React.useState(false);
+  const [showPreview, setShowPreview] = React.useState(false);
+  const [hasPendingPost, setPendingPost] = React.useState(false);
+
+  const post = usePostPropdate(
+    proposalId,
+    { update, markCompleted },
+    { enabled: !hasPendingPost },
+  );
+
+  return (
+    <form
+      onSubmit={async (e) => {
+        e.preventDefault();
+        try {
+          setPendingPost(true);
+          await post();
+          setUpdate("");
+          setMarkCompleted(false);
+          setShowPreview(false);
+          onPost();
+        } catch (e) {
+          console.error(e);
+          alert("Ops, looks like something went wrong!");
+        } finally {
+          setPendingPost(false);
+        }
+      }}
+    >
+      {showPreview ? (
+        <div
+          css={(t) =>
+            css({
+              minHeight: "9.6rem",
+              padding: "1rem 1.2rem",
+              borderRadius: "0.6rem",
+              background: t.colors.backgroundModifierNormal,
+            })
+          }
+        >
+          {update.trim() === "" ? (
+            <span data-hint>Nothing to preview</span>
+          ) : (
+            <React.Suspense fallback={null}>
+              <MarkdownRichText text={update} />
+            </React.Suspense>
+          )}
+        </div>
+      ) : (
+        <Input
+          component="textarea"
+          rows={5}
+          value={update}
+          onChange={(e) => {
+            setUpdate(e.target.value);
+          }}
+          placeholder="What’s the latest on this proposal?"
+          hint="Markdown is supported"
+          disabled={hasPendingPost}
+        />
+      )}
+      <div
+        style={{
+          marginTop: "1.2rem",
+          display: "flex",
+          alignItems: "center",
+          gap: "0.8rem",
+        }}
+      >
+        {!isCompleted && (
+          <Switch
+            label="Mark completed"
+            size="small"
+            isSelected={markCompleted}
+            onChange={setMarkCompleted}
+            isDisabled={hasPendingPost}
+          />
+        )}
+        <div style={{ flex: 1, minWidth: 0 }} />
+        <Button
+          type="button"
+          size="small"
+          onClick={() => {
+            setShowPreview((s) => !s);
+          }}
+        >
+          {showPreview ? "Edit" : "Preview"}
+        </Button>
+        <Button
+          type="submit"
+          size="small"
+          variant="primary"
+          disabled={post == null || hasPendingPost}
+          isLoading={hasPendingPost}
+        >
+          Post update
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+const TransferAdminForm = ({ proposalId, pendingAdmin, onTransfer }) => {
+  const [newAdmin, setNewAdmin] = React.useState("");
+  const [hasPendingTransfer, setPendingTransfer] = React.useState(false);
+
+  const transfer = useTransferPropdateAdmin(proposalId, newAdmin, {
+    enabled: !hasPendingTransfer,
+  });
+
+  return (
+    <form
+      onSubmit={async (e) => {
+        e.preventDefault();
+        try {
+          setPendingTransfer(true);
+          await transfer();
+          setNewAdmin("");
+          onTransfer();
+        } catch (e) {
+          console.error(e);
+          alert("Ops, looks like something went wrong!");
+        } finally {
+          setPendingTransfer(false);
+        }
+      }}
+    >
+      {pendingAdmin != null && (
+        <p data-hint style={{ marginBottom: "1.2rem" }}>
+          Waiting for{" "}
+          <AccountPreviewPopoverTrigger accountAddress={pendingAdmin} /> to
+          accept the role.
+        </p>
+      )}
+      <AddressInput
+        value={newAdmin}
+        onChange={setNewAdmin}
+        disabled={hasPendingTransfer}
+        hint="The new admin has to accept the role before they can post"
+      />
+      <Button
+        type="submit"
+        size="small"
+        style={{ marginTop: "1.2rem" }}
+        disabled={
+          !isAddress(newAdmin) || transfer == null || hasPendingTransfer
+        }
+        isLoading={hasPendingTransfer}
+      >
+        Transfer
+      </Button>
+    </form>
+  );
+};
+
+const AcceptAdminForm = ({ proposalId, onAccept }) => {
+  const [hasPendingAccept, setPendingAccept] = React.useState(false);
+
+  const accept = useAcceptPropdateAdmin(proposalId, {
+    enabled: !hasPendingAccept,
+  });
+
+  return (
+    <>
+      <p data-hint style={{ marginBottom: "1.2rem" }}>
+        You’ve been asked to post updates for this proposal.
+      </p>
+      <Button
+        size="small"
+        variant="primary"
+        disabled={accept == null || hasPendingAccept}
+        isLoading={hasPendingAccept}
+        onClick={async () => {
+          try {
+            setPendingAccept(true);
+            await accept();
+            onAccept();
+          } catch (e) {
+            console.error(e);
+            alert("Ops, looks like something went wrong!");
+          } finally {
+            setPendingAccept(false);
+          }
+        }}
+      >
+        Accept admin role
+      </Button>
+    </>
+  );
+};
+
+export default PropdateForm;
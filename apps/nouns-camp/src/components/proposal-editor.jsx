@@ -22,6 +22,7 @@ import Link from "@shades/ui-web/link";
 import Dialog from "@shades/ui-web/dialog";
 import DialogHeader from "@shades/ui-web/dialog-header";
 import { resolveAction as resolveActionTransactions } from "@/utils/transactions";
+import { resolveCurrency } from "@/tokens";
 import useContract from "@/hooks/contract";
 import useKeyboardShortcuts from "@/hooks/keyboard-shortcuts";
 import RichTextEditor, {
@@ -623,17 +624,12 @@ const FixedBottomToolbar = ({ isVisible = false, onFocus, onBlur }) => {
   );
 };
 
-const currencyFractionDigits = {
-  eth: [1, 4],
-  weth: [1, 4],
-  usdc: [2, 2],
-};
-
 const ActionSummary = ({ action: a }) => {
   switch (a.type) {
     case "one-time-payment": {
+      const token = resolveCurrency(a.currency);
       const [minimumFractionDigits, maximumFractionDigits] =
-        currencyFractionDigits[a.currency];
+        token.fractionDigits;
 
       return (
         <>
@@ -644,7 +640,7 @@ const ActionSummary = ({ action: a }) => {
               minimumFractionDigits={minimumFractionDigits}
               maximumFractionDigits={maximumFractionDigits}
             />{" "}
-            {a.currency.toUpperCase()}
+            {token.symbol}
           </em>{" "}
           to{" "}
           <em>
@@ -655,8 +651,9 @@ const ActionSummary = ({ action: a }) => {
     }
 
     case "streaming-payment": {
+      const token = resolveCurrency(a.currency);
       const [minimumFractionDigits, maximumFractionDigits] =
-        currencyFractionDigits[a.currency];
+        token.fractionDigits;
 
       return (
         <>
@@ -667,7 +664,7 @@ const ActionSummary = ({ action: a }) => {
               minimumFractionDigits={minimumFractionDigits}
               maximumFractionDigits={maximumFractionDigits}
             />{" "}
-            {a.currency.toUpperCase()}
+            {token.symbol}
           </em>{" "}
           to{" "}
           <em>
@@ -905,6 +902,15 @@ const ActionListItem = ({
           </>
         );
 
+      case "token-stream-funding":
+        return (
+          <>
+            This funds the stream with the requested{" "}
+            {resolveCurrency(t.currency).symbol} amount, transfered from the
+            treasury.
+          </>
+        );
+
       case "proxied-function-call":
       case "function-call":
       case "payable-function-call":
@@ -913,10 +919,15 @@ const ActionListItem = ({
       case "usdc-approval":
       case "weth-transfer":
       case "steth-transfer":
+      case "token-transfer":
       case "weth-approval":
       case "payer-top-up":
       case "treasury-noun-transfer":
       case "escrow-noun-transfer":
+      case "dao-parameter-change":
+      case "auction-house-parameter-change":
+      case "token-parameter-change":
+      case "descriptor-parameter-change":
         return null;
 
       case "unparsed-function-call":
@@ -6,7 +6,9 @@ import Dialog from "@shades/ui-web/dialog";
 import DialogHeader from "@shades/ui-web/dialog-header";
 import Button from "@shades/ui-web/button";
 import { isNodeEmpty as isRichTextNodeEmpty } from "@shades/ui-web/rich-text-editor";
+import { parse as parseDraftFile } from "@/utils/drafts";
 import { useCollection as useDrafts } from "@/hooks/drafts";
+import { useNavigate } from "@/hooks/navigation";
 import ProposalList from "@/components/sectioned-list";
 
 const ProposalOrTopicDraftsDialog = ({ isOpen, close }) => {
@@ -24,12 +26,49 @@ const ProposalOrTopicDraftsDialog = ({ isOpen, close }) => {
 };
 
 const Content = ({ titleProps, dismiss }) => {
-  const { items: proposalDrafts } = useDrafts();
+  const navigate = useNavigate();
+  const { items: proposalDrafts, createItem: createDraft } = useDrafts();
+
+  const fileInputRef = React.useRef();
+
+  const importDraft = async (file) => {
+    try {
+      const draft = createDraft(parseDraftFile(await file.text()));
+      dismiss();
+      navigate(`/new/${draft.id}`);
+    } catch (e) {
+      alert(`Could not import draft: ${e.message}`);
+    }
+  };
+
+  const importButton = (
+    <>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,.md,application/json,text/markdown"
+        hidden
+        onChange={(e) => {
+          const [file] = e.target.files;
+          e.target.value = "";
+          if (file != null) importDraft(file);
+        }}
+      />
+      <Button
+        onClick={() => {
+          fileInputRef.current.click();
+        }}
+      >
+        Import draft
+      </Button>
+    </>
+  );
 
   const filteredSortedProposalDrafts = React.useMemo(() => {
     if (proposalDrafts == null) return [];
     const filteredItems = proposalDrafts.filter((d) => {
       if (d.name.trim() !== "") return true;
+      if (typeof d.body === "string") return d.body.trim() !== "";
       return d.body.some((n) => !isRichTextNodeEmpty(n, { trim: true }));
     });
     return arrayUtils.sortBy(
@@ -60,7 +99,18 @@ const Content = ({ titleProps, dismiss }) => {
       />
       <main>
         {hasDrafts ? (
-          <ProposalList items={filteredSortedProposalDrafts} />
+          <>
+            <ProposalList items={filteredSortedProposalDrafts} />
+            <div
+              css={css({
+                display: "flex",
+                justifyContent: "flex-end",
+                marginTop: "1.6rem",
+              })}
+            >
+              {importButton}
+            </div>
+          </>
         ) : (
           <div
             css={(t) =>
@@ -79,7 +129,7 @@ const Content = ({ titleProps, dismiss }) => {
                 ".button-grid": {
                   marginTop: "3.2rem",
                   display: "grid",
-                  gridTemplateColumns: "repeat(2, minmax(0,1fr))",
+                  gridTemplateColumns: "repeat(3, minmax(0,1fr))",
                   justifyContent: "center",
                   gap: "1.6rem",
                 },
@@ -99,6 +149,7 @@ const Content = ({ titleProps, dismiss }) => {
                 <Button component={NextLink} href="/new?topic=1" prefetch>
                   New topic
                 </Button>
+                {importButton}
               </div>
             </div>
           </div>
@@ -32,6 +32,7 @@ import {
   useProposalCandidateCreateCost,
 } from "@/hooks/data-contract";
 import { useCurrentVotes } from "@/hooks/token-contract";
+import { usePublishDraft, buildSharedDraftUrl } from "@/hooks/shared-drafts";
 import { useDialog } from "@/hooks/global-dialogs";
 import {
   isNodeEmpty as isRichTextEditorNodeEmpty,
@@ -60,6 +61,11 @@ const Content = ({ draftId, startNavigationTransition }) => {
     draft.actions == null ? "topic" : "proposal",
   );
   const [hasPendingRequest, setPendingRequest] = React.useState(false);
+  const [hasPendingShareRequest, setPendingShareRequest] =
+    React.useState(false);
+
+  const { publish: publishDraft, unpublish: unpublishDraft } =
+    usePublishDraft(draftId);
 
   const {
     fetchProposal,
@@ -251,6 +257,43 @@ const Content = ({ draftId, startNavigationTransition }) => {
     }
   };
 
+  const share = async () => {
+    setPendingShareRequest(true);
+    try {
+      const sharedDraft = await publishDraft();
+      const url = buildSharedDraftUrl(sharedDraft.id);
+      await navigator.clipboard.writeText(url).catch(() => {});
+      alert(
+        `Link copied! Anyone with the link can view the draft, and fork it into their own drafts.\n\n${url}`,
+      );
+    } catch (e) {
+      if (e.message?.includes("User rejected the request")) return;
+      console.error(e);
+      if (e.message === "too-many-drafts") {
+        alert(
+          "You’ve reached the limit of shared drafts. Stop sharing some of your other drafts and try again.",
+        );
+        return;
+      }
+      alert("Ops, looks like something went wrong sharing your draft!");
+    } finally {
+      setPendingShareRequest(false);
+    }
+  };
+
+  const unshare = async () => {
+    if (!confirm("Are you sure you wish to stop sharing this draft?")) return;
+    setPendingShareRequest(true);
+    try {
+      await unpublishDraft();
+    } catch (e) {
+      console.error(e);
+      alert("Ops, looks like something went wrong!");
+    } finally {
+      setPendingShareRequest(false);
+    }
+  };
+
   const discard = () => {
     if (!confirm("Are you sure you wish to discard this draft?")) return;
 
@@ -275,7 +318,27 @@ const Content = ({ draftId, startNavigationTransition }) => {
           },
           { to: `/new/${draftId}`, label: draft?.name || "Untitled draft" },
         ]}
-        // actions={[]}
+        actions={[
+          "create-menu",
+          draft.sharedId != null && {
+            key: "unshare-draft",
+            label: "Unshare",
+            onSelect: unshare,
+            desktopOnly: true,
+            buttonProps: { disabled: hasPendingShareRequest },
+          },
+          {
+            key: "share-draft",
+            label: draft.sharedId == null ? "Share" : "Update shared draft",
+            onSelect: share,
+            buttonProps: {
+              isLoading: hasPendingShareRequest,
+              disabled: hasPendingShareRequest,
+            },
+          },
+          "treasury-dialog-trigger",
+          "auction-dialog-trigger",
+        ].filter(Boolean)}
       >
         {submitTargetType === "topic" ? (
           <div
@@ -40,6 +40,11 @@ import {
   isExecutable as isProposalExecutable,
   getLatestVersionBlock,
   isActiveState,
+  getDynamicQuorumParams,
+  getMaxQuorumVotes,
+  getAgainstVotesRequiredForMaxQuorum,
+  getForVotesRequiredToPass,
+  projectDynamicQuorum,
 } from "@/utils/proposals";
 import {
   useProposal,
@@ -80,27 +85,37 @@ import Callout from "@/components/callout";
 import * as Tabs from "@/components/tabs";
 import TransactionList, {
   FormattedEthWithConditionalTooltip,
+  FormattedTokenAmount,
 } from "@/components/transaction-list";
 import ProposalActionForm from "@/components/proposal-action-form";
+import PropdateForm from "@/components/propdate-form";
 import { useProposalSimulation } from "@/hooks/simulation";
 import useTreasuryData from "@/hooks/treasury-data";
 import FormattedNumber from "@/components/formatted-number";
 import { useStreamData } from "@/hooks/stream-contract";
 import { resolveIdentifier } from "@/contracts";
+import { resolveCurrency, resolveTokenAddress } from "@/tokens";
 import { buildEtherscanLink } from "@/utils/etherscan";
 import getDateYear from "date-fns/getYear";
 import StreamsDialog from "@/components/streams-dialog";
 import datesDifferenceInDays from "date-fns/differenceInCalendarDays";
 import NativeSelect from "@/components/native-select";
+import ProposalTags from "@/components/proposal-tags";
 import { useDialog } from "@/hooks/global-dialogs";
 import useScrollToElement from "@/hooks/scroll-to-element";
 import { useCachedProposalPost } from "@/hooks/cached-post";
 import { getClientData } from "@/client";
 
 const ActivityFeed = React.lazy(() => import("@/components/activity-feed"));
+const DiscussionThreads = React.lazy(
+  () => import("@/components/discussion-threads"),
+);
 const ProposalEditDialog = React.lazy(
   () => import("@/components/proposal-edit-dialog"),
 );
+const ProposalVoteSimulator = React.lazy(
+  () => import("@/components/proposal-vote-simulator"),
+);
 const MarkdownRichText = React.lazy(
   () => import("@/components/markdown-rich-text"),
 );
@@ -770,6 +785,10 @@ const ProposalMainSection = ({ proposalId, scrollContainerRef }) => {
                 >
                   <Tabs.Item key="activity" title="Activity">
                     <div style={{ padding: "3.2rem 0 4rem" }}>
+                      <PropdateForm
+                        proposalId={proposalId}
+                        proposerId={proposal.proposerId}
+                      />
                       <ProposalActionForm {...actionFormProps} />
                     </div>
 
@@ -779,6 +798,13 @@ const ProposalMainSection = ({ proposalId, scrollContainerRef }) => {
                       </React.Suspense>
                     )}
                   </Tabs.Item>
+                  <Tabs.Item key="discussion" title="Discussion">
+                    <div style={{ padding: "3.2rem 0 4rem" }}>
+                      <React.Suspense fallback={null}>
+                        <DiscussionThreads items={feedItems} />
+                      </React.Suspense>
+                    </div>
+                  </Tabs.Item>
                   <Tabs.Item key="transactions" title="Transactions">
                     <div style={{ paddingTop: "3.2rem" }}>
                       {proposal.transactions != null && (
@@ -788,10 +814,20 @@ const ProposalMainSection = ({ proposalId, scrollContainerRef }) => {
                             simulation: simulationResults?.[i],
                           }))}
                           isSimulationRunning={simulationIsFetching}
+                          isExecuted={proposal.state === "executed"}
                         />
                       )}
                     </div>
                   </Tabs.Item>
+                  {isVotingOngoing && (
+                    <Tabs.Item key="what-if" title="What if">
+                      <div style={{ padding: "3.2rem 0 4rem" }}>
+                        <React.Suspense fallback={null}>
+                          <ProposalVoteSimulator proposalId={proposalId} />
+                        </React.Suspense>
+                      </div>
+                    </Tabs.Item>
+                  )}
                 </Tabs.Root>
               </div>
             )
@@ -891,6 +927,7 @@ const ProposalMainSection = ({ proposalId, scrollContainerRef }) => {
               createdAt={proposal.createdTimestamp}
               updatedAt={proposal.lastUpdatedTimestamp}
               transactions={proposal.transactions}
+              tagTarget={{ type: "proposal", id: proposalId }}
               hasPassed={isFinalOrSucceededState}
               hasSucceeded={isSucceededProposalState(proposal.state)}
               actionItems={[
@@ -1118,12 +1155,17 @@ const ProposalMainSection = ({ proposalId, scrollContainerRef }) => {
                             simulation: simulationResults?.[i],
                           }))}
                           isSimulationRunning={simulationIsFetching}
+                          isExecuted={proposal.state === "executed"}
                         />
                       )}
                     </div>
                   </Tabs.Item>
                   <Tabs.Item key="activity" title="Activity">
                     <div style={{ padding: "2.4rem 0 6.4rem" }}>
+                      <PropdateForm
+                        proposalId={proposalId}
+                        proposerId={proposal.proposerId}
+                      />
                       <ProposalActionForm size="small" {...actionFormProps} />
 
                       {feedItems.length !== 0 && (
@@ -1135,6 +1177,22 @@ const ProposalMainSection = ({ proposalId, scrollContainerRef }) => {
                       )}
                     </div>
                   </Tabs.Item>
+                  <Tabs.Item key="discussion" title="Discussion">
+                    <div style={{ padding: "2.4rem 0 6.4rem" }}>
+                      <React.Suspense fallback={null}>
+                        <DiscussionThreads items={feedItems} />
+                      </React.Suspense>
+                    </div>
+                  </Tabs.Item>
+                  {isVotingOngoing && (
+                    <Tabs.Item key="what-if" title="What if">
+                      <div style={{ padding: "3.2rem 0 6.4rem" }}>
+                        <React.Suspense fallback={null}>
+                          <ProposalVoteSimulator proposalId={proposalId} />
+                        </React.Suspense>
+                      </div>
+                    </Tabs.Item>
+                  )}
                 </Tabs.Root>
               </>
             )}
@@ -1153,6 +1211,7 @@ export const ProposalHeader = ({
   proposerId,
   sponsorIds = [],
   transactions = [],
+  tagTarget,
   hasPassed,
   hasSucceeded,
   actionItems = [],
@@ -1185,6 +1244,7 @@ export const ProposalHeader = ({
     const { balances, totals, rates, aprs } = treasuryData;
 
     const usdcToEth = (usdc) => (usdc * rates.usdcEth) / 10n ** 6n;
+    const rethToEth = (reth) => (reth * rates.rethEth) / 10n ** 18n;
 
     const totalAskInEth = requestedAmounts.reduce(
       (sum, { currency, amount }) => {
@@ -1192,13 +1252,15 @@ export const ProposalHeader = ({
           case "eth":
           case "weth":
           case "steth":
+          case "wsteth": // Close enough
             return sum + amount;
           case "usdc":
             return sum + usdcToEth(amount);
-          case "nouns":
-            return sum;
+          case "reth":
+            return sum + rethToEth(amount);
+          // No reliable ETH rate for Nouns, or $nouns
           default:
-            throw new Error();
+            return sum;
         }
       },
       0n,
@@ -1360,6 +1422,15 @@ export const ProposalHeader = ({
             />
           </>
         )}
+        {tagTarget != null && (
+          <ProposalTags
+            targetType={tagTarget.type}
+            targetId={tagTarget.id}
+            proposerId={proposerId}
+            transactions={transactions}
+            style={{ marginTop: "0.8rem" }}
+          />
+        )}
         {requestedAmounts.length !== 0 && (
           <div style={{ marginTop: "1.6rem" }}>
             <Callout
@@ -1618,8 +1689,11 @@ const RequestedAmounts = ({ amounts }) => (
               <>{tokens.length} nouns</>
             );
 
-          default:
-            throw new Error();
+          default: {
+            const token = resolveCurrency(currency);
+            if (token == null) throw new Error();
+            return <FormattedTokenAmount value={amount} token={token} />;
+          }
         }
       };
 
@@ -1693,8 +1767,16 @@ const StreamStatus = ({ transaction }) => {
             localeFormatting
           />
         );
-      default:
-        throw new Error("Unsupported token", token);
+      default: {
+        const paymentToken = resolveTokenAddress(token);
+        if (paymentToken == null) throw new Error("Unsupported token", token);
+        return (
+          <FormattedTokenAmount
+            value={BigInt(vestedAmount)}
+            token={paymentToken}
+          />
+        );
+      }
     }
   }, [vestedAmount, token, wethTokenContract, usdcTokenContract]);
 
@@ -1865,6 +1947,7 @@ const ProposalScreen = ({ proposalId }) => {
     <ScreenContext.Provider value={screenContextValue}>
       <Layout
         scrollContainerRef={scrollContainerRef}
+        subscription={{ type: "proposal", id: proposalId }}
         navigationStack={[
           { to: "/proposals", label: "Proposals", desktopOnly: true },
           {
@@ -2104,10 +2187,23 @@ const ProposalVoteStatusBar = React.memo(({ proposalId, hasVotingEnded }) => {
   const proposal = useProposal(proposalId);
 
   const quorumVotes = useProposalDynamicQuorum(proposalId);
-  const quorumParams = useDynamicQuorumParamsAt(proposal?.createdBlock);
+  const chainQuorumParams = useDynamicQuorumParamsAt(proposal?.createdBlock);
 
   const { forVotes, againstVotes, abstainVotes } = proposal;
 
+  const quorumParams =
+    chainQuorumParams == null || proposal.adjustedTotalSupply == null
+      ? getDynamicQuorumParams(proposal)
+      : {
+          ...chainQuorumParams,
+          adjustedTotalSupply: proposal.adjustedTotalSupply,
+        };
+
+  const forVotesRequiredToPass =
+    quorumVotes == null
+      ? null
+      : getForVotesRequiredToPass({ forVotes, againstVotes, quorumVotes });
+
   return (
     <div
       css={css({
@@ -2179,14 +2275,9 @@ const ProposalVoteStatusBar = React.memo(({ proposalId, hasVotingEnded }) => {
             <>&nbsp;</>
           ) : (
             (() => {
-              if (proposal.adjustedTotalSupply == null || quorumVotes == null)
-                return <>Quorum {quorumVotes}</>;
+              if (quorumParams == null) return <>Quorum {quorumVotes}</>;
 
-              const maxQuorumVotes = Math.floor(
-                (proposal.adjustedTotalSupply *
-                  quorumParams.maxQuorumVotesBPS) /
-                  10000,
-              );
+              const maxQuorumVotes = getMaxQuorumVotes(quorumParams);
 
               const triggerContent = (
                 <>
@@ -2197,31 +2288,37 @@ const ProposalVoteStatusBar = React.memo(({ proposalId, hasVotingEnded }) => {
                     ) : (
                       "(max)"
                     )}
+                    {!hasVotingEnded && forVotesRequiredToPass > 0 && (
+                      <>
+                        {" "}
+                        &middot; {forVotesRequiredToPass} more for{" "}
+                        {forVotesRequiredToPass === 1 ? "vote" : "votes"} to
+                        pass
+                      </>
+                    )}
                   </span>
                 </>
               );
 
               const tooltipContent = (() => {
-                const {
-                  minQuorumVotesBPS,
-                  maxQuorumVotesBPS,
-                  quorumCoefficient,
-                } = quorumParams;
-
-                const againstVotesBPSRequiredForMaxQuorum =
-                  ((maxQuorumVotesBPS - minQuorumVotesBPS) * 1e6) /
-                  quorumCoefficient;
-                const againstVotesRequiredForMaxQuorum = Math.ceil(
-                  (againstVotesBPSRequiredForMaxQuorum *
-                    proposal.adjustedTotalSupply) /
-                    10000,
-                );
+                const againstVotesRequiredForMaxQuorum =
+                  getAgainstVotesRequiredForMaxQuorum(quorumParams);
+                const [nextQuorumStep] = hasVotingEnded
+                  ? []
+                  : projectDynamicQuorum(quorumParams, { againstVotes });
                 return (
                   <>
                     <p>
                       The amount of for-votes required to pass a proposal is
                       based on the amount of against-votes.
                     </p>
+                    {nextQuorumStep != null && (
+                      <p>
+                        The quorum rises to{" "}
+                        <em>{nextQuorumStep.quorumVotes}</em> at{" "}
+                        <em>{nextQuorumStep.againstVotes}</em> against-votes.
+                      </p>
+                    )}
                     <p css={(t) => css({ color: t.colors.textDimmed })}>
                       {quorumVotes < maxQuorumVotes ? (
                         <>
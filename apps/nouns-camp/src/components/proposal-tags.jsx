@@ -0,0 +1,273 @@
+import React from "react";
+import { css } from "@emotion/react";
+import Dialog from "@shades/ui-web/dialog";
+import DialogHeader from "@shades/ui-web/dialog-header";
+import Button from "@shades/ui-web/button";
+import Select from "@shades/ui-web/select";
+import InlineButton from "@shades/ui-web/inline-button";
+import * as Tooltip from "@shades/ui-web/tooltip";
+import {
+  MAX_MANUAL_TAG_COUNT,
+  TAGS,
+  combineTags,
+  getSuggestedTags,
+  getTitle as getTagTitle,
+} from "@/utils/tags";
+import { useDelegate, useDelegateFetch } from "@/store";
+import { useWallet } from "@/hooks/wallet";
+import { useSetTags, useTagEntries } from "@/hooks/tags";
+import Tag from "@/components/tag";
+
+const describeSources = ({ isSuggested, isSetByProposer, accountIds }) => {
+  const delegateCount = accountIds.length - (isSetByProposer ? 1 : 0);
+  return [
+    isSuggested && "Suggested from the proposed actions",
+    isSetByProposer && "Set by the proposer",
+    delegateCount > 0 &&
+      `Tagged by ${delegateCount} ${delegateCount === 1 ? "delegate" : "delegates"}`,
+  ].filter(Boolean);
+};
+
+// Tags of a proposal or candidate, with controls for the proposer and
+// delegates to set their own
+const ProposalTags = ({
+  targetType,
+  targetId,
+  proposerId,
+  transactions,
+  ...props
+}) => {
+  const { address: connectedAccountAddress } = useWallet();
+  const connectedDelegate = useDelegate(connectedAccountAddress);
+  useDelegateFetch(connectedAccountAddress);
+
+  const entriesByTargetId = useTagEntries(targetType);
+  const entriesByAccountId = entriesByTargetId?.[targetId.toLowerCase()];
+
+  const [isEditing, setEditing] = React.useState(false);
+
+  const tags = combineTags({ transactions, proposerId, entriesByAccountId });
+
+  const canEdit =
+    connectedAccountAddress != null &&
+    (connectedAccountAddress === proposerId?.toLowerCase() ||
+      connectedDelegate?.delegatedVotes > 0);
+
+  if (tags.length === 0 && !canEdit) return null;
+
+  return (
+    <div
+      css={css({
+        display: "flex",
+        flexWrap: "wrap",
+        alignItems: "center",
+        gap: "0.4rem",
+      })}
+      {...props}
+    >
+      {tags.map((tag) => (
+        <Tooltip.Root key={tag.key}>
+          <Tooltip.Trigger asChild>
+            <span style={{ display: "inline-flex" }}>
+              <Tag
+                size="large"
+                variant={tag.isSuggested ? undefined : "active"}
+              >
+                {getTagTitle(tag.key)}
+              </Tag>
+            </span>
+          </Tooltip.Trigger>
+          <Tooltip.Content side="top" sideOffset={6}>
+            {describeSources(tag).map((description) => (
+              <p key={description}>{description}</p>
+            ))}
+          </Tooltip.Content>
+        </Tooltip.Root>
+      ))}
+      {canEdit && (
+        <InlineButton
+          variant="link"
+          onClick={() => {
+            setEditing(true);
+          }}
+          css={(t) => css({ fontSize: t.text.sizes.small })}
+        >
+          {entriesByAccountId?.[connectedAccountAddress] == null
+            ? "Add tags"
+            : "Edit tags"}
+        </InlineButton>
+      )}
+      {isEditing && (
+        <EditTagsDialog
+          isOpen
+          close={() => {
+            setEditing(false);
+          }}
+          targetType={targetType}
+          targetId={targetId}
+          accountAddress={connectedAccountAddress}
+          initialTags={entriesByAccountId?.[connectedAccountAddress]?.tags}
+          suggestedTags={getSuggestedTags(transactions)}
+        />
+      )}
+    </div>
+  );
+};
+
+const EditTagsDialog = ({ isOpen, close, ...props }) => (
+  <Dialog
+    isOpen={isOpen}
+    onRequestClose={() => {
+      close();
+    }}
+    width="44rem"
+  >
+    {(dialogProps) => (
+      <EditTagsContent dismiss={close} {...dialogProps} {...props} />
+    )}
+  </Dialog>
+);
+
+const EditTagsContent = ({
+  titleProps,
+  dismiss,
+  targetType,
+  targetId,
+  accountAddress,
+  initialTags = [],
+  suggestedTags,
+}) => {
+  const [selectedTags, setSelectedTags] = React.useState(initialTags);
+  const [hasPendingSubmit, setPendingSubmit] = React.useState(false);
+  const [error, setError] = React.useState(null);
+
+  const setTags = useSetTags(targetType, targetId);
+
+  const hasChanges =
+    selectedTags.length !== initialTags.length ||
+    selectedTags.some((t) => !initialTags.includes(t));
+
+  const toggle = (key) => {
+    setSelectedTags((tags) =>
+      tags.includes(key) ? tags.filter((t) => t !== key) : [...tags, key],
+    );
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setPendingSubmit(true);
+    try {
+      // Keep vocabulary order, for stable signed messages
+      await setTags({
+        address: accountAddress,
+        tags: TAGS.map((t) => t.key).filter((k) => selectedTags.includes(k)),
+      });
+      dismiss();
+    } catch (e) {
+      if (e.message?.includes("User rejected the request")) return;
+      console.error(e);
+      setError(
+        e.message === "forbidden"
+          ? "Only the proposer and accounts with voting power may add tags."
+          : "Could not save tags, please try again.",
+      );
+    } finally {
+      setPendingSubmit(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={submit}
+      css={(t) =>
+        css({
+          padding: "1.6rem",
+          "@media (min-width: 600px)": {
+            padding: "2rem",
+          },
+          "[data-hint]": {
+            fontSize: t.text.sizes.small,
+            color: t.colors.textDimmed,
+          },
+          "[data-error]": {
+            fontSize: t.text.sizes.small,
+            color: t.colors.textNegative,
+            marginTop: "1.2rem",
+          },
+        })
+      }
+    >
+      <DialogHeader title="Tags" titleProps={titleProps} dismiss={dismiss} />
+      <p data-hint style={{ marginBottom: "1.6rem" }}>
+        Pick up to {MAX_MANUAL_TAG_COUNT} tags. Your selection is signed with
+        your wallet and shown alongside tags suggested from the proposed actions
+        {suggestedTags.length > 0 && (
+          <> ({suggestedTags.map((t) => getTagTitle(t)).join(", ")})</>
+        )}
+        .
+      </p>
+      <div css={css({ display: "flex", flexWrap: "wrap", gap: "0.8rem" })}>
+        {TAGS.map((tag) => {
+          const isSelected = selectedTags.includes(tag.key);
+          return (
+            <Button
+              key={tag.key}
+              type="button"
+              size="small"
+              variant={isSelected ? "primary" : "default"}
+              aria-pressed={isSelected}
+              disabled={
+                !isSelected && selectedTags.length >= MAX_MANUAL_TAG_COUNT
+              }
+              onClick={() => {
+                toggle(tag.key);
+              }}
+            >
+              {tag.title}
+            </Button>
+          );
+        })}
+      </div>
+      {error != null && <p data-error>{error}</p>}
+      <footer
+        css={css({
+          display: "flex",
+          justifyContent: "flex-end",
+          gap: "1rem",
+          paddingTop: "2.4rem",
+        })}
+      >
+        <Button type="button" onClick={dismiss}>
+          Cancel
+        </Button>
+        <Button
+          type="submit"
+          variant="primary"
+          disabled={!hasChanges || hasPendingSubmit}
+          isLoading={hasPendingSubmit}
+        >
+          Sign and save
+        </Button>
+      </footer>
+    </form>
+  );
+};
+
+export const TagFilterSelect = ({ value, onChange, ...props }) => (
+  <Select
+    aria-label="Tag"
+    value={value ?? "all"}
+    options={[
+      { value: "all", label: "All tags" },
+      ...TAGS.map((t) => ({ value: t.key, label: t.title })),
+    ]}
+    onChange={(value) => {
+      onChange(value === "all" ? null : value);
+    }}
+    fullWidth
+    {...props}
+  />
+);
+
+export default ProposalTags;
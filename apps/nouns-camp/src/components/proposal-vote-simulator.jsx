@@ -0,0 +1,286 @@
+import React from "react";
+import { css } from "@emotion/react";
+import { array as arrayUtils } from "@shades/common/utils";
+import Button from "@shades/ui-web/button";
+import { useDelegates, useDelegatesFetch, useProposal } from "@/store";
+import {
+  applyHypotheticalVotes,
+  getForVotesRequiredToPass,
+  getOutcomeState,
+  getQuorumVotes,
+  getStateLabel,
+} from "@/utils/proposals";
+import { usePriorVotesByAccount } from "@/hooks/token-contract";
+import AccountPreviewPopoverTrigger from "@/components/account-preview-popover-trigger";
+import VotingBar from "@/components/voting-bar";
+
+const QUICK_SELECTION_COUNT = 10;
+
+const supportOptions = [
+  { support: 1, label: "For" },
+  { support: 0, label: "Against" },
+  { support: 2, label: "Abstain" },
+];
+
+const ProposalVoteSimulator = ({ proposalId }) => {
+  const proposal = useProposal(proposalId);
+  const delegates = useDelegates();
+
+  // Delegate id -> hypothetical support
+  const [supportByDelegateId, setSupportByDelegateId] = React.useState({});
+
+  useDelegatesFetch();
+
+  const nonVoterIds = React.useMemo(() => {
+    const voterIds = new Set(
+      (proposal?.votes ?? []).map((v) => v.voterId.toLowerCase()),
+    );
+    return delegates
+      .filter((d) => d.nounsRepresented?.length > 0 && !voterIds.has(d.id))
+      .map((d) => d.id);
+  }, [delegates, proposal?.votes]);
+
+  // Voting power is snapshotted when voting starts
+  const priorVotesByDelegateId = usePriorVotesByAccount({
+    accounts: nonVoterIds,
+    blockNumber: proposal?.startBlock,
+  });
+
+  const nonVoters = React.useMemo(() => {
+    const delegatesById = arrayUtils.indexBy((d) => d.id, delegates);
+    return arrayUtils.sortBy(
+      { value: (d) => d.votes, order: "desc" },
+      { value: (d) => d.id },
+      nonVoterIds
+        .map((id) => ({
+          id,
+          votes:
+            priorVotesByDelegateId[id] ??
+            delegatesById[id].nounsRepresented.length,
+        }))
+        .filter((d) => d.votes > 0),
+    );
+  }, [delegates, nonVoterIds, priorVotesByDelegateId]);
+
+  if (proposal == null) return null;
+
+  const hypotheticalVotes = nonVoters
+    .filter((d) => supportByDelegateId[d.id] != null)
+    .map((d) => ({
+      voterId: d.id,
+      support: supportByDelegateId[d.id],
+      votes: d.votes,
+    }));
+
+  const simulatedProposal = applyHypotheticalVotes(proposal, hypotheticalVotes);
+  const { forVotes, againstVotes, abstainVotes } = simulatedProposal;
+  const quorumVotes = getQuorumVotes(simulatedProposal);
+  const forVotesRequiredToPass = getForVotesRequiredToPass({
+    forVotes,
+    againstVotes,
+    quorumVotes,
+  });
+  const outcomeState = getOutcomeState(simulatedProposal);
+
+  const setSupport = (delegateId, support) =>
+    setSupportByDelegateId((supportByDelegateId) => {
+      const next = { ...supportByDelegateId };
+      if (next[delegateId] === support) delete next[delegateId];
+      else next[delegateId] = support;
+      return next;
+    });
+
+  const setTopNonVotersSupport = (support) =>
+    setSupportByDelegateId((supportByDelegateId) => {
+      const next = { ...supportByDelegateId };
+      for (const { id } of nonVoters.slice(0, QUICK_SELECTION_COUNT))
+        next[id] = support;
+      return next;
+    });
+
+  return (
+    <div
+      css={(t) =>
+        css({
+          h3: {
+            fontSize: t.text.sizes.base,
+            fontWeight: t.text.weights.emphasis,
+            margin: "0 0 0.8rem",
+          },
+          "[data-dimmed]": { color: t.colors.textDimmed },
+          "[data-support=for]": { color: t.colors.textPositive },
+          "[data-support=against]": { color: t.colors.textNegative },
+          "[data-support=abstain]": { color: t.colors.textDimmed },
+          "[data-outcome]": { fontWeight: t.text.weights.emphasis },
+          '[data-outcome="succeeded"]': { color: t.colors.textPositive },
+          '[data-outcome="defeated"]': { color: t.colors.textNegative },
+        })
+      }
+    >
+      <p data-dimmed>
+        Toggle hypothetical votes for delegates who haven’t voted yet to see how
+        the outcome would change. Nothing here is submitted onchain.
+      </p>
+
+      <section
+        css={(t) =>
+          css({
+            margin: "2.4rem 0",
+            fontSize: t.text.sizes.small,
+            ".summary": {
+              display: "flex",
+              justifyContent: "space-between",
+              gap: "0.8rem",
+              marginBottom: "0.5rem",
+            },
+            ".outcome": { marginTop: "0.8rem" },
+          })
+        }
+      >
+        <div className="summary">
+          <span data-support="for">For {forVotes}</span>
+          <span>
+            {abstainVotes > 0 && (
+              <>
+                <span data-support="abstain">Abstain {abstainVotes}</span>{" "}
+                <span data-dimmed>&middot;</span>{" "}
+              </>
+            )}
+            <span data-support="against">Against {againstVotes}</span>
+          </span>
+        </div>
+        <VotingBar
+          height="1rem"
+          votes={[...(proposal.votes ?? []), ...hypotheticalVotes]}
+          quorumVotes={quorumVotes}
+        />
+        <div className="outcome">
+          Quorum {quorumVotes} &middot; Outcome:{" "}
+          <span data-outcome={outcomeState}>
+            {outcomeState == null ? "..." : getStateLabel(outcomeState)}
+          </span>
+          {forVotesRequiredToPass > 0 && (
+            <span data-dimmed>
+              {" "}
+              ({forVotesRequiredToPass} more for{" "}
+              {forVotesRequiredToPass === 1 ? "vote" : "votes"} to pass)
+            </span>
+          )}
+        </div>
+      </section>
+
+      <div
+        css={css({
+          display: "flex",
+          flexWrap: "wrap",
+          gap: "0.8rem",
+          marginBottom: "2.4rem",
+        })}
+      >
+        {supportOptions.map(({ support, label }) => (
+          <Button
+            key={support}
+            size="tiny"
+            onClick={() => {
+              setTopNonVotersSupport(support);
+            }}
+            disabled={nonVoters.length === 0}
+          >
+            Top {QUICK_SELECTION_COUNT} {label.toLowerCase()}
+          </Button>
+        ))}
+        <Button
+          size="tiny"
+          onClick={() => {
+            setSupportByDelegateId({});
+          }}
+          disabled={hypotheticalVotes.length === 0}
+        >
+          Reset
+        </Button>
+      </div>
+
+      <h3>
+        Not yet voted{" "}
+        <span data-dimmed>
+          ({nonVoters.length}{" "}
+          {nonVoters.length === 1 ? "delegate" : "delegates"})
+        </span>
+      </h3>
+
+      {nonVoters.length === 0 ? (
+        <p data-dimmed>Every delegate has voted.</p>
+      ) : (
+        <ul
+          css={(t) =>
+            css({
+              listStyle: "none",
+              li: {
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "space-between",
+                gap: "0.8rem",
+                padding: "0.4rem 0",
+              },
+              ".account": {
+                minWidth: 0,
+                whiteSpace: "nowrap",
+                overflow: "hidden",
+                textOverflow: "ellipsis",
+              },
+              ".support-buttons": {
+                display: "flex",
+                gap: "0.4rem",
+                flexShrink: 0,
+              },
+              ".support-buttons button[data-selected]": {
+                color: t.colors.textNormal,
+                borderColor: "currentColor",
+              },
+              '.support-buttons button[data-selected][data-option="for"]': {
+                color: t.colors.textPositive,
+              },
+              '.support-buttons button[data-selected][data-option="against"]': {
+                color: t.colors.textNegative,
+              },
+            })
+          }
+        >
+          {nonVoters.map((d) => (
+            <li key={d.id}>
+              <div className="account">
+                <AccountPreviewPopoverTrigger
+                  showAvatar
+                  avatarFallback
+                  accountAddress={d.id}
+                />{" "}
+                <span data-dimmed>({d.votes})</span>
+              </div>
+              <div className="support-buttons">
+                {supportOptions.map(({ support, label }) => {
+                  const isSelected = supportByDelegateId[d.id] === support;
+                  return (
+                    <Button
+                      key={support}
+                      size="tiny"
+                      aria-pressed={isSelected}
+                      data-selected={isSelected || undefined}
+                      data-option={label.toLowerCase()}
+                      onClick={() => {
+                        setSupport(d.id, support);
+                      }}
+                    >
+                      {label}
+                    </Button>
+                  );
+                })}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ProposalVoteSimulator;
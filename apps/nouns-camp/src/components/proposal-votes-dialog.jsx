@@ -1,7 +1,6 @@
 import React from "react";
 import { css } from "@emotion/react";
 import { useQuery } from "@tanstack/react-query";
-import { useReadContracts } from "wagmi";
 import { array as arrayUtils } from "@shades/common/utils";
 import Select from "@shades/ui-web/select";
 import Switch from "@shades/ui-web/switch";
@@ -15,9 +14,11 @@ import {
   useProposalCandidate,
   useProposalFetch,
 } from "@/store";
-import { CHAIN_ID } from "@/constants/env";
-import { resolveIdentifier as resolveContractIdentifier } from "@/contracts";
-import { isFinalState as isFinalProposalState } from "@/utils/proposals";
+import {
+  isFinalState as isFinalProposalState,
+  getMaxQuorumVotes,
+  getForVotesRequiredToPass,
+} from "@/utils/proposals";
 import { createRepostExtractor } from "@/utils/votes-and-feedbacks";
 import useBlockNumber from "@/hooks/block-number";
 import { useSearchParams } from "@/hooks/navigation";
@@ -25,6 +26,7 @@ import {
   useProposalDynamicQuorum,
   useDynamicQuorumParamsAt,
 } from "@/hooks/dao-contract";
+import { usePriorVotesByAccount } from "@/hooks/token-contract";
 import useScrollToHash from "@/hooks/scroll-to-hash";
 import useMatchDesktopLayout from "@/hooks/match-desktop-layout";
 import { useDialog } from "@/hooks/global-dialogs";
@@ -54,40 +56,6 @@ const ProposalVotesDialog = ({ isOpen, close }) => {
   );
 };
 
-const useVoteCountsAtBlock = ({ addresses, blockNumber }) => {
-  const { address: nounsTokenContractAddress } =
-    resolveContractIdentifier("token");
-
-  const { data } = useReadContracts({
-    contracts: addresses.map((address) => ({
-      address: nounsTokenContractAddress,
-      chainId: CHAIN_ID,
-      abi: [
-        {
-          inputs: [{ type: "address" }, { type: "uint256" }],
-          name: "getPriorVotes",
-          outputs: [{ type: "uint96" }],
-          type: "function",
-        },
-      ],
-      functionName: "getPriorVotes",
-      args: [address, blockNumber],
-    })),
-    query: {
-      enabled: blockNumber != null,
-    },
-  });
-
-  if (data == null) return {};
-
-  return data.reduce((acc, { status, result: voteCount }, index) => {
-    if (status !== "success") return acc;
-    const address = addresses[index];
-    acc[address] = Number(voteCount);
-    return acc;
-  }, {});
-};
-
 const Content = ({ proposalId, titleProps, dismiss }) => {
   const isDesktopLayout = useMatchDesktopLayout();
 
@@ -203,8 +171,8 @@ const Content = ({ proposalId, titleProps, dismiss }) => {
     recentlyVotedAccounts.filter((a) => !accountAddressesVoted.includes(a.id)),
   );
 
-  const voteCountByAddress = useVoteCountsAtBlock({
-    addresses: accountsNotVoted.map((a) => a.id),
+  const voteCountByAddress = usePriorVotesByAccount({
+    accounts: accountsNotVoted.map((a) => a.id),
     blockNumber: proposal?.startBlock,
   });
 
@@ -486,10 +454,19 @@ const Content = ({ proposalId, titleProps, dismiss }) => {
           if (quorumParams == null || proposal.adjustedTotalSupply == null)
             return <>&nbsp;</>;
 
-          const maxQuorumVotes = Math.floor(
-            (proposal.adjustedTotalSupply * quorumParams.maxQuorumVotesBPS) /
-              10000,
-          );
+          const maxQuorumVotes = getMaxQuorumVotes({
+            adjustedTotalSupply: proposal.adjustedTotalSupply,
+            maxQuorumVotesBPS: quorumParams.maxQuorumVotesBPS,
+          });
+
+          const forVotesRequiredToPass =
+            quorum == null
+              ? 0
+              : getForVotesRequiredToPass({
+                  forVotes: proposal.forVotes,
+                  againstVotes: proposal.againstVotes,
+                  quorumVotes: quorum,
+                });
 
           return (
             <>
@@ -505,6 +482,13 @@ const Content = ({ proposalId, titleProps, dismiss }) => {
                   "(max)"
                 )}
               </span>
+              {!hasEnded && forVotesRequiredToPass > 0 && (
+                <>
+                  {" "}
+                  &middot; {forVotesRequiredToPass} more for{" "}
+                  {forVotesRequiredToPass === 1 ? "vote" : "votes"} to pass
+                </>
+              )}
             </>
           );
         })()}
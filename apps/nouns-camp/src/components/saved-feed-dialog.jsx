@@ -0,0 +1,276 @@
+import React from "react";
+import { css } from "@emotion/react";
+import Dialog from "@shades/ui-web/dialog";
+import DialogHeader from "@shades/ui-web/dialog-header";
+import Button from "@shades/ui-web/button";
+import Input from "@shades/ui-web/input";
+import Switch from "@shades/ui-web/switch";
+import * as Menu from "@shades/ui-web/dropdown-menu";
+import { CaretDown as CaretDownIcon } from "@shades/ui-web/icons";
+import {
+  EVENT_TYPES,
+  createEmptyDefinition,
+  validateDefinition,
+} from "@/utils/saved-feeds";
+import { useDialog } from "@/hooks/global-dialogs";
+import { useSavedFeeds } from "@/hooks/saved-feeds";
+
+const splitList = (text) => text.split(/[\s,]+/).filter((s) => s !== "");
+
+const SavedFeedDialog = ({ isOpen, close }) => (
+  <Dialog
+    isOpen={isOpen}
+    onRequestClose={() => {
+      close();
+    }}
+    width="52rem"
+  >
+    {(props) => <Content dismiss={close} {...props} />}
+  </Dialog>
+);
+
+const Content = ({ titleProps, dismiss }) => {
+  const { data } = useDialog("saved-feed");
+  const feedId = data?.feedId;
+
+  const { feeds, createFeed, updateFeed, deleteFeed } = useSavedFeeds();
+  const feed = feedId == null ? null : feeds.find((f) => f.id === feedId);
+
+  const [name, setName] = React.useState(feed?.name ?? "");
+  const [accounts, setAccounts] = React.useState(
+    () => feed?.accounts.join("\n") ?? "",
+  );
+  const [proposalIds, setProposalIds] = React.useState(
+    () => feed?.proposalIds.join(", ") ?? "",
+  );
+  const [candidateIds, setCandidateIds] = React.useState(
+    () => feed?.candidateIds.join("\n") ?? "",
+  );
+  const [minRequestedEth, setMinRequestedEth] = React.useState(
+    feed?.minRequestedEth ?? "",
+  );
+  const [eventTypes, setEventTypes] = React.useState(feed?.eventTypes ?? []);
+  const [pinned, setPinned] = React.useState(feed?.pinned ?? true);
+  const [hasSubmitted, setSubmitted] = React.useState(false);
+
+  const definition = {
+    ...createEmptyDefinition(),
+    name,
+    pinned,
+    accounts: splitList(accounts),
+    proposalIds: splitList(proposalIds),
+    candidateIds: splitList(candidateIds),
+    minRequestedEth,
+    eventTypes,
+  };
+
+  const errors = validateDefinition(definition);
+  const getFieldError = (field) =>
+    hasSubmitted ? errors.find((e) => e.field === field)?.message : undefined;
+  const generalError = hasSubmitted
+    ? errors.find((e) => e.field == null)?.message
+    : undefined;
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        setSubmitted(true);
+        if (errors.length > 0) return;
+        if (feed == null) createFeed(definition);
+        else updateFeed(feed.id, definition);
+        dismiss();
+      }}
+      css={(t) =>
+        css({
+          display: "flex",
+          flexDirection: "column",
+          minHeight: 0,
+          padding: "1.6rem",
+          "@media (min-width: 600px)": {
+            padding: "2rem",
+          },
+          "[data-error]": {
+            fontSize: t.text.sizes.small,
+            color: t.colors.textNegative,
+            marginTop: "0.7rem",
+          },
+          "[data-field] + [data-field]": { marginTop: "2rem" },
+        })
+      }
+    >
+      <DialogHeader
+        title={feed == null ? "New saved feed" : "Edit saved feed"}
+        titleProps={titleProps}
+        dismiss={dismiss}
+      />
+      <main
+        css={css({
+          flex: 1,
+          minHeight: 0,
+          overflow: "auto",
+          // Offset to make the focus box shadow visible
+          margin: "-0.3rem",
+          padding: "0.3rem",
+        })}
+      >
+        <Field error={getFieldError("name")}>
+          <Input
+            label="Name"
+            value={name}
+            onChange={(e) => {
+              setName(e.target.value);
+            }}
+            placeholder="e.g. Favourite delegates"
+          />
+        </Field>
+        <Field error={getFieldError("eventTypes")}>
+          <EventTypesMenu selectedKeys={eventTypes} onChange={setEventTypes} />
+        </Field>
+        <Field error={getFieldError("accounts")}>
+          <Input
+            component="textarea"
+            rows={3}
+            label="Accounts"
+            value={accounts}
+            onChange={(e) => {
+              setAccounts(e.target.value);
+            }}
+            placeholder="0x..."
+            hint="Only show activity from, or involving, these addresses. One per line."
+          />
+        </Field>
+        <Field error={getFieldError("proposalIds")}>
+          <Input
+            label="Proposals"
+            value={proposalIds}
+            onChange={(e) => {
+              setProposalIds(e.target.value);
+            }}
+            placeholder="e.g. 612, 615"
+          />
+        </Field>
+        <Field error={getFieldError("candidateIds")}>
+          <Input
+            component="textarea"
+            rows={2}
+            label="Candidates"
+            value={candidateIds}
+            onChange={(e) => {
+              setCandidateIds(e.target.value);
+            }}
+            placeholder="0x...-candidate-slug"
+            hint="Activity on any of the listed proposals or candidates is shown."
+          />
+        </Field>
+        <Field error={getFieldError("minRequestedEth")}>
+          <Input
+            type="number"
+            min={0}
+            label="Minimum ask (ETH)"
+            value={minRequestedEth}
+            onChange={(e) => {
+              setMinRequestedEth(e.target.value);
+            }}
+            placeholder="e.g. 50"
+            hint="Only show activity on proposals and candidates requesting at least this much ETH, WETH, or stETH."
+          />
+        </Field>
+        <Field>
+          <Switch
+            label="Show as tab on the front page"
+            isSelected={pinned}
+            onChange={setPinned}
+          />
+        </Field>
+        {generalError != null && <div data-error>{generalError}</div>}
+      </main>
+      <footer
+        css={css({
+          display: "flex",
+          gap: "1rem",
+          paddingTop: "2.5rem",
+          "@media (min-width: 600px)": {
+            paddingTop: "3rem",
+          },
+        })}
+      >
+        {feed != null && (
+          <Button
+            type="button"
+            size="medium"
+            danger
+            onClick={() => {
+              if (!confirm(`Delete "${feed.name}"?`)) return;
+              deleteFeed(feed.id);
+              dismiss();
+            }}
+          >
+            Delete
+          </Button>
+        )}
+        <div style={{ flex: 1, minWidth: 0 }} />
+        <Button
+          type="button"
+          size="medium"
+          onClick={() => {
+            dismiss();
+          }}
+        >
+          Cancel
+        </Button>
+        <Button
+          type="submit"
+          size="medium"
+          variant="primary"
+          disabled={hasSubmitted && errors.length > 0}
+        >
+          Save
+        </Button>
+      </footer>
+    </form>
+  );
+};
+
+const Field = ({ error, children }) => (
+  <div data-field>
+    {children}
+    {error != null && <div data-error>{error}</div>}
+  </div>
+);
+
+const EventTypesMenu = ({ selectedKeys, onChange }) => (
+  <Menu.Root>
+    <Menu.Trigger asChild>
+      <Button
+        type="button"
+        align="left"
+        fullWidth
+        iconRight={
+          <CaretDownIcon style={{ width: "1.1rem", height: "auto" }} />
+        }
+      >
+        Event types:{" "}
+        {selectedKeys.length === 0
+          ? "All"
+          : EVENT_TYPES.filter((t) => selectedKeys.includes(t.key))
+              .map((t) => t.title)
+              .join(", ")}
+      </Button>
+    </Menu.Trigger>
+    <Menu.Content
+      widthFollowTrigger
+      selectionMode="multiple"
+      selectedKeys={new Set(selectedKeys)}
+      onSelectionChange={(keys) => {
+        onChange([...keys]);
+      }}
+    >
+      {EVENT_TYPES.map((t) => (
+        <Menu.Item key={t.key}>{t.title}</Menu.Item>
+      ))}
+    </Menu.Content>
+  </Menu.Root>
+);
+
+export default SavedFeedDialog;
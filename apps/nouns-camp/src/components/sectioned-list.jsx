@@ -7,6 +7,7 @@ import {
   array as arrayUtils,
   date as dateUtils,
   ethereum as ethereumUtils,
+  message as messageUtils,
 } from "@shades/common/utils";
 import { useIsOnScreen } from "@shades/common/react";
 import { useCachedState } from "@shades/common/app";
@@ -19,6 +20,11 @@ import * as DropdownMenu from "@shades/ui-web/dropdown-menu";
 import Button from "@shades/ui-web/button";
 import Link from "@shades/ui-web/link";
 import { buildEtherscanLink } from "@/utils/etherscan";
+import { getQuorumVotes as getProposalQuorumVotes } from "@/utils/proposals";
+import {
+  serialize as serializeDraft,
+  buildFileName as buildDraftFileName,
+} from "@/utils/drafts";
 import {
   useDelegate,
   useAccount,
@@ -49,6 +55,7 @@ import FormattedDateWithTooltip from "@/components/formatted-date-with-tooltip";
 import Tag from "@/components/tag";
 import VotesTagGroup from "@/components/votes-tag-group";
 import VotingBar from "@/components/voting-bar";
+import { toMessageBlocks as richTextToMessageBlocks } from "@/components/rich-text-editor";
 
 const isDebugSession =
   typeof location !== "undefined" &&
@@ -692,7 +699,7 @@ const ProposalListItem = React.memo(
                 {hasBeenOnScreen ? (
                   <VotingBar
                     votes={proposal.votes ?? []}
-                    quorumVotes={proposal.quorumVotes}
+                    quorumVotes={getProposalQuorumVotes(proposal)}
                     height="0.2rem"
                   />
                 ) : (
@@ -1323,6 +1330,27 @@ const AccountListItem = React.memo(
   },
 );
 
+const downloadDraft = (draft, { format }) => {
+  const markdownBody =
+    typeof draft.body === "string"
+      ? draft.body
+      : messageUtils.toMarkdown(richTextToMessageBlocks(draft.body));
+  const text = serializeDraft(
+    format === "markdown" ? { ...draft, body: markdownBody } : draft,
+    { format },
+  );
+  const url = URL.createObjectURL(
+    new Blob([text], {
+      type: format === "markdown" ? "text/markdown" : "application/json",
+    }),
+  );
+  const anchor = document.createElement("a");
+  anchor.href = url;
+  anchor.download = buildDraftFileName(draft, { format });
+  anchor.click();
+  URL.revokeObjectURL(url);
+};
+
 const DraftListItem = ({ draftId }) => {
   const { deleteItem: deleteDraft } = useDrafts();
   const [draft] = useDraft(draftId);
@@ -1390,9 +1418,21 @@ const DraftListItem = ({ draftId }) => {
                     deleteDraft(draftId);
                     break;
                   }
+                  case "export-json":
+                    downloadDraft(draft, { format: "json" });
+                    break;
+                  case "export-markdown":
+                    downloadDraft(draft, { format: "markdown" });
+                    break;
                 }
               }}
             >
+              <DropdownMenu.Item key="export-json">
+                Export as JSON
+              </DropdownMenu.Item>
+              <DropdownMenu.Item key="export-markdown">
+                Export as Markdown
+              </DropdownMenu.Item>
               <DropdownMenu.Item key="delete" danger>
                 Delete
               </DropdownMenu.Item>
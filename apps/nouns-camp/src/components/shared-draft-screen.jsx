@@ -0,0 +1,194 @@
+"use client";
+
+import React from "react";
+import { css } from "@emotion/react";
+import { ErrorBoundary } from "@shades/common/react";
+import { message as messageUtils } from "@shades/common/utils";
+import Button from "@shades/ui-web/button";
+import Spinner from "@shades/ui-web/spinner";
+import { resolveAction as resolveActionTransactions } from "@/utils/transactions";
+import { useWallet } from "@/hooks/wallet";
+import { useNavigate } from "@/hooks/navigation";
+import { useCollection as useDrafts } from "@/hooks/drafts";
+import { useSharedDraft } from "@/hooks/shared-drafts";
+import { toMessageBlocks as richTextToMessageBlocks } from "@/components/rich-text-editor";
+import Layout, { MainContentContainer } from "@/components/layout";
+import ErrorScreen from "@/components/error-screen";
+import AccountPreviewPopoverTrigger from "@/components/account-preview-popover-trigger";
+import FormattedDateWithTooltip from "@/components/formatted-date-with-tooltip";
+import TransactionList from "@/components/transaction-list";
+import Callout from "@/components/callout";
+import { ProposalBody } from "@/components/proposal-screen";
+
+const SharedDraftScreen = ({ sharedDraftId }) => {
+  const navigate = useNavigate();
+  const {
+    address: connectedAccountAddress,
+    requestAccess: requestWalletAccess,
+  } = useWallet();
+  const { items: drafts, createItem: createDraft } = useDrafts();
+
+  const { sharedDraft, error } = useSharedDraft(sharedDraftId);
+
+  if (error != null)
+    return (
+      <ErrorScreen
+        title="Draft can’t be displayed"
+        description="Ops, looks like this draft couldn’t be loaded."
+      />
+    );
+
+  if (sharedDraft === null)
+    return (
+      <ErrorScreen
+        title="Draft not found"
+        description="This draft might have been unshared by its author."
+      />
+    );
+
+  if (sharedDraft == null)
+    return (
+      <Layout>
+        <div
+          css={css({
+            flex: 1,
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            paddingBottom: "10vh",
+          })}
+        >
+          <Spinner size="2rem" />
+        </div>
+      </Layout>
+    );
+
+  const isTopic = sharedDraft.actions == null;
+  const title = sharedDraft.name || "Untitled draft";
+
+  const markdownBody =
+    typeof sharedDraft.body === "string"
+      ? sharedDraft.body
+      : messageUtils.toMarkdown(richTextToMessageBlocks(sharedDraft.body));
+
+  // The owner’s local copy, if they published from this browser
+  const localDraft = drafts.find((d) => d.sharedId === sharedDraftId);
+
+  const fork = () => {
+    const draft = createDraft({
+      name: sharedDraft.name,
+      body: sharedDraft.body,
+      actions: sharedDraft.actions,
+    });
+    navigate(`/new/${draft.id}`);
+  };
+
+  return (
+    <Layout
+      navigationStack={[{ to: `/drafts/${sharedDraftId}`, label: title }]}
+    >
+      <MainContentContainer narrow>
+        <div
+          css={css({
+            padding: "0.8rem 1.6rem 3.2rem",
+            "@media (min-width: 600px)": {
+              padding: "6rem 1.6rem 12rem",
+            },
+          })}
+        >
+          <h1
+            css={(t) =>
+              css({
+                fontSize: t.text.sizes.headerLarger,
+                lineHeight: 1.15,
+                margin: "0 0 0.3rem",
+                color: t.colors.textHeader,
+                "@media(min-width: 600px)": {
+                  fontSize: t.text.sizes.huge,
+                },
+              })
+            }
+          >
+            {title}
+          </h1>
+          <div
+            css={(t) =>
+              css({
+                color: t.colors.textDimmed,
+                fontSize: t.text.sizes.base,
+              })
+            }
+          >
+            {isTopic ? "Topic draft" : "Proposal draft"} shared by{" "}
+            <AccountPreviewPopoverTrigger
+              showAvatar
+              accountAddress={sharedDraft.ownerId}
+            />
+            , last updated{" "}
+            <FormattedDateWithTooltip
+              capitalize={false}
+              value={new Date(sharedDraft.updatedAt)}
+              day="numeric"
+              month="short"
+            />
+          </div>
+
+          <div
+            css={css({
+              display: "flex",
+              gap: "0.8rem",
+              margin: "2.4rem 0 3.2rem",
+            })}
+          >
+            {connectedAccountAddress == null ? (
+              <Button
+                onClick={() => {
+                  requestWalletAccess();
+                }}
+              >
+                Connect wallet to fork
+              </Button>
+            ) : (
+              <Button variant="primary" onClick={fork}>
+                Fork to my drafts
+              </Button>
+            )}
+            {localDraft != null && (
+              <Button
+                onClick={() => {
+                  navigate(`/new/${localDraft.id}`);
+                }}
+              >
+                Open in editor
+              </Button>
+            )}
+          </div>
+
+          <ProposalBody markdownText={markdownBody} />
+
+          {sharedDraft.actions?.length > 0 && (
+            <div style={{ marginTop: "4.8rem" }}>
+              <ErrorBoundary
+                fallback={() => (
+                  <Callout variant="error">Transaction parsing failed</Callout>
+                )}
+              >
+                <ActionTransactionList actions={sharedDraft.actions} />
+              </ErrorBoundary>
+            </div>
+          )}
+        </div>
+      </MainContentContainer>
+    </Layout>
+  );
+};
+
+// Resolving throws for actions that can’t be turned into transactions, which
+// the error boundary around this catches
+const ActionTransactionList = ({ actions }) => (
+  <TransactionList
+    transactions={actions.flatMap((a) => resolveActionTransactions(a))}
+  />
+);
+
+export default SharedDraftScreen;
@@ -12,7 +12,11 @@ import {
   useStreamWithdraw,
 } from "@/hooks/stream-contract";
 import { resolveIdentifier } from "@/contracts";
-import { FormattedEthWithConditionalTooltip } from "@/components/transaction-list";
+import { resolveTokenAddress } from "@/tokens";
+import {
+  FormattedEthWithConditionalTooltip,
+  FormattedTokenAmount,
+} from "@/components/transaction-list";
 import { useWallet } from "@/hooks/wallet";
 import { useAccountStreams, useProposal } from "@/store";
 import Link from "@shades/ui-web/link";
@@ -147,8 +151,11 @@ const StreamWithdrawForm = ({ stream }) => {
         return parseUnits(withdrawAmount, 18);
       case usdcTokenContract:
         return parseUnits(withdrawAmount, 6);
-      default:
-        throw new Error("Unsupported token", token);
+      default: {
+        const paymentToken = resolveTokenAddress(token);
+        if (paymentToken == null) throw new Error("Unsupported token", token);
+        return parseUnits(withdrawAmount, paymentToken.decimals);
+      }
     }
   };
 
@@ -159,8 +166,11 @@ const StreamWithdrawForm = ({ stream }) => {
         return formatUnits(amount, 18);
       case usdcTokenContract:
         return formatUnits(amount, 6);
-      default:
-        throw new Error("Unsupported token", token);
+      default: {
+        const paymentToken = resolveTokenAddress(token);
+        if (paymentToken == null) throw new Error("Unsupported token", token);
+        return formatUnits(amount, paymentToken.decimals);
+      }
     }
   };
 
@@ -507,8 +517,17 @@ const FormattedAmount = React.memo(
                 localeFormatting
               />
             );
-          default:
-            throw new Error("Unsupported token", token);
+          default: {
+            const paymentToken = resolveTokenAddress(token);
+            if (paymentToken == null)
+              throw new Error("Unsupported token", token);
+            return (
+              <FormattedTokenAmount
+                value={BigInt(amount)}
+                token={paymentToken}
+              />
+            );
+          }
         }
       },
       [token, wethTokenContract, usdcTokenContract],
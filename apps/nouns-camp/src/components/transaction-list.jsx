@@ -1,7 +1,7 @@
 import getDateYear from "date-fns/getYear";
 import datesDifferenceInMonths from "date-fns/differenceInCalendarMonths";
 import { formatAbiParameters } from "abitype";
-import { formatEther, formatUnits } from "viem";
+import { formatEther, formatUnits, isAddress } from "viem";
 import React from "react";
 import { css } from "@emotion/react";
 import { ethereum as ethereumUtils } from "@shades/common/utils";
@@ -12,22 +12,29 @@ import {
   CrossCircle as CrossCircleIcon,
 } from "@shades/ui-web/icons";
 import * as Tooltip from "@shades/ui-web/tooltip";
-import { resolveIdentifier as resolveContractIdentifier } from "@/contracts";
+import {
+  resolveIdentifier as resolveContractIdentifier,
+  resolveAddress as resolveContractAddress,
+} from "@/contracts";
+import { resolveCurrency } from "@/tokens";
+import { resolveSetter, getNextValue } from "@/governance-parameters";
 import useAccountDisplayName from "@/hooks/account-display-name";
 import useContract from "@/hooks/contract";
 import useDecodedFunctionData from "@/hooks/decoded-function-data";
+import { useCurrentParameterValue } from "@/hooks/governance-parameters";
 import Code from "@/components/code";
 import FormattedDateWithTooltip from "@/components/formatted-date-with-tooltip";
+import FormattedNumber from "@/components/formatted-number";
 import NounPreviewPopoverTrigger from "@/components/noun-preview-popover-trigger";
 import Link from "@shades/ui-web/link";
 import Spinner from "@shades/ui-web/spinner";
 import { buildEtherscanLink } from "@/utils/etherscan";
-
-const decimalsByCurrency = {
-  eth: 18,
-  weth: 18,
-  usdc: 6,
-};
+import {
+  decodeSimulationLogs,
+  getAssetFlows,
+  getRoleChangeWarnings,
+} from "@/utils/simulation-effects";
+import Callout from "@/components/callout";
 
 export const useEnhancedParsedTransaction = (transaction) => {
   const { type, target, calldata, value, simulation } = transaction;
@@ -63,38 +70,50 @@ export const useEnhancedParsedTransaction = (transaction) => {
   };
 };
 
-const TransactionList = ({ transactions, isSimulationRunning }) => (
-  <ol
-    data-count={transactions.length}
-    css={(t) =>
-      css({
-        margin: 0,
-        padding: 0,
-        fontSize: t.text.sizes.base,
-        li: { listStyle: "none" },
-        '&:not([data-count="1"])': {
-          paddingLeft: "2rem",
-          li: { listStyle: "decimal" },
-        },
-        "li + li": { marginTop: "1.5rem" },
-        "li:has(pre code) + li": {
-          marginTop: "2.6rem",
-        },
-        "pre:has(code)": {
-          marginTop: "0.8rem",
-        },
-      })
-    }
-  >
-    {transactions.map((t, i) => (
-      <li key={i}>
-        <ListItem transaction={t} isSimulationRunning={isSimulationRunning} />
-      </li>
-    ))}
-  </ol>
+// `isExecuted` is set for transactions that already ran, in which case
+// parameter changes aren’t compared against current values (they would be the
+// new ones)
+const TransactionList = ({ transactions, isSimulationRunning, isExecuted }) => (
+  <>
+    {!isSimulationRunning && (
+      <SimulationSummary simulations={transactions.map((t) => t.simulation)} />
+    )}
+    <ol
+      data-count={transactions.length}
+      css={(t) =>
+        css({
+          margin: 0,
+          padding: 0,
+          fontSize: t.text.sizes.base,
+          li: { listStyle: "none" },
+          '&:not([data-count="1"])': {
+            paddingLeft: "2rem",
+            li: { listStyle: "decimal" },
+          },
+          "li + li": { marginTop: "1.5rem" },
+          "li:has(pre code) + li": {
+            marginTop: "2.6rem",
+          },
+          "pre:has(code)": {
+            marginTop: "0.8rem",
+          },
+        })
+      }
+    >
+      {transactions.map((t, i) => (
+        <li key={i}>
+          <ListItem
+            transaction={t}
+            isSimulationRunning={isSimulationRunning}
+            isExecuted={isExecuted}
+          />
+        </li>
+      ))}
+    </ol>
+  </>
 );
 
-const ListItem = ({ transaction, isSimulationRunning }) => {
+const ListItem = ({ transaction, isSimulationRunning, isExecuted }) => {
   const daoPayerContract = useContract("payer");
   const [isExpanded, setExpanded] = React.useState(false);
   const t = useEnhancedParsedTransaction(transaction);
@@ -134,11 +153,17 @@ const ListItem = ({ transaction, isSimulationRunning }) => {
       case "weth-approval":
       case "weth-stream-funding":
       case "steth-transfer":
+      case "token-transfer":
+      case "token-stream-funding":
       case "usdc-stream-funding-via-payer":
       case "payer-top-up":
       case "stream":
       case "treasury-noun-transfer":
       case "escrow-noun-transfer":
+      case "dao-parameter-change":
+      case "auction-house-parameter-change":
+      case "token-parameter-change":
+      case "descriptor-parameter-change":
         return null;
 
       default:
@@ -214,6 +239,7 @@ const ListItem = ({ transaction, isSimulationRunning }) => {
         );
 
       case "weth-stream-funding":
+      case "token-stream-funding":
         return (
           <>
             This transaction funds the stream with the required amount via the{" "}
@@ -228,11 +254,16 @@ const ListItem = ({ transaction, isSimulationRunning }) => {
       case "transfer":
       case "weth-transfer":
       case "steth-transfer":
+      case "token-transfer":
       case "weth-deposit":
       case "weth-approval":
       case "stream":
       case "treasury-noun-transfer":
       case "escrow-noun-transfer":
+      case "dao-parameter-change":
+      case "auction-house-parameter-change":
+      case "token-parameter-change":
+      case "descriptor-parameter-change":
         return null;
 
       default:
@@ -244,6 +275,8 @@ const ListItem = ({ transaction, isSimulationRunning }) => {
     switch (t.type) {
       case "weth-transfer":
       case "steth-transfer":
+      case "token-transfer":
+      case "token-stream-funding":
       case "weth-deposit":
       case "weth-approval":
       case "usdc-approval":
@@ -253,6 +286,10 @@ const ListItem = ({ transaction, isSimulationRunning }) => {
       case "weth-stream-funding":
       case "treasury-noun-transfer":
       case "escrow-noun-transfer":
+      case "dao-parameter-change":
+      case "auction-house-parameter-change":
+      case "token-parameter-change":
+      case "descriptor-parameter-change":
         return (
           <FunctionCallCodeBlock
             target={t.target}
@@ -305,7 +342,7 @@ const ListItem = ({ transaction, isSimulationRunning }) => {
           })
         }
       >
-        <TransactionExplanation transaction={t} />
+        <TransactionExplanation transaction={t} isExecuted={isExecuted} />
       </div>
       {code}
       {comment != null && (
@@ -322,6 +359,7 @@ const ListItem = ({ transaction, isSimulationRunning }) => {
           {comment}
         </div>
       )}
+      {!isSimulationRunning && <SimulationEvents simulation={t.simulation} />}
       {expandedContent != null && (
         <div style={{ marginTop: "0.6rem" }}>
           <Button
@@ -405,6 +443,245 @@ const SimulationBadge = ({ simulation, isSimulationRunning }) => {
   );
 };
 
+const SimulationSummary = ({ simulations }) => {
+  const assetFlows = getAssetFlows(simulations);
+  const roleChangeWarnings = getRoleChangeWarnings(simulations);
+
+  if (assetFlows.length === 0 && roleChangeWarnings.length === 0) return null;
+
+  return (
+    <div
+      css={(t) =>
+        css({
+          marginBottom: "2.4rem",
+          fontSize: t.text.sizes.small,
+          "h3, th": {
+            fontSize: t.text.sizes.small,
+            fontWeight: t.text.weights.emphasis,
+            color: t.colors.textDimmed,
+          },
+          h3: { textTransform: "uppercase", margin: "0 0 0.8rem" },
+          "* + h3": { marginTop: "2rem" },
+          a: { color: "currentcolor" },
+          "[data-positive]": { color: t.colors.textPositive },
+          "[data-negative]": { color: t.colors.textNegative },
+        })
+      }
+    >
+      {roleChangeWarnings.length > 0 && (
+        <Callout variant="info" compact>
+          <p>
+            <em>Heads up!</em> These transactions change who controls one or
+            more contracts:
+          </p>
+          <ul style={{ paddingLeft: "2rem", marginTop: "0.5em" }}>
+            {roleChangeWarnings.map((event, i) => (
+              <li key={i}>
+                {simulations.length > 1 && <>#{event.transactionIndex + 1}: </>}
+                <DecodedEvent event={event} />
+              </li>
+            ))}
+          </ul>
+        </Callout>
+      )}
+      {assetFlows.length > 0 && (
+        <>
+          <h3>Simulated balance changes</h3>
+          <table
+            css={css({
+              borderCollapse: "collapse",
+              "th, td": {
+                padding: "0.2rem 1.6rem 0.2rem 0",
+                textAlign: "left",
+                verticalAlign: "top",
+              },
+            })}
+          >
+            <tbody>
+              {assetFlows.map((flow) => (
+                <tr key={flow.account}>
+                  <th scope="row">
+                    <AddressDisplayNameWithTooltip address={flow.account} />
+                  </th>
+                  <td>
+                    {flow.changes.map((change, i) => (
+                      <div key={i}>
+                        <FormattedAssetChange change={change} />
+                      </div>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+const FormattedAssetChange = ({ change }) => {
+  const { asset, amount, receivedTokenIds, sentTokenIds } = change;
+  const sign = amount < 0n ? "-" : "+";
+  const absoluteAmount = amount < 0n ? -amount : amount;
+
+  const renderAmount = () => {
+    switch (asset.type) {
+      case "eth":
+        return (
+          <FormattedTokenAmount
+            value={absoluteAmount}
+            token={resolveCurrency("eth")}
+          />
+        );
+
+      case "erc20":
+        if (asset.token != null)
+          return (
+            <FormattedTokenAmount value={absoluteAmount} token={asset.token} />
+          );
+        return (
+          <>
+            {absoluteAmount.toString()} units of{" "}
+            <AddressDisplayNameWithTooltip address={asset.address} />
+          </>
+        );
+
+      case "noun":
+      case "erc721":
+        return (
+          <>
+            {absoluteAmount.toString()}{" "}
+            {asset.type === "erc721" ? (
+              <AddressDisplayNameWithTooltip address={asset.address} />
+            ) : absoluteAmount === 1n ? (
+              "Noun"
+            ) : (
+              "Nouns"
+            )}
+            {[...receivedTokenIds, ...sentTokenIds].length > 0 && (
+              <>
+                {" "}
+                (
+                {[...receivedTokenIds, ...sentTokenIds].map((tokenId, i) => (
+                  <React.Fragment key={tokenId}>
+                    {i > 0 && ", "}
+                    {asset.type === "noun" ? (
+                      <NounPreviewPopoverTrigger nounId={String(tokenId)} />
+                    ) : (
+                      <>#{tokenId.toString()}</>
+                    )}
+                  </React.Fragment>
+                ))}
+                )
+              </>
+            )}
+          </>
+        );
+
+      default:
+        throw new Error(`Unknown asset type: "${asset.type}"`);
+    }
+  };
+
+  return (
+    <span
+      data-positive={amount > 0n || undefined}
+      data-negative={amount < 0n || undefined}
+    >
+      {amount !== 0n && sign}
+      {renderAmount()}
+    </span>
+  );
+};
+
+const SimulationEvents = ({ simulation }) => {
+  const [isExpanded, setExpanded] = React.useState(false);
+  const events = React.useMemo(
+    () => decodeSimulationLogs(simulation),
+    [simulation],
+  );
+
+  if (events.length === 0) return null;
+
+  return (
+    <div
+      css={(t) =>
+        css({
+          marginTop: "0.6rem",
+          fontSize: t.text.sizes.small,
+          color: t.colors.textDimmed,
+          a: { color: "currentcolor" },
+        })
+      }
+    >
+      <Button
+        variant="transparent"
+        size="tiny"
+        onClick={() => {
+          setExpanded((s) => !s);
+        }}
+        iconRight={
+          <CaretDownIcon
+            style={{
+              width: "0.85rem",
+              transform: isExpanded ? "scaleY(-1)" : undefined,
+            }}
+          />
+        }
+      >
+        {events.length} {events.length === 1 ? "event" : "events"} emitted
+      </Button>
+      {isExpanded && (
+        <ul
+          css={(t) =>
+            css({
+              listStyle: "none",
+              padding: "0.4rem 0 0 0.8rem",
+              fontFamily: t.text.fontStacks.monospace,
+              "li + li": { marginTop: "0.2rem" },
+            })
+          }
+        >
+          {events.map((event, i) => (
+            <li key={i} style={{ listStyle: "none" }}>
+              <DecodedEvent event={event} />
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const DecodedEvent = ({ event }) => (
+  <>
+    <AddressDisplayNameWithTooltip address={event.address} />.
+    {event.eventName == null ? (
+      "(unknown event)"
+    ) : (
+      <>
+        {event.eventName}(
+        {Object.entries(event.args ?? {}).map(([name, value], i) => (
+          <React.Fragment key={name}>
+            {i > 0 && ", "}
+            {name}: <FormattedEventArg value={value} />
+          </React.Fragment>
+        ))}
+        )
+      </>
+    )}
+  </>
+);
+
+const FormattedEventArg = ({ value }) => {
+  if (typeof value === "string" && isAddress(value))
+    return <AddressDisplayNameWithTooltip address={value} />;
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return `[${value.map(String).join(", ")}]`;
+  return String(value);
+};
+
 export const FunctionCallCodeBlock = ({
   target,
   name,
@@ -537,7 +814,7 @@ export const UnparsedFunctionCallCodeBlock = ({
   </Code>
 );
 
-export const TransactionExplanation = ({ transaction: t }) => {
+export const TransactionExplanation = ({ transaction: t, isExecuted }) => {
   switch (t.type) {
     case "transfer":
       return (
@@ -615,6 +892,22 @@ export const TransactionExplanation = ({ transaction: t }) => {
         </>
       );
 
+    case "token-transfer": {
+      const token = resolveCurrency(t.currency);
+      return (
+        <>
+          Transfer{" "}
+          <em>
+            <FormattedTokenAmount value={t.tokenAmount} token={token} />
+          </em>{" "}
+          to{" "}
+          <em>
+            <AddressDisplayNameWithTooltip address={t.receiverAddress} />
+          </em>
+        </>
+      );
+    }
+
     case "weth-approval":
       return (
         <>
@@ -660,21 +953,15 @@ export const TransactionExplanation = ({ transaction: t }) => {
     }
 
     case "stream": {
-      const formattedUnits = formatUnits(
-        t.tokenAmount,
-        decimalsByCurrency[t.token.toLowerCase()],
-      );
+      const token = resolveCurrency(t.currency);
       // TODO: handle unknown token contract
       return (
         <>
           Stream{" "}
-          {t.token != null && (
+          {token != null && (
             <>
               <em>
-                {t.token === "USDC"
-                  ? parseFloat(formattedUnits).toLocaleString()
-                  : formattedUnits}{" "}
-                {t.token}
+                <FormattedTokenAmount value={t.tokenAmount} token={token} />
               </em>{" "}
             </>
           )}
@@ -709,6 +996,7 @@ export const TransactionExplanation = ({ transaction: t }) => {
 
     case "usdc-stream-funding-via-payer":
     case "weth-stream-funding":
+    case "token-stream-funding":
       return (
         <>
           Fund the{" "}
@@ -771,6 +1059,14 @@ export const TransactionExplanation = ({ transaction: t }) => {
         </>
       );
 
+    case "dao-parameter-change":
+    case "auction-house-parameter-change":
+    case "token-parameter-change":
+    case "descriptor-parameter-change":
+      return (
+        <ParameterChangeExplanation transaction={t} isExecuted={isExecuted} />
+      );
+
     case "function-call":
     case "unparsed-function-call":
     case "payable-function-call":
@@ -802,6 +1098,214 @@ export const TransactionExplanation = ({ transaction: t }) => {
   }
 };
 
+const parameterLabels = {
+  "voting-delay": "voting delay",
+  "voting-period": "voting period",
+  "proposal-threshold": "proposal threshold",
+  "objection-period-duration": "objection period duration",
+  "last-minute-window": "last minute window",
+  "proposal-updatable-period": "proposal updatable period",
+  "min-quorum-votes": "minimum quorum",
+  "max-quorum-votes": "maximum quorum",
+  "quorum-coefficient": "quorum coefficient",
+  "dynamic-quorum-params": "dynamic quorum parameters",
+  "fork-period": "fork period",
+  "fork-threshold": "fork threshold",
+  "fork-escrow": "fork escrow contract",
+  "fork-dao-deployer": "fork DAO deployer contract",
+  "reserve-price": "auction reserve price",
+  "time-buffer": "auction time buffer",
+  "min-bid-increment": "minimum auction bid increment",
+  descriptor: "token descriptor contract",
+  seeder: "token seeder contract",
+  minter: "token minter",
+  art: "art contract",
+  "art-descriptor": "art contract’s descriptor",
+  "art-inflator": "art inflator contract",
+  renderer: "art renderer contract",
+  "base-uri": "token base URI",
+};
+
+const partLabels = {
+  "head-count": ["head", "heads"],
+  "body-count": ["body", "bodies"],
+  "accessory-count": ["accessory", "accessories"],
+  "glasses-count": ["glasses", "glasses"],
+  "background-count": ["background", "backgrounds"],
+};
+
+const BLOCK_TIME_IN_SECONDS = 12;
+
+const formatDuration = (seconds) => {
+  const units = [
+    ["day", 24 * 60 * 60],
+    ["hour", 60 * 60],
+    ["minute", 60],
+  ];
+  for (const [unit, unitSeconds] of units) {
+    if (seconds < unitSeconds) continue;
+    const count = Math.round((seconds / unitSeconds) * 10) / 10;
+    return `${count.toLocaleString()} ${count === 1 ? unit : `${unit}s`}`;
+  }
+  return `${seconds} ${seconds === 1 ? "second" : "seconds"}`;
+};
+
+const isEqualParameterValue = (a, b) => {
+  if (a == null || b == null) return false;
+  if (typeof a === "object")
+    return Object.keys(a).every((key) => String(a[key]) === String(b[key]));
+  if (typeof a === "string" && typeof b === "string")
+    return a.toLowerCase() === b.toLowerCase();
+  return String(a) === String(b);
+};
+
+const FormattedParameterValue = ({ unit, value }) => {
+  switch (unit) {
+    case "blocks": {
+      const count = Number(value);
+      return (
+        <>
+          {count.toLocaleString()} {count === 1 ? "block" : "blocks"} (~
+          {formatDuration(count * BLOCK_TIME_IN_SECONDS)})
+        </>
+      );
+    }
+
+    case "seconds":
+      return formatDuration(Number(value));
+
+    case "bps":
+      return (
+        <FormattedNumber
+          value={Number(value) / 10_000}
+          style="percent"
+          maximumFractionDigits={2}
+        />
+      );
+
+    case "percent":
+      return <>{Number(value)}%</>;
+
+    case "wei":
+      return <FormattedEthWithConditionalTooltip value={BigInt(value)} />;
+
+    case "address":
+      return <AddressDisplayNameWithTooltip address={value} />;
+
+    case "string":
+      return <>“{value}”</>;
+
+    case "quorum-coefficient":
+      // Fixed point number with 6 decimals
+      return (
+        <FormattedNumber
+          value={Number(value) / 1e6}
+          maximumFractionDigits={6}
+        />
+      );
+
+    case "dynamic-quorum-params":
+      return (
+        <>
+          <FormattedParameterValue unit="bps" value={value.minQuorumVotesBPS} />{" "}
+          min,{" "}
+          <FormattedParameterValue unit="bps" value={value.maxQuorumVotesBPS} />{" "}
+          max, coefficient{" "}
+          <FormattedParameterValue
+            unit="quorum-coefficient"
+            value={value.quorumCoefficient}
+          />
+        </>
+      );
+
+    default:
+      throw new Error(`Unknown unit "${unit}"`);
+  }
+};
+
+const ParameterChangeExplanation = ({ transaction: t, isExecuted = false }) => {
+  const setter = resolveSetter(
+    resolveContractAddress(t.target)?.identifier,
+    t.functionName,
+  );
+  const currentValue = useCurrentParameterValue(t, { enabled: !isExecuted });
+  const nextValue = getNextValue(
+    { change: t.change, value: t.parameterValue },
+    currentValue,
+  );
+
+  switch (t.change) {
+    case "increment": {
+      const [singular, plural] = partLabels[t.parameter];
+      return (
+        <>
+          Add{" "}
+          <em>
+            {t.parameterValue} {t.parameterValue === 1 ? singular : plural}
+          </em>{" "}
+          to the Noun art
+          {currentValue != null && (
+            <>
+              {" "}
+              ({Number(currentValue)} {"→"} {nextValue})
+            </>
+          )}
+        </>
+      );
+    }
+
+    case "toggle":
+      return (
+        <>
+          {currentValue == null
+            ? "Toggle"
+            : currentValue
+              ? "Disable"
+              : "Enable"}{" "}
+          data URIs for token metadata
+        </>
+      );
+
+    case "lock":
+      return (
+        <>
+          Lock the Noun art parts, preventing any further trait changes
+          {currentValue === true && <> (already locked)</>}
+        </>
+      );
+
+    case "set": {
+      const label = parameterLabels[t.parameter];
+      const renderValue = (value) => (
+        <em>
+          <FormattedParameterValue unit={setter.unit} value={value} />
+        </em>
+      );
+
+      if (
+        currentValue != null &&
+        !isEqualParameterValue(nextValue, currentValue)
+      )
+        return (
+          <>
+            Change the {label} from {renderValue(currentValue)} to{" "}
+            {renderValue(nextValue)}
+          </>
+        );
+
+      return (
+        <>
+          Set the {label} to {renderValue(nextValue)}
+          {currentValue != null && <> (same as the current value)</>}
+        </>
+      );
+    }
+
+    default:
+      throw new Error(`Unknown change "${t.change}"`);
+  }
+};
+
 export const FormattedEthWithConditionalTooltip = ({
   value,
   currency = "eth",
@@ -861,6 +1365,25 @@ export const FormattedEthWithConditionalTooltip = ({
   );
 };
 
+// Formats an amount of a token from the registry in `tokens.js`
+export const FormattedTokenAmount = ({ value, token, ...props }) => {
+  if (token.decimals !== 18)
+    return (
+      <>
+        {parseFloat(formatUnits(value, token.decimals)).toLocaleString()}{" "}
+        {token.symbol}
+      </>
+    );
+
+  return (
+    <FormattedEthWithConditionalTooltip
+      value={value}
+      tokenSymbol={token.symbol}
+      {...props}
+    />
+  );
+};
+
 export const AddressDisplayNameWithTooltip = ({
   address,
   children,
@@ -15,10 +15,21 @@ import {
 import { subgraphFetch as queryNounsSubgraph } from "@/nouns-subgraph";
 import useContract from "@/hooks/contract";
 import { useSearchParams } from "@/hooks/navigation";
-import useTreasuryData from "@/hooks/treasury-data";
+import useTreasuryData, {
+  getTotalEth,
+  getTotalUsdc,
+  useTreasuryHistory,
+} from "@/hooks/treasury-data";
 import useRecentAuctionProceeds from "@/hooks/recent-auction-proceeds";
-import { FormattedEthWithConditionalTooltip } from "@/components/transaction-list";
+import { resolveCurrency } from "@/tokens";
+import { getAverage, getEthValue, projectRunway } from "@/utils/treasury";
+import {
+  FormattedEthWithConditionalTooltip,
+  FormattedTokenAmount,
+} from "@/components/transaction-list";
 import FormattedNumber from "@/components/formatted-number";
+import FormattedDate from "@/components/formatted-date";
+import * as Tabs from "@/components/tabs";
 import ExplorerAddressLink from "@/components/chain-explorer-address-link";
 import Link from "@shades/ui-web/link";
 import NextLink from "next/link";
@@ -111,6 +122,9 @@ const Content = ({ balances, rates, aprs, totals, titleProps, dismiss }) => {
   const forkEscrowAddress = useContract("fork-escrow")?.address;
   const treasuryAddress = useContract("executor")?.address;
 
+  const [selectedTab, setSelectedTab] = React.useState(
+    () => searchParams.get("treasury-tab") ?? "overview",
+  );
   const [activityDayCount, setActivityDayCount] = React.useState(
     () => searchParams.get("timeframe") ?? 30,
   );
@@ -203,550 +217,591 @@ const Content = ({ balances, rates, aprs, totals, titleProps, dismiss }) => {
           },
         })}
       >
-        <Heading>Total</Heading>
-        <FormattedEth value={totals.allInEth} tooltip={false} /> in ETH{" "}
-        <span
+        <Tabs.Root
+          aria-label="Treasury sections"
+          selectedKey={selectedTab}
+          onSelectionChange={(key) => {
+            setSelectedTab(key);
+          }}
           css={(t) =>
-            css({ color: t.colors.textDimmed, fontSize: t.text.sizes.small })
+            css({
+              "[role=tab]": { fontSize: t.text.sizes.base },
+              "[role=tabpanel]": { paddingTop: "2.4rem" },
+            })
           }
         >
-          (<FormattedUsdc value={totals.allInUsd} tooltip={false} /> in USD)
-        </span>
-        <Heading>Assets overview</Heading>
-        <Dl
-          css={css({
-            a: { fontStyle: "italic" },
-            "@media(hover: hover)": {
-              "a:hover": { textDecoration: "underline" },
-            },
-          })}
-        >
-          {[
-            {
-              label: "ETH",
-              value: (
-                <>
-                  <FormattedEth
-                    value={totals.eth}
-                    tokenSymbol={false}
-                    tooltip={false}
-                  />
-                  <ul
-                    css={(t) =>
-                      css({
-                        marginTop: "0.4rem",
-                        listStyle: "none",
-                        paddingLeft: "1.2rem",
-                        color: t.colors.textDimmed,
-                        // fontSize: t.text.sizes.small,
-                        // lineHeight: "2.1rem",
-                        "li + li": { marginTop: "0.4rem" },
-                      })
-                    }
-                  >
-                    <li>
+          <Tabs.Item key="overview" title="Overview">
+            <Heading>Total</Heading>
+            <FormattedEth value={totals.allInEth} tooltip={false} /> in ETH{" "}
+            <span
+              css={(t) =>
+                css({
+                  color: t.colors.textDimmed,
+                  fontSize: t.text.sizes.small,
+                })
+              }
+            >
+              (<FormattedUsdc value={totals.allInUsd} tooltip={false} /> in USD)
+            </span>
+            <Heading>Assets overview</Heading>
+            <Dl
+              css={css({
+                a: { fontStyle: "italic" },
+                "@media(hover: hover)": {
+                  "a:hover": { textDecoration: "underline" },
+                },
+              })}
+            >
+              {[
+                {
+                  label: "ETH",
+                  value: (
+                    <>
                       <FormattedEth
-                        value={regularEthTotal}
-                        tokenSymbol="ETH"
-                        tooltip={
-                          <Dl>
-                            <dt>
-                              <ExplorerAddressLink
-                                address={
-                                  resolveContractIdentifier("executor").address
-                                }
-                              >
-                                Treasury (executor/timelock) ETH
-                              </ExplorerAddressLink>
-                            </dt>
-                            <dd>
-                              <FormattedEth
-                                value={balances.executor.eth}
-                                tokenSymbol={false}
-                                tooltip={false}
-                              />
-                            </dd>
-                            {balances["token-buyer"].eth > 0 && (
-                              <>
+                        value={totals.eth}
+                        tokenSymbol={false}
+                        tooltip={false}
+                      />
+                      <ul
+                        css={(t) =>
+                          css({
+                            marginTop: "0.4rem",
+                            listStyle: "none",
+                            paddingLeft: "1.2rem",
+                            color: t.colors.textDimmed,
+                            // fontSize: t.text.sizes.small,
+                            // lineHeight: "2.1rem",
+                            "li + li": { marginTop: "0.4rem" },
+                          })
+                        }
+                      >
+                        <li>
+                          <FormattedEth
+                            value={regularEthTotal}
+                            tokenSymbol="ETH"
+                            tooltip={
+                              <Dl>
                                 <dt>
                                   <ExplorerAddressLink
                                     address={
-                                      resolveContractIdentifier("token-buyer")
+                                      resolveContractIdentifier("executor")
                                         .address
                                     }
                                   >
-                                    Token Buyer ETH
+                                    Treasury (executor/timelock) ETH
                                   </ExplorerAddressLink>
                                 </dt>
                                 <dd>
                                   <FormattedEth
-                                    value={balances["token-buyer"].eth}
+                                    value={balances.executor.eth}
                                     tokenSymbol={false}
                                     tooltip={false}
                                   />
                                 </dd>
-                              </>
-                            )}
-                            {balances["dao-proxy"].eth > 0 && (
-                              <>
-                                <dt>
-                                  <ExplorerAddressLink
-                                    address={
-                                      resolveContractIdentifier("dao").address
-                                    }
-                                  >
-                                    DAO Proxy (vote refunds) ETH
-                                  </ExplorerAddressLink>
-                                </dt>
-                                <dd>
-                                  <FormattedEth
-                                    value={balances["dao-proxy"].eth}
-                                    tokenSymbol={false}
-                                    tooltip={false}
-                                  />
-                                </dd>
-                              </>
-                            )}
-                            {balances["client-incentives-rewards-proxy"]?.weth >
-                              0 && (
-                              <>
-                                <dt>
-                                  <ExplorerAddressLink
-                                    address={
-                                      resolveContractIdentifier(
-                                        "client-incentives-rewards-proxy",
-                                      ).address
-                                    }
-                                  >
-                                    Client incentives rewards wETH
-                                  </ExplorerAddressLink>
-                                </dt>
-                                <dd>
-                                  <FormattedEth
-                                    value={
-                                      balances[
-                                        "client-incentives-rewards-proxy"
-                                      ].weth
-                                    }
-                                    tokenSymbol={false}
-                                    tooltip={false}
-                                  />
-                                </dd>
-                              </>
-                            )}
-                            {balances.executor.weth > 0 && (
-                              <>
-                                <dt>Treasury wETH</dt>
-                                <dd>
-                                  <FormattedEth
-                                    value={balances.executor.weth}
-                                    tokenSymbol={false}
-                                    tooltip={false}
-                                  />
-                                </dd>
-                              </>
-                            )}
-                          </Dl>
+                                {balances["token-buyer"].eth > 0 && (
+                                  <>
+                                    <dt>
+                                      <ExplorerAddressLink
+                                        address={
+                                          resolveContractIdentifier(
+                                            "token-buyer",
+                                          ).address
+                                        }
+                                      >
+                                        Token Buyer ETH
+                                      </ExplorerAddressLink>
+                                    </dt>
+                                    <dd>
+                                      <FormattedEth
+                                        value={balances["token-buyer"].eth}
+                                        tokenSymbol={false}
+                                        tooltip={false}
+                                      />
+                                    </dd>
+                                  </>
+                                )}
+                                {balances["dao-proxy"].eth > 0 && (
+                                  <>
+                                    <dt>
+                                      <ExplorerAddressLink
+                                        address={
+                                          resolveContractIdentifier("dao")
+                                            .address
+                                        }
+                                      >
+                                        DAO Proxy (vote refunds) ETH
+                                      </ExplorerAddressLink>
+                                    </dt>
+                                    <dd>
+                                      <FormattedEth
+                                        value={balances["dao-proxy"].eth}
+                                        tokenSymbol={false}
+                                        tooltip={false}
+                                      />
+                                    </dd>
+                                  </>
+                                )}
+                                {balances["client-incentives-rewards-proxy"]
+                                  ?.weth > 0 && (
+                                  <>
+                                    <dt>
+                                      <ExplorerAddressLink
+                                        address={
+                                          resolveContractIdentifier(
+                                            "client-incentives-rewards-proxy",
+                                          ).address
+                                        }
+                                      >
+                                        Client incentives rewards wETH
+                                      </ExplorerAddressLink>
+                                    </dt>
+                                    <dd>
+                                      <FormattedEth
+                                        value={
+                                          balances[
+                                            "client-incentives-rewards-proxy"
+                                          ].weth
+                                        }
+                                        tokenSymbol={false}
+                                        tooltip={false}
+                                      />
+                                    </dd>
+                                  </>
+                                )}
+                                {balances.executor.weth > 0 && (
+                                  <>
+                                    <dt>Treasury wETH</dt>
+                                    <dd>
+                                      <FormattedEth
+                                        value={balances.executor.weth}
+                                        tokenSymbol={false}
+                                        tooltip={false}
+                                      />
+                                    </dd>
+                                  </>
+                                )}
+                              </Dl>
+                            }
+                          />
+                        </li>
+                        {stEthTotal > 0n && (
+                          <li>
+                            <FormattedEth
+                              value={stEthTotal}
+                              tokenSymbol="stETH"
+                              tooltip={
+                                balances.executor.wsteth > 0 ? (
+                                  <>
+                                    Includes{" "}
+                                    <FormattedEth
+                                      value={balances.executor.wsteth}
+                                      tokenSymbol="wstETH"
+                                    />
+                                  </>
+                                ) : (
+                                  false
+                                )
+                              }
+                            />
+                          </li>
+                        )}
+                        {balances.executor.reth > 0 && (
+                          <li>
+                            <FormattedEth
+                              value={balances.executor.reth}
+                              tokenSymbol="rETH"
+                              tooltip={false}
+                            />{" "}
+                            <span data-small>
+                              ({"Ξ"}
+                              <FormattedEth
+                                value={rethToEth(balances.executor.reth)}
+                                tooltip={false}
+                              />
+                              )
+                            </span>
+                          </li>
+                        )}
+                      </ul>
+                    </>
+                  ),
+                },
+                {
+                  label: "USDC",
+                  value: (
+                    <>
+                      <FormattedUsdc
+                        value={totals.usdc}
+                        tooltip={
+                          balances.payer.usdc > 0 ? (
+                            <>
+                              Includes{" "}
+                              <FormattedUsdc value={balances.payer.usdc} /> USDC
+                              held in The Payer contract
+                            </>
+                          ) : (
+                            false
+                          )
                         }
-                      />
-                    </li>
-                    {stEthTotal > 0n && (
-                      <li>
-                        <FormattedEth
-                          value={stEthTotal}
-                          tokenSymbol="stETH"
-                          tooltip={
-                            balances.executor.wsteth > 0 ? (
-                              <>
-                                Includes{" "}
-                                <FormattedEth
-                                  value={balances.executor.wsteth}
-                                  tokenSymbol="wstETH"
-                                />
-                              </>
-                            ) : (
-                              false
-                            )
-                          }
-                        />
-                      </li>
-                    )}
-                    {balances.executor.reth > 0 && (
-                      <li>
-                        <FormattedEth
-                          value={balances.executor.reth}
-                          tokenSymbol="rETH"
-                          tooltip={false}
-                        />{" "}
+                      />{" "}
+                      {usdcToEth != null && (
                         <span data-small>
                           ({"Ξ"}
-                          <FormattedEth
-                            value={rethToEth(balances.executor.reth)}
-                            tooltip={false}
-                          />
-                          )
+                          <FormattedEth value={usdcToEth(totals.usdc)} />)
                         </span>
-                      </li>
-                    )}
-                  </ul>
-                </>
-              ),
-            },
-            {
-              label: "USDC",
-              value: (
-                <>
-                  <FormattedUsdc
-                    value={totals.usdc}
-                    tooltip={
-                      balances.payer.usdc > 0 ? (
-                        <>
-                          Includes <FormattedUsdc value={balances.payer.usdc} />{" "}
-                          USDC held in The Payer contract
-                        </>
-                      ) : (
-                        false
-                      )
-                    }
-                  />{" "}
-                  {usdcToEth != null && (
-                    <span data-small>
-                      ({"Ξ"}
-                      <FormattedEth value={usdcToEth(totals.usdc)} />)
-                    </span>
-                  )}
-                </>
-              ),
-            },
-            {
-              label: "Nouns",
-              value: (() => {
-                return (
-                  <>
-                    <Link
-                      underline
-                      component={NextLink}
-                      href={`/voters/${treasuryAddress}`}
-                      style={{ color: "inherit", fontStyle: "normal" }}
-                    >
-                      {Number(
-                        balances.executor.nouns + balances["fork-escrow"].nouns,
                       )}
-                    </Link>{" "}
-                    {balances["fork-escrow"].nouns > 0 && (
-                      <span data-small>
-                        (Includes {balances["fork-escrow"].nouns.toString()}{" "}
-                        Nouns held in{" "}
-                        <EtherscanLink address={forkEscrowAddress}>
-                          The Fork Escrow
-                        </EtherscanLink>
-                        )
-                      </span>
+                    </>
+                  ),
+                },
+                {
+                  label: "Nouns",
+                  value: (() => {
+                    return (
+                      <>
+                        <Link
+                          underline
+                          component={NextLink}
+                          href={`/voters/${treasuryAddress}`}
+                          style={{ color: "inherit", fontStyle: "normal" }}
+                        >
+                          {Number(
+                            balances.executor.nouns +
+                              balances["fork-escrow"].nouns,
+                          )}
+                        </Link>{" "}
+                        {balances["fork-escrow"].nouns > 0 && (
+                          <span data-small>
+                            (Includes {balances["fork-escrow"].nouns.toString()}{" "}
+                            Nouns held in{" "}
+                            <EtherscanLink address={forkEscrowAddress}>
+                              The Fork Escrow
+                            </EtherscanLink>
+                            )
+                          </span>
+                        )}
+                      </>
+                    );
+                  })(),
+                },
+              ].map(({ label, value }, i) => (
+                <React.Fragment key={i}>
+                  <dt>{label}</dt>
+                  <dd>{value}</dd>
+                </React.Fragment>
+              ))}
+            </Dl>
+            <Heading>
+              Activity
+              <Select
+                size="tiny"
+                variant="tag"
+                aria-label="Activity day count"
+                value={activityDayCount}
+                options={[7, 14, 30, 60, 90, 365].map((count) => ({
+                  value: count,
+                  label: `${count} days`,
+                }))}
+                onChange={(value) => {
+                  setActivityDayCount(value);
+                }}
+                fullWidth={false}
+                width="max-content"
+                buttonProps={{
+                  style: { color: "inherit", margin: "-0.1rem 0.5em" },
+                }}
+                renderTriggerContent={(value) => <>Last {value} days</>}
+              />
+            </Heading>
+            <Dl>
+              <dt>
+                <Tooltip.Root>
+                  <Tooltip.Trigger>Auction proceeds</Tooltip.Trigger>
+                  <Tooltip.Content side="top" sideOffset={6} portal>
+                    {auctionNounIds == null ? (
+                      "..."
+                    ) : auctionNounIds.length === 1 ? (
+                      <>1 settled auction (Noun {auctionNounIds[0]})</>
+                    ) : (
+                      <>
+                        {auctionNounIds.length} settled auctions
+                        <div css={(t) => css({ color: t.colors.textDimmed })}>
+                          Noun {auctionNounIds[0]} to{" "}
+                          {auctionNounIds[auctionNounIds.length - 1]}
+                        </div>
+                      </>
                     )}
-                  </>
-                );
-              })(),
-            },
-          ].map(({ label, value }, i) => (
-            <React.Fragment key={i}>
-              <dt>{label}</dt>
-              <dd>{value}</dd>
-            </React.Fragment>
-          ))}
-        </Dl>
-        <Heading>
-          Activity
-          <Select
-            size="tiny"
-            variant="tag"
-            aria-label="Activity day count"
-            value={activityDayCount}
-            options={[7, 14, 30, 60, 90, 365].map((count) => ({
-              value: count,
-              label: `${count} days`,
-            }))}
-            onChange={(value) => {
-              setActivityDayCount(value);
-            }}
-            fullWidth={false}
-            width="max-content"
-            buttonProps={{
-              style: { color: "inherit", margin: "-0.1rem 0.5em" },
-            }}
-            renderTriggerContent={(value) => <>Last {value} days</>}
-          />
-        </Heading>
-        <Dl>
-          <dt>
-            <Tooltip.Root>
-              <Tooltip.Trigger>Auction proceeds</Tooltip.Trigger>
-              <Tooltip.Content side="top" sideOffset={6} portal>
-                {auctionNounIds == null ? (
-                  "..."
-                ) : auctionNounIds.length === 1 ? (
-                  <>1 settled auction (Noun {auctionNounIds[0]})</>
-                ) : (
-                  <>
-                    {auctionNounIds.length} settled auctions
-                    <div css={(t) => css({ color: t.colors.textDimmed })}>
-                      Noun {auctionNounIds[0]} to{" "}
-                      {auctionNounIds[auctionNounIds.length - 1]}
-                    </div>
-                  </>
-                )}
-              </Tooltip.Content>
-            </Tooltip.Root>
-          </dt>
-          <dd>
-            {auctionProceeds != null && (
-              <>
-                {"Ξ"}
-                <FormattedEth value={auctionProceeds} tooltip={false} />{" "}
-                <span data-small>
-                  (avg {"Ξ"}
-                  <FormattedEth
-                    value={auctionProceeds / BigInt(auctionNounIds.length)}
-                    tooltip={false}
-                  />{" "}
-                  per token)
-                </span>
-              </>
-            )}
-          </dd>
-          <dt>
-            <Tooltip.Root>
-              <Tooltip.Trigger>Assets deployed</Tooltip.Trigger>
-              <Tooltip.Content side="top" sideOffset={6} portal>
-                {deployedProposalIds == null ? (
-                  "..."
-                ) : deployedProposalIds.length === 1 ? (
-                  <>1 executed proposal (Prop {deployedProposalIds[0]})</>
-                ) : (
+                  </Tooltip.Content>
+                </Tooltip.Root>
+              </dt>
+              <dd>
+                {auctionProceeds != null && (
                   <>
-                    {deployedProposalIds.length} executed proposals
-                    <div
-                      css={(t) =>
-                        css({
-                          color: t.colors.textDimmed,
-                          maxWidth: "24rem",
-                        })
-                      }
-                    >
-                      {deployedProposalIds.slice(0, -1).join(", ")}, and{" "}
-                      {deployedProposalIds.slice(-1)[0]}
-                    </div>
+                    {"Ξ"}
+                    <FormattedEth
+                      value={auctionProceeds}
+                      tooltip={false}
+                    />{" "}
+                    <span data-small>
+                      (avg {"Ξ"}
+                      <FormattedEth
+                        value={auctionProceeds / BigInt(auctionNounIds.length)}
+                        tooltip={false}
+                      />{" "}
+                      per token)
+                    </span>
                   </>
                 )}
-              </Tooltip.Content>
-            </Tooltip.Root>
-          </dt>
-          <dd>
-            {assetsDeployed != null && (
-              <ul
-                css={css({
-                  listStyle: "none",
-                  "li + li": { marginTop: "0.4rem" },
-                })}
-              >
-                {assetsDeployed.map((asset) => (
-                  <li key={asset.currency}>
-                    {(() => {
-                      switch (asset.currency) {
-                        case "eth":
-                          return (
-                            <>
-                              {"Ξ"}
-                              <FormattedEth
-                                value={asset.amount}
-                                tooltip={false}
-                              />
-                            </>
-                          );
-
-                        case "usdc":
-                          return (
-                            <>
-                              $<FormattedUsdc value={asset.amount} />{" "}
-                              {usdcToEth != null && (
-                                <span data-small>
-                                  ({"Ξ"}
+              </dd>
+              <dt>
+                <Tooltip.Root>
+                  <Tooltip.Trigger>Assets deployed</Tooltip.Trigger>
+                  <Tooltip.Content side="top" sideOffset={6} portal>
+                    {deployedProposalIds == null ? (
+                      "..."
+                    ) : deployedProposalIds.length === 1 ? (
+                      <>1 executed proposal (Prop {deployedProposalIds[0]})</>
+                    ) : (
+                      <>
+                        {deployedProposalIds.length} executed proposals
+                        <div
+                          css={(t) =>
+                            css({
+                              color: t.colors.textDimmed,
+                              maxWidth: "24rem",
+                            })
+                          }
+                        >
+                          {deployedProposalIds.slice(0, -1).join(", ")}, and{" "}
+                          {deployedProposalIds.slice(-1)[0]}
+                        </div>
+                      </>
+                    )}
+                  </Tooltip.Content>
+                </Tooltip.Root>
+              </dt>
+              <dd>
+                {assetsDeployed != null && (
+                  <ul
+                    css={css({
+                      listStyle: "none",
+                      "li + li": { marginTop: "0.4rem" },
+                    })}
+                  >
+                    {assetsDeployed.map((asset) => (
+                      <li key={asset.currency}>
+                        {(() => {
+                          switch (asset.currency) {
+                            case "eth":
+                              return (
+                                <>
+                                  {"Ξ"}
                                   <FormattedEth
-                                    value={usdcToEth(asset.amount)}
+                                    value={asset.amount}
                                     tooltip={false}
                                   />
-                                  )
-                                </span>
-                              )}
-                            </>
-                          );
+                                </>
+                              );
 
-                        case "nouns": {
-                          const count = asset.tokens.length;
-                          return (
-                            <>
-                              {count} {count === 1 ? "Noun" : "Nouns"}
-                            </>
-                          );
-                        }
+                            case "usdc":
+                              return (
+                                <>
+                                  $<FormattedUsdc value={asset.amount} />{" "}
+                                  {usdcToEth != null && (
+                                    <span data-small>
+                                      ({"Ξ"}
+                                      <FormattedEth
+                                        value={usdcToEth(asset.amount)}
+                                        tooltip={false}
+                                      />
+                                      )
+                                    </span>
+                                  )}
+                                </>
+                              );
 
-                        default:
-                          throw new Error();
-                      }
-                    })()}
-                  </li>
-                ))}
-              </ul>
-            )}
-          </dd>
-        </Dl>
-        <Heading>
-          Inflow projection
-          <Select
-            size="tiny"
-            variant="tag"
-            aria-label="Inflow projection day count"
-            value={inflowProjectionDayCount}
-            options={[
-              { value: 30, label: "1 month" },
-              { value: 180, label: "6 months" },
-              { value: 365, label: "1 year" },
-            ]}
-            onChange={(value) => {
-              setInflowProjectionDayCount(value);
-            }}
-            fullWidth={false}
-            width="max-content"
-            buttonProps={{
-              style: { color: "inherit", margin: "-0.1rem 0.5em" },
-            }}
-            renderTriggerContent={(value) => {
-              const filterLabel = {
-                30: "1 month",
-                180: "6 months",
-                365: "1 year",
-              }[value];
-              return <>For {filterLabel}</>;
-            }}
-          />
-        </Heading>
-        <Dl>
-          <dt>Auction proceeds</dt>
-          <dd>
-            {twoWeekAvgNounPrice != null && (
-              <Tooltip.Root>
-                <Tooltip.Trigger>
-                  {"Ξ"}
-                  <FormattedEth
-                    value={
-                      twoWeekAvgNounPrice * BigInt(inflowProjectionDayCount)
-                    }
-                    tooltip={false}
-                  />{" "}
-                  <span data-small>
-                    ({"Ξ"}
-                    <FormattedEth
-                      value={twoWeekAvgNounPrice}
-                      tooltip={false}
-                    />{" "}
-                    per auction)
-                  </span>
-                  <p
-                    css={(t) =>
-                      css({
-                        fontSize: t.text.sizes.small,
-                        color: t.colors.textDimmed,
-                        fontStyle: "italic",
-                      })
-                    }
-                  >
-                    Price change rate is intentionally disregarded. DYOR for a
-                    more realistic forecast.
-                  </p>
-                </Tooltip.Trigger>
-                <Tooltip.Content
-                  side="top"
-                  sideOffset={6}
-                  portal
-                  css={(t) =>
-                    css({
-                      maxWidth: "23rem",
-                      ".dimmed": {
-                        color: t.colors.textDimmedAlpha,
-                      },
-                    })
-                  }
-                >
-                  <p>
-                    Projection made using a 14 day rolling auction price average{" "}
-                    <span className="nowrap">
-                      ({"Ξ"}
+                            case "nouns": {
+                              const count = asset.tokens.length;
+                              return (
+                                <>
+                                  {count} {count === 1 ? "Noun" : "Nouns"}
+                                </>
+                              );
+                            }
+
+                            default: {
+                              const token = resolveCurrency(asset.currency);
+                              if (token == null) throw new Error();
+                              return (
+                                <FormattedTokenAmount
+                                  value={asset.amount}
+                                  token={token}
+                                  tooltip={false}
+                                />
+                              );
+                            }
+                          }
+                        })()}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </dd>
+            </Dl>
+            <Heading>
+              Inflow projection
+              <Select
+                size="tiny"
+                variant="tag"
+                aria-label="Inflow projection day count"
+                value={inflowProjectionDayCount}
+                options={[
+                  { value: 30, label: "1 month" },
+                  { value: 180, label: "6 months" },
+                  { value: 365, label: "1 year" },
+                ]}
+                onChange={(value) => {
+                  setInflowProjectionDayCount(value);
+                }}
+                fullWidth={false}
+                width="max-content"
+                buttonProps={{
+                  style: { color: "inherit", margin: "-0.1rem 0.5em" },
+                }}
+                renderTriggerContent={(value) => {
+                  const filterLabel = {
+                    30: "1 month",
+                    180: "6 months",
+                    365: "1 year",
+                  }[value];
+                  return <>For {filterLabel}</>;
+                }}
+              />
+            </Heading>
+            <Dl>
+              <dt>Auction proceeds</dt>
+              <dd>
+                {twoWeekAvgNounPrice != null && (
+                  <Tooltip.Root>
+                    <Tooltip.Trigger>
+                      {"Ξ"}
                       <FormattedEth
-                        value={twoWeekAvgNounPrice}
+                        value={
+                          twoWeekAvgNounPrice * BigInt(inflowProjectionDayCount)
+                        }
                         tooltip={false}
-                      />
-                      )
-                    </span>
-                  </p>
-                  <p className="dimmed">
-                    {"Ξ"}
-                    <FormattedEth
-                      value={twoWeekAvgNounPrice}
-                      tooltip={false}
-                    />{" "}
-                    {"×"} {inflowProjectionDayCount} days = {"Ξ"}
-                    <FormattedEth
-                      value={
-                        twoWeekAvgNounPrice * BigInt(inflowProjectionDayCount)
+                      />{" "}
+                      <span data-small>
+                        ({"Ξ"}
+                        <FormattedEth
+                          value={twoWeekAvgNounPrice}
+                          tooltip={false}
+                        />{" "}
+                        per auction)
+                      </span>
+                      <p
+                        css={(t) =>
+                          css({
+                            fontSize: t.text.sizes.small,
+                            color: t.colors.textDimmed,
+                            fontStyle: "italic",
+                          })
+                        }
+                      >
+                        Price change rate is intentionally disregarded. DYOR for
+                        a more realistic forecast.
+                      </p>
+                    </Tooltip.Trigger>
+                    <Tooltip.Content
+                      side="top"
+                      sideOffset={6}
+                      portal
+                      css={(t) =>
+                        css({
+                          maxWidth: "23rem",
+                          ".dimmed": {
+                            color: t.colors.textDimmedAlpha,
+                          },
+                        })
                       }
-                      tooltip={false}
-                    />
-                  </p>
-                </Tooltip.Content>
-              </Tooltip.Root>
-            )}
-          </dd>
-          <dt>stETH yield</dt>
-          <dd>
-            {"Ξ"}
-            <FormattedEth
-              value={(stEthTotal * stEthReturnRateEstimateBPS) / 10_000n}
-              tooltip={false}
-            />{" "}
-            <span data-small>
-              (
-              <FormattedNumber
-                value={aprs.lido}
-                style="percent"
-                maximumFractionDigits={2}
-              />{" "}
-              APR)
-            </span>
-          </dd>
-          {balances.executor.reth != null && (
-            <>
-              <dt>rETH yield</dt>
+                    >
+                      <p>
+                        Projection made using a 14 day rolling auction price
+                        average{" "}
+                        <span className="nowrap">
+                          ({"Ξ"}
+                          <FormattedEth
+                            value={twoWeekAvgNounPrice}
+                            tooltip={false}
+                          />
+                          )
+                        </span>
+                      </p>
+                      <p className="dimmed">
+                        {"Ξ"}
+                        <FormattedEth
+                          value={twoWeekAvgNounPrice}
+                          tooltip={false}
+                        />{" "}
+                        {"×"} {inflowProjectionDayCount} days = {"Ξ"}
+                        <FormattedEth
+                          value={
+                            twoWeekAvgNounPrice *
+                            BigInt(inflowProjectionDayCount)
+                          }
+                          tooltip={false}
+                        />
+                      </p>
+                    </Tooltip.Content>
+                  </Tooltip.Root>
+                )}
+              </dd>
+              <dt>stETH yield</dt>
               <dd>
                 {"Ξ"}
                 <FormattedEth
-                  value={
-                    (balances.executor.reth * rEthReturnRateEstimateBPS) /
-                    10_000n
-                  }
+                  value={(stEthTotal * stEthReturnRateEstimateBPS) / 10_000n}
                   tooltip={false}
                 />{" "}
                 <span data-small>
                   (
                   <FormattedNumber
-                    value={aprs.rocketPool}
+                    value={aprs.lido}
                     style="percent"
                     maximumFractionDigits={2}
                   />{" "}
                   APR)
                 </span>
               </dd>
-            </>
-          )}
-        </Dl>
+              {balances.executor.reth != null && (
+                <>
+                  <dt>rETH yield</dt>
+                  <dd>
+                    {"Ξ"}
+                    <FormattedEth
+                      value={
+                        (balances.executor.reth * rEthReturnRateEstimateBPS) /
+                        10_000n
+                      }
+                      tooltip={false}
+                    />{" "}
+                    <span data-small>
+                      (
+                      <FormattedNumber
+                        value={aprs.rocketPool}
+                        style="percent"
+                        maximumFractionDigits={2}
+                      />{" "}
+                      APR)
+                    </span>
+                  </dd>
+                </>
+              )}
+            </Dl>
+          </Tabs.Item>
+          <Tabs.Item key="history" title="History">
+            <HistoryContent rates={rates} totals={totals} />
+          </Tabs.Item>
+        </Tabs.Root>
         <p
           css={(t) =>
             css({
@@ -782,6 +837,228 @@ const Content = ({ balances, rates, aprs, totals, titleProps, dismiss }) => {
   );
 };
 
+const HistoryContent = ({ rates, totals }) => {
+  const [monthCount, setMonthCount] = React.useState(12);
+
+  const history = useTreasuryHistory({ months: monthCount });
+
+  if (history == null)
+    return (
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "center",
+          minHeight: "20rem",
+        }}
+      >
+        <Spinner />
+      </div>
+    );
+
+  const usdcToEth = (usdc) => (usdc * rates.usdcEth) / 10n ** 6n;
+
+  const balanceBars = history.balances.map(({ timestamp, balances }) => {
+    const data = { balances, rates };
+    return {
+      timestamp,
+      value: getTotalEth(data) + usdcToEth(getTotalUsdc(data)),
+    };
+  });
+
+  const spendBars = history.spending.map(
+    ({ timestamp, assets, proposalIds }) => ({
+      timestamp,
+      value: getEthValue(assets, { rates }),
+      proposalIds,
+    }),
+  );
+
+  // The ongoing month is left out, since it would drag the average down
+  const averageMonthlySpend = getAverage(
+    spendBars.slice(0, -1).map(({ value }) => value),
+  );
+
+  const runway = projectRunway({
+    balance: totals.allInEth,
+    monthlySpend: averageMonthlySpend,
+  });
+
+  const nowMillis = Date.now();
+  const runwayBars = runway.balances.map((value, i) => {
+    const date = new Date(nowMillis);
+    date.setUTCMonth(date.getUTCMonth() + i, 1);
+    return { timestamp: date.getTime() / 1000, value };
+  });
+
+  return (
+    <>
+      <Heading>
+        Balance
+        <Select
+          size="tiny"
+          variant="tag"
+          aria-label="History month count"
+          value={monthCount}
+          options={[6, 12, 24].map((count) => ({
+            value: count,
+            label: `${count} months`,
+          }))}
+          onChange={(value) => {
+            setMonthCount(value);
+          }}
+          fullWidth={false}
+          width="max-content"
+          buttonProps={{
+            style: { color: "inherit", margin: "-0.1rem 0.5em" },
+          }}
+          renderTriggerContent={(value) => <>Last {value} months</>}
+        />
+      </Heading>
+      <BarChart
+        bars={balanceBars}
+        renderLabel={({ timestamp, value }) => (
+          <>
+            <FormattedMonth timestamp={timestamp} day="numeric" />
+            <div>
+              {"Ξ"}
+              <FormattedEth value={value} tooltip={false} />
+            </div>
+          </>
+        )}
+      />
+      <Heading>Spending</Heading>
+      <BarChart
+        bars={spendBars}
+        renderLabel={({ timestamp, value, proposalIds }) => (
+          <>
+            <FormattedMonth timestamp={timestamp} />
+            <div>
+              {"Ξ"}
+              <FormattedEth value={value} tooltip={false} />
+            </div>
+            {proposalIds.length > 0 && (
+              <div css={(t) => css({ color: t.colors.textDimmed })}>
+                {proposalIds.length === 1
+                  ? `Prop ${proposalIds[0]}`
+                  : `${proposalIds.length} executed proposals`}
+              </div>
+            )}
+          </>
+        )}
+      />
+      <Heading>Runway</Heading>
+      <Dl>
+        <dt>Average monthly spend</dt>
+        <dd>
+          {"Ξ"}
+          <FormattedEth value={averageMonthlySpend} tooltip={false} />{" "}
+          <span data-small>
+            (last {spendBars.length - 1} full{" "}
+            {spendBars.length === 2 ? "month" : "months"})
+          </span>
+        </dd>
+        <dt>Runway</dt>
+        <dd>
+          {runway.monthCount == null ? (
+            <>More than {runway.balances.length - 1} months</>
+          ) : (
+            <>
+              {runway.monthCount} {runway.monthCount === 1 ? "month" : "months"}
+            </>
+          )}
+        </dd>
+      </Dl>
+      <BarChart
+        bars={runwayBars}
+        css={css({ marginTop: "1.6rem" })}
+        renderLabel={({ timestamp, value }) => (
+          <>
+            <FormattedMonth timestamp={timestamp} />
+            <div>
+              {"Ξ"}
+              <FormattedEth value={value} tooltip={false} />
+            </div>
+          </>
+        )}
+      />
+      <p
+        css={(t) =>
+          css({
+            marginTop: "1.6rem",
+            fontSize: t.text.sizes.small,
+            color: t.colors.textDimmed,
+            fontStyle: "italic",
+          })
+        }
+      >
+        All amounts are valued in ETH at current rates. The projection
+        disregards auction proceeds and staking yield, DYOR for a more realistic
+        forecast.
+      </p>
+    </>
+  );
+};
+
+const FormattedMonth = ({ timestamp, ...options }) => (
+  <FormattedDate
+    value={timestamp * 1000}
+    month="short"
+    year="numeric"
+    timeZone="UTC"
+    {...options}
+  />
+);
+
+const BarChart = ({ bars, renderLabel, ...props }) => {
+  const maxValue = bars.reduce(
+    (max, { value }) => (value > max ? value : max),
+    BigInt(0),
+  );
+  return (
+    <div
+      css={(t) =>
+        css({
+          display: "flex",
+          alignItems: "flex-end",
+          gap: "0.2rem",
+          height: "8rem",
+          borderBottom: "0.1rem solid",
+          borderColor: t.colors.borderLight,
+          "[data-bar]": {
+            flex: 1,
+            minWidth: 0,
+            minHeight: "0.1rem",
+            background: t.colors.textMutedAlpha,
+            borderTopLeftRadius: "0.2rem",
+            borderTopRightRadius: "0.2rem",
+          },
+          "@media(hover: hover)": {
+            "[data-bar]:hover": { background: t.colors.primary },
+          },
+        })
+      }
+      {...props}
+    >
+      {bars.map((bar) => {
+        // Bigints don’t do fractions, so we go by permille
+        const heightPermille =
+          maxValue === 0n ? 0 : Number((bar.value * 1000n) / maxValue);
+        return (
+          <Tooltip.Root key={bar.timestamp}>
+            <Tooltip.Trigger asChild>
+              <div data-bar style={{ height: `${heightPermille / 10}%` }} />
+            </Tooltip.Trigger>
+            <Tooltip.Content side="top" sideOffset={6} portal>
+              {renderLabel(bar)}
+            </Tooltip.Content>
+          </Tooltip.Root>
+        );
+      })}
+    </div>
+  );
+};
+
 const EtherscanLink = ({ address, ...props }) => (
   <a
     href={buildEtherscanLink(`/address/${address}`)}
@@ -49,6 +49,12 @@ import Avatar from "@shades/ui-web/avatar";
 import AccountPreviewPopoverTrigger from "@/components/account-preview-popover-trigger";
 
 const ActivityFeed = React.lazy(() => import("@/components/activity-feed"));
+const DelegateAnalytics = React.lazy(
+  () => import("@/components/delegate-analytics"),
+);
+const DelegateStatement = React.lazy(
+  () => import("@/components/delegate-statement"),
+);
 
 const FEED_PAGE_ITEM_COUNT = 30;
 
@@ -753,6 +759,16 @@ const VoterHeader = ({ accountAddress }) => {
 const VoterMainSection = ({ voterAddress }) => {
   const isDesktopLayout = useMatchDesktopLayout();
 
+  const [searchParams, setSearchParams] = useSearchParams();
+  const defaultTab = isDesktopLayout ? "proposals" : "activity";
+  const selectedTab = (() => {
+    const tab = searchParams.get("tab");
+    // The activity feed has its own sidebar on desktop
+    if (tab == null || (isDesktopLayout && tab === "activity"))
+      return defaultTab;
+    return tab;
+  })();
+
   const delegate = useDelegate(voterAddress);
 
   const proposals = useAccountProposals(voterAddress);
@@ -833,7 +849,18 @@ const VoterMainSection = ({ voterAddress }) => {
 
             <Tabs.Root
               aria-label="Voter sections"
-              defaultSelectedKey={isDesktopLayout ? "proposals" : "activity"}
+              selectedKey={selectedTab}
+              onSelectionChange={(key) => {
+                setSearchParams(
+                  (p) => {
+                    const newParams = new URLSearchParams(p);
+                    if (key === defaultTab) newParams.delete("tab");
+                    else newParams.set("tab", key);
+                    return newParams;
+                  },
+                  { replace: true },
+                );
+              }}
               css={(t) =>
                 css({
                   position: "sticky",
@@ -948,6 +975,16 @@ const VoterMainSection = ({ voterAddress }) => {
                   </div>
                 </div>
               </Tabs.Item>
+              <Tabs.Item key="statement" title="Statement">
+                <React.Suspense fallback={null}>
+                  <DelegateStatement accountAddress={voterAddress} />
+                </React.Suspense>
+              </Tabs.Item>
+              <Tabs.Item key="analytics" title="Analytics">
+                <React.Suspense fallback={null}>
+                  <DelegateAnalytics voterAddress={voterAddress} />
+                </React.Suspense>
+              </Tabs.Item>
             </Tabs.Root>
           </div>
         </MainContentContainer>
@@ -978,6 +1015,9 @@ const VoterScreen = ({ voterId: rawAddressOrEnsName }) => {
 
   return (
     <Layout
+      subscription={
+        voterAddress == null ? null : { type: "account", id: voterAddress }
+      }
       navigationStack={[
         { to: "/voters", label: "Voters", desktopOnly: true },
         { to: `/voters/${rawAddressOrEnsName}`, label: displayName },
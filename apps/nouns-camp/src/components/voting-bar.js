@@ -1,6 +1,7 @@
 import { css } from "@emotion/react";
 import { array as arrayUtils } from "@shades/common/utils";
 import * as Tooltip from "@shades/ui-web/tooltip";
+import { getForVotesRequiredToPass } from "@/utils/proposals";
 
 const VotingBar = ({
   votes = [],
@@ -57,7 +58,25 @@ const VotingBar = ({
     quorumVotes,
   );
 
-  const quorumTooltipContent = <>Quorum {quorumVotes}</>;
+  const forVotesRequiredToPass = getForVotesRequiredToPass({
+    forVotes: forVoteCount,
+    againstVotes: againstVoteCount,
+    quorumVotes,
+  });
+
+  const quorumTooltipContent = (
+    <>
+      Quorum {quorumVotes}
+      {forVotesRequiredToPass > 0 && (
+        <>
+          {" "}
+          &middot; {forVotesRequiredToPass} more{" "}
+          {forVotesRequiredToPass === 1 ? "for-vote" : "for-votes"} required to
+          pass
+        </>
+      )}
+    </>
+  );
 
   return (
     <div css={css({ containerType: "inline-size" })}>
@@ -0,0 +1,374 @@
+import React from "react";
+import { css } from "@emotion/react";
+import Dialog from "@shades/ui-web/dialog";
+import DialogHeader from "@shades/ui-web/dialog-header";
+import Button from "@shades/ui-web/button";
+import Input from "@shades/ui-web/input";
+import * as Menu from "@shades/ui-web/dropdown-menu";
+import {
+  CaretDown as CaretDownIcon,
+  CrossSmall as CrossSmallIcon,
+} from "@shades/ui-web/icons";
+import {
+  EVENT_TYPES,
+  SIGNATURE_HEADER,
+  validateWebhook,
+} from "@/utils/webhooks";
+import { useWallet } from "@/hooks/wallet";
+import {
+  useWebhooks,
+  useWebhookActions,
+  useWebhookDeliveries,
+} from "@/hooks/webhooks";
+import FormattedDateWithTooltip from "@/components/formatted-date-with-tooltip";
+
+const WebhooksDialog = ({ isOpen, close }) => (
+  <Dialog
+    isOpen={isOpen}
+    onRequestClose={() => {
+      close();
+    }}
+    width="60rem"
+  >
+    {(props) => <Content dismiss={close} {...props} />}
+  </Dialog>
+);
+
+const Content = ({ titleProps, dismiss }) => {
+  const { isAuthenticated } = useWallet();
+  const webhooks = useWebhooks();
+  const { signIn } = useWebhookActions();
+  const [createdWebhook, setCreatedWebhook] = React.useState(null);
+  const [selectedWebhookId, setSelectedWebhookId] = React.useState(null);
+
+  return (
+    <div
+      css={(t) =>
+        css({
+          padding: "1.6rem",
+          "@media (min-width: 600px)": {
+            padding: "2rem",
+          },
+          h2: {
+            fontSize: t.text.sizes.base,
+            fontWeight: t.text.weights.header,
+            margin: "0 0 1.2rem",
+          },
+          "[data-hint]": {
+            fontSize: t.text.sizes.small,
+            color: t.colors.textDimmed,
+          },
+          "[data-error]": {
+            fontSize: t.text.sizes.small,
+            color: t.colors.textNegative,
+            marginTop: "0.7rem",
+          },
+          code: {
+            fontFamily: t.fontStacks.monospace,
+            fontSize: "0.9em",
+            wordBreak: "break-all",
+          },
+          section: { marginTop: "3.2rem" },
+        })
+      }
+    >
+      <DialogHeader
+        title="Webhooks"
+        titleProps={titleProps}
+        dismiss={dismiss}
+      />
+      <main>
+        <p data-hint>
+          Get governance events (new proposals, state changes, votes, and
+          candidate sponsorships) POSTed to your own server. Payloads are signed
+          with HMAC-SHA256 in the <code>{SIGNATURE_HEADER}</code> header, as{" "}
+          <code>t=&lt;timestamp&gt;,v1=&lt;hex&gt;</code> over{" "}
+          <code>&lt;timestamp&gt;.&lt;body&gt;</code>. Failed deliveries are
+          retried with backoff.
+        </p>
+
+        {!isAuthenticated ? (
+          <section>
+            <p data-hint>Webhooks are tied to your account.</p>
+            <Button
+              size="medium"
+              style={{ marginTop: "1.2rem" }}
+              onClick={async () => {
+                try {
+                  await signIn();
+                } catch (e) {
+                  console.error(e);
+                }
+              }}
+            >
+              Authenticate account
+            </Button>
+          </section>
+        ) : (
+          <>
+            {createdWebhook != null && (
+              <section>
+                <h2>Signing secret</h2>
+                <p data-hint>
+                  Copy the secret for <code>{createdWebhook.url}</code> now, it
+                  won’t be shown again.
+                </p>
+                <p style={{ marginTop: "0.8rem" }}>
+                  <code>{createdWebhook.secret}</code>
+                </p>
+                <Button
+                  size="small"
+                  style={{ marginTop: "1.2rem" }}
+                  onClick={() => {
+                    navigator.clipboard.writeText(createdWebhook.secret);
+                  }}
+                >
+                  Copy secret
+                </Button>
+              </section>
+            )}
+
+            {webhooks?.length > 0 && (
+              <section>
+                <h2>Your webhooks</h2>
+                <WebhookList
+                  webhooks={webhooks}
+                  selectedWebhookId={selectedWebhookId}
+                  onSelect={setSelectedWebhookId}
+                />
+              </section>
+            )}
+
+            {selectedWebhookId != null && (
+              <section>
+                <h2>Recent deliveries</h2>
+                <DeliveryLog webhookId={selectedWebhookId} />
+              </section>
+            )}
+
+            <section>
+              <h2>New webhook</h2>
+              <WebhookForm onCreate={setCreatedWebhook} />
+            </section>
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+const WebhookList = ({ webhooks, selectedWebhookId, onSelect }) => {
+  const { deleteWebhook } = useWebhookActions();
+
+  return (
+    <ul
+      css={(t) =>
+        css({
+          listStyle: "none",
+          li: {
+            display: "flex",
+            alignItems: "center",
+            gap: "0.8rem",
+            padding: "0.4rem 0",
+            fontSize: t.text.sizes.small,
+          },
+          "li > :first-child": { flex: 1, minWidth: 0 },
+        })
+      }
+    >
+      {webhooks.map((w) => (
+        <li key={w.id}>
+          <div>
+            <code>{w.url}</code>
+            <div data-hint>
+              {w.events.length === 0
+                ? "All events"
+                : EVENT_TYPES.filter((t) => w.events.includes(t.key))
+                    .map((t) => t.title)
+                    .join(", ")}
+            </div>
+          </div>
+          <Button
+            size="tiny"
+            onClick={() => {
+              onSelect(selectedWebhookId === w.id ? null : w.id);
+            }}
+          >
+            {selectedWebhookId === w.id ? "Hide log" : "Log"}
+          </Button>
+          <Button
+            size="tiny"
+            variant="transparent"
+            icon={<CrossSmallIcon style={{ width: "1.6rem" }} />}
+            aria-label="Delete webhook"
+            onClick={async () => {
+              if (!confirm(`Delete the webhook for ${w.url}?`)) return;
+              try {
+                await deleteWebhook(w.id);
+                if (selectedWebhookId === w.id) onSelect(null);
+              } catch (e) {
+                console.error(e);
+                alert("Ops, looks like something went wrong!");
+              }
+            }}
+          />
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const DeliveryLog = ({ webhookId }) => {
+  const deliveries = useWebhookDeliveries(webhookId);
+
+  if (deliveries == null) return null;
+
+  if (deliveries.length === 0) return <p data-hint>Nothing delivered yet.</p>;
+
+  return (
+    <ul
+      css={(t) =>
+        css({
+          listStyle: "none",
+          fontSize: t.text.sizes.small,
+          li: {
+            display: "grid",
+            gridTemplateColumns: "minmax(0,1fr) auto auto",
+            gap: "0.8rem",
+            padding: "0.4rem 0",
+          },
+          '[data-status="delivered"]': { color: t.colors.textPositive },
+          '[data-status="failed"]': { color: t.colors.textNegative },
+        })
+      }
+    >
+      {deliveries.map((d) => (
+        <li key={`${d.deliveryId}-${d.attempt}`}>
+          <div>
+            {d.eventType}
+            {d.error != null && <div data-hint>{d.error}</div>}
+          </div>
+          <div data-status={d.status}>
+            {d.status}
+            {d.attempt > 1 && ` (attempt ${d.attempt})`}
+          </div>
+          <FormattedDateWithTooltip
+            tinyRelative
+            relativeDayThreshold={1}
+            month="short"
+            day="numeric"
+            value={d.timestamp}
+          />
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const WebhookForm = ({ onCreate }) => {
+  const { createWebhook } = useWebhookActions();
+  const [url, setUrl] = React.useState("");
+  const [events, setEvents] = React.useState([]);
+  const [hasSubmitted, setSubmitted] = React.useState(false);
+  const [isPending, setPending] = React.useState(false);
+  const [submitError, setSubmitError] = React.useState(null);
+
+  const errors = validateWebhook({ url, events });
+  const urlError = hasSubmitted
+    ? errors.find((e) => e.field === "url")?.message
+    : undefined;
+
+  return (
+    <form
+      onSubmit={async (e) => {
+        e.preventDefault();
+        setSubmitted(true);
+        setSubmitError(null);
+        if (errors.length > 0) return;
+        try {
+          setPending(true);
+          const webhook = await createWebhook({ url, events });
+          onCreate(webhook);
+          setUrl("");
+          setEvents([]);
+          setSubmitted(false);
+        } catch (e) {
+          console.error(e);
+          setSubmitError(
+            e.message === "too-many-webhooks"
+              ? "You’ve reached the maximum number of webhooks"
+              : "Ops, looks like something went wrong!",
+          );
+        } finally {
+          setPending(false);
+        }
+      }}
+      css={css({
+        display: "flex",
+        flexDirection: "column",
+        gap: "1.6rem",
+      })}
+    >
+      <div>
+        <Input
+          label="Payload URL"
+          value={url}
+          onChange={(e) => {
+            setUrl(e.target.value);
+          }}
+          placeholder="https://example.com/nouns-webhook"
+        />
+        {urlError != null && <div data-error>{urlError}</div>}
+      </div>
+      <EventTypesMenu selectedKeys={events} onChange={setEvents} />
+      {submitError != null && <div data-error>{submitError}</div>}
+      <div css={css({ display: "flex", justifyContent: "flex-end" })}>
+        <Button
+          type="submit"
+          size="medium"
+          variant="primary"
+          isLoading={isPending}
+          disabled={isPending || (hasSubmitted && errors.length > 0)}
+        >
+          Add webhook
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+const EventTypesMenu = ({ selectedKeys, onChange }) => (
+  <Menu.Root>
+    <Menu.Trigger asChild>
+      <Button
+        type="button"
+        align="left"
+        fullWidth
+        iconRight={
+          <CaretDownIcon style={{ width: "1.1rem", height: "auto" }} />
+        }
+      >
+        Events:{" "}
+        {selectedKeys.length === 0
+          ? "All"
+          : EVENT_TYPES.filter((t) => selectedKeys.includes(t.key))
+              .map((t) => t.title)
+              .join(", ")}
+      </Button>
+    </Menu.Trigger>
+    <Menu.Content
+      widthFollowTrigger
+      selectionMode="multiple"
+      selectedKeys={new Set(selectedKeys)}
+      onSelectionChange={(keys) => {
+        onChange([...keys]);
+      }}
+    >
+      {EVENT_TYPES.map((t) => (
+        <Menu.Item key={t.key}>{t.title}</Menu.Item>
+      ))}
+    </Menu.Content>
+  </Menu.Root>
+);
+
+export default WebhooksDialog;
@@ -2,3 +2,4 @@ export const CHAIN_ID = Number(process.env.NEXT_PUBLIC_CHAIN_ID);
 export const CAMP_CLIENT_ID = Number(process.env.NEXT_PUBLIC_CAMP_CLIENT_ID);
 export const APP_HOST = process.env.APP_HOST;
 export const APP_PRODUCTION_URL = process.env.APP_PRODUCTION_URL;
+export const VAPID_PUBLIC_KEY = process.env.NEXT_PUBLIC_VAPID_PUBLIC_KEY;
@@ -49,6 +49,7 @@ const addressByIdentifierByChainId = {
     "client-incentives-rewards-proxy":
       "0x883860178f95d0c82413edc1d6de530cb4771d55",
     "prop-house-nouns-house": "0xa1b73d8cb149ab30ec43f83f577646ac8fe7e617",
+    propdates: "0xa5bf9a9b8f60cfd98b1ccb592f2f9f37bb0033a4",
   },
   [sepolia.id]: {
     "eth-token": ETH_TOKEN_CONTRACT_ADDRESS,
@@ -95,6 +96,14 @@ const metaByIdentifier = {
     name: "stETH Token",
     token: "stETH",
   },
+  "wsteth-token": {
+    name: "wstETH Token",
+    token: "wstETH",
+  },
+  "reth-token": {
+    name: "rETH Token",
+    token: "rETH",
+  },
   "$nouns-token": {
     name: "$nouns Token",
     token: "$nouns",
@@ -143,6 +152,77 @@ const metaByIdentifier = {
     name: "Nouns Client Incentives Rewards Proxy",
   },
   "executor-v1": { name: "Nouns DAO Treasury v1" },
+  propdates: { name: "Propdates", description: "PropdatesV2" },
+};
+
+const OWNERSHIP_TRANSFERRED_EVENT =
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)";
+const ERC20_EVENTS = [
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event Approval(address indexed owner, address indexed spender, uint256 value)",
+];
+
+// Human-readable signatures of events emitted by known contracts, used to
+// decode simulation logs. Token contracts (`*-token`) not listed here get
+// `ERC20_EVENTS`.
+const eventSignaturesByIdentifier = {
+  dao: [
+    "event NewAdmin(address oldAdmin, address newAdmin)",
+    "event NewPendingAdmin(address oldPendingAdmin, address newPendingAdmin)",
+    "event NewVetoer(address oldVetoer, address newVetoer)",
+    "event NewPendingVetoer(address oldPendingVetoer, address newPendingVetoer)",
+    "event NewImplementation(address oldImplementation, address newImplementation)",
+    "event VotingDelaySet(uint256 oldVotingDelay, uint256 newVotingDelay)",
+    "event VotingPeriodSet(uint256 oldVotingPeriod, uint256 newVotingPeriod)",
+    "event ProposalThresholdBPSSet(uint256 oldProposalThresholdBPS, uint256 newProposalThresholdBPS)",
+  ],
+  executor: [
+    "event NewAdmin(address indexed newAdmin)",
+    "event NewPendingAdmin(address indexed newPendingAdmin)",
+    "event NewDelay(uint256 indexed newDelay)",
+    "event Upgraded(address indexed implementation)",
+  ],
+  token: [
+    "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+    "event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate)",
+    "event DelegateVotesChanged(address indexed delegate, uint256 previousBalance, uint256 newBalance)",
+    "event MinterUpdated(address minter)",
+    "event DescriptorUpdated(address descriptor)",
+    "event SeederUpdated(address seeder)",
+    "event NoundersDAOUpdated(address noundersDAO)",
+    OWNERSHIP_TRANSFERRED_EVENT,
+  ],
+  "auction-house": [
+    "event AuctionSettled(uint256 indexed nounId, address winner, uint256 amount)",
+    "event AuctionReservePriceUpdated(uint256 reservePrice)",
+    "event AuctionMinBidIncrementPercentageUpdated(uint256 minBidIncrementPercentage)",
+    "event AuctionTimeBufferUpdated(uint256 timeBuffer)",
+    "event Paused(address account)",
+    "event Unpaused(address account)",
+    OWNERSHIP_TRANSFERRED_EVENT,
+  ],
+  "auction-house-admin": [OWNERSHIP_TRANSFERRED_EVENT],
+  descriptor: [
+    "event ArtUpdated(address oldArt, address newArt)",
+    "event RendererUpdated(address oldRenderer, address newRenderer)",
+    "event DataURIToggled(bool enabled)",
+    "event PartsLocked()",
+    OWNERSHIP_TRANSFERRED_EVENT,
+  ],
+  payer: [
+    "event RegisteredDebt(address indexed account, uint256 amount)",
+    "event PaidBackDebt(address indexed account, uint256 amount, uint256 remainingDebt)",
+    OWNERSHIP_TRANSFERRED_EVENT,
+  ],
+  "token-buyer": [OWNERSHIP_TRANSFERRED_EVENT],
+  "weth-token": [
+    ...ERC20_EVENTS,
+    "event Deposit(address indexed dst, uint256 wad)",
+    "event Withdrawal(address indexed src, uint256 wad)",
+  ],
+  "stream-factory": [
+    "event StreamCreated(address indexed msgSender, address indexed payer, address indexed recipient, uint256 tokenAmount, address tokenAddress, uint256 startTime, uint256 stopTime, address streamAddress)",
+  ],
 };
 
 export const resolveIdentifier = (identifier, { chainId = CHAIN_ID } = {}) => {
@@ -159,3 +239,13 @@ export const resolveAddress = (address, { chainId = CHAIN_ID } = {}) => {
   const meta = metaByIdentifier[identifier];
   return { address, identifier, ...meta };
 };
+
+export const getEventSignatures = (address, { chainId = CHAIN_ID } = {}) => {
+  const identifier =
+    identifierByAddressByChainId[chainId]?.[address?.toLowerCase()];
+  if (identifier == null) return null;
+  if (eventSignaturesByIdentifier[identifier] != null)
+    return eventSignaturesByIdentifier[identifier];
+  if (identifier.endsWith("-token")) return ERC20_EVENTS;
+  return null;
+};
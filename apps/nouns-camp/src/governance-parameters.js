@@ -0,0 +1,273 @@
+// Admin functions on the core Nouns contracts that change a governance (or
+// art) parameter. Setters are matched by contract and function name, so that
+// signature changes between contract versions (e.g. `setReservePrice(uint256)`
+// in the v1 auction house) still resolve.
+//
+// `change` tells how the new value relates to the calldata:
+//
+// - "set" — the first input (or all inputs for multi-value setters) is the new
+//   value
+// - "increment" — the value is added to the current one, e.g. trait counts
+// - "toggle" — the boolean flips, the function takes no input
+// - "lock" — the flag is set to `true`, the function takes no input
+//
+// `getter` is the view function returning the current value. Its output types
+// double as the value format, `args: "block-number"` passes the latest block.
+// Setters without a getter can still be parsed, they just won’t show a diff.
+
+const uint = (type = "uint256") => ({ outputs: [{ type }] });
+
+const dynamicQuorumParamsGetter = (select) => ({
+  name: "getDynamicQuorumParamsAt",
+  args: "block-number",
+  outputs: [
+    { type: "uint16" }, // minQuorumVotesBPS
+    { type: "uint16" }, // maxQuorumVotesBPS
+    { type: "uint32" }, // quorumCoefficient
+  ],
+  select,
+});
+
+const registry = {
+  dao: {
+    transactionType: "dao-parameter-change",
+    setters: {
+      _setVotingDelay: {
+        parameter: "voting-delay",
+        unit: "blocks",
+        getter: { name: "votingDelay", ...uint() },
+      },
+      _setVotingPeriod: {
+        parameter: "voting-period",
+        unit: "blocks",
+        getter: { name: "votingPeriod", ...uint() },
+      },
+      _setProposalThresholdBPS: {
+        parameter: "proposal-threshold",
+        unit: "bps",
+        getter: { name: "proposalThresholdBPS", ...uint() },
+      },
+      _setObjectionPeriodDurationInBlocks: {
+        parameter: "objection-period-duration",
+        unit: "blocks",
+        getter: { name: "objectionPeriodDurationInBlocks", ...uint() },
+      },
+      _setLastMinuteWindowInBlocks: {
+        parameter: "last-minute-window",
+        unit: "blocks",
+        getter: { name: "lastMinuteWindowInBlocks", ...uint() },
+      },
+      _setProposalUpdatablePeriodInBlocks: {
+        parameter: "proposal-updatable-period",
+        unit: "blocks",
+        getter: { name: "proposalUpdatablePeriodInBlocks", ...uint() },
+      },
+      _setMinQuorumVotesBPS: {
+        parameter: "min-quorum-votes",
+        unit: "bps",
+        getter: dynamicQuorumParamsGetter((params) => params[0]),
+      },
+      _setMaxQuorumVotesBPS: {
+        parameter: "max-quorum-votes",
+        unit: "bps",
+        getter: dynamicQuorumParamsGetter((params) => params[1]),
+      },
+      _setQuorumCoefficient: {
+        parameter: "quorum-coefficient",
+        unit: "quorum-coefficient",
+        getter: dynamicQuorumParamsGetter((params) => params[2]),
+      },
+      _setDynamicQuorumParams: {
+        parameter: "dynamic-quorum-params",
+        unit: "dynamic-quorum-params",
+        getter: dynamicQuorumParamsGetter(([min, max, coefficient]) => ({
+          minQuorumVotesBPS: min,
+          maxQuorumVotesBPS: max,
+          quorumCoefficient: coefficient,
+        })),
+      },
+      _setForkPeriod: {
+        parameter: "fork-period",
+        unit: "seconds",
+        getter: { name: "forkPeriod", ...uint() },
+      },
+      _setForkThresholdBPS: {
+        parameter: "fork-threshold",
+        unit: "bps",
+        getter: { name: "forkThresholdBPS", ...uint() },
+      },
+      _setForkEscrow: {
+        parameter: "fork-escrow",
+        unit: "address",
+        getter: { name: "forkEscrow", outputs: [{ type: "address" }] },
+      },
+      _setForkDAODeployer: {
+        parameter: "fork-dao-deployer",
+        unit: "address",
+        getter: { name: "forkDAODeployer", outputs: [{ type: "address" }] },
+      },
+    },
+  },
+  "auction-house": {
+    transactionType: "auction-house-parameter-change",
+    setters: {
+      setReservePrice: {
+        parameter: "reserve-price",
+        unit: "wei",
+        getter: { name: "reservePrice", ...uint("uint192") },
+      },
+      setTimeBuffer: {
+        parameter: "time-buffer",
+        unit: "seconds",
+        getter: { name: "timeBuffer", ...uint("uint56") },
+      },
+      setMinBidIncrementPercentage: {
+        parameter: "min-bid-increment",
+        unit: "percent",
+        getter: { name: "minBidIncrementPercentage", ...uint("uint8") },
+      },
+    },
+  },
+  token: {
+    transactionType: "token-parameter-change",
+    setters: {
+      setDescriptor: {
+        parameter: "descriptor",
+        unit: "address",
+        getter: { name: "descriptor", outputs: [{ type: "address" }] },
+      },
+      setSeeder: {
+        parameter: "seeder",
+        unit: "address",
+        getter: { name: "seeder", outputs: [{ type: "address" }] },
+      },
+      setMinter: {
+        parameter: "minter",
+        unit: "address",
+        getter: { name: "minter", outputs: [{ type: "address" }] },
+      },
+    },
+  },
+  descriptor: {
+    transactionType: "descriptor-parameter-change",
+    setters: {
+      setArt: {
+        parameter: "art",
+        unit: "address",
+        getter: { name: "art", outputs: [{ type: "address" }] },
+      },
+      setArtDescriptor: { parameter: "art-descriptor", unit: "address" },
+      setArtInflator: { parameter: "art-inflator", unit: "address" },
+      setRenderer: {
+        parameter: "renderer",
+        unit: "address",
+        getter: { name: "renderer", outputs: [{ type: "address" }] },
+      },
+      setBaseURI: {
+        parameter: "base-uri",
+        unit: "string",
+        getter: { name: "baseURI", outputs: [{ type: "string" }] },
+      },
+      toggleDataURIEnabled: {
+        parameter: "data-uri-enabled",
+        unit: "boolean",
+        change: "toggle",
+        getter: { name: "isDataURIEnabled", outputs: [{ type: "bool" }] },
+      },
+      lockParts: {
+        parameter: "parts-locked",
+        unit: "boolean",
+        change: "lock",
+        getter: { name: "arePartsLocked", outputs: [{ type: "bool" }] },
+      },
+      ...Object.fromEntries(
+        [
+          ["Heads", "head-count", "headCount"],
+          ["Bodies", "body-count", "bodyCount"],
+          ["Accessories", "accessory-count", "accessoryCount"],
+          ["Glasses", "glasses-count", "glassesCount"],
+        ].flatMap(([part, parameter, getterName]) => {
+          const setter = {
+            parameter,
+            unit: "count",
+            change: "increment",
+            // (bytes encodedCompressed, uint80 decompressedLength, uint16 imageCount)
+            inputIndex: 2,
+            getter: { name: getterName, ...uint() },
+          };
+          return [
+            [`add${part}`, setter],
+            [`add${part}FromPointer`, setter],
+          ];
+        }),
+      ),
+      addBackground: {
+        parameter: "background-count",
+        unit: "count",
+        change: "increment",
+        getter: { name: "backgroundCount", ...uint() },
+      },
+      addManyBackgrounds: {
+        parameter: "background-count",
+        unit: "count",
+        change: "increment",
+        getter: { name: "backgroundCount", ...uint() },
+      },
+    },
+  },
+};
+
+// Returns the setter matching a call to the given contract, if any
+export const resolveSetter = (contractIdentifier, functionName) => {
+  const contract = registry[contractIdentifier];
+  const setter = contract?.setters[functionName];
+  if (setter == null) return null;
+  return {
+    change: "set",
+    ...setter,
+    contractIdentifier,
+    transactionType: contract.transactionType,
+  };
+};
+
+// Extracts the new value (or increment) from the decoded setter inputs
+export const getSetterValue = (setter, inputs) => {
+  switch (setter.change) {
+    case "toggle":
+    case "lock":
+      return null;
+
+    case "increment":
+      if (setter.inputIndex != null) return Number(inputs[setter.inputIndex]);
+      return Array.isArray(inputs[0]) ? inputs[0].length : 1;
+
+    case "set":
+      if (setter.parameter === "dynamic-quorum-params")
+        return {
+          minQuorumVotesBPS: inputs[0],
+          maxQuorumVotesBPS: inputs[1],
+          quorumCoefficient: inputs[2],
+        };
+      return inputs[0];
+
+    default:
+      throw new Error(`Unknown change "${setter.change}"`);
+  }
+};
+
+// Resolves what a parameter will be after the setter call, given its current
+// value
+export const getNextValue = ({ change, value }, currentValue) => {
+  switch (change) {
+    case "set":
+      return value;
+    case "increment":
+      return currentValue == null ? null : Number(currentValue) + value;
+    case "toggle":
+      return currentValue == null ? null : !currentValue;
+    case "lock":
+      return true;
+    default:
+      throw new Error(`Unknown change "${change}"`);
+  }
+};
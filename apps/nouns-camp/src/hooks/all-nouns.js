@@ -0,0 +1,45 @@
+import { useQuery } from "@tanstack/react-query";
+import { parsedSubgraphFetch } from "@/nouns-subgraph";
+
+const PAGE_SIZE = 1000;
+
+// Every Noun with its seed, owner, and the owner’s delegate
+const useAllNouns = ({ enabled = true } = {}) => {
+  const { data, error, isLoading } = useQuery({
+    queryKey: ["all-nouns"],
+    queryFn: async () => {
+      const nouns = [];
+
+      // The subgraph caps page sizes, so page through them
+      let page;
+      do {
+        ({ nouns: page } = await parsedSubgraphFetch({
+          query: `{
+            nouns(
+              orderBy: id,
+              orderDirection: asc,
+              first: ${PAGE_SIZE},
+              skip: ${nouns.length}
+            ) {
+              id
+              seed { background body accessory head glasses }
+              owner {
+                id
+                delegate { id }
+              }
+            }
+          }`,
+        }));
+        nouns.push(...page);
+      } while (page.length === PAGE_SIZE);
+
+      return nouns.sort((n1, n2) => n1.id - n2.id);
+    },
+    enabled,
+    staleTime: 1000 * 60 * 10,
+  });
+
+  return { nouns: data, error, isLoading };
+};
+
+export default useAllNouns;
@@ -0,0 +1,72 @@
+import { useQuery } from "@tanstack/react-query";
+import { object as objectUtils } from "@shades/common/utils";
+import { parsedSubgraphFetch } from "@/nouns-subgraph";
+
+const PAGE_SIZE = 500;
+
+const fetchAuctionPage = async ({ startTimeLt }) => {
+  const { auctions } = await parsedSubgraphFetch({
+    query: `{
+      auctions(
+        where: {
+          settled: true
+          ${startTimeLt == null ? "" : `startTime_lt: ${startTimeLt}`}
+        },
+        orderBy: startTime,
+        orderDirection: desc,
+        first: ${PAGE_SIZE}
+      ) {
+        id
+        amount
+        startTime
+        endTime
+        bidder { id }
+        noun {
+          id
+          seed { background body accessory head glasses }
+        }
+        bids(first: 1000) {
+          id
+          amount
+          blockTimestamp
+          bidder { id }
+        }
+      }
+    }`,
+  });
+  return auctions;
+};
+
+// All settled auctions, newest first
+const useAuctionHistory = ({ enabled = true } = {}) => {
+  const { data, error, isLoading } = useQuery({
+    queryKey: ["auction-history"],
+    queryFn: async () => {
+      const auctions = [];
+
+      // The subgraph caps page sizes, so page through by start time
+      let page;
+      do {
+        page = await fetchAuctionPage({
+          startTimeLt: auctions.at(-1)?.startTime,
+        });
+        auctions.push(...page);
+      } while (page.length === PAGE_SIZE);
+
+      return auctions.map((a) => ({
+        ...a,
+        amount: BigInt(a.amount),
+        seed:
+          a.noun?.seed == null
+            ? null
+            : objectUtils.mapValues((v) => parseInt(v), a.noun.seed),
+      }));
+    },
+    enabled,
+    staleTime: 1000 * 60 * 30,
+  });
+
+  return { auctions: data, error, isLoading };
+};
+
+export default useAuctionHistory;
@@ -0,0 +1,106 @@
+import React from "react";
+import { getAutoRebidStep, getMinBidValue } from "@/utils/auto-rebid";
+import {
+  useAuction,
+  useCreateBid,
+  useMinBidIncrementPercentage,
+  useReservePrice,
+} from "@/hooks/auction-house-contract";
+import { useWallet } from "@/hooks/wallet";
+
+const isUserRejection = (error) =>
+  error?.shortMessage?.toLowerCase().includes("user rejected the request");
+
+// Opt-in rebidding of the current auction, up to a cap. The session only
+// lives as long as the component using it, and every bid still has to be
+// signed in the wallet.
+const useAutoRebid = () => {
+  const { address: accountAddress } = useWallet();
+
+  const [session, setSession] = React.useState(null);
+  const [error, setError] = React.useState(null);
+  // Auction amount we last prompted a rebid for, to only prompt once per
+  // outbid
+  const promptedAmountRef = React.useRef(null);
+
+  const contractAuction = useAuction({ watch: true, enabled: session != null });
+  const reservePrice = useReservePrice();
+  const minBidIncrementPercentage = useMinBidIncrementPercentage();
+
+  const auction = React.useMemo(() => {
+    if (contractAuction == null) return null;
+    return {
+      nounId: Number(contractAuction.nounId),
+      amount: contractAuction.amount,
+      bidderId: contractAuction.bidder.toLowerCase(),
+      settled: contractAuction.settled,
+      endTimestamp: new Date(Number(contractAuction.endTime) * 1000),
+    };
+  }, [contractAuction]);
+
+  const minBidValue = getMinBidValue({
+    amount: auction?.amount,
+    reservePrice,
+    minBidIncrementPercentage,
+  });
+
+  const step =
+    session == null
+      ? null
+      : getAutoRebidStep(session, { auction, accountAddress, minBidValue });
+
+  const {
+    call: createBid,
+    callStatus,
+    receiptStatus,
+    simulationStatus,
+    simulationError,
+  } = useCreateBid({
+    nounId: session?.nounId,
+    bidValue: step?.type === "rebid" ? step.bidValue : null,
+    enabled: accountAddress != null && step?.type === "rebid",
+  });
+
+  const isPending = callStatus === "pending" || receiptStatus === "pending";
+
+  const start = React.useCallback(({ nounId, maxBidValue }) => {
+    promptedAmountRef.current = null;
+    setError(null);
+    setSession({ nounId, maxBidValue });
+  }, []);
+
+  const cancel = React.useCallback(() => {
+    setSession(null);
+  }, []);
+
+  const stepType = step?.type;
+
+  // Sessions are bound to a single auction
+  React.useEffect(() => {
+    if (stepType === "ended") setSession(null);
+  }, [stepType]);
+
+  // A bid that fails to simulate would never become callable, so stop
+  // instead of waiting on it
+  React.useEffect(() => {
+    if (stepType !== "rebid" || simulationStatus !== "error") return;
+    setSession(null);
+    setError(simulationError);
+  }, [stepType, simulationStatus, simulationError]);
+
+  React.useEffect(() => {
+    if (stepType !== "rebid" || createBid == null || isPending) return;
+    if (promptedAmountRef.current === auction.amount) return;
+    promptedAmountRef.current = auction.amount;
+    createBid().catch((e) => {
+      // Declining the wallet prompt cancels the session, so that we don’t
+      // keep prompting someone who no longer wants to bid
+      setSession(null);
+      if (!isUserRejection(e)) setError(e);
+    });
+  }, [stepType, createBid, isPending, auction?.amount]);
+
+  return { session, step, isPending, error, start, cancel };
+};
+
+export default useAutoRebid;
@@ -0,0 +1,191 @@
+import { useReadContract, useReadContracts, useSimulateContract } from "wagmi";
+import { CHAIN_ID } from "@/constants/env";
+import { resolveIdentifier } from "@/contracts";
+import usePublicClient from "@/hooks/public-client";
+import { useWallet } from "@/hooks/wallet";
+import useRegisterEvent from "@/hooks/register-event";
+import { useWriteContract } from "@/hooks/contract-write";
+
+// Only deployed on mainnet
+const contractAddress = resolveIdentifier(
+  "client-incentives-rewards-proxy",
+)?.address;
+
+const useRead = ({ enabled = true, ...options }) =>
+  useReadContract({
+    chainId: CHAIN_ID,
+    address: contractAddress,
+    ...options,
+    query: { enabled: enabled && contractAddress != null },
+  });
+
+export const useRewardParams = () => {
+  const { data } = useRead({
+    abi: [
+      {
+        inputs: [],
+        name: "getParams",
+        outputs: [
+          {
+            components: [
+              { name: "minimumRewardPeriod", type: "uint32" },
+              { name: "numProposalsEnoughForReward", type: "uint8" },
+              { name: "proposalRewardBps", type: "uint16" },
+              { name: "votingRewardBps", type: "uint16" },
+              { name: "auctionRewardBps", type: "uint16" },
+              { name: "proposalEligibilityQuorumBps", type: "uint16" },
+              { name: "minimumAuctionsBetweenUpdates", type: "uint8" },
+            ],
+            type: "tuple",
+          },
+        ],
+        type: "function",
+      },
+    ],
+    functionName: "getParams",
+  });
+
+  return data;
+};
+
+// The first proposal, and first auction whose revenue funds it, not yet
+// included in a proposal and voting rewards update
+export const useNextProposalRewardsPeriod = () => {
+  const { data: nextProposalId } = useRead({
+    abi: [
+      {
+        inputs: [],
+        name: "nextProposalIdToReward",
+        outputs: [{ type: "uint32" }],
+        type: "function",
+      },
+    ],
+    functionName: "nextProposalIdToReward",
+  });
+  const { data: firstAuctionId } = useRead({
+    abi: [
+      {
+        inputs: [],
+        name: "nextProposalRewardFirstAuctionId",
+        outputs: [{ type: "uint32" }],
+        type: "function",
+      },
+    ],
+    functionName: "nextProposalRewardFirstAuctionId",
+  });
+
+  if (nextProposalId == null || firstAuctionId == null) return null;
+
+  return {
+    nextProposalId: Number(nextProposalId),
+    firstAuctionId: Number(firstAuctionId),
+  };
+};
+
+// Returns `{ [clientId]: { balance, owner } }`
+export const useClientBalancesAndOwners = (clientIds) => {
+  const { data, refetch } = useReadContracts({
+    contracts: clientIds.flatMap((clientId) => [
+      {
+        address: contractAddress,
+        chainId: CHAIN_ID,
+        abi: [
+          {
+            inputs: [{ type: "uint32" }],
+            name: "clientBalance",
+            outputs: [{ type: "uint96" }],
+            type: "function",
+          },
+        ],
+        functionName: "clientBalance",
+        args: [clientId],
+      },
+      {
+        address: contractAddress,
+        chainId: CHAIN_ID,
+        abi: [
+          {
+            inputs: [{ type: "uint256" }],
+            name: "ownerOf",
+            outputs: [{ type: "address" }],
+            type: "function",
+          },
+        ],
+        functionName: "ownerOf",
+        args: [BigInt(clientId)],
+      },
+    ]),
+    query: {
+      enabled: contractAddress != null && clientIds.length > 0,
+    },
+  });
+
+  if (data == null) return { data: null, refetch };
+
+  const clientsById = Object.fromEntries(
+    clientIds.map((clientId, i) => {
+      const [balanceResult, ownerResult] = data.slice(i * 2, i * 2 + 2);
+      return [
+        clientId,
+        {
+          balance:
+            balanceResult.status === "success" ? balanceResult.result : null,
+          owner:
+            ownerResult.status === "success"
+              ? ownerResult.result.toLowerCase()
+              : null,
+        },
+      ];
+    }),
+  );
+
+  return { data: clientsById, refetch };
+};
+
+// Only callable by the owner of the client token
+export const useWithdrawClientBalance = (
+  { clientId, amount },
+  { enabled = true } = {},
+) => {
+  const { address: accountAddress } = useWallet();
+
+  const publicClient = usePublicClient();
+  const registerEvent = useRegisterEvent();
+
+  const { data: simulationResult, isSuccess: simulationSuccessful } =
+    useSimulateContract({
+      address: contractAddress,
+      chainId: CHAIN_ID,
+      abi: [
+        {
+          inputs: [{ type: "uint32" }, { type: "address" }, { type: "uint96" }],
+          name: "withdrawClientBalance",
+          outputs: [],
+          type: "function",
+        },
+      ],
+      functionName: "withdrawClientBalance",
+      args: [clientId, accountAddress, amount],
+      query: {
+        enabled:
+          enabled &&
+          contractAddress != null &&
+          accountAddress != null &&
+          amount > 0n,
+      },
+    });
+
+  const { writeContractAsync: writeContract } = useWriteContract();
+
+  if (!simulationSuccessful) return null;
+
+  return async () => {
+    const hash = await writeContract(simulationResult.request);
+    registerEvent("Client rewards successfully withdrawn", {
+      account: accountAddress,
+      hash,
+      clientId,
+    });
+    return publicClient.waitForTransactionReceipt({ hash });
+  };
+};
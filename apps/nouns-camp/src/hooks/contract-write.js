@@ -28,14 +28,16 @@ export const useWriteContract = () => {
     if (!res.ok) throw new Error("Simulation request failed: " + body?.reason);
 
     const simulation = body?.simulation;
-    const simulationUrl = `https://www.tdly.co/shared/simulation/${simulation.id}`;
     const simulationFailed = !simulation?.status;
 
     // can use console.group() instead if we want to log more debug info
     console.log(
       `${params.functionName} simulation`,
       simulationFailed ? "failed" : "succeeded",
-      simulationUrl,
+      // Only Tenderly simulations have a shareable page
+      simulation?.id != null
+        ? `https://www.tdly.co/shared/simulation/${simulation.id}`
+        : (simulation?.error_message ?? ""),
     );
 
     if (simulationFailed) throw new Error("Simulation failed");
@@ -47,7 +49,7 @@ export const useWriteContract = () => {
     if (!isImpersonated) return wagmiWriteContractAsync(params);
 
     // wagmi's simulation result contains an account object that we
-    // need to override for tenderly's sake
+    // need to override for the simulation's sake
     return simulateWriteContractAsync({ ...params, account: accountAddress });
   };
 
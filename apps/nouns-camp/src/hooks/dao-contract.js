@@ -867,3 +867,232 @@ export const useCancelSignature = (signature) => {
       publicClient.waitForTransactionReceipt({ hash }),
     );
 };
+
+export const useForkThreshold = () => {
+  const { data, isSuccess } = useRead({
+    abi: [
+      {
+        inputs: [],
+        name: "forkThreshold",
+        outputs: [{ type: "uint256" }],
+        type: "function",
+      },
+    ],
+    functionName: "forkThreshold",
+  });
+
+  if (!isSuccess) return undefined;
+
+  return Number(data);
+};
+
+export const useNumTokensInForkEscrow = ({ watch = false } = {}) => {
+  const latestBlockNumber = useBlockNumber({ watch, cacheTime: 10_000 });
+
+  const { data, isSuccess, refetch } = useRead({
+    abi: [
+      {
+        inputs: [],
+        name: "numTokensInForkEscrow",
+        outputs: [{ type: "uint256" }],
+        type: "function",
+      },
+    ],
+    functionName: "numTokensInForkEscrow",
+  });
+
+  React.useEffect(() => {
+    if (!watch) return;
+    refetch();
+  }, [latestBlockNumber, refetch, watch]);
+
+  if (!isSuccess) return undefined;
+
+  return Number(data);
+};
+
+// Unix timestamp (seconds) when the latest fork period ends, 0 if no fork has
+// been executed
+export const useForkEndTimestamp = () => {
+  const { data, isSuccess } = useRead({
+    abi: [
+      {
+        inputs: [],
+        name: "forkEndTimestamp",
+        outputs: [{ type: "uint256" }],
+        type: "function",
+      },
+    ],
+    functionName: "forkEndTimestamp",
+  });
+
+  if (!isSuccess) return undefined;
+
+  return Number(data);
+};
+
+// The DAO moves the Nouns on the caller’s behalf, so escrowing and joining
+// both require the DAO to be approved as an operator on the token contract
+export const useEscrowToFork = (
+  { nounIds, proposalIds = [], reason = "" },
+  { enabled = true } = {},
+) => {
+  const { address: accountAddress } = useWallet();
+
+  const publicClient = usePublicClient();
+  const registerEvent = useRegisterEvent();
+
+  const { data: simulationResult, isSuccess: simulationSuccessful } =
+    useSimulate({
+      abi: [
+        {
+          inputs: [
+            { type: "uint256[]" },
+            { type: "uint256[]" },
+            { type: "string" },
+          ],
+          name: "escrowToFork",
+          outputs: [],
+          type: "function",
+        },
+      ],
+      functionName: "escrowToFork",
+      args: [
+        nounIds.map((id) => BigInt(id)),
+        proposalIds.map((id) => BigInt(id)),
+        reason,
+      ],
+      enabled: enabled && nounIds.length > 0,
+    });
+
+  const { writeContractAsync: writeContract } = useWriteContract();
+
+  if (!simulationSuccessful) return null;
+
+  return async () => {
+    const hash = await writeContract(simulationResult.request);
+    registerEvent("Nouns successfully escrowed to fork", {
+      account: accountAddress,
+      hash,
+      nounIds,
+    });
+    return publicClient.waitForTransactionReceipt({ hash });
+  };
+};
+
+export const useWithdrawFromForkEscrow = (nounIds, { enabled = true } = {}) => {
+  const { address: accountAddress } = useWallet();
+
+  const publicClient = usePublicClient();
+  const registerEvent = useRegisterEvent();
+
+  const { data: simulationResult, isSuccess: simulationSuccessful } =
+    useSimulate({
+      abi: [
+        {
+          inputs: [{ type: "uint256[]" }],
+          name: "withdrawFromForkEscrow",
+          outputs: [],
+          type: "function",
+        },
+      ],
+      functionName: "withdrawFromForkEscrow",
+      args: [nounIds.map((id) => BigInt(id))],
+      enabled: enabled && nounIds.length > 0,
+    });
+
+  const { writeContractAsync: writeContract } = useWriteContract();
+
+  if (!simulationSuccessful) return null;
+
+  return async () => {
+    const hash = await writeContract(simulationResult.request);
+    registerEvent("Nouns successfully withdrawn from fork escrow", {
+      account: accountAddress,
+      hash,
+      nounIds,
+    });
+    return publicClient.waitForTransactionReceipt({ hash });
+  };
+};
+
+export const useExecuteFork = ({ enabled = true } = {}) => {
+  const { address: accountAddress } = useWallet();
+
+  const publicClient = usePublicClient();
+  const registerEvent = useRegisterEvent();
+
+  const { data: simulationResult, isSuccess: simulationSuccessful } =
+    useSimulate({
+      abi: [
+        {
+          inputs: [],
+          name: "executeFork",
+          outputs: [{ type: "address" }, { type: "address" }],
+          type: "function",
+        },
+      ],
+      functionName: "executeFork",
+      enabled,
+    });
+
+  const { writeContractAsync: writeContract } = useWriteContract();
+
+  if (!simulationSuccessful) return null;
+
+  return async () => {
+    const hash = await writeContract(simulationResult.request);
+    registerEvent("Fork successfully executed", {
+      account: accountAddress,
+      hash,
+    });
+    return publicClient.waitForTransactionReceipt({ hash });
+  };
+};
+
+export const useJoinFork = (
+  { nounIds, proposalIds = [], reason = "" },
+  { enabled = true } = {},
+) => {
+  const { address: accountAddress } = useWallet();
+
+  const publicClient = usePublicClient();
+  const registerEvent = useRegisterEvent();
+
+  const { data: simulationResult, isSuccess: simulationSuccessful } =
+    useSimulate({
+      abi: [
+        {
+          inputs: [
+            { type: "uint256[]" },
+            { type: "uint256[]" },
+            { type: "string" },
+          ],
+          name: "joinFork",
+          outputs: [],
+          type: "function",
+        },
+      ],
+      functionName: "joinFork",
+      args: [
+        nounIds.map((id) => BigInt(id)),
+        proposalIds.map((id) => BigInt(id)),
+        reason,
+      ],
+      enabled: enabled && nounIds.length > 0,
+    });
+
+  const { writeContractAsync: writeContract } = useWriteContract();
+
+  if (!simulationSuccessful) return null;
+
+  return async () => {
+    const hash = await writeContract(simulationResult.request);
+    registerEvent("Fork successfully joined", {
+      account: accountAddress,
+      hash,
+      nounIds,
+    });
+    return publicClient.waitForTransactionReceipt({ hash });
+  };
+};
@@ -0,0 +1,66 @@
+import React from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { useSignMessage } from "wagmi";
+import { createStatementMessage } from "@/utils/delegate-statements";
+
+// Returns the account’s statement versions, newest first, or `null` if it
+// hasn’t published one
+export const useDelegateStatement = (address, { enabled = true } = {}) => {
+  const { data } = useQuery({
+    queryKey: ["delegate-statement", address?.toLowerCase()],
+    queryFn: async () => {
+      const res = await fetch(
+        `/api/delegate-statements/${address.toLowerCase()}`,
+      );
+      if (res.status === 404) return null;
+      if (!res.ok) throw new Error();
+      const { versions } = await res.json();
+      return { versions, latestVersion: versions[0] };
+    },
+    enabled: enabled && address != null,
+  });
+  return data;
+};
+
+// Signs the statement with the connected wallet and publishes it as a new
+// version
+export const usePublishDelegateStatement = (address) => {
+  const queryClient = useQueryClient();
+  const { signMessageAsync: signMessage } = useSignMessage();
+
+  return React.useCallback(
+    async (body) => {
+      const timestamp = Date.now();
+      const signature = await signMessage({
+        message: createStatementMessage({ address, body, timestamp }),
+      });
+
+      const res = await fetch(
+        `/api/delegate-statements/${address.toLowerCase()}`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ body, timestamp, signature }),
+        },
+      );
+
+      if (!res.ok) {
+        const { error } = await res.json().catch(() => ({}));
+        throw new Error(error ?? "request-failed");
+      }
+
+      const { version } = await res.json();
+
+      queryClient.setQueryData(
+        ["delegate-statement", address.toLowerCase()],
+        (statement) => {
+          const versions = [version, ...(statement?.versions ?? [])];
+          return { versions, latestVersion: version };
+        },
+      );
+
+      return version;
+    },
+    [address, signMessage, queryClient],
+  );
+};
@@ -1,12 +1,11 @@
 import React from "react";
-import { parseAbiItem, parseEther } from "viem";
 import { useAccount } from "wagmi";
 import { useCachedState } from "@shades/common/app";
 import {
   message as messageUtils,
   object as objectUtils,
-  function as functionUtils,
 } from "@shades/common/utils";
+import { SCHEMA_VERSION, migrateStore } from "@/utils/drafts";
 
 const { omitKey } = objectUtils;
 const { createEmptyParagraphElement } = messageUtils;
@@ -21,54 +20,6 @@ const createEmptyItem = () => ({
   actions: [],
 });
 
-const SCHEMA_VERSION = 1;
-
-const migrations = [
-  // 0 -> 1
-  (state) => {
-    if (state.schema != null) return state;
-
-    const migrateAction = (a) => {
-      if (a.type !== "custom-transaction") return a;
-
-      const { name, inputs } = parseAbiItem(
-        a.contractCallFormattedTargetAbiItem,
-      );
-      const signature = `${name}(${inputs.map((i) => i.type).join(", ")})`;
-      return {
-        ...a,
-        contractCallTarget: a.contractCallTargetAddress,
-        contractCallSignature: signature,
-        contractCallValue: parseEther(a.contractCallEthValue),
-      };
-    };
-
-    return {
-      schema: 1,
-      entriesById: objectUtils.mapValues(
-        (entry) => ({
-          ...entry,
-          actions: entry.actions?.map(migrateAction) ?? null,
-        }),
-        state,
-      ),
-    };
-  },
-  // Future migrations can be written in the following form:
-  //
-  // // 1 -> 2
-  // (state) => {
-  //   if (state.schema >= 2) return state;
-  //   const migrate = (s) => {} // dummy
-  //   return { ...migrate(state), schema: 2 };
-  // },
-];
-
-const migrateStore = (state) => {
-  if (state == null) return null;
-  return functionUtils.pipe(...migrations)(state);
-};
-
 const useStore = (accountAddress) => {
   const [state, setState_] = useCachedState(
     createCacheKey(accountAddress),
@@ -170,6 +121,20 @@ export const useSingleItem = (id) => {
     [id, setState],
   );
 
+  const setSharedId = React.useCallback(
+    (sharedId) =>
+      setState((state) => {
+        const item = state.entriesById[id];
+        return {
+          entriesById: {
+            ...state.entriesById,
+            [item.id]: { ...item, sharedId },
+          },
+        };
+      }),
+    [id, setState],
+  );
+
   const item = entriesById[id] ?? null;
 
   return [
@@ -178,6 +143,7 @@ export const useSingleItem = (id) => {
       setName,
       setBody,
       setActions,
+      setSharedId,
     },
   ];
 };
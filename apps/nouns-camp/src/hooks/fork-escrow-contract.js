@@ -0,0 +1,28 @@
+import { useReadContract } from "wagmi";
+import { CHAIN_ID } from "@/constants/env";
+import { resolveIdentifier } from "@/contracts";
+
+const { address: contractAddress } = resolveIdentifier("fork-escrow");
+
+// The id of the fork currently collecting escrowed Nouns. It’s incremented
+// when a fork is executed, so a fork in its forking period has the id before
+// this one.
+export const useEscrowForkId = () => {
+  const { data, isSuccess } = useReadContract({
+    address: contractAddress,
+    chainId: CHAIN_ID,
+    abi: [
+      {
+        inputs: [],
+        name: "forkId",
+        outputs: [{ type: "uint32" }],
+        type: "function",
+      },
+    ],
+    functionName: "forkId",
+  });
+
+  if (!isSuccess) return undefined;
+
+  return Number(data);
+};
@@ -74,6 +74,30 @@ const dialogs = [
       () => import("@/components/streams-dialog"),
     ),
   },
+  {
+    key: "saved-feed",
+    component: ReactLazyWithPreload(
+      () => import("@/components/saved-feed-dialog"),
+    ),
+  },
+  {
+    key: "notifications",
+    component: ReactLazyWithPreload(
+      () => import("@/components/notifications-dialog"),
+    ),
+  },
+  {
+    key: "webhooks",
+    component: ReactLazyWithPreload(
+      () => import("@/components/webhooks-dialog"),
+    ),
+  },
+  {
+    key: "delegate-statement",
+    component: ReactLazyWithPreload(
+      () => import("@/components/delegate-statement-dialog"),
+    ),
+  },
 ];
 
 const dialogsByKey = arrayUtils.indexBy((d) => d.key, dialogs);
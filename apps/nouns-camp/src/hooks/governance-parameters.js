@@ -0,0 +1,48 @@
+import { useReadContract } from "wagmi";
+import { CHAIN_ID } from "@/constants/env";
+import { resolveAddress } from "@/contracts";
+import { resolveSetter } from "@/governance-parameters";
+import useBlockNumber from "@/hooks/block-number";
+
+// Reads the current onchain value of the parameter a parsed
+// `*-parameter-change` transaction sets. Returns `undefined` while loading, and
+// `null` if the value can’t be read or the hook is disabled.
+export const useCurrentParameterValue = (
+  transaction,
+  { enabled = true } = {},
+) => {
+  const setter = resolveSetter(
+    resolveAddress(transaction.target)?.identifier,
+    transaction.functionName,
+  );
+  const getter = setter?.getter;
+
+  const requiresBlockNumber = getter?.args === "block-number";
+  const blockNumber = useBlockNumber({ cacheTime: 20_000 });
+
+  const { data, isSuccess, isError } = useReadContract({
+    address: transaction.target,
+    chainId: CHAIN_ID,
+    abi: [
+      {
+        type: "function",
+        name: getter?.name,
+        inputs: requiresBlockNumber ? [{ type: "uint256" }] : [],
+        outputs: getter?.outputs,
+      },
+    ],
+    functionName: getter?.name,
+    args: requiresBlockNumber ? [blockNumber] : undefined,
+    query: {
+      enabled:
+        enabled &&
+        getter != null &&
+        (!requiresBlockNumber || blockNumber != null),
+    },
+  });
+
+  if (!enabled || getter == null || isError) return null;
+  if (!isSuccess) return undefined;
+
+  return getter.select == null ? data : getter.select(data);
+};
@@ -0,0 +1,120 @@
+import React from "react";
+import { useCachedState } from "@shades/common/app";
+import { useFetch } from "@shades/common/react";
+import { APPROXIMATE_BLOCKS_PER_DAY } from "@/constants/ethereum";
+import { useActions, useSubscriptionsFeedItems } from "@/store";
+import useBlockNumber from "@/hooks/block-number";
+import { useWallet } from "@/hooks/wallet";
+import { createSubscriptionKey, getUnseenItems } from "@/utils/notifications";
+
+const FETCH_INTERVAL = 60_000;
+
+const emptyList = [];
+
+export const useSubscriptions = () => {
+  const [subscriptions, setSubscriptions] = useCachedState(
+    "notifications:subscriptions",
+    emptyList,
+  );
+  const [lastSeenTimestamp, setLastSeenTimestamp] = useCachedState(
+    "notifications:last-seen",
+    null,
+  );
+
+  const isSubscribed = (subscription) => {
+    const key = createSubscriptionKey(subscription);
+    return subscriptions.some((s) => createSubscriptionKey(s) === key);
+  };
+
+  const subscribe = (subscription) => {
+    // Start the cursor with the first subscription, older activity is not news
+    if (lastSeenTimestamp == null) setLastSeenTimestamp(Date.now());
+    setSubscriptions((subscriptions) => [
+      ...subscriptions,
+      { ...subscription, createdAt: Date.now() },
+    ]);
+  };
+
+  const unsubscribe = (subscription) => {
+    const key = createSubscriptionKey(subscription);
+    setSubscriptions((subscriptions) =>
+      subscriptions.filter((s) => createSubscriptionKey(s) !== key),
+    );
+  };
+
+  return {
+    subscriptions,
+    lastSeenTimestamp,
+    isSubscribed,
+    subscribe,
+    unsubscribe,
+    markAllSeen: () => {
+      setLastSeenTimestamp(Date.now());
+    },
+  };
+};
+
+// Polls the data backing the subscribed feeds
+export const useSubscriptionsFetch = ({ enabled = true } = {}) => {
+  const { subscriptions } = useSubscriptions();
+  const latestBlockNumber = useBlockNumber({ cacheTime: 20_000 });
+  const {
+    fetchProposal,
+    fetchPropdatesForProposal,
+    fetchProposalCandidate,
+    fetchVoterActivity,
+  } = useActions();
+
+  useFetch(
+    () =>
+      Promise.all(
+        subscriptions.map(({ type, id }) => {
+          switch (type) {
+            case "proposal":
+              return Promise.all([
+                fetchProposal(id),
+                fetchPropdatesForProposal(id),
+              ]);
+            case "candidate":
+              return fetchProposalCandidate(id);
+            case "account":
+              if (latestBlockNumber == null) return null;
+              return fetchVoterActivity(id, {
+                startBlock:
+                  latestBlockNumber - BigInt(APPROXIMATE_BLOCKS_PER_DAY * 7),
+                endBlock: latestBlockNumber,
+              });
+            default:
+              return null;
+          }
+        }),
+      ).catch((e) => {
+        console.error(e);
+      }),
+    {
+      enabled: enabled && subscriptions.length > 0,
+      fetchInterval: FETCH_INTERVAL,
+    },
+    [subscriptions, latestBlockNumber == null],
+  );
+};
+
+export const useNotifications = () => {
+  const { address: connectedAccountAddress } = useWallet();
+  const { subscriptions, lastSeenTimestamp, markAllSeen } = useSubscriptions();
+
+  const feedItems = useSubscriptionsFeedItems(subscriptions);
+
+  const unseenItems = React.useMemo(
+    () =>
+      lastSeenTimestamp == null
+        ? []
+        : getUnseenItems(feedItems, {
+            lastSeenTimestamp,
+            accountAddress: connectedAccountAddress,
+          }),
+    [feedItems, lastSeenTimestamp, connectedAccountAddress],
+  );
+
+  return { items: unseenItems, markAllSeen };
+};
@@ -0,0 +1,116 @@
+import { useQuery } from "@tanstack/react-query";
+import { array as arrayUtils } from "@shades/common/utils";
+import { subgraphFetch as queryNounsSubgraph } from "@/nouns-subgraph";
+import { computeProposalAndVoteRewards } from "@/utils/client-incentives";
+import useBlockNumber from "@/hooks/block-number";
+import { useProposalCount } from "@/hooks/dao-contract";
+import {
+  useRewardParams,
+  useNextProposalRewardsPeriod,
+} from "@/hooks/client-incentives-rewards-contract";
+
+// Estimates the proposal and voting rewards the next rewards update would pay
+// out, given the proposals that have ended since the last one. The contract
+// funds the rewards from auctions settled up until the last rewarded proposal
+// was created.
+const usePendingClientRewards = ({ enabled = true } = {}) => {
+  const params = useRewardParams();
+  const period = useNextProposalRewardsPeriod();
+  const proposalCount = useProposalCount();
+  const blockNumber = useBlockNumber({ cacheTime: 60_000 });
+
+  const { data } = useQuery({
+    queryKey: [
+      "pending-client-rewards",
+      period?.nextProposalId,
+      period?.firstAuctionId,
+      proposalCount,
+      Number(blockNumber),
+    ],
+    queryFn: async () => {
+      const proposalIds = arrayUtils.range(
+        Math.max(0, proposalCount - period.nextProposalId + 1),
+        { start: period.nextProposalId },
+      );
+
+      if (proposalIds.length === 0)
+        return { proposals: [], auctionRevenue: 0n };
+
+      const { proposals: allProposals } = await queryNounsSubgraph({
+        query: `{
+          proposals(
+            where: { id_in: [${proposalIds.map((id) => `"${id}"`)}] },
+            first: 1000
+          ) {
+            id
+            status
+            clientId
+            createdTimestamp
+            endBlock
+            forVotes
+            againstVotes
+            abstainVotes
+            adjustedTotalSupply
+            votes(first: 1000) {
+              clientId
+              votes
+            }
+          }
+        }`,
+      });
+
+      const proposals = arrayUtils
+        .sortBy((p) => Number(p.id), allProposals)
+        .filter((p) => BigInt(p.endBlock) < blockNumber)
+        .map((p) => ({ ...p, canceled: p.status === "CANCELLED" }));
+
+      if (proposals.length === 0) return { proposals, auctionRevenue: 0n };
+
+      const lastProposal = proposals[proposals.length - 1];
+
+      const { auctions } = await queryNounsSubgraph({
+        query: `{
+          auctions(
+            where: {
+              settled: true,
+              endTime_lte: ${lastProposal.createdTimestamp}
+            },
+            orderDirection: desc,
+            orderBy: endTime,
+            first: 1000
+          ) {
+            id
+            amount
+          }
+        }`,
+      });
+
+      const auctionRevenue = auctions
+        .filter((a) => Number(a.id) >= period.firstAuctionId)
+        .reduce((sum, a) => sum + BigInt(a.amount), 0n);
+
+      return { proposals, auctionRevenue };
+    },
+    enabled:
+      enabled &&
+      params != null &&
+      period != null &&
+      proposalCount != null &&
+      blockNumber != null,
+    staleTime: 1000 * 60 * 5,
+  });
+
+  if (data == null) return null;
+
+  return {
+    proposalIds: data.proposals.map((p) => p.id),
+    auctionRevenue: data.auctionRevenue,
+    rewards: computeProposalAndVoteRewards({
+      proposals: data.proposals,
+      auctionRevenue: data.auctionRevenue,
+      params,
+    }),
+  };
+};
+
+export default usePendingClientRewards;
@@ -0,0 +1,190 @@
+import { isAddress, zeroAddress } from "viem";
+import { useReadContract, useSimulateContract } from "wagmi";
+import { CHAIN_ID } from "@/constants/env";
+import { resolveIdentifier } from "@/contracts";
+import { useActions } from "@/store";
+import usePublicClient from "@/hooks/public-client";
+import { useWallet } from "@/hooks/wallet";
+import useRegisterEvent from "@/hooks/register-event";
+import { useWriteContract } from "@/hooks/contract-write";
+
+// Only deployed on mainnet
+const contractAddress = resolveIdentifier("propdates")?.address;
+
+const useRead = ({ enabled = true, ...options }) =>
+  useReadContract({
+    chainId: CHAIN_ID,
+    address: contractAddress,
+    ...options,
+    query: { enabled: enabled && contractAddress != null },
+  });
+
+const useSimulate = ({ enabled = true, ...options }) =>
+  useSimulateContract({
+    chainId: CHAIN_ID,
+    address: contractAddress,
+    ...options,
+    query: { enabled: enabled && contractAddress != null },
+  });
+
+// Admins are set per proposal. Until the proposer transfers the role, to
+// themselves or someone else, no one can post updates.
+export const usePropdateAdmin = (proposalId) => {
+  const { data: info, refetch: refetchInfo } = useRead({
+    abi: [
+      {
+        inputs: [{ type: "uint256" }],
+        name: "propdateInfo",
+        outputs: [
+          { name: "propUpdateAdmin", type: "address" },
+          { name: "lastUpdated", type: "uint88" },
+          { name: "isCompleted", type: "bool" },
+        ],
+        type: "function",
+      },
+    ],
+    functionName: "propdateInfo",
+    args: [proposalId],
+    enabled: proposalId != null,
+  });
+  const { data: pendingAdmin, refetch: refetchPendingAdmin } = useRead({
+    abi: [
+      {
+        inputs: [{ type: "uint256" }],
+        name: "pendingPropUpdateAdmin",
+        outputs: [{ type: "address" }],
+        type: "function",
+      },
+    ],
+    functionName: "pendingPropUpdateAdmin",
+    args: [proposalId],
+    enabled: proposalId != null,
+  });
+
+  if (info == null || pendingAdmin == null) return null;
+
+  const [admin, , isCompleted] = info;
+  const parseAddress = (address) =>
+    address === zeroAddress ? null : address.toLowerCase();
+
+  return {
+    admin: parseAddress(admin),
+    pendingAdmin: parseAddress(pendingAdmin),
+    isCompleted,
+    refetch: () => Promise.all([refetchInfo(), refetchPendingAdmin()]),
+  };
+};
+
+export const usePostPropdate = (
+  proposalId,
+  { update, markCompleted = false },
+  { enabled = true } = {},
+) => {
+  const { address: accountAddress } = useWallet();
+
+  const publicClient = usePublicClient();
+  const registerEvent = useRegisterEvent();
+  const { addOptimitisicPropdate, fetchPropdatesForProposal } = useActions();
+
+  const { data: simulationResult, isSuccess: simulationSuccessful } =
+    useSimulate({
+      abi: [
+        {
+          inputs: [{ type: "uint256" }, { type: "bool" }, { type: "string" }],
+          name: "postUpdate",
+          outputs: [],
+          type: "function",
+        },
+      ],
+      functionName: "postUpdate",
+      args: [proposalId, markCompleted, update],
+      enabled:
+        enabled &&
+        proposalId != null &&
+        (markCompleted || update.trim() !== ""),
+    });
+
+  const { writeContractAsync: writeContract } = useWriteContract();
+
+  if (!simulationSuccessful) return null;
+
+  return async () => {
+    const hash = await writeContract(simulationResult.request);
+    addOptimitisicPropdate(proposalId, {
+      id: hash,
+      update: update.trim() === "" ? null : update.trim(),
+      markedCompleted: markCompleted,
+      blockTimestamp: new Date(),
+      transactionHash: hash,
+      authorAccount: accountAddress.toLowerCase(),
+    });
+    registerEvent("Propdate successfully posted", {
+      proposalId,
+      account: accountAddress,
+      hash,
+    });
+    const receipt = await publicClient.waitForTransactionReceipt({ hash });
+    fetchPropdatesForProposal(proposalId);
+    return receipt;
+  };
+};
+
+export const useTransferPropdateAdmin = (
+  proposalId,
+  newAdmin,
+  { enabled = true } = {},
+) => {
+  const publicClient = usePublicClient();
+
+  const { data: simulationResult, isSuccess: simulationSuccessful } =
+    useSimulate({
+      abi: [
+        {
+          inputs: [{ type: "uint256" }, { type: "address" }],
+          name: "transferPropUpdateAdmin",
+          outputs: [],
+          type: "function",
+        },
+      ],
+      functionName: "transferPropUpdateAdmin",
+      args: [proposalId, newAdmin],
+      enabled: enabled && proposalId != null && isAddress(newAdmin ?? ""),
+    });
+
+  const { writeContractAsync: writeContract } = useWriteContract();
+
+  if (!simulationSuccessful) return null;
+
+  return async () => {
+    const hash = await writeContract(simulationResult.request);
+    return publicClient.waitForTransactionReceipt({ hash });
+  };
+};
+
+export const useAcceptPropdateAdmin = (proposalId, { enabled = true } = {}) => {
+  const publicClient = usePublicClient();
+
+  const { data: simulationResult, isSuccess: simulationSuccessful } =
+    useSimulate({
+      abi: [
+        {
+          inputs: [{ type: "uint256" }],
+          name: "acceptPropUpdateAdmin",
+          outputs: [],
+          type: "function",
+        },
+      ],
+      functionName: "acceptPropUpdateAdmin",
+      args: [proposalId],
+      enabled: enabled && proposalId != null,
+    });
+
+  const { writeContractAsync: writeContract } = useWriteContract();
+
+  if (!simulationSuccessful) return null;
+
+  return async () => {
+    const hash = await writeContract(simulationResult.request);
+    return publicClient.waitForTransactionReceipt({ hash });
+  };
+};
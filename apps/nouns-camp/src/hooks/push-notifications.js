@@ -0,0 +1,111 @@
+import React from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { VAPID_PUBLIC_KEY } from "@/constants/env";
+import { useSubscriptions } from "@/hooks/notifications";
+import { createSubscriptionKey } from "@/utils/notifications";
+
+const queryKey = ["push-subscription"];
+
+// The service worker is only registered in production builds
+const isSupported = () =>
+  typeof window !== "undefined" &&
+  "serviceWorker" in navigator &&
+  "PushManager" in window &&
+  !!VAPID_PUBLIC_KEY;
+
+const decodeBase64Url = (string) =>
+  Uint8Array.from(atob(string.replaceAll("-", "+").replaceAll("_", "/")), (c) =>
+    c.charCodeAt(0),
+  );
+
+let lastSyncedState = null;
+
+const syncPushSubscription = async (pushSubscription, subscriptionKeys) => {
+  const state = JSON.stringify([pushSubscription.endpoint, subscriptionKeys]);
+  if (state === lastSyncedState) return;
+  const res = await fetch("/api/push-subscriptions", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      subscription: pushSubscription.toJSON(),
+      subscriptionKeys,
+    }),
+  });
+  if (!res.ok) throw new Error();
+  lastSyncedState = state;
+};
+
+const usePushSubscription = () => {
+  const { data } = useQuery({
+    queryKey,
+    queryFn: async () => {
+      const registration = await navigator.serviceWorker.ready;
+      return (await registration.pushManager.getSubscription()) ?? null;
+    },
+    enabled: isSupported(),
+    staleTime: Infinity,
+  });
+  return data;
+};
+
+const useSubscriptionKeys = () => {
+  const { subscriptions } = useSubscriptions();
+  return React.useMemo(
+    () => subscriptions.map(createSubscriptionKey),
+    [subscriptions],
+  );
+};
+
+// Push notifications are sent for the same subscriptions as the inbox. The
+// server gets the list of subscription keys along with the push subscription,
+// and is kept in sync while the app is open. Mount once.
+export const usePushSubscriptionSync = () => {
+  const pushSubscription = usePushSubscription();
+  const subscriptionKeys = useSubscriptionKeys();
+
+  React.useEffect(() => {
+    if (pushSubscription == null) return;
+    syncPushSubscription(pushSubscription, subscriptionKeys).catch((e) => {
+      console.error(e);
+    });
+  }, [pushSubscription, subscriptionKeys]);
+};
+
+export const usePushNotifications = () => {
+  const queryClient = useQueryClient();
+  const pushSubscription = usePushSubscription();
+  const subscriptionKeys = useSubscriptionKeys();
+
+  const enable = React.useCallback(async () => {
+    const permission = await Notification.requestPermission();
+    if (permission !== "granted") throw new Error("permission-denied");
+
+    const registration = await navigator.serviceWorker.ready;
+    const pushSubscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: decodeBase64Url(VAPID_PUBLIC_KEY),
+    });
+
+    await syncPushSubscription(pushSubscription, subscriptionKeys);
+    queryClient.setQueryData(queryKey, pushSubscription);
+  }, [queryClient, subscriptionKeys]);
+
+  const disable = React.useCallback(async () => {
+    if (pushSubscription == null) return;
+    await pushSubscription.unsubscribe();
+    lastSyncedState = null;
+    queryClient.setQueryData(queryKey, null);
+    await fetch("/api/push-subscriptions", {
+      method: "DELETE",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ endpoint: pushSubscription.endpoint }),
+    });
+  }, [queryClient, pushSubscription]);
+
+  return {
+    isSupported: isSupported(),
+    isEnabled: pushSubscription != null,
+    enable,
+    disable,
+  };
+};
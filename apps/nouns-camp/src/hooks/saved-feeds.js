@@ -0,0 +1,56 @@
+import React from "react";
+import { useCachedState } from "@shades/common/app";
+import { normalizeDefinition } from "@/utils/saved-feeds";
+
+const emptyList = [];
+
+export const useSavedFeeds = () => {
+  const [feeds_, setFeeds] = useCachedState("saved-feeds", emptyList);
+  const feeds = feeds_ ?? emptyList;
+
+  const createFeed = React.useCallback(
+    (definition) => {
+      const feed = {
+        ...normalizeDefinition(definition),
+        id: String(Date.now()),
+      };
+      setFeeds((feeds) => [...(feeds ?? []), feed]);
+      return feed;
+    },
+    [setFeeds],
+  );
+
+  const updateFeed = React.useCallback(
+    (id, definition) => {
+      setFeeds((feeds) =>
+        (feeds ?? []).map((f) =>
+          f.id === id ? { ...normalizeDefinition(definition), id } : f,
+        ),
+      );
+    },
+    [setFeeds],
+  );
+
+  const deleteFeed = React.useCallback(
+    (id) => {
+      setFeeds((feeds) => (feeds ?? []).filter((f) => f.id !== id));
+    },
+    [setFeeds],
+  );
+
+  const setPinned = React.useCallback(
+    (id, pinned) => {
+      setFeeds((feeds) =>
+        (feeds ?? []).map((f) => (f.id === id ? { ...f, pinned } : f)),
+      );
+    },
+    [setFeeds],
+  );
+
+  return { feeds, createFeed, updateFeed, deleteFeed, setPinned };
+};
+
+export const useSavedFeed = (id) => {
+  const { feeds } = useSavedFeeds();
+  return feeds.find((f) => f.id === id) ?? null;
+};
@@ -0,0 +1,114 @@
+import React from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { useSignMessage } from "wagmi";
+import {
+  parse as parseDraft,
+  serialize as serializeDraft,
+  normalize as normalizeDraft,
+  createSharedDraftUpdateMessage,
+} from "@/utils/drafts";
+import { useWallet, useWalletAuthentication } from "@/hooks/wallet";
+import { useSingleItem as useDraft } from "@/hooks/drafts";
+
+export const buildSharedDraftUrl = (id) =>
+  `${location.origin}/drafts/${encodeURIComponent(id)}`;
+
+// Resolves with `{ sharedDraft, error }`, `sharedDraft` being `null` if the
+// draft doesn’t exist
+export const useSharedDraft = (id) => {
+  const { data, error } = useQuery({
+    queryKey: ["shared-draft", id],
+    queryFn: async () => {
+      const res = await fetch(`/api/shared-drafts/${encodeURIComponent(id)}`);
+      if (res.status === 404) return null;
+      if (!res.ok) throw new Error();
+      const { draft } = await res.json();
+      return { ...draft, ...parseDraft(draft.content) };
+    },
+    enabled: id != null,
+  });
+  return { sharedDraft: data, error };
+};
+
+// Publishes a local draft, or pushes local changes if it’s already published.
+// Publishing and unpublishing are authenticated with the SIWE session, so the
+// connected account will be asked to sign in if it hasn’t already. Updates
+// are signed by the owner’s wallet.
+export const usePublishDraft = (draftId) => {
+  const queryClient = useQueryClient();
+  const { address, isAuthenticated } = useWallet();
+  const { signIn } = useWalletAuthentication();
+  const { signMessageAsync: signMessage } = useSignMessage();
+  const [draft, { setSharedId }] = useDraft(draftId);
+
+  const ensureSession = React.useCallback(async () => {
+    if (!isAuthenticated) await signIn();
+  }, [isAuthenticated, signIn]);
+
+  const publish = React.useCallback(async () => {
+    // Normalized the way the server stores it, so that the signature
+    // matches the stored content
+    const content = normalizeDraft(serializeDraft(draft));
+
+    const put = async () => {
+      const timestamp = Date.now();
+      const signature = await signMessage({
+        message: createSharedDraftUpdateMessage({
+          id: draft.sharedId,
+          address,
+          content,
+          timestamp,
+        }),
+      });
+      return fetch(`/api/shared-drafts/${encodeURIComponent(draft.sharedId)}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ content, timestamp, signature }),
+      });
+    };
+    const post = async () => {
+      await ensureSession();
+      return fetch("/api/shared-drafts", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: content,
+      });
+    };
+
+    let res = draft.sharedId == null ? await post() : await put();
+
+    // Published copy might have been removed, in which case we start over
+    if (res.status === 404) res = await post();
+
+    if (!res.ok) {
+      const { error } = await res.json().catch(() => ({}));
+      throw new Error(error ?? "request-failed");
+    }
+
+    const { draft: sharedDraft } = await res.json();
+
+    setSharedId(sharedDraft.id);
+    queryClient.setQueryData(["shared-draft", sharedDraft.id], {
+      ...sharedDraft,
+      ...parseDraft(sharedDraft.content),
+    });
+
+    return sharedDraft;
+  }, [draft, address, signMessage, ensureSession, setSharedId, queryClient]);
+
+  const unpublish = React.useCallback(async () => {
+    await ensureSession();
+
+    const res = await fetch(
+      `/api/shared-drafts/${encodeURIComponent(draft.sharedId)}`,
+      { method: "DELETE" },
+    );
+
+    if (!res.ok && res.status !== 404) throw new Error();
+
+    queryClient.removeQueries({ queryKey: ["shared-draft", draft.sharedId] });
+    setSharedId(null);
+  }, [draft?.sharedId, ensureSession, setSharedId, queryClient]);
+
+  return { publish, unpublish };
+};
@@ -2,6 +2,14 @@ import React from "react";
 import { resolveAction, unparse } from "@/utils/transactions";
 import { parseProposalAction } from "@/app/api/tenderly-utils";
 
+const parseSimulation = (s) => ({
+  success: s?.status,
+  error: s?.error_message,
+  id: s?.id,
+  logs: s?.logs,
+  ethTransfers: s?.ethTransfers,
+});
+
 const fetchSimulationBundle = async ({
   targets,
   values,
@@ -69,13 +77,7 @@ export const useActionBundleSimulation = (actions, { enabled = true } = {}) => {
         setError("One or more transactions failed to simulate.");
       }
 
-      const returnSims = sims?.map((s) => {
-        return {
-          success: s?.status,
-          error: s?.error_message,
-          id: s?.id,
-        };
-      });
+      const returnSims = sims?.map(parseSimulation);
 
       let lastSlicePos = 0;
       const finalSims = actions.map((_, i) => {
@@ -121,15 +123,7 @@ export const useProposalSimulation = (
       const data = await res.json();
       const simulations = data?.simulations;
 
-      setData(
-        simulations?.map((s) => {
-          return {
-            success: s?.status,
-            error: s?.error_message,
-            id: s?.id,
-          };
-        }),
-      );
+      setData(simulations?.map(parseSimulation));
 
       if (simulations.some((s) => !s.status)) {
         // todo: handle other possible errors
@@ -171,15 +165,7 @@ export const useProposalCandidateSimulation = (
       const data = await res.json();
       const simulations = data?.simulations;
 
-      setData(
-        simulations?.map((s) => {
-          return {
-            success: s?.status,
-            error: s?.error_message,
-            id: s?.id,
-          };
-        }),
-      );
+      setData(simulations?.map(parseSimulation));
 
       if (simulations.some((s) => !s.status)) {
         // todo: handle other possible errors
@@ -0,0 +1,77 @@
+import React from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { useSignMessage } from "wagmi";
+import { object as objectUtils } from "@shades/common/utils";
+import { createTagsMessage } from "@/utils/tags";
+
+// Manual tags of all proposals or candidates, by target id and account
+export const useTagEntries = (targetType) => {
+  const { data } = useQuery({
+    queryKey: ["tags", targetType],
+    queryFn: async () => {
+      const res = await fetch(`/api/tags?type=${targetType}`);
+      if (!res.ok) throw new Error();
+      const { entriesByTargetId } = await res.json();
+      return entriesByTargetId;
+    },
+  });
+  return data;
+};
+
+// Signs and sets the connected account’s tags for a proposal or candidate
+export const useSetTags = (targetType, targetId) => {
+  const queryClient = useQueryClient();
+  const { signMessageAsync: signMessage } = useSignMessage();
+
+  return React.useCallback(
+    async ({ address: address_, tags }) => {
+      const address = address_.toLowerCase();
+      const normalizedTargetId = targetId.toLowerCase();
+      const timestamp = Date.now();
+      const signature = await signMessage({
+        message: createTagsMessage({
+          address,
+          targetType,
+          targetId: normalizedTargetId,
+          tags,
+          timestamp,
+        }),
+      });
+
+      const res = await fetch("/api/tags", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          targetType,
+          targetId: normalizedTargetId,
+          address,
+          tags,
+          timestamp,
+          signature,
+        }),
+      });
+
+      if (!res.ok) {
+        const { error } = await res.json().catch(() => ({}));
+        throw new Error(error ?? "request-failed");
+      }
+
+      const { entry } = await res.json();
+
+      queryClient.setQueryData(["tags", targetType], (entriesByTargetId) => {
+        const entries = objectUtils.omitKey(
+          address,
+          entriesByTargetId?.[normalizedTargetId] ?? {},
+        );
+        return {
+          ...entriesByTargetId,
+          [normalizedTargetId]:
+            tags.length === 0 ? entries : { ...entries, [address]: entry },
+        };
+      });
+
+      return entry;
+    },
+    [targetType, targetId, signMessage, queryClient],
+  );
+};
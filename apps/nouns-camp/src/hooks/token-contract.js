@@ -53,6 +53,36 @@ export const usePriorVotes = ({ account, blockNumber, enabled = true }) => {
   return data == null ? null : Number(data);
 };
 
+export const usePriorVotesByAccount = ({ accounts, blockNumber }) => {
+  const { data } = useReadContracts({
+    contracts: accounts.map((account) => ({
+      address: contractAddress,
+      chainId: CHAIN_ID,
+      abi: [
+        {
+          inputs: [{ type: "address" }, { type: "uint256" }],
+          name: "getPriorVotes",
+          outputs: [{ type: "uint96" }],
+          type: "function",
+        },
+      ],
+      functionName: "getPriorVotes",
+      args: [account, blockNumber],
+    })),
+    query: {
+      enabled: blockNumber != null,
+    },
+  });
+
+  if (data == null) return {};
+
+  return data.reduce((acc, { status, result: voteCount }, index) => {
+    if (status !== "success") return acc;
+    acc[accounts[index]] = Number(voteCount);
+    return acc;
+  }, {});
+};
+
 export const useNounSeed = (nounId, { enabled = true } = {}) => {
   const { data } = useReadContract({
     address: contractAddress,
@@ -157,6 +187,56 @@ export const useSetDelegate = (address) => {
   };
 };
 
+export const useTransferNouns = ({ from, to }) => {
+  const publicClient = usePublicClient();
+
+  const { writeContractAsync } = useWriteContract();
+
+  if (from == null || to == null || !isAddress(from) || !isAddress(to))
+    return null;
+
+  // The token has no batch transfer, so each Noun is moved in a separate
+  // transaction. Resolves with a `{ nounId, status, receipt, error }` result
+  // per Noun; transfers stop at the first failure, leaving the remaining Nouns
+  // as "skipped".
+  return async (nounIds) => {
+    const results = [];
+    for (const nounId of nounIds) {
+      if (results.some((r) => r.status === "failed")) {
+        results.push({ nounId, status: "skipped" });
+        continue;
+      }
+      try {
+        const hash = await writeContractAsync({
+          address: contractAddress,
+          chainId: CHAIN_ID,
+          abi: [
+            {
+              type: "function",
+              name: "safeTransferFrom",
+              inputs: [
+                { type: "address" },
+                { type: "address" },
+                { type: "uint256" },
+              ],
+              outputs: [],
+            },
+          ],
+          functionName: "safeTransferFrom",
+          args: [from, to, BigInt(nounId)],
+        });
+        const receipt = await publicClient.waitForTransactionReceipt({ hash });
+        if (receipt.status !== "success")
+          throw new Error(`Transfer of Noun ${nounId} reverted`);
+        results.push({ nounId, status: "success", receipt });
+      } catch (error) {
+        results.push({ nounId, status: "failed", error });
+      }
+    }
+    return results;
+  };
+};
+
 export const useTotalSupply = () => {
   const { data, isSuccess } = useReadContract({
     address: contractAddress,
@@ -176,3 +256,57 @@ export const useTotalSupply = () => {
 
   return Number(data);
 };
+
+export const useIsApprovedForAll = ({ owner, operator }) => {
+  const { data, isSuccess, refetch } = useReadContract({
+    address: contractAddress,
+    chainId: CHAIN_ID,
+    abi: [
+      {
+        inputs: [{ type: "address" }, { type: "address" }],
+        name: "isApprovedForAll",
+        outputs: [{ type: "bool" }],
+        type: "function",
+      },
+    ],
+    functionName: "isApprovedForAll",
+    args: [owner, operator],
+    query: {
+      enabled: owner != null && operator != null,
+    },
+  });
+
+  return { isApproved: isSuccess ? data : undefined, refetch };
+};
+
+export const useSetApprovalForAll = (operator, { enabled = true } = {}) => {
+  const publicClient = usePublicClient();
+
+  const { writeContractAsync } = useWriteContract();
+
+  const { data: simulationResult, isSuccess: simulationSuccessful } =
+    useSimulateContract({
+      address: contractAddress,
+      chainId: CHAIN_ID,
+      abi: [
+        {
+          type: "function",
+          name: "setApprovalForAll",
+          inputs: [{ type: "address" }, { type: "bool" }],
+          outputs: [],
+        },
+      ],
+      functionName: "setApprovalForAll",
+      args: [operator, true],
+      query: {
+        enabled: enabled && isAddress(operator),
+      },
+    });
+
+  if (!simulationSuccessful) return null;
+
+  return async () => {
+    const hash = await writeContractAsync(simulationResult.request);
+    return publicClient.waitForTransactionReceipt({ hash });
+  };
+};
@@ -7,7 +7,7 @@ export const getTotalEth = (data) => {
   return [
     balances.executor.eth,
     balances.executor.weth,
-    rethToEth(balances.executor.reth),
+    balances.executor.reth == null ? null : rethToEth(balances.executor.reth),
     balances.executor.steth,
     balances.executor.wsteth,
     balances["dao-proxy"].eth,
@@ -23,6 +23,39 @@ export const getTotalUsdc = (data) =>
     .filter(Boolean)
     .reduce((sum, amount) => sum + amount, BigInt(0));
 
+const parseBalances = (balances) =>
+  objectUtils.mapValues(
+    (contract) =>
+      objectUtils.mapValues((n) => (n != null ? BigInt(n) : n), contract),
+    balances,
+  );
+
+export const useTreasuryHistory = ({ months = 12 } = {}) => {
+  const { data } = useQuery({
+    queryKey: ["treasury-history", months],
+    queryFn: async () => {
+      const res = await fetch(`/api/treasury-history?months=${months}`);
+      if (!res.ok) throw new Error();
+      const { balances, spending } = await res.json();
+      return {
+        balances: balances.map(({ timestamp, blockNumber, balances }) => ({
+          timestamp,
+          blockNumber: BigInt(blockNumber),
+          balances: parseBalances(balances),
+        })),
+        spending: spending.map(({ assets, ...month }) => ({
+          ...month,
+          assets: assets.map(({ amount, ...asset }) =>
+            amount == null ? asset : { ...asset, amount: BigInt(amount) },
+          ),
+        })),
+      };
+    },
+  });
+
+  return data;
+};
+
 const useTreasuryData = () => {
   const query = useQuery({
     queryKey: ["treasury"],
@@ -30,11 +63,7 @@ const useTreasuryData = () => {
       const res = await fetch("/api/treasury");
       const { balances, rates, aprs } = await res.json();
       return {
-        balances: objectUtils.mapValues(
-          (contract) =>
-            objectUtils.mapValues((n) => (n != null ? BigInt(n) : n), contract),
-          balances,
-        ),
+        balances: parseBalances(balances),
         rates: objectUtils.mapValues((n) => (n != null ? BigInt(n) : n), rates),
         aprs,
       };
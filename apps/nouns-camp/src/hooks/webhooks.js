@@ -0,0 +1,76 @@
+import React from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { useWallet, useWalletAuthentication } from "@/hooks/wallet";
+
+// Webhooks are owned by the SIWE session account, so requests are only made
+// once the connected account has signed in
+export const useWebhooks = () => {
+  const { isAuthenticated } = useWallet();
+  const { data } = useQuery({
+    queryKey: ["webhooks"],
+    queryFn: async () => {
+      const res = await fetch("/api/webhooks");
+      if (!res.ok) throw new Error();
+      const { webhooks } = await res.json();
+      return webhooks;
+    },
+    enabled: isAuthenticated,
+  });
+  return data;
+};
+
+export const useWebhookDeliveries = (id) => {
+  const { data } = useQuery({
+    queryKey: ["webhook-deliveries", id],
+    queryFn: async () => {
+      const res = await fetch(`/api/webhooks/${encodeURIComponent(id)}`);
+      if (!res.ok) throw new Error();
+      const { deliveries } = await res.json();
+      return deliveries;
+    },
+    enabled: id != null,
+    refetchInterval: 30_000,
+  });
+  return data;
+};
+
+export const useWebhookActions = () => {
+  const queryClient = useQueryClient();
+  const { isAuthenticated } = useWallet();
+  const { signIn } = useWalletAuthentication();
+
+  const ensureSession = React.useCallback(async () => {
+    if (!isAuthenticated) await signIn();
+  }, [isAuthenticated, signIn]);
+
+  // Resolves with the created webhook, including its secret
+  const createWebhook = React.useCallback(
+    async ({ url, events }) => {
+      await ensureSession();
+      const res = await fetch("/api/webhooks", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ url, events }),
+      });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error);
+      queryClient.invalidateQueries({ queryKey: ["webhooks"] });
+      return body.webhook;
+    },
+    [ensureSession, queryClient],
+  );
+
+  const deleteWebhook = React.useCallback(
+    async (id) => {
+      await ensureSession();
+      const res = await fetch(`/api/webhooks/${encodeURIComponent(id)}`, {
+        method: "DELETE",
+      });
+      if (!res.ok) throw new Error();
+      queryClient.invalidateQueries({ queryKey: ["webhooks"] });
+    },
+    [ensureSession, queryClient],
+  );
+
+  return { signIn: ensureSession, createWebhook, deleteWebhook };
+};
@@ -94,6 +94,9 @@ export const FULL_PROPOSAL_FIELDS = `
     abstainVotes
     executionETA
     quorumVotes
+    minQuorumVotesBPS
+    maxQuorumVotesBPS
+    quorumCoefficient
     adjustedTotalSupply
     clientId
     proposer { id }
@@ -142,6 +145,59 @@ export const TRANSFER_EVENT_FIELDS = `
     blockTimestamp
   }`;
 
+export const FORK_FIELDS = `
+  fragment ForkFields on Fork {
+    id
+    forkID
+    executed
+    executedAt
+    forkTreasury
+    forkToken
+    tokensInEscrowCount
+    tokensForkingCount
+    forkingPeriodEndTimestamp
+  }`;
+
+export const ESCROW_DEPOSIT_FIELDS = `
+  fragment EscrowDepositFields on EscrowDeposit {
+    id
+    createdAt
+    owner { id }
+    tokenIDs
+    proposalIDs
+    reason
+    fork { id }
+  }`;
+
+export const ESCROW_WITHDRAWAL_FIELDS = `
+  fragment EscrowWithdrawalFields on EscrowWithdrawal {
+    id
+    createdAt
+    owner { id }
+    tokenIDs
+    fork { id }
+  }`;
+
+export const FORK_JOIN_FIELDS = `
+  fragment ForkJoinFields on ForkJoin {
+    id
+    createdAt
+    owner { id }
+    tokenIDs
+    proposalIDs
+    reason
+    fork { id }
+  }`;
+
+export const ESCROWED_NOUN_FIELDS = `
+  fragment EscrowedNounFields on EscrowedNoun {
+    id
+    noun { id }
+    owner { id }
+    escrowDeposit { id reason proposalIDs }
+    fork { id }
+  }`;
+
 export const FULL_PROPOSAL_CANDIDATE_FIELDS = `
   ${CANDIDATE_CONTENT_SIGNATURE_FIELDS}
   fragment FullProposalCandidateFields on ProposalCandidate {
@@ -269,6 +325,9 @@ export const parseProposal = (data) => {
     "againstVotes",
     "abstainVotes",
     "quorumVotes",
+    "minQuorumVotesBPS",
+    "maxQuorumVotesBPS",
+    "quorumCoefficient",
     "adjustedTotalSupply",
   ]) {
     if (data[prop] != null) {
@@ -495,6 +554,53 @@ const parseAuction = (a) => {
   return parsedData;
 };
 
+const parseFork = (f) => {
+  const parsedData = { ...f };
+
+  if (f.tokensInEscrowCount != null)
+    parsedData.tokensInEscrowCount = Number(f.tokensInEscrowCount);
+  if (f.tokensForkingCount != null)
+    parsedData.tokensForkingCount = Number(f.tokensForkingCount);
+  if (f.executedAt != null)
+    parsedData.executedTimestamp = parseTimestamp(f.executedAt);
+  if (f.forkingPeriodEndTimestamp != null)
+    parsedData.forkingPeriodEndTimestamp = parseTimestamp(
+      f.forkingPeriodEndTimestamp,
+    );
+
+  return parsedData;
+};
+
+// Escrow deposits, escrow withdrawals, and fork joins share the same shape
+const createForkEventParser = (type) => (e) => {
+  const parsedData = {
+    ...e,
+    type,
+    createdTimestamp: parseTimestamp(e.createdAt),
+    ownerId: e.owner?.id,
+    forkId: e.fork?.id,
+    nounIds: e.tokenIDs ?? [],
+    proposalIds: e.proposalIDs ?? [],
+  };
+
+  if (e.id != null) parsedData.transactionHash = e.id.split("-")[0];
+
+  return parsedData;
+};
+
+const parseEscrowDeposit = createForkEventParser("escrow-deposit");
+const parseEscrowWithdrawal = createForkEventParser("escrow-withdrawal");
+const parseForkJoin = createForkEventParser("fork-join");
+
+const parseEscrowedNoun = (n) => ({
+  ...n,
+  nounId: n.noun?.id,
+  ownerId: n.owner?.id,
+  forkId: n.fork?.id,
+  reason: n.escrowDeposit?.reason,
+  proposalIds: n.escrowDeposit?.proposalIDs ?? [],
+});
+
 export const subgraphFetch = async ({
   endpoint,
   operationName,
@@ -542,7 +648,8 @@ export const parsedSubgraphFetch = async (options) => {
       case "delegate":
       case "noun":
       case "proposal":
-      case "proposalCandidate": {
+      case "proposalCandidate":
+      case "fork": {
         if (value == null) return null;
         const parseFn = {
           auction: parseAuction,
@@ -551,6 +658,7 @@ export const parsedSubgraphFetch = async (options) => {
           noun: parseNoun,
           proposal: parseProposal,
           proposalCandidate: parseCandidate,
+          fork: parseFork,
         }[key];
         return parseFn(value);
       }
@@ -568,7 +676,11 @@ export const parsedSubgraphFetch = async (options) => {
       case "proposalFeedbacks":
       case "candidateFeedbacks":
       case "delegationEvents":
-      case "transferEvents": {
+      case "transferEvents":
+      case "escrowDeposits":
+      case "escrowWithdrawals":
+      case "forkJoins":
+      case "escrowedNouns": {
         const parseFn = {
           accounts: parseAccount,
           delegates: parseDelegate,
@@ -583,6 +695,10 @@ export const parsedSubgraphFetch = async (options) => {
           candidateFeedbacks: parseFeedbackPost,
           delegationEvents: parseDelegationEvent,
           transferEvents: parseTransferEvent,
+          escrowDeposits: parseEscrowDeposit,
+          escrowWithdrawals: parseEscrowWithdrawal,
+          forkJoins: parseForkJoin,
+          escrowedNouns: parseEscrowedNoun,
         }[key];
         return value.map(parseFn);
       }
@@ -1,5 +1,3 @@
-"use client";
-
 import { array as arrayUtils } from "@shades/common/utils";
 import { resolveIdentifier } from "@/contracts";
 import {
@@ -656,6 +654,7 @@ export const buildPropdateFeedItem = (p) => ({
   proposalId: p.proposalId,
   transactionHash: p.transactionHash,
   propdateId: p.id,
+  isPending: p.isPending,
 });
 
 const buildFlowVotesItems = (flowVotes) => {
@@ -707,3 +706,60 @@ export const buildFlowVotesFeed = (storeState) => {
   );
   return buildFlowVotesItems(flowVotes);
 };
+
+const buildForkEventItem = (e) => ({
+  type: "event",
+  eventType: {
+    "escrow-deposit": "fork-escrow",
+    "escrow-withdrawal": "fork-escrow-withdrawal",
+    "fork-join": "fork-join",
+  }[e.type],
+  id: `fork-${e.forkId}-${e.type}-${e.id}`,
+  timestamp: e.createdTimestamp,
+  authorAccount: e.ownerId,
+  body: e.reason,
+  transactionHash: e.transactionHash,
+  forkId: e.forkId,
+  nounIds: e.nounIds,
+  proposalIds: e.proposalIds,
+});
+
+export const buildForkFeed = (storeState, forkId) => {
+  const fork = storeState.forksById[forkId];
+  if (fork == null) return [];
+
+  const items = [
+    ...(fork.escrowDeposits ?? []),
+    ...(fork.escrowWithdrawals ?? []),
+    ...(fork.joins ?? []),
+  ].map(buildForkEventItem);
+
+  return arrayUtils.sortBy({ value: (i) => i.timestamp, order: "desc" }, items);
+};
+
+// Combined feed of everything the given subscriptions cover, deduped since
+// e.g. a subscribed account can vote on a subscribed proposal
+export const buildSubscriptionsFeed = (
+  storeState,
+  subscriptions,
+  { latestBlockNumber },
+) => {
+  const items = subscriptions.flatMap(({ type, id }) => {
+    switch (type) {
+      case "proposal":
+        return buildProposalFeed(storeState, id, { latestBlockNumber });
+      case "candidate":
+        return buildCandidateFeed(storeState, id);
+      case "account":
+        return buildAccountFeed(storeState, id, {});
+      default:
+        console.error(`Unrecognized subscription type: "${type}"`);
+        return [];
+    }
+  });
+
+  return arrayUtils.sortBy(
+    { value: (i) => i.timestamp ?? 0, order: "desc" },
+    arrayUtils.unique((i1, i2) => i1.id === i2.id, items),
+  );
+};
@@ -24,11 +24,14 @@ import {
   buildPropdateFeedItem,
   buildNounsTokenRepresentationFeed,
   buildFlowVotesFeed,
+  buildForkFeed,
+  buildSubscriptionsFeed,
 } from "@/store-selectors/feeds";
 import {
   extractSlugFromId as extractSlugFromCandidateId,
   getSponsorSignatures as getCandidateSponsorSignatures,
 } from "@/utils/candidates";
+import { createFeedItemFilter as createSavedFeedItemFilter } from "@/utils/saved-feeds";
 import usePublicClient from "@/hooks/public-client";
 import useBlockNumber from "@/hooks/block-number";
 import useSetting from "@/hooks/setting";
@@ -46,6 +49,11 @@ import {
   DELEGATION_EVENT_FIELDS,
   TRANSFER_EVENT_FIELDS,
   FULL_PROPOSAL_CANDIDATE_FIELDS,
+  FORK_FIELDS,
+  ESCROW_DEPOSIT_FIELDS,
+  ESCROW_WITHDRAWAL_FIELDS,
+  FORK_JOIN_FIELDS,
+  ESCROWED_NOUN_FIELDS,
 } from "@/nouns-subgraph";
 import * as PropdatesSubgraph from "@/propdates-subgraph";
 import * as FlowsSubgraph from "@/flows-subgraph";
@@ -186,6 +194,21 @@ const mergeNouns = (n1, n2) => {
   return mergedNoun;
 };
 
+const mergeForks = (f1, f2) => {
+  if (f1 == null) return f2;
+  // `escrowedNouns` is always fetched in full, and Nouns leave the escrow when
+  // withdrawn, so that one is replaced rather than merged
+  const mergedFork = { ...f1, ...f2 };
+  for (const key of ["escrowDeposits", "escrowWithdrawals", "joins"]) {
+    if (f1[key] == null || f2[key] == null) continue;
+    mergedFork[key] = arrayUtils.unique(
+      (e1, e2) => e1.id === e2.id,
+      [...f2[key], ...f1[key]],
+    );
+  }
+  return mergedFork;
+};
+
 const mergeStoreState = (state1, state2) => {
   const getMergeFn = (key) => {
     const mergeFn = {
@@ -194,6 +217,7 @@ const mergeStoreState = (state1, state2) => {
       nounsById: mergeNouns,
       proposalsById: mergeProposals,
       proposalCandidatesById: mergeProposalCandidates,
+      forksById: mergeForks,
     }[key];
     if (mergeFn == null) throw new Error(`Missing merge function for "${key}"`);
     return mergeFn;
@@ -484,6 +508,23 @@ const createStore = ({ initialState, publicClient }) =>
             });
           }
 
+          case "fork":
+            return mergeIntoStore({ forksById: { [value.id]: value } });
+
+          case "escrowDeposits":
+          case "escrowWithdrawals":
+          case "forkJoins":
+          case "escrowedNouns": {
+            const forkPropName = key === "forkJoins" ? "joins" : key; // `fork.joins` in the subgraph
+            const itemsByForkId = arrayUtils.groupBy((i) => i.forkId, value);
+            return mergeIntoStore({
+              forksById: objectUtils.mapValues(
+                (items, forkId) => ({ id: forkId, [forkPropName]: items }),
+                itemsByForkId,
+              ),
+            });
+          }
+
           case "proposalCandidateSignatures":
             // Don’t cache
             return stateAcc;
@@ -694,6 +735,7 @@ const createStore = ({ initialState, publicClient }) =>
       proposalsById: {},
       proposalCandidatesById: {},
       propdatesByProposalId: {},
+      forksById: {},
       ensNameByAddress: {},
       ensAddressByName: {},
       ...initialState,
@@ -738,6 +780,17 @@ const createStore = ({ initialState, publicClient }) =>
           };
         });
       },
+      addOptimitisicPropdate: (proposalId, propdate) => {
+        set((s) => ({
+          propdatesByProposalId: {
+            ...s.propdatesByProposalId,
+            [proposalId]: [
+              { ...propdate, proposalId, isPending: true },
+              ...(s.propdatesByProposalId[proposalId] ?? []),
+            ],
+          },
+        }));
+      },
 
       // ENS resolution
       resolveEnsNames: async (client, names) => {
@@ -876,6 +929,7 @@ const createStore = ({ initialState, publicClient }) =>
                   blockNumber
                   supportDetailed
                   reason
+                  proposal { id }
                 }`
                   : ""
               }
@@ -953,6 +1007,10 @@ const createStore = ({ initialState, publicClient }) =>
                   againstVotes
                   abstainVotes
                   quorumVotes
+                  minQuorumVotesBPS
+                  maxQuorumVotesBPS
+                  quorumCoefficient
+                  adjustedTotalSupply
                   executionETA
                   proposer { id }
                   signers { id }
@@ -1041,6 +1099,62 @@ const createStore = ({ initialState, publicClient }) =>
         return account;
       },
       fetchNoun: (id) => fetchNounsByIds([id]),
+      fetchFork: async (id) => {
+        const { escrowedNouns, escrowDeposits, forkJoins } =
+          await subgraphFetch({
+            query: `
+              ${FORK_FIELDS}
+              ${ESCROW_DEPOSIT_FIELDS}
+              ${ESCROW_WITHDRAWAL_FIELDS}
+              ${FORK_JOIN_FIELDS}
+              ${ESCROWED_NOUN_FIELDS}
+              query {
+                fork(id: "${id}") {
+                  ...ForkFields
+                }
+                escrowedNouns(where: { fork: "${id}" }, first: 1000) {
+                  ...EscrowedNounFields
+                }
+                escrowDeposits(
+                  where: { fork: "${id}" },
+                  orderBy: createdAt,
+                  orderDirection: desc,
+                  first: 1000
+                ) {
+                  ...EscrowDepositFields
+                }
+                escrowWithdrawals(
+                  where: { fork: "${id}" },
+                  orderBy: createdAt,
+                  orderDirection: desc,
+                  first: 1000
+                ) {
+                  ...EscrowWithdrawalFields
+                }
+                forkJoins(
+                  where: { fork: "${id}" },
+                  orderBy: createdAt,
+                  orderDirection: desc,
+                  first: 1000
+                ) {
+                  ...ForkJoinFields
+                }
+              }`,
+          });
+
+        // The subgraph only creates a fork once the first Noun is escrowed, so
+        // make sure there’s an entry to tell loading and empty apart
+        set((s) => mergeStoreState(s, { forksById: { [id]: { id } } }));
+
+        const nounIds = arrayUtils.unique([
+          ...escrowedNouns.map((n) => n.nounId),
+          ...escrowDeposits.flatMap((e) => e.nounIds),
+          ...forkJoins.flatMap((e) => e.nounIds),
+        ]);
+
+        // fetch nouns async ...
+        fetchNounsByIds(nounIds);
+      },
       fetchProposalCandidatesByAccount: (accountAddress) =>
         subgraphFetch({
           query: `
@@ -1089,6 +1203,10 @@ const createStore = ({ initialState, publicClient }) =>
                 againstVotes
                 abstainVotes
                 quorumVotes
+                minQuorumVotesBPS
+                maxQuorumVotesBPS
+                quorumCoefficient
+                adjustedTotalSupply
                 executionETA
                 proposer { id }
                 signers { id }
@@ -1284,6 +1402,10 @@ const createStore = ({ initialState, publicClient }) =>
                     againstVotes
                     abstainVotes
                     quorumVotes
+                    minQuorumVotesBPS
+                    maxQuorumVotesBPS
+                    quorumCoefficient
+                    adjustedTotalSupply
                     executionETA
                     proposer { id }
                     signers { id }
@@ -1707,7 +1829,17 @@ const createStore = ({ initialState, publicClient }) =>
                 (ps1 = [], ps2 = []) =>
                   arrayUtils.unique(
                     (p1, p2) => p1.id === p2.id,
-                    [...ps1, ...ps2],
+                    [
+                      // Drop optimistic entries once indexed
+                      ...ps1.filter(
+                        (p1) =>
+                          !p1.isPending ||
+                          !ps2.some(
+                            (p2) => p2.transactionHash === p1.transactionHash,
+                          ),
+                      ),
+                      ...ps2,
+                    ],
                   ),
                 s.propdatesByProposalId,
                 arrayUtils.groupBy((d) => d.proposalId, propdates),
@@ -1802,6 +1934,7 @@ export const useActions = () => {
   const fetchDelegate = useStore((s) => s.fetchDelegate);
   const fetchAccount = useStore((s) => s.fetchAccount);
   const fetchNoun = useStore((s) => s.fetchNoun);
+  const fetchFork = useStore((s) => s.fetchFork);
   const fetchProposalCandidatesByAccount = useStore(
     (s) => s.fetchProposalCandidatesByAccount,
   );
@@ -1825,6 +1958,7 @@ export const useActions = () => {
   const addOptimitisicCandidateFeedbackPost = useStore(
     (s) => s.addOptimitisicCandidateFeedbackPost,
   );
+  const addOptimitisicPropdate = useStore((s) => s.addOptimitisicPropdate);
 
   return {
     subgraphFetch,
@@ -1839,6 +1973,7 @@ export const useActions = () => {
     ),
     fetchAccount,
     fetchNoun,
+    fetchFork,
     fetchProposalCandidatesByAccount,
     fetchNounsActivity,
     fetchVoterActivity,
@@ -1853,6 +1988,7 @@ export const useActions = () => {
     addOptimitisicProposalVote,
     addOptimitisicProposalFeedbackPost,
     addOptimitisicCandidateFeedbackPost,
+    addOptimitisicPropdate,
   };
 };
 
@@ -2278,6 +2414,30 @@ export const useAccountFetch = (id, options) => {
   );
 };
 
+export const useFork = (id) =>
+  useStore(React.useCallback((s) => s.forksById[id], [id]));
+
+export const useForkFetch = (id, options) => {
+  const onError = useLatestCallback(options?.onError);
+
+  const { fetchFork } = useActions();
+
+  useFetch(
+    id == null
+      ? null
+      : () =>
+          fetchFork(id).catch((e) => {
+            if (onError == null) return Promise.reject(e);
+            onError(e);
+          }),
+    { fetchInterval: options?.fetchInterval },
+    [fetchFork, id, onError],
+  );
+};
+
+export const useForkFeedItems = (forkId) =>
+  useStore(React.useCallback((s) => buildForkFeed(s, forkId), [forkId]));
+
 export const usePropdates = () =>
   useStore((s) => Object.values(s.propdatesByProposalId).flatMap((ps) => ps));
 
@@ -2343,6 +2503,24 @@ export const useAccountFeedItems = (accountAddress, { filter }) => {
   );
 };
 
+export const useSubscriptionsFeedItems = (subscriptions) => {
+  const eagerLatestBlockNumber = useBlockNumber({
+    watch: true,
+    cacheTime: 20_000,
+  });
+  const latestBlockNumber = React.useDeferredValue(eagerLatestBlockNumber);
+
+  return useStore(
+    React.useCallback(
+      (s) =>
+        buildSubscriptionsFeed(s, subscriptions, {
+          latestBlockNumber,
+        }),
+      [subscriptions, latestBlockNumber],
+    ),
+  );
+};
+
 export const useMainFeedItems = (categories, { enabled = true }) => {
   const eagerLatestBlockNumber = useBlockNumber({
     watch: true,
@@ -2431,6 +2609,24 @@ export const useMainFeedItems = (categories, { enabled = true }) => {
   );
 };
 
+const emptyCategories = [];
+
+// Saved feeds filter the unfiltered main feed
+export const useSavedFeedItems = (feed, { enabled = true }) => {
+  const items = useMainFeedItems(emptyCategories, { enabled });
+  const proposalsById = useStore((s) => s.proposalsById);
+  const proposalCandidatesById = useStore((s) => s.proposalCandidatesById);
+
+  return React.useMemo(() => {
+    if (feed == null) return [];
+    const filter = createSavedFeedItemFilter(feed, {
+      proposalsById,
+      proposalCandidatesById,
+    });
+    return items.filter(filter);
+  }, [feed, items, proposalsById, proposalCandidatesById]);
+};
+
 export const useAccountStreams = (accountAddress) => {
   const proposalsById = useStore((s) => s.proposalsById);
 
@@ -0,0 +1,76 @@
+import { resolveIdentifier, resolveAddress } from "@/contracts";
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Tokens that can be used for payments and streams in proposal actions. Each
+// entry maps to the `<currency>-token` contract in `contracts.js`; tokens
+// without a deployment on the current chain are left out.
+//
+// `fractionDigits` is the [min, max] used when displaying amounts, and
+// `streamable` tells if the token works with the stream factory (rebasing
+// tokens like stETH don’t).
+const registry = [
+  { currency: "eth", symbol: "ETH", decimals: 18, fractionDigits: [1, 4] },
+  {
+    currency: "weth",
+    symbol: "WETH",
+    decimals: 18,
+    fractionDigits: [1, 4],
+    streamable: true,
+  },
+  {
+    currency: "usdc",
+    symbol: "USDC",
+    decimals: 6,
+    fractionDigits: [2, 2],
+    streamable: true,
+  },
+  { currency: "steth", symbol: "stETH", decimals: 18, fractionDigits: [1, 4] },
+  {
+    currency: "wsteth",
+    symbol: "wstETH",
+    decimals: 18,
+    fractionDigits: [1, 4],
+    streamable: true,
+  },
+  {
+    currency: "reth",
+    symbol: "rETH",
+    decimals: 18,
+    fractionDigits: [1, 4],
+    streamable: true,
+  },
+  {
+    currency: "$nouns",
+    symbol: "$nouns",
+    decimals: 18,
+    fractionDigits: [0, 2],
+    streamable: true,
+  },
+];
+
+const resolveRegistryEntry = (entry) => {
+  const contract = resolveIdentifier(`${entry.currency}-token`);
+  if (contract == null) return null;
+  if (entry.currency !== "eth" && contract.address === ZERO_ADDRESS)
+    return null;
+  return { ...entry, address: contract.address };
+};
+
+export const getTokens = ({ streamable } = {}) =>
+  registry
+    .filter((t) => streamable == null || Boolean(t.streamable) === streamable)
+    .map(resolveRegistryEntry)
+    .filter(Boolean);
+
+export const resolveCurrency = (currency) => {
+  const entry = registry.find((t) => t.currency === currency?.toLowerCase());
+  if (entry == null) return null;
+  return resolveRegistryEntry(entry);
+};
+
+export const resolveTokenAddress = (address) => {
+  const contract = resolveAddress(address);
+  if (contract == null || !contract.identifier.endsWith("-token")) return null;
+  return resolveCurrency(contract.identifier.slice(0, -"-token".length));
+};
@@ -0,0 +1,204 @@
+import { formatEther } from "viem";
+import { array as arrayUtils } from "@shades/common/utils";
+import { TRAIT_TYPES, getTraitsFromSeed } from "@shades/common/nouns";
+
+// Analytics over settled auctions, `{ nounId, amount, bidderId,
+// endTimestamp, seed, bids }`, where amounts are bigints and `bids` are `{
+// bidderId, amount, blockTimestamp }`
+
+export const BID_COUNT_BUCKETS = [
+  { label: "0", min: 0, max: 0 },
+  { label: "1", min: 1, max: 1 },
+  { label: "2", min: 2, max: 2 },
+  { label: "3–5", min: 3, max: 5 },
+  { label: "6–10", min: 6, max: 10 },
+  { label: "11–20", min: 11, max: 20 },
+  { label: "21+", min: 21, max: Infinity },
+];
+
+// Percentage over the previous bid
+export const BID_INCREMENT_BUCKETS = [
+  { label: "<5%", min: 0, max: 5 },
+  { label: "5–10%", min: 5, max: 10 },
+  { label: "10–25%", min: 10, max: 25 },
+  { label: "25–50%", min: 25, max: 50 },
+  { label: "50–100%", min: 50, max: 100 },
+  { label: "100%+", min: 100, max: Infinity },
+];
+
+export const LEADERBOARD_ORDERS = ["wins", "bids", "spent"];
+
+const fillBuckets = (buckets, values, isInBucket) =>
+  buckets.map((bucket) => ({
+    ...bucket,
+    count: values.filter((v) => isInBucket(bucket, v)).length,
+  }));
+
+// Average, lowest, and highest settlement price per calendar month (UTC),
+// oldest first
+export const getMonthlySettlementPrices = (auctions) => {
+  const monthsByKey = {};
+
+  for (const auction of auctions) {
+    if (auction.endTimestamp == null) continue;
+    const date = auction.endTimestamp;
+    const key = `${date.getUTCFullYear()}-${date.getUTCMonth()}`;
+    monthsByKey[key] ??= {
+      startTimestamp: new Date(
+        Date.UTC(date.getUTCFullYear(), date.getUTCMonth()),
+      ),
+      count: 0,
+      totalAmount: 0n,
+      minAmount: auction.amount,
+      maxAmount: auction.amount,
+    };
+    const month = monthsByKey[key];
+    month.count += 1;
+    month.totalAmount += auction.amount;
+    if (auction.amount < month.minAmount) month.minAmount = auction.amount;
+    if (auction.amount > month.maxAmount) month.maxAmount = auction.amount;
+  }
+
+  return arrayUtils.sortBy(
+    (m) => m.startTimestamp.getTime(),
+    Object.values(monthsByKey).map((m) => ({
+      ...m,
+      averageAmount: m.totalAmount / BigInt(m.count),
+    })),
+  );
+};
+
+export const getBidCountDistribution = (auctions) =>
+  fillBuckets(
+    BID_COUNT_BUCKETS,
+    auctions.map((a) => a.bids?.length ?? 0),
+    (bucket, count) => count >= bucket.min && count <= bucket.max,
+  );
+
+export const getBidIncrementDistribution = (auctions) => {
+  const increments = auctions.flatMap((auction) => {
+    const amounts = (auction.bids ?? [])
+      .map((b) => b.amount)
+      .sort((a1, a2) => (a1 < a2 ? -1 : a1 > a2 ? 1 : 0));
+    return amounts.slice(1).flatMap((amount, i) => {
+      const previousAmount = amounts[i];
+      if (previousAmount === 0n) return [];
+      // Basis points, to keep some precision before leaving bigint land
+      return [
+        Number(((amount - previousAmount) * 10000n) / previousAmount) / 100,
+      ];
+    });
+  });
+
+  return fillBuckets(
+    BID_INCREMENT_BUCKETS,
+    increments,
+    (bucket, increment) => increment >= bucket.min && increment < bucket.max,
+  );
+};
+
+export const getBidderLeaderboard = (auctions, { orderBy = "wins" } = {}) => {
+  const entriesByAccountId = {};
+
+  const getEntry = (accountId) => {
+    entriesByAccountId[accountId] ??= {
+      accountId,
+      winCount: 0,
+      wonAmount: 0n,
+      bidCount: 0,
+      auctionCount: 0,
+      highestBidAmount: 0n,
+    };
+    return entriesByAccountId[accountId];
+  };
+
+  for (const auction of auctions) {
+    if (auction.bidderId != null && auction.amount > 0n) {
+      const entry = getEntry(auction.bidderId);
+      entry.winCount += 1;
+      entry.wonAmount += auction.amount;
+    }
+
+    const bids = auction.bids ?? [];
+    for (const bid of bids) {
+      const entry = getEntry(bid.bidderId);
+      entry.bidCount += 1;
+      if (bid.amount > entry.highestBidAmount)
+        entry.highestBidAmount = bid.amount;
+    }
+    for (const accountId of arrayUtils.unique(bids.map((b) => b.bidderId)))
+      getEntry(accountId).auctionCount += 1;
+  }
+
+  const primaryValue = {
+    wins: (e) => e.winCount,
+    bids: (e) => e.bidCount,
+    spent: (e) => e.wonAmount,
+  }[orderBy];
+
+  return arrayUtils.sortBy(
+    { value: primaryValue, order: "desc" },
+    { value: (e) => e.wonAmount, order: "desc" },
+    Object.values(entriesByAccountId),
+  );
+};
+
+// Average and top settlement price per trait of the given type, most
+// expensive first. Auctions without a seed are left out.
+export const getPriceByTrait = (auctions, traitType) => {
+  const groupsByName = {};
+
+  for (const auction of auctions) {
+    if (auction.seed == null) continue;
+    const name = getTraitsFromSeed(auction.seed)[traitType];
+    if (name == null) continue;
+    groupsByName[name] ??= { name, count: 0, totalAmount: 0n, maxAmount: 0n };
+    const group = groupsByName[name];
+    group.count += 1;
+    group.totalAmount += auction.amount;
+    if (auction.amount > group.maxAmount) group.maxAmount = auction.amount;
+  }
+
+  return arrayUtils.sortBy(
+    { value: (g) => g.averageAmount, order: "desc" },
+    Object.values(groupsByName).map((g) => ({
+      ...g,
+      averageAmount: g.totalAmount / BigInt(g.count),
+    })),
+  );
+};
+
+const escapeCsvValue = (value) => {
+  const string = value == null ? "" : String(value);
+  if (!/[",\n]/.test(string)) return string;
+  return `"${string.replaceAll('"', '""')}"`;
+};
+
+export const buildAuctionsCsv = (auctions) => {
+  const header = [
+    "noun_id",
+    "end_time",
+    "winner",
+    "amount_eth",
+    "bid_count",
+    ...TRAIT_TYPES,
+  ];
+
+  const rows = arrayUtils
+    .sortBy((a) => a.nounId, auctions)
+    .map((a) => {
+      const traits = a.seed == null ? {} : getTraitsFromSeed(a.seed);
+      return [
+        a.nounId,
+        a.endTimestamp?.toISOString(),
+        a.bidderId,
+        formatEther(a.amount),
+        a.bids?.length ?? 0,
+        ...TRAIT_TYPES.map((type) => traits[type]),
+      ];
+    });
+
+  return [header, ...rows]
+    .map((row) => row.map(escapeCsvValue).join(","))
+    .join("\n");
+};
@@ -0,0 +1,132 @@
+import { describe, it, expect } from "vitest";
+import { parseEther } from "viem";
+import {
+  buildAuctionsCsv,
+  getBidCountDistribution,
+  getBidIncrementDistribution,
+  getBidderLeaderboard,
+  getPriceByTrait,
+  getMonthlySettlementPrices,
+} from "./auction-history";
+
+const a = "0x1111111111111111111111111111111111111111";
+const b = "0x2222222222222222222222222222222222222222";
+
+const bid = (bidderId, eth) => ({ bidderId, amount: parseEther(eth) });
+
+const seed = (head) => ({
+  background: 0,
+  body: 0,
+  accessory: 0,
+  head,
+  glasses: 0,
+});
+
+const auctions = [
+  {
+    nounId: 2,
+    amount: parseEther("30"),
+    bidderId: b,
+    endTimestamp: new Date("2024-01-02T00:00:00Z"),
+    seed: seed(0),
+    bids: [bid(a, "10"), bid(b, "20"), bid(a, "21"), bid(b, "30")],
+  },
+  {
+    nounId: 1,
+    amount: parseEther("10"),
+    bidderId: a,
+    endTimestamp: new Date("2024-01-01T00:00:00Z"),
+    seed: seed(1),
+    bids: [bid(a, "10")],
+  },
+  {
+    nounId: 3,
+    amount: 0n,
+    bidderId: null,
+    endTimestamp: new Date("2024-01-03T00:00:00Z"),
+    seed: seed(0),
+    bids: [],
+  },
+];
+
+describe("auction history", () => {
+  it("should group settlements by month", () => {
+    const months = getMonthlySettlementPrices([
+      ...auctions,
+      {
+        nounId: 4,
+        amount: parseEther("5"),
+        endTimestamp: new Date("2023-12-31T23:00:00Z"),
+      },
+    ]);
+    expect(
+      months.map((m) => [
+        m.startTimestamp.toISOString().slice(0, 7),
+        m.count,
+        m.averageAmount,
+        m.minAmount,
+        m.maxAmount,
+      ]),
+    ).toEqual([
+      ["2023-12", 1, parseEther("5"), parseEther("5"), parseEther("5")],
+      ["2024-01", 3, parseEther("40") / 3n, 0n, parseEther("30")],
+    ]);
+  });
+
+  it("should bucket bid counts and increments", () => {
+    expect(
+      getBidCountDistribution(auctions).map((b) => [b.label, b.count]),
+    ).toEqual([
+      ["0", 1],
+      ["1", 1],
+      ["2", 0],
+      ["3–5", 1],
+      ["6–10", 0],
+      ["11–20", 0],
+      ["21+", 0],
+    ]);
+    // +100%, +5%, ~+42.86%
+    expect(
+      getBidIncrementDistribution(auctions)
+        .filter((b) => b.count > 0)
+        .map((b) => b.label),
+    ).toEqual(["5–10%", "25–50%", "100%+"]);
+  });
+
+  it("should rank bidders", () => {
+    const byWins = getBidderLeaderboard(auctions);
+    expect(byWins.map((e) => [e.accountId, e.winCount])).toEqual([
+      [b, 1],
+      [a, 1],
+    ]);
+    expect(byWins[1]).toMatchObject({
+      bidCount: 3,
+      auctionCount: 2,
+      highestBidAmount: parseEther("21"),
+    });
+    expect(
+      getBidderLeaderboard(auctions, { orderBy: "bids" }).map(
+        (e) => e.accountId,
+      ),
+    ).toEqual([a, b]);
+  });
+
+  it("should average prices per trait", () => {
+    expect(
+      getPriceByTrait(auctions, "head").map((g) => [g.name, g.averageAmount]),
+    ).toEqual([
+      ["aardvark", parseEther("15")],
+      ["abstract", parseEther("10")],
+    ]);
+  });
+
+  it("should export csv", () => {
+    const [header, firstRow] = buildAuctionsCsv(auctions).split("\n");
+    expect(header).toBe(
+      "noun_id,end_time,winner,amount_eth,bid_count,background,body,accessory,head,glasses",
+    );
+    expect(firstRow).toBe(
+      `1,2024-01-01T00:00:00.000Z,${a},10,1,cool,bege bsod,1n,abstract,hip rose`,
+    );
+  });
+});
@@ -0,0 +1,44 @@
+// The lowest bid the auction house accepts, given the current highest bid
+export const getMinBidValue = ({
+  amount,
+  reservePrice,
+  minBidIncrementPercentage,
+}) => {
+  if (amount == null) return null;
+  const currentAmount = BigInt(amount);
+  if (currentAmount === 0n) return reservePrice ?? null;
+  if (minBidIncrementPercentage == null) return null;
+  return (
+    currentAmount + (currentAmount / 100n) * BigInt(minBidIncrementPercentage)
+  );
+};
+
+// What an auto rebid session (`{ nounId, maxBidValue }`) should do next,
+// given the latest on-chain auction state. One of:
+//
+// - "waiting": Not enough data yet
+// - "ended": The session’s auction is over, or a new one has started
+// - "leading": The connected account holds the highest bid
+// - "cap-reached": The next valid bid would exceed the session’s cap
+// - "rebid": Bid `bidValue`, the lowest valid amount
+export const getAutoRebidStep = (
+  session,
+  { auction, accountAddress, minBidValue, now = Date.now() },
+) => {
+  if (auction == null || minBidValue == null) return { type: "waiting" };
+
+  if (
+    String(auction.nounId) !== String(session.nounId) ||
+    auction.settled ||
+    auction.endTimestamp.getTime() <= now
+  )
+    return { type: "ended" };
+
+  if (auction.bidderId === accountAddress?.toLowerCase())
+    return { type: "leading" };
+
+  if (minBidValue > session.maxBidValue)
+    return { type: "cap-reached", minBidValue };
+
+  return { type: "rebid", bidValue: minBidValue };
+};
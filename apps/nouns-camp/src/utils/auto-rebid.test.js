@@ -0,0 +1,73 @@
+import { describe, it, expect } from "vitest";
+import { parseEther } from "viem";
+import { getAutoRebidStep, getMinBidValue } from "./auto-rebid";
+
+const me = "0x1111111111111111111111111111111111111111";
+const other = "0x2222222222222222222222222222222222222222";
+
+const now = new Date("2024-01-01T12:00:00Z").getTime();
+
+const auction = {
+  nounId: 7,
+  bidderId: other,
+  settled: false,
+  endTimestamp: new Date("2024-01-01T12:05:00Z"),
+};
+
+const session = { nounId: 7, maxBidValue: parseEther("2") };
+
+describe("getMinBidValue", () => {
+  it("should apply the reserve price and increment", () => {
+    expect(
+      getMinBidValue({
+        amount: "0",
+        reservePrice: 5n,
+        minBidIncrementPercentage: 2,
+      }),
+    ).toBe(5n);
+    expect(
+      getMinBidValue({
+        amount: parseEther("1"),
+        reservePrice: 5n,
+        minBidIncrementPercentage: 2,
+      }),
+    ).toBe(parseEther("1.02"));
+    expect(getMinBidValue({ amount: parseEther("1") })).toBe(null);
+  });
+});
+
+describe("getAutoRebidStep", () => {
+  it("should rebid the minimum when outbid, within the cap", () => {
+    expect(
+      getAutoRebidStep(session, {
+        auction,
+        accountAddress: me,
+        minBidValue: parseEther("1.02"),
+        now,
+      }),
+    ).toEqual({ type: "rebid", bidValue: parseEther("1.02") });
+    expect(
+      getAutoRebidStep(session, {
+        auction,
+        accountAddress: me,
+        minBidValue: parseEther("2.04"),
+        now,
+      }),
+    ).toEqual({ type: "cap-reached", minBidValue: parseEther("2.04") });
+  });
+
+  it("should hold while leading and stop once the auction is over", () => {
+    const step = (auctionOverrides) =>
+      getAutoRebidStep(session, {
+        auction: { ...auction, ...auctionOverrides },
+        accountAddress: me.toUpperCase().replace("0X", "0x"),
+        minBidValue: parseEther("1"),
+        now,
+      }).type;
+
+    expect(step({ bidderId: me })).toBe("leading");
+    expect(step({ endTimestamp: new Date(now) })).toBe("ended");
+    expect(step({ settled: true })).toBe("ended");
+    expect(step({ nounId: 8 })).toBe("ended");
+  });
+});
@@ -0,0 +1,91 @@
+// Mirrors how the client incentives `Rewards` contract splits auction revenue
+// in `updateRewardsForProposalWritingAndVoting`:
+//
+// - Proposals are eligible unless canceled, or short of the eligibility quorum
+//   (for votes relative to the adjusted total supply at creation)
+// - The proposal reward is split evenly between eligible proposals, and paid to
+//   the client each was created through
+// - The voting reward is split evenly between all votes cast on eligible
+//   proposals, weighted by voting power, and paid to the client each vote was
+//   cast through
+//
+// Proposals and votes without a client id count towards the totals, but aren’t
+// rewarded. Amounts are bigints (wei), like onchain.
+
+export const isEligibleProposal = (
+  proposal,
+  { proposalEligibilityQuorumBps },
+) => {
+  if (proposal.canceled) return false;
+  // The contract rounds the quorum down
+  const quorum =
+    (BigInt(proposal.adjustedTotalSupply) *
+      BigInt(proposalEligibilityQuorumBps)) /
+    10_000n;
+  return BigInt(proposal.forVotes) >= quorum;
+};
+
+export const computeProposalAndVoteRewards = ({
+  proposals,
+  auctionRevenue,
+  params,
+}) => {
+  const eligibleProposals = proposals.filter((p) =>
+    isEligibleProposal(p, params),
+  );
+
+  if (eligibleProposals.length === 0) return [];
+
+  const eligibleVoteCount = eligibleProposals.reduce(
+    (sum, p) =>
+      sum +
+      BigInt(p.forVotes) +
+      BigInt(p.againstVotes) +
+      BigInt(p.abstainVotes),
+    0n,
+  );
+
+  const rewardPerProposal =
+    (auctionRevenue * BigInt(params.proposalRewardBps)) /
+    10_000n /
+    BigInt(eligibleProposals.length);
+  const rewardPerVote =
+    eligibleVoteCount === 0n
+      ? 0n
+      : (auctionRevenue * BigInt(params.votingRewardBps)) /
+        10_000n /
+        eligibleVoteCount;
+
+  const rewardsByClientId = {};
+
+  const getClientRewards = (clientId) => {
+    if (rewardsByClientId[clientId] == null)
+      rewardsByClientId[clientId] = {
+        clientId,
+        proposalCount: 0,
+        voteCount: 0,
+        proposalReward: 0n,
+        voteReward: 0n,
+      };
+    return rewardsByClientId[clientId];
+  };
+
+  for (const proposal of eligibleProposals) {
+    const clientId = Number(proposal.clientId);
+    if (clientId !== 0) {
+      const rewards = getClientRewards(clientId);
+      rewards.proposalCount += 1;
+      rewards.proposalReward += rewardPerProposal;
+    }
+
+    for (const vote of proposal.votes) {
+      const clientId = Number(vote.clientId);
+      if (clientId === 0) continue;
+      const rewards = getClientRewards(clientId);
+      rewards.voteCount += Number(vote.votes);
+      rewards.voteReward += rewardPerVote * BigInt(vote.votes);
+    }
+  }
+
+  return Object.values(rewardsByClientId);
+};
@@ -0,0 +1,129 @@
+import { describe, it, expect } from "vitest";
+import {
+  isEligibleProposal,
+  computeProposalAndVoteRewards,
+} from "./client-incentives";
+
+const params = {
+  proposalRewardBps: 100, // 1%
+  votingRewardBps: 50, // 0.5%
+  proposalEligibilityQuorumBps: 1000, // 10%
+};
+
+const createProposal = ({ votes = [], ...proposal }) => ({
+  canceled: false,
+  adjustedTotalSupply: "100",
+  forVotes: String(
+    votes.filter((v) => v.support === 1).reduce((s, v) => s + v.votes, 0),
+  ),
+  againstVotes: String(
+    votes.filter((v) => v.support === 0).reduce((s, v) => s + v.votes, 0),
+  ),
+  abstainVotes: String(
+    votes.filter((v) => v.support === 2).reduce((s, v) => s + v.votes, 0),
+  ),
+  votes: votes.map((v) => ({ ...v, votes: String(v.votes) })),
+  ...proposal,
+});
+
+describe("isEligibleProposal", () => {
+  it("should require the eligibility quorum in for votes", () => {
+    expect(
+      isEligibleProposal(
+        createProposal({ votes: [{ clientId: 1, support: 1, votes: 10 }] }),
+        params,
+      ),
+    ).toBe(true);
+    expect(
+      isEligibleProposal(
+        createProposal({ votes: [{ clientId: 1, support: 0, votes: 50 }] }),
+        params,
+      ),
+    ).toBe(false);
+  });
+
+  it("should round the eligibility quorum down", () => {
+    // 10% of 105 is 10.5, rounded down to 10
+    const createBoundaryProposal = (forVotes) =>
+      createProposal({
+        adjustedTotalSupply: "105",
+        votes: [{ clientId: 1, support: 1, votes: forVotes }],
+      });
+    expect(isEligibleProposal(createBoundaryProposal(10), params)).toBe(true);
+    expect(isEligibleProposal(createBoundaryProposal(9), params)).toBe(false);
+  });
+
+  it("should exclude canceled proposals", () => {
+    expect(
+      isEligibleProposal(
+        createProposal({
+          canceled: true,
+          votes: [{ clientId: 1, support: 1, votes: 50 }],
+        }),
+        params,
+      ),
+    ).toBe(false);
+  });
+});
+
+describe("computeProposalAndVoteRewards", () => {
+  it("should split rewards by proposal and by vote weight", () => {
+    const rewards = computeProposalAndVoteRewards({
+      auctionRevenue: 20_000n,
+      params,
+      proposals: [
+        createProposal({
+          clientId: 3,
+          votes: [
+            { clientId: 3, support: 1, votes: 30 },
+            { clientId: 0, support: 0, votes: 10 },
+          ],
+        }),
+        createProposal({
+          clientId: 1,
+          votes: [{ clientId: 5, support: 1, votes: 40 }],
+        }),
+        // Not eligible
+        createProposal({
+          clientId: 5,
+          votes: [{ clientId: 5, support: 1, votes: 1 }],
+        }),
+      ],
+    });
+
+    // 200 for proposals, 100 for 80 votes (rounded down to 1 per vote)
+    expect(rewards).toEqual([
+      {
+        clientId: 1,
+        proposalCount: 1,
+        voteCount: 0,
+        proposalReward: 100n,
+        voteReward: 0n,
+      },
+      {
+        clientId: 3,
+        proposalCount: 1,
+        voteCount: 30,
+        proposalReward: 100n,
+        voteReward: 30n,
+      },
+      {
+        clientId: 5,
+        proposalCount: 0,
+        voteCount: 40,
+        proposalReward: 0n,
+        voteReward: 40n,
+      },
+    ]);
+  });
+
+  it("should return nothing without eligible proposals", () => {
+    expect(
+      computeProposalAndVoteRewards({
+        auctionRevenue: 20_000n,
+        params,
+        proposals: [],
+      }),
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,191 @@
+import { APPROXIMATE_SECONDS_PER_BLOCK } from "@/constants/ethereum";
+import { extractAmounts } from "@/utils/transactions";
+
+// Voting record stats for a delegate, computed from store votes (`{
+// proposalId, support, createdBlock }`) and proposals
+
+export const PROPOSAL_CATEGORIES = [
+  { key: "payments", title: "Payments" },
+  { key: "streams", title: "Streams" },
+  { key: "nouns", title: "Noun transfers" },
+  { key: "protocol", title: "Protocol changes" },
+  { key: "other", title: "Other" },
+];
+
+const STREAM_TRANSACTION_TYPES = [
+  "stream",
+  "usdc-stream-funding-via-payer",
+  "weth-stream-funding",
+  "token-stream-funding",
+];
+
+const PAYMENT_TRANSACTION_TYPES = [
+  "transfer",
+  "weth-transfer",
+  "steth-transfer",
+  "usdc-transfer-via-payer",
+  "usdc-approval",
+  "token-transfer",
+];
+
+const NOUN_TRANSFER_TRANSACTION_TYPES = [
+  "treasury-noun-transfer",
+  "escrow-noun-transfer",
+];
+
+// A proposal goes in the first category any of its transactions match, so a
+// stream with an upfront payment counts as a stream
+export const getProposalCategory = (proposal) => {
+  const types = (proposal.transactions ?? []).map((t) => t.type);
+  const hasSome = (typesToMatch) => types.some((t) => typesToMatch.includes(t));
+  if (hasSome(STREAM_TRANSACTION_TYPES)) return "streams";
+  if (hasSome(PAYMENT_TRANSACTION_TYPES)) return "payments";
+  if (hasSome(NOUN_TRANSFER_TRANSACTION_TYPES)) return "nouns";
+  if (types.some((t) => t.endsWith("-parameter-change"))) return "protocol";
+  return "other";
+};
+
+export const getSupportSplit = (votes) =>
+  votes.reduce(
+    (split, v) => {
+      const key = { 0: "against", 1: "for", 2: "abstain" }[v.support];
+      if (key == null) return split;
+      return { ...split, [key]: split[key] + 1, total: split.total + 1 };
+    },
+    { for: 0, against: 0, abstain: 0, total: 0 },
+  );
+
+const getQuarterStart = (date) =>
+  Date.UTC(date.getUTCFullYear(), Math.floor(date.getUTCMonth() / 3) * 3, 1);
+
+// Share of proposals voted on per calendar quarter (UTC), counting from the
+// first proposal the delegate voted on. Canceled and vetoed proposals only
+// count if voted on, since most never made it to a vote.
+export const getParticipationByQuarter = (
+  votes,
+  proposals,
+  { blockNumber },
+) => {
+  const votedProposalIds = new Set(votes.map((v) => v.proposalId));
+
+  const startBlocks = proposals
+    .filter((p) => votedProposalIds.has(p.id) && p.startBlock != null)
+    .map((p) => p.startBlock);
+
+  if (startBlocks.length === 0) return [];
+
+  const firstStartBlock = startBlocks.reduce((min, b) => (b < min ? b : min));
+
+  const quartersByStart = new Map();
+
+  for (const proposal of proposals) {
+    if (proposal.startBlock == null || proposal.createdTimestamp == null)
+      continue;
+    if (proposal.startBlock < firstStartBlock) continue;
+    if (blockNumber != null && proposal.startBlock >= blockNumber) continue;
+
+    const hasVoted = votedProposalIds.has(proposal.id);
+
+    if (!hasVoted && ["CANCELLED", "VETOED"].includes(proposal.status))
+      continue;
+
+    const start = getQuarterStart(proposal.createdTimestamp);
+    const quarter = quartersByStart.get(start) ?? {
+      startTimestamp: start,
+      proposalCount: 0,
+      voteCount: 0,
+    };
+    quarter.proposalCount += 1;
+    if (hasVoted) quarter.voteCount += 1;
+    quartersByStart.set(start, quarter);
+  }
+
+  return [...quartersByStart.values()]
+    .sort((q1, q2) => q1.startTimestamp - q2.startTimestamp)
+    .map((q) => ({ ...q, rate: q.voteCount / q.proposalCount }));
+};
+
+// Time from voting start until the vote was cast, estimated from block
+// numbers. Votes cast before the voting period (impossible) are clamped.
+export const getTimeToVoteStats = (votes, proposalsById) => {
+  const durations = votes
+    .map((v) => {
+      const proposal = proposalsById[v.proposalId];
+      if (v.createdBlock == null || proposal?.startBlock == null) return null;
+      const blockCount = v.createdBlock - proposal.startBlock;
+      return Math.max(0, Number(blockCount)) * APPROXIMATE_SECONDS_PER_BLOCK;
+    })
+    .filter((d) => d != null)
+    .sort((d1, d2) => d1 - d2);
+
+  if (durations.length === 0) return null;
+
+  const middle = Math.floor(durations.length / 2);
+
+  return {
+    count: durations.length,
+    averageSeconds: durations.reduce((sum, d) => sum + d, 0) / durations.length,
+    medianSeconds:
+      durations.length % 2 === 1
+        ? durations[middle]
+        : (durations[middle - 1] + durations[middle]) / 2,
+  };
+};
+
+const indexSupportByProposalId = (votes) =>
+  new Map(votes.map((v) => [v.proposalId, v.support]));
+
+// Pairwise share of commonly voted on proposals where two accounts voted the
+// same way, abstains included. `votesByAccountId` maps account ids to votes.
+export const getAgreementMatrix = (accountIds, votesByAccountId) => {
+  const supportMaps = accountIds.map((id) =>
+    indexSupportByProposalId(votesByAccountId[id] ?? []),
+  );
+
+  return supportMaps.map((supportByProposalId, i) =>
+    supportMaps.map((otherSupportByProposalId, j) => {
+      if (i === j) return null;
+      let commonCount = 0;
+      let agreeCount = 0;
+      for (const [proposalId, support] of supportByProposalId) {
+        if (!otherSupportByProposalId.has(proposalId)) continue;
+        commonCount += 1;
+        if (otherSupportByProposalId.get(proposalId) === support)
+          agreeCount += 1;
+      }
+      return {
+        commonCount,
+        agreeCount,
+        rate: commonCount === 0 ? null : agreeCount / commonCount,
+      };
+    }),
+  );
+};
+
+// Proposals voted for, by category, with the ETH (ETH, WETH, and stETH) and
+// USDC they requested
+export const getSupportedCategories = (votes, proposalsById) => {
+  const categoriesByKey = Object.fromEntries(
+    PROPOSAL_CATEGORIES.map((c) => [
+      c.key,
+      { ...c, proposalIds: [], ethAmount: 0n, usdcAmount: 0n },
+    ]),
+  );
+
+  for (const vote of votes) {
+    if (vote.support !== 1) continue;
+    const proposal = proposalsById[vote.proposalId];
+    if (proposal?.transactions == null) continue;
+
+    const category = categoriesByKey[getProposalCategory(proposal)];
+    category.proposalIds.push(proposal.id);
+
+    for (const { currency, amount } of extractAmounts(proposal.transactions)) {
+      if (["eth", "weth", "steth"].includes(currency))
+        category.ethAmount += amount;
+      else if (currency === "usdc") category.usdcAmount += amount;
+    }
+  }
+
+  return Object.values(categoriesByKey).filter((c) => c.proposalIds.length > 0);
+};
@@ -0,0 +1,140 @@
+import { describe, it, expect } from "vitest";
+import { parseEther } from "viem";
+import {
+  getAgreementMatrix,
+  getParticipationByQuarter,
+  getProposalCategory,
+  getSupportSplit,
+  getSupportedCategories,
+  getTimeToVoteStats,
+} from "./delegate-analytics";
+
+const proposal = (id, fields) => ({
+  id,
+  status: "EXECUTED",
+  startBlock: 100n * BigInt(id),
+  createdTimestamp: new Date("2024-01-15T00:00:00Z"),
+  transactions: [],
+  ...fields,
+});
+
+const vote = (proposalId, support, fields) => ({
+  proposalId,
+  support,
+  ...fields,
+});
+
+describe("getSupportSplit", () => {
+  it("should count votes by support", () => {
+    expect(
+      getSupportSplit([vote("1", 1), vote("2", 1), vote("3", 0), vote("4", 2)]),
+    ).toEqual({ for: 2, against: 1, abstain: 1, total: 4 });
+  });
+});
+
+describe("getParticipationByQuarter", () => {
+  it("should count from the first voted on proposal", () => {
+    const proposals = [
+      proposal("1"),
+      proposal("2"),
+      proposal("3", { status: "CANCELLED" }),
+      proposal("4", { createdTimestamp: new Date("2024-04-02T00:00:00Z") }),
+      proposal("5", { createdTimestamp: new Date("2024-05-02T00:00:00Z") }),
+      proposal("6", { createdTimestamp: new Date("2024-05-03T00:00:00Z") }),
+    ];
+    expect(
+      getParticipationByQuarter([vote("2", 1), vote("4", 0)], proposals, {
+        blockNumber: 550n,
+      }),
+    ).toEqual([
+      {
+        startTimestamp: Date.UTC(2024, 0, 1),
+        proposalCount: 1,
+        voteCount: 1,
+        rate: 1,
+      },
+      {
+        startTimestamp: Date.UTC(2024, 3, 1),
+        proposalCount: 2,
+        voteCount: 1,
+        rate: 0.5,
+      },
+    ]);
+  });
+
+  it("should be empty without votes", () => {
+    expect(
+      getParticipationByQuarter([], [proposal("1")], { blockNumber: 1000n }),
+    ).toEqual([]);
+  });
+});
+
+describe("getTimeToVoteStats", () => {
+  it("should estimate time from voting start", () => {
+    const proposalsById = { 1: proposal("1"), 2: proposal("2") };
+    expect(
+      getTimeToVoteStats(
+        [
+          vote("1", 1, { createdBlock: 110n }),
+          vote("2", 1, { createdBlock: 230n }),
+          vote("3", 1, { createdBlock: 230n }),
+        ],
+        proposalsById,
+      ),
+    ).toEqual({ count: 2, averageSeconds: 240, medianSeconds: 240 });
+  });
+});
+
+describe("getAgreementMatrix", () => {
+  it("should compare commonly voted on proposals", () => {
+    const matrix = getAgreementMatrix(["a", "b"], {
+      a: [vote("1", 1), vote("2", 0), vote("3", 2)],
+      b: [vote("1", 1), vote("2", 1)],
+    });
+    expect(matrix[0][0]).toBe(null);
+    expect(matrix[0][1]).toEqual({ commonCount: 2, agreeCount: 1, rate: 0.5 });
+    expect(matrix[1][0]).toEqual(matrix[0][1]);
+  });
+});
+
+describe("categories", () => {
+  const transfer = (value) => ({ type: "transfer", target: "0xa", value });
+
+  it("should categorize proposals by their transactions", () => {
+    expect(getProposalCategory(proposal("1"))).toBe("other");
+    expect(
+      getProposalCategory(
+        proposal("1", {
+          transactions: [transfer(1n), { type: "stream" }],
+        }),
+      ),
+    ).toBe("streams");
+    expect(
+      getProposalCategory(
+        proposal("1", { transactions: [{ type: "dao-parameter-change" }] }),
+      ),
+    ).toBe("protocol");
+  });
+
+  it("should sum the asks of proposals voted for", () => {
+    const proposalsById = {
+      1: proposal("1", { transactions: [transfer(parseEther("10"))] }),
+      2: proposal("2", { transactions: [transfer(parseEther("5"))] }),
+      3: proposal("3", { transactions: [transfer(parseEther("20"))] }),
+    };
+    expect(
+      getSupportedCategories(
+        [vote("1", 1), vote("2", 1), vote("3", 0)],
+        proposalsById,
+      ),
+    ).toEqual([
+      {
+        key: "payments",
+        title: "Payments",
+        proposalIds: ["1", "2"],
+        ethAmount: parseEther("15"),
+        usdcAmount: 0n,
+      },
+    ]);
+  });
+});
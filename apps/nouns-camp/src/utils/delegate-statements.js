@@ -0,0 +1,36 @@
+import { keccak256, stringToHex } from "viem";
+
+export const MAX_BODY_LENGTH = 20_000;
+export const MAX_VERSION_COUNT = 50;
+
+// The message a delegate signs to publish a statement. Wallets show this to
+// the signer, so it carries a hash of the statement rather than the full text.
+export const createStatementMessage = ({ address, body, timestamp }) =>
+  [
+    "Publish delegate statement on Nouns Camp",
+    "",
+    `Account: ${address.toLowerCase()}`,
+    `Timestamp: ${new Date(timestamp).toISOString()}`,
+    `Content hash: ${keccak256(stringToHex(body))}`,
+  ].join("\n");
+
+export const validateStatement = ({ body, timestamp }) => {
+  const errors = [];
+
+  if (typeof body !== "string" || body.trim() === "")
+    errors.push({ field: "body", message: "Statement is empty" });
+  else if (body.length > MAX_BODY_LENGTH)
+    errors.push({
+      field: "body",
+      message: `Statements are limited to ${MAX_BODY_LENGTH.toLocaleString()} characters`,
+    });
+
+  if (!Number.isInteger(timestamp))
+    errors.push({ field: "timestamp", message: "Invalid timestamp" });
+
+  return errors;
+};
+
+// Versions are stored oldest first and capped, dropping the oldest ones
+export const appendVersion = (versions, version) =>
+  [...versions, version].slice(-MAX_VERSION_COUNT);
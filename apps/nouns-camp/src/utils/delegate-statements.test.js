@@ -0,0 +1,55 @@
+import { describe, it, expect } from "vitest";
+import {
+  MAX_BODY_LENGTH,
+  MAX_VERSION_COUNT,
+  appendVersion,
+  createStatementMessage,
+  validateStatement,
+} from "./delegate-statements";
+
+const address = "0xAbCdEf0000000000000000000000000000000001";
+
+describe("createStatementMessage", () => {
+  it("should commit to the account, time and content", () => {
+    const message = createStatementMessage({
+      address,
+      body: "# Platform",
+      timestamp: Date.UTC(2024, 0, 1),
+    });
+    expect(message).toContain(`Account: ${address.toLowerCase()}`);
+    expect(message).toContain("Timestamp: 2024-01-01T00:00:00.000Z");
+    expect(message).toMatch(/Content hash: 0x[0-9a-f]{64}$/);
+    expect(
+      createStatementMessage({
+        address,
+        body: "# Platform!",
+        timestamp: Date.UTC(2024, 0, 1),
+      }),
+    ).not.toBe(message);
+  });
+});
+
+describe("validateStatement", () => {
+  it("should require a body within limits and a timestamp", () => {
+    expect(validateStatement({ body: "Hi", timestamp: 1 })).toEqual([]);
+    expect(
+      validateStatement({ body: "  ", timestamp: 1.5 }).map((e) => e.field),
+    ).toEqual(["body", "timestamp"]);
+    expect(
+      validateStatement({
+        body: "a".repeat(MAX_BODY_LENGTH + 1),
+        timestamp: 1,
+      }),
+    ).toHaveLength(1);
+  });
+});
+
+describe("appendVersion", () => {
+  it("should drop the oldest versions past the cap", () => {
+    const versions = Array.from({ length: MAX_VERSION_COUNT }, (_, i) => i);
+    const result = appendVersion(versions, "new");
+    expect(result).toHaveLength(MAX_VERSION_COUNT);
+    expect(result[0]).toBe(1);
+    expect(result.at(-1)).toBe("new");
+  });
+});
@@ -0,0 +1,124 @@
+import { array as arrayUtils } from "@shades/common/utils";
+import { pickDisplayName as pickFarcasterAccountDisplayName } from "@/utils/farcaster";
+
+const THREADED_ITEM_TYPES = ["vote", "feedback-post", "farcaster-cast"];
+
+const createCastReplyItem = (cast) => ({
+  type: "farcaster-cast",
+  id: cast.hash,
+  castHash: cast.hash,
+  authorAccount: cast.account?.nounerAddress,
+  authorAvatarUrl: cast.account?.pfpUrl,
+  authorDisplayName:
+    cast.account == null ? null : pickFarcasterAccountDisplayName(cast.account),
+  body: cast.text,
+  timestamp: new Date(cast.timestamp),
+});
+
+const hasContent = (item) =>
+  (item.body?.trim() ?? "") !== "" ||
+  item.replies?.length > 0 ||
+  item.reposts?.length > 0;
+
+// Builds reply trees from feed items. Votes and feedback posts point at what
+// they reply to with the targets `createReplyExtractor` finds in their reason.
+// The first target becomes the parent in the tree, any others are kept as
+// `otherParentIds`. Reposts are kept as quote edges, and Farcaster casts bring
+// their own nested replies. Returns root nodes oldest first, together with
+// every node by id.
+export const buildDiscussionThreads = (feedItems) => {
+  const nodesById = new Map();
+
+  const addCastReplies = (casts, parentId) => {
+    for (const cast of casts ?? []) {
+      nodesById.set(cast.hash, {
+        id: cast.hash,
+        item: createCastReplyItem(cast),
+        body: cast.text,
+        parentId,
+        otherParentIds: [],
+        quotedIds: [],
+      });
+      addCastReplies(cast.replies, cast.hash);
+    }
+  };
+
+  for (const item of feedItems) {
+    if (!THREADED_ITEM_TYPES.includes(item.type)) continue;
+
+    if (item.type === "farcaster-cast") {
+      nodesById.set(item.id, {
+        id: item.id,
+        item,
+        body: item.body,
+        parentId: null,
+        otherParentIds: [],
+        quotedIds: [],
+      });
+      addCastReplies(item.replyingCasts, item.id);
+      continue;
+    }
+
+    if (!hasContent(item)) continue;
+
+    const replies = item.replies ?? [];
+
+    nodesById.set(item.id, {
+      id: item.id,
+      item,
+      body: [...replies.map((r) => r.body), item.body]
+        .map((text) => text?.trim())
+        .filter(Boolean)
+        .join("\n\n"),
+      parentId: replies[0]?.target.id ?? null,
+      otherParentIds: replies.slice(1).map((r) => r.target.id),
+      quotedIds: (item.reposts ?? []).map((p) => p.id),
+    });
+  }
+
+  const sortByTimestamp = (nodes) =>
+    arrayUtils.sortBy((n) => n.item.timestamp?.getTime() ?? 0, nodes);
+
+  for (const node of nodesById.values()) {
+    // Targets might have been filtered out, or not be loaded yet
+    if (node.parentId != null && !nodesById.has(node.parentId))
+      node.parentId = null;
+    node.otherParentIds = node.otherParentIds.filter((id) => nodesById.has(id));
+    node.quotedIds = node.quotedIds.filter((id) => nodesById.has(id));
+    node.quotingIds = [];
+    node.children = [];
+  }
+
+  for (const node of nodesById.values()) {
+    if (node.parentId != null) nodesById.get(node.parentId).children.push(node);
+    for (const id of node.quotedIds) nodesById.get(id).quotingIds.push(node.id);
+  }
+
+  const finalize = (node, depth) => {
+    node.depth = depth;
+    node.children = sortByTimestamp(node.children);
+    node.descendantCount = node.children.reduce(
+      (sum, child) => sum + 1 + finalize(child, depth + 1),
+      0,
+    );
+    return node.descendantCount;
+  };
+
+  const threads = sortByTimestamp(
+    [...nodesById.values()].filter((n) => n.parentId == null),
+  );
+  for (const node of threads) finalize(node, 0);
+
+  return { threads, nodesById };
+};
+
+// Ids from the root down to, but not including, the given node
+export const getAncestorIds = (nodesById, id) => {
+  const ids = [];
+  let node = nodesById.get(id);
+  while (node?.parentId != null) {
+    ids.unshift(node.parentId);
+    node = nodesById.get(node.parentId);
+  }
+  return ids;
+};
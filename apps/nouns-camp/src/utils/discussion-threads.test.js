@@ -0,0 +1,90 @@
+import { describe, it, expect } from "vitest";
+import { buildDiscussionThreads, getAncestorIds } from "./discussion-threads";
+
+const post = (id, time, rest = {}) => ({
+  id,
+  type: "vote",
+  support: 1,
+  timestamp: new Date(time),
+  body: `post ${id}`,
+  replies: [],
+  reposts: [],
+  ...rest,
+});
+
+describe("buildDiscussionThreads", () => {
+  it("should nest replies under their first target", () => {
+    const a = post("a", 1);
+    const b = post("b", 2);
+    const c = post("c", 3, {
+      body: "",
+      replies: [
+        { target: a, body: "re a" },
+        { target: b, body: "re b" },
+      ],
+    });
+    const d = post("d", 4, { replies: [{ target: c, body: "re c" }] });
+
+    const { threads, nodesById } = buildDiscussionThreads([d, c, b, a]);
+
+    expect(threads.map((n) => n.id)).toEqual(["a", "b"]);
+    expect(threads[0].descendantCount).toBe(2);
+    expect(nodesById.get("c")).toMatchObject({
+      body: "re a\n\nre b",
+      depth: 1,
+      otherParentIds: ["b"],
+    });
+    expect(nodesById.get("d").body).toBe("re c\n\npost d");
+    expect(getAncestorIds(nodesById, "d")).toEqual(["a", "c"]);
+  });
+
+  it("should keep reposts as quote edges and skip empty votes", () => {
+    const a = post("a", 1);
+    const b = post("b", 2, { body: "", reposts: [a] });
+    const empty = post("e", 3, { body: " " });
+
+    const { threads, nodesById } = buildDiscussionThreads([a, b, empty]);
+
+    expect(threads.map((n) => n.id)).toEqual(["a", "b"]);
+    expect(nodesById.get("a").quotingIds).toEqual(["b"]);
+    expect(nodesById.get("b").quotedIds).toEqual(["a"]);
+  });
+
+  it("should include nested cast replies and drop missing targets", () => {
+    const cast = {
+      type: "farcaster-cast",
+      id: "0xc1",
+      body: "cast",
+      timestamp: new Date(1),
+      replyingCasts: [
+        {
+          hash: "0xc2",
+          text: "reply",
+          timestamp: "2024-01-01T00:00:00Z",
+          account: { fid: 2, username: "bob", displayName: "Bob" },
+          replies: [
+            {
+              hash: "0xc3",
+              text: "nested",
+              timestamp: "2024-01-02T00:00:00Z",
+              replies: [],
+            },
+          ],
+        },
+      ],
+    };
+    const orphan = post("o", 2, {
+      replies: [{ target: post("missing", 0), body: "re" }],
+    });
+
+    const { threads, nodesById } = buildDiscussionThreads([cast, orphan]);
+
+    expect(threads.map((n) => n.id)).toEqual(["0xc1", "o"]);
+    expect(threads[0].descendantCount).toBe(2);
+    expect(nodesById.get("0xc3")).toMatchObject({
+      parentId: "0xc2",
+      depth: 2,
+      body: "nested",
+    });
+  });
+});
@@ -0,0 +1,239 @@
+import { keccak256, parseAbiItem, parseEther, stringToHex } from "viem";
+import {
+  object as objectUtils,
+  function as functionUtils,
+} from "@shades/common/utils";
+import { resolveAction } from "@/utils/transactions";
+
+export const SCHEMA_VERSION = 1;
+
+const FILE_FORMAT = "nouns-camp-draft";
+
+const migrations = [
+  // 0 -> 1
+  (state) => {
+    if (state.schema != null) return state;
+
+    const migrateAction = (a) => {
+      if (a.type !== "custom-transaction") return a;
+
+      const { name, inputs } = parseAbiItem(
+        a.contractCallFormattedTargetAbiItem,
+      );
+      const signature = `${name}(${inputs.map((i) => i.type).join(", ")})`;
+      return {
+        ...a,
+        contractCallTarget: a.contractCallTargetAddress,
+        contractCallSignature: signature,
+        contractCallValue: parseEther(a.contractCallEthValue),
+      };
+    };
+
+    return {
+      schema: 1,
+      entriesById: objectUtils.mapValues(
+        (entry) => ({
+          ...entry,
+          actions: entry.actions?.map(migrateAction) ?? null,
+        }),
+        state,
+      ),
+    };
+  },
+  // Future migrations can be written in the following form:
+  //
+  // // 1 -> 2
+  // (state) => {
+  //   if (state.schema >= 2) return state;
+  //   const migrate = (s) => {} // dummy
+  //   return { ...migrate(state), schema: 2 };
+  // },
+];
+
+export const migrateStore = (state) => {
+  if (state == null) return null;
+  return functionUtils.pipe(...migrations)(state);
+};
+
+// Runs a single draft through the store migrations, wrapping it the way a
+// store of the given schema version would hold it
+const migrateDraft = (draft, { schema }) => {
+  const id = "imported";
+  const state =
+    schema == null
+      ? { [id]: draft } // Unversioned stores are plain id -> draft maps
+      : { schema, entriesById: { [id]: draft } };
+  return migrateStore(state).entriesById[id];
+};
+
+// JSON can’t represent bigints (e.g. custom transaction values)
+const stringifyJson = (value, space) =>
+  JSON.stringify(
+    value,
+    (_, v) => (typeof v === "bigint" ? v.toString() : v),
+    space,
+  );
+
+const validateFileContent = (content) => {
+  if (content == null || typeof content !== "object")
+    throw new Error("Unrecognized file content");
+
+  if (content.format !== FILE_FORMAT) throw new Error("Not a draft file");
+
+  if (content.schema != null) {
+    if (!Number.isInteger(content.schema))
+      throw new Error(`Invalid schema version "${content.schema}"`);
+    if (content.schema > SCHEMA_VERSION)
+      throw new Error(
+        `Unsupported schema version "${content.schema}", try updating the app`,
+      );
+  }
+
+  if (content.title != null && typeof content.title !== "string")
+    throw new Error("Invalid title");
+
+  if (typeof content.body !== "string" && !Array.isArray(content.body))
+    throw new Error("Invalid body");
+
+  if (content.actions != null && !Array.isArray(content.actions))
+    throw new Error("Invalid actions");
+};
+
+const FRONTMATTER_REGEX = /^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/;
+
+// Frontmatter values are written as JSON, which is valid YAML, so we can get
+// away without a YAML parser. Hand edited values may also be plain or single
+// quoted scalars (e.g. `title: My prop`), but lists and objects must be JSON.
+const parseFrontmatterValue = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    if (/^[[{"]/.test(value)) throw e;
+    if (value === "" || value === "~") return null;
+    const singleQuotedMatch = value.match(/^'(.*)'$/);
+    if (singleQuotedMatch == null) return value;
+    return singleQuotedMatch[1].replace(/''/g, "'");
+  }
+};
+
+const parseFrontmatter = (text) => {
+  const match = text.match(FRONTMATTER_REGEX);
+  if (match == null) return null;
+
+  const attributes = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    if (line.trim() === "") continue;
+    const separatorIndex = line.indexOf(":");
+    if (separatorIndex === -1)
+      throw new Error(`Invalid frontmatter line "${line}"`);
+    const key = line.slice(0, separatorIndex).trim();
+    const value = line.slice(separatorIndex + 1).trim();
+    try {
+      attributes[key] = parseFrontmatterValue(value);
+    } catch (e) {
+      throw new Error(`Invalid frontmatter value for "${key}"`);
+    }
+  }
+
+  return { attributes, body: text.slice(match[0].length) };
+};
+
+export const serialize = (draft, { format = "json" } = {}) => {
+  const content = {
+    format: FILE_FORMAT,
+    schema: SCHEMA_VERSION,
+    title: draft.name,
+    actions: draft.actions,
+  };
+
+  switch (format) {
+    case "json":
+      return stringifyJson({ ...content, body: draft.body }, 2);
+
+    case "markdown": {
+      if (typeof draft.body !== "string")
+        throw new Error("Markdown export requires a markdown body");
+
+      const frontmatter = Object.entries(content)
+        .map(([key, value]) => `${key}: ${stringifyJson(value)}`)
+        .join("\n");
+
+      return `---\n${frontmatter}\n---\n\n${draft.body}`;
+    }
+
+    default:
+      throw new Error(`Unknown format "${format}"`);
+  }
+};
+
+export const parse = (text) => {
+  const trimmedText = text.trim();
+
+  const content = (() => {
+    if (trimmedText.startsWith("{")) {
+      try {
+        return JSON.parse(trimmedText);
+      } catch (e) {
+        throw new Error("Invalid JSON");
+      }
+    }
+
+    const frontmatter = parseFrontmatter(trimmedText);
+    if (frontmatter == null) throw new Error("Unrecognized file content");
+    return { ...frontmatter.attributes, body: frontmatter.body.trim() };
+  })();
+
+  validateFileContent(content);
+
+  const { name, body, actions } = migrateDraft(
+    {
+      name: content.title ?? "",
+      body: content.body,
+      actions: content.actions ?? null,
+    },
+    { schema: content.schema },
+  );
+
+  // Actions are resolved whenever a draft renders, so one that can’t be would
+  // break every screen showing it
+  if (actions != null)
+    for (const action of actions) {
+      try {
+        resolveAction(action);
+      } catch (e) {
+        throw new Error("Invalid actions");
+      }
+    }
+
+  return { name, body, actions };
+};
+
+// Runs file content through a parse and serialize round-trip, giving the form
+// shared drafts are stored (and signed) in
+export const normalize = (text) => serialize(parse(text));
+
+// The message an owner signs to update a shared draft. Like delegate
+// statements it carries a hash of the content rather than the full text.
+export const createSharedDraftUpdateMessage = ({
+  id,
+  address,
+  content,
+  timestamp,
+}) =>
+  [
+    "Update shared draft on Nouns Camp",
+    "",
+    `Draft: ${id}`,
+    `Account: ${address.toLowerCase()}`,
+    `Timestamp: ${new Date(timestamp).toISOString()}`,
+    `Content hash: ${keccak256(stringToHex(content))}`,
+  ].join("\n");
+
+export const buildFileName = (draft, { format = "json" } = {}) => {
+  const slug = (draft.name ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  const extension = format === "markdown" ? "md" : "json";
+  return `${slug || "untitled-draft"}.${extension}`;
+};
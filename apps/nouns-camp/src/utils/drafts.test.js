@@ -0,0 +1,192 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  SCHEMA_VERSION,
+  serialize,
+  parse,
+  buildFileName,
+  normalize,
+  createSharedDraftUpdateMessage,
+} from "./drafts";
+
+vi.mock("@/constants/env", () => ({ CHAIN_ID: 1 }));
+
+const draft = {
+  id: "1",
+  name: "Fund the thing",
+  body: "## Summary\n\nWe should fund the thing.",
+  actions: [
+    {
+      type: "one-time-payment",
+      currency: "eth",
+      amount: "1.5",
+      target: "0x0000000000000000000000000000000000000001",
+    },
+  ],
+};
+
+describe("serialize", () => {
+  it("should produce versioned JSON", () => {
+    const content = JSON.parse(serialize(draft));
+    expect(content).toEqual({
+      format: "nouns-camp-draft",
+      schema: SCHEMA_VERSION,
+      title: draft.name,
+      body: draft.body,
+      actions: draft.actions,
+    });
+  });
+
+  it("should put metadata in markdown frontmatter", () => {
+    const text = serialize(draft, { format: "markdown" });
+    expect(text.startsWith('---\nformat: "nouns-camp-draft"\n')).toBe(true);
+    expect(text.endsWith(`---\n\n${draft.body}`)).toBe(true);
+  });
+
+  it("should require a markdown body for markdown exports", () => {
+    expect(() =>
+      serialize(
+        { ...draft, body: [{ type: "paragraph" }] },
+        {
+          format: "markdown",
+        },
+      ),
+    ).toThrow();
+  });
+});
+
+describe("parse", () => {
+  it("should round-trip both formats", () => {
+    const expected = {
+      name: draft.name,
+      body: draft.body,
+      actions: draft.actions,
+    };
+    expect(parse(serialize(draft))).toEqual(expected);
+    expect(parse(serialize(draft, { format: "markdown" }))).toEqual(expected);
+  });
+
+  it("should import topics", () => {
+    const topic = { ...draft, actions: null };
+    expect(parse(serialize(topic, { format: "markdown" })).actions).toBe(null);
+  });
+
+  it("should migrate unversioned files", () => {
+    const text = JSON.stringify({
+      format: "nouns-camp-draft",
+      title: "Legacy",
+      body: "Hi",
+      actions: [
+        {
+          type: "custom-transaction",
+          contractCallTargetAddress:
+            "0x0000000000000000000000000000000000000001",
+          contractCallFormattedTargetAbiItem:
+            "function transfer(address to, uint256 amount)",
+          contractCallArguments: [
+            "0x0000000000000000000000000000000000000002",
+            "1",
+          ],
+          contractCallEthValue: "1",
+        },
+      ],
+    });
+    const [action] = parse(text).actions;
+    expect(action.contractCallTarget).toBe(
+      "0x0000000000000000000000000000000000000001",
+    );
+    expect(action.contractCallSignature).toBe("transfer(address, uint256)");
+    expect(action.contractCallValue).toBe(10n ** 18n);
+  });
+
+  it("should reject files from newer app versions", () => {
+    const text = JSON.stringify({
+      format: "nouns-camp-draft",
+      schema: SCHEMA_VERSION + 1,
+      body: "",
+    });
+    expect(() => parse(text)).toThrow(/Unsupported schema version/);
+  });
+
+  it("should accept plain frontmatter values", () => {
+    const text = [
+      "---",
+      "format: nouns-camp-draft",
+      "schema: 1",
+      "title: My prop: the sequel",
+      "---",
+      "",
+      "Hi",
+    ].join("\n");
+    expect(parse(text)).toEqual({
+      name: "My prop: the sequel",
+      body: "Hi",
+      actions: null,
+    });
+    expect(
+      parse(text.replace("My prop: the sequel", "'It''s mine'")).name,
+    ).toBe("It's mine");
+    expect(() => parse(text.replace("schema: 1", "actions: [nope"))).toThrow(
+      'Invalid frontmatter value for "actions"',
+    );
+  });
+
+  it("should reject files with invalid actions", () => {
+    const createText = (actions) =>
+      JSON.stringify({
+        format: "nouns-camp-draft",
+        schema: SCHEMA_VERSION,
+        body: "Hi",
+        actions,
+      });
+    for (const action of [
+      null,
+      { type: "nope" },
+      { type: "one-time-payment", currency: "nope", amount: "1" },
+      { type: "one-time-payment", currency: "eth", amount: "lots" },
+    ])
+      expect(() => parse(createText([action]))).toThrow("Invalid actions");
+  });
+
+  it("should reject unrelated files", () => {
+    expect(() => parse('{"foo": 1}')).toThrow("Not a draft file");
+    expect(() => parse("# Just markdown")).toThrow();
+    expect(() => parse("{ nope")).toThrow("Invalid JSON");
+  });
+});
+
+describe("normalize", () => {
+  it("should be stable", () => {
+    const content = normalize(serialize(draft, { format: "markdown" }));
+    expect(normalize(content)).toBe(content);
+  });
+});
+
+describe("buildFileName", () => {
+  it("should slugify the draft title", () => {
+    expect(buildFileName(draft)).toBe("fund-the-thing.json");
+    expect(buildFileName({ name: "" }, { format: "markdown" })).toBe(
+      "untitled-draft.md",
+    );
+  });
+});
+
+describe("createSharedDraftUpdateMessage", () => {
+  it("should commit to the draft, account, time and content", () => {
+    const params = {
+      id: "abc",
+      address: "0xAbCdEf0000000000000000000000000000000001",
+      content: serialize(draft),
+      timestamp: Date.UTC(2024, 0, 1),
+    };
+    const message = createSharedDraftUpdateMessage(params);
+    expect(message).toContain("Draft: abc");
+    expect(message).toContain(
+      "Account: 0xabcdef0000000000000000000000000000000001",
+    );
+    expect(message).toContain("Timestamp: 2024-01-01T00:00:00.000Z");
+    expect(message).toMatch(/Content hash: 0x[0-9a-f]{64}$/);
+    expect(
+      createSharedDraftUpdateMessage({ ...params, content: "{}" }),
+    ).not.toBe(message);
+  });
+});
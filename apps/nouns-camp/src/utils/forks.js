@@ -0,0 +1,28 @@
+// A fork starts with an escrow period, where Nouns are deposited (and can be
+// withdrawn) until enough are in escrow for anyone to execute it. Execution
+// starts the forking period, during which owners can join the fork directly.
+
+export const getState = (fork, { timestamp = new Date() } = {}) => {
+  if (!fork.executed) return "escrow";
+  if (
+    fork.forkingPeriodEndTimestamp != null &&
+    timestamp < fork.forkingPeriodEndTimestamp
+  )
+    return "forking";
+  return "ended";
+};
+
+// The escrow contract moves on to the next fork id on execution, so during a
+// forking period the current fork is the one before it. Timestamps in seconds.
+export const getCurrentForkId = ({
+  escrowForkId,
+  forkEndTimestamp,
+  timestamp,
+}) => {
+  if (escrowForkId > 0 && forkEndTimestamp > timestamp) return escrowForkId - 1;
+  return escrowForkId;
+};
+
+// Execution requires the escrow to hold strictly more than the threshold
+export const getRemainingEscrowCount = ({ escrowCount, forkThreshold }) =>
+  Math.max(0, forkThreshold + 1 - escrowCount);
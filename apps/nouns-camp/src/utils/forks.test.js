@@ -0,0 +1,68 @@
+import { describe, it, expect } from "vitest";
+import { getState, getCurrentForkId, getRemainingEscrowCount } from "./forks";
+
+describe("getState", () => {
+  const timestamp = new Date("2024-01-15T00:00:00Z");
+
+  it("should be in escrow until executed", () => {
+    expect(getState({ executed: false }, { timestamp })).toBe("escrow");
+    expect(getState({ executed: null }, { timestamp })).toBe("escrow");
+  });
+
+  it("should be forking until the forking period ends", () => {
+    expect(
+      getState(
+        {
+          executed: true,
+          forkingPeriodEndTimestamp: new Date("2024-01-20T00:00:00Z"),
+        },
+        { timestamp },
+      ),
+    ).toBe("forking");
+    expect(
+      getState(
+        {
+          executed: true,
+          forkingPeriodEndTimestamp: new Date("2024-01-10T00:00:00Z"),
+        },
+        { timestamp },
+      ),
+    ).toBe("ended");
+  });
+});
+
+describe("getCurrentForkId", () => {
+  it("should point at the executed fork during its forking period", () => {
+    expect(
+      getCurrentForkId({
+        escrowForkId: 2,
+        forkEndTimestamp: 2_000,
+        timestamp: 1_000,
+      }),
+    ).toBe(1);
+  });
+
+  it("should point at the escrow fork otherwise", () => {
+    expect(
+      getCurrentForkId({
+        escrowForkId: 2,
+        forkEndTimestamp: 500,
+        timestamp: 1_000,
+      }),
+    ).toBe(2);
+    expect(
+      getCurrentForkId({ escrowForkId: 0, forkEndTimestamp: 0, timestamp: 1 }),
+    ).toBe(0);
+  });
+});
+
+describe("getRemainingEscrowCount", () => {
+  it("should require one more than the threshold", () => {
+    expect(
+      getRemainingEscrowCount({ escrowCount: 10, forkThreshold: 10 }),
+    ).toBe(1);
+    expect(
+      getRemainingEscrowCount({ escrowCount: 12, forkThreshold: 10 }),
+    ).toBe(0);
+  });
+});
@@ -0,0 +1,35 @@
+// Subscriptions are `{ type, id }` pairs, where `type` is one of "proposal",
+// "candidate", or "account"
+export const SUBSCRIPTION_TYPES = ["proposal", "candidate", "account"];
+
+export const createSubscriptionKey = ({ type, id }) =>
+  `${type}:${type === "account" ? id.toLowerCase() : id}`;
+
+export const parseSubscriptionKey = (key) => {
+  const separatorIndex = key.indexOf(":");
+  const type = key.slice(0, separatorIndex);
+  if (!SUBSCRIPTION_TYPES.includes(type)) return null;
+  return { type, id: key.slice(separatorIndex + 1) };
+};
+
+// Returns the keys of the subscriptions a feed item (or feed item-like event)
+// should notify
+export const getFeedItemSubscriptionKeys = (item) =>
+  [
+    item.proposalId != null && `proposal:${item.proposalId}`,
+    item.candidateId != null && `candidate:${item.candidateId}`,
+    item.authorAccount != null && `account:${item.authorAccount.toLowerCase()}`,
+  ].filter(Boolean);
+
+// Filters out items seen before the cursor, the user’s own activity, and
+// optimistic items that aren’t indexed yet
+export const getUnseenItems = (items, { lastSeenTimestamp, accountAddress }) =>
+  items.filter((item) => {
+    if (item.isPending || item.timestamp == null) return false;
+    if (
+      accountAddress != null &&
+      item.authorAccount?.toLowerCase() === accountAddress.toLowerCase()
+    )
+      return false;
+    return item.timestamp.getTime() > lastSeenTimestamp;
+  });
@@ -0,0 +1,60 @@
+import { describe, it, expect } from "vitest";
+import {
+  createSubscriptionKey,
+  parseSubscriptionKey,
+  getFeedItemSubscriptionKeys,
+  getUnseenItems,
+} from "./notifications";
+
+describe("subscription keys", () => {
+  it("should normalize account addresses", () => {
+    expect(createSubscriptionKey({ type: "account", id: "0xAbC" })).toBe(
+      "account:0xabc",
+    );
+    expect(createSubscriptionKey({ type: "proposal", id: "123" })).toBe(
+      "proposal:123",
+    );
+  });
+
+  it("should round trip", () => {
+    const subscription = { type: "candidate", id: "0xabc-some-slug" };
+    expect(parseSubscriptionKey(createSubscriptionKey(subscription))).toEqual(
+      subscription,
+    );
+    expect(parseSubscriptionKey("foo:1")).toBe(null);
+  });
+
+  it("should match feed items to everything they concern", () => {
+    expect(
+      getFeedItemSubscriptionKeys({
+        proposalId: "12",
+        authorAccount: "0xAbC",
+      }),
+    ).toEqual(["proposal:12", "account:0xabc"]);
+  });
+});
+
+describe("getUnseenItems", () => {
+  const items = [
+    { id: "a", timestamp: new Date(3000), authorAccount: "0xa" },
+    { id: "b", timestamp: new Date(2000), authorAccount: "0xb" },
+    { id: "c", timestamp: new Date(3000), isPending: true },
+    { id: "d", timestamp: new Date(1000) },
+    { id: "e" },
+  ];
+
+  it("should only include items newer than the cursor", () => {
+    expect(
+      getUnseenItems(items, { lastSeenTimestamp: 1500 }).map((i) => i.id),
+    ).toEqual(["a", "b"]);
+  });
+
+  it("should leave out the user’s own activity", () => {
+    expect(
+      getUnseenItems(items, {
+        lastSeenTimestamp: 1500,
+        accountAddress: "0xA",
+      }).map((i) => i.id),
+    ).toEqual(["b"]);
+  });
+});
@@ -0,0 +1,50 @@
+import { TRAIT_TYPES, getTraitCount, getTraitName } from "@shades/common/nouns";
+
+// Trait filters are `{ [traitType]: index }` objects, with unfiltered trait
+// types left out. In the URL they’re plain `?head=12&glasses=3` params.
+
+export const parseTraitFilters = (searchParams) => {
+  const filters = {};
+  for (const type of TRAIT_TYPES) {
+    const index = parseInt(searchParams.get(type));
+    if (Number.isInteger(index) && index >= 0 && index < getTraitCount(type))
+      filters[type] = index;
+  }
+  return filters;
+};
+
+const matchesFilters = (seed, filters, { ignoreType } = {}) =>
+  Object.entries(filters).every(
+    ([type, index]) => type === ignoreType || seed[type] === index,
+  );
+
+export const filterNounsByTraits = (nouns, filters) =>
+  nouns.filter((n) => n.seed != null && matchesFilters(n.seed, filters));
+
+// Per trait type, every trait with how many Nouns have it (`totalCount`),
+// and how many would match if it was picked together with the other active
+// filters (`count`)
+export const getTraitOptionCounts = (nouns, filters) =>
+  Object.fromEntries(
+    TRAIT_TYPES.map((type) => {
+      const counts = Array.from({ length: getTraitCount(type) }, () => 0);
+      const totalCounts = [...counts];
+
+      for (const { seed } of nouns) {
+        if (seed == null) continue;
+        totalCounts[seed[type]] += 1;
+        if (matchesFilters(seed, filters, { ignoreType: type }))
+          counts[seed[type]] += 1;
+      }
+
+      return [
+        type,
+        counts.map((count, index) => ({
+          index,
+          name: getTraitName(type, index),
+          count,
+          totalCount: totalCounts[index],
+        })),
+      ];
+    }),
+  );
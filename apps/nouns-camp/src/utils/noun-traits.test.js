@@ -0,0 +1,45 @@
+import { describe, it, expect } from "vitest";
+import {
+  filterNounsByTraits,
+  getTraitOptionCounts,
+  parseTraitFilters,
+} from "./noun-traits";
+
+const noun = (id, { head = 0, glasses = 0 } = {}) => ({
+  id,
+  seed: { background: 0, body: 0, accessory: 0, head, glasses },
+});
+
+const nouns = [
+  noun(0, { head: 0, glasses: 0 }),
+  noun(1, { head: 0, glasses: 1 }),
+  noun(2, { head: 1, glasses: 1 }),
+  { id: 3, seed: null },
+];
+
+describe("noun traits", () => {
+  it("should parse filters from search params", () => {
+    expect(
+      parseTraitFilters(
+        new URLSearchParams("head=1&glasses=nope&body=100000&foo=2"),
+      ),
+    ).toEqual({ head: 1 });
+  });
+
+  it("should filter nouns by every given trait", () => {
+    expect(filterNounsByTraits(nouns, {}).map((n) => n.id)).toEqual([0, 1, 2]);
+    expect(
+      filterNounsByTraits(nouns, { head: 0, glasses: 1 }).map((n) => n.id),
+    ).toEqual([1]);
+  });
+
+  it("should count traits against the other filters", () => {
+    const counts = getTraitOptionCounts(nouns, { head: 0 });
+    expect(counts.head.slice(0, 2)).toEqual([
+      { index: 0, name: "aardvark", count: 2, totalCount: 2 },
+      { index: 1, name: "abstract", count: 1, totalCount: 1 },
+    ]);
+    expect(counts.glasses.slice(0, 2).map((o) => o.count)).toEqual([1, 1]);
+    expect(counts.background[0]).toMatchObject({ name: "cool", count: 2 });
+  });
+});
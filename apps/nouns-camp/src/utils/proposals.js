@@ -1,8 +1,111 @@
 export const EXECUTION_GRACE_PERIOD_IN_MILLIS = 1000 * 60 * 60 * 24 * 21; // 21 days
 
+// Mirrors `dynamicQuorumVotes` in the DAO logic contract, integer math and all
+export const calculateDynamicQuorumVotes = (
+  againstVotes,
+  {
+    adjustedTotalSupply,
+    minQuorumVotesBPS,
+    maxQuorumVotesBPS,
+    quorumCoefficient,
+  },
+) => {
+  const againstVotesBPS = Math.floor(
+    (10000 * againstVotes) / adjustedTotalSupply,
+  );
+  const quorumAdjustmentBPS = Math.floor(
+    (quorumCoefficient * againstVotesBPS) / 1e6,
+  );
+  const quorumBPS = Math.min(
+    maxQuorumVotesBPS,
+    minQuorumVotesBPS + quorumAdjustmentBPS,
+  );
+  return Math.floor((adjustedTotalSupply * quorumBPS) / 10000);
+};
+
+export const getDynamicQuorumParams = (proposal) => {
+  const {
+    adjustedTotalSupply,
+    minQuorumVotesBPS,
+    maxQuorumVotesBPS,
+    quorumCoefficient,
+  } = proposal;
+
+  // Proposals created before dynamic quorum was introduced have a static
+  // quorum, which the contract signals with a zero total supply
+  if (!adjustedTotalSupply || !minQuorumVotesBPS) return null;
+  if (maxQuorumVotesBPS == null || quorumCoefficient == null) return null;
+
+  return {
+    adjustedTotalSupply,
+    minQuorumVotesBPS,
+    maxQuorumVotesBPS,
+    quorumCoefficient,
+  };
+};
+
+export const getQuorumVotes = (
+  proposal,
+  { againstVotes = proposal.againstVotes } = {},
+) => {
+  const params = getDynamicQuorumParams(proposal);
+  if (params == null) return proposal.quorumVotes;
+  return calculateDynamicQuorumVotes(againstVotes, params);
+};
+
+export const getMaxQuorumVotes = ({ adjustedTotalSupply, maxQuorumVotesBPS }) =>
+  Math.floor((adjustedTotalSupply * maxQuorumVotesBPS) / 10000);
+
+export const getAgainstVotesRequiredForMaxQuorum = ({
+  adjustedTotalSupply,
+  minQuorumVotesBPS,
+  maxQuorumVotesBPS,
+  quorumCoefficient,
+}) => {
+  const againstVotesBPS =
+    ((maxQuorumVotesBPS - minQuorumVotesBPS) * 1e6) / quorumCoefficient;
+  return Math.ceil((againstVotesBPS * adjustedTotalSupply) / 10000);
+};
+
+// Returns the against-vote counts at which the quorum rises, starting after
+// `againstVotes`, until the max quorum is reached
+export const projectDynamicQuorum = (params, { againstVotes = 0 } = {}) => {
+  if (params.quorumCoefficient === 0) return [];
+
+  const maxQuorumVotes = getMaxQuorumVotes(params);
+  const lastAgainstVotes = Math.max(
+    againstVotes,
+    getAgainstVotesRequiredForMaxQuorum(params),
+  );
+
+  const steps = [];
+  let quorumVotes = calculateDynamicQuorumVotes(againstVotes, params);
+
+  for (let count = againstVotes + 1; count <= lastAgainstVotes; count++) {
+    if (quorumVotes >= maxQuorumVotes) break;
+    const nextQuorumVotes = calculateDynamicQuorumVotes(count, params);
+    if (nextQuorumVotes === quorumVotes) continue;
+    steps.push({ againstVotes: count, quorumVotes: nextQuorumVotes });
+    quorumVotes = nextQuorumVotes;
+  }
+
+  return steps;
+};
+
+// A proposal passes with more for-votes than against-votes, and at least as
+// many for-votes as the quorum
+export const getForVotesRequiredToPass = ({
+  forVotes,
+  againstVotes,
+  quorumVotes,
+}) => Math.max(0, quorumVotes - forVotes, againstVotes + 1 - forVotes);
+
 const isDefeated = (proposal) =>
-  proposal.forVotes <= proposal.againstVotes ||
-  proposal.forVotes < proposal.quorumVotes;
+  getForVotesRequiredToPass({
+    forVotes: proposal.forVotes,
+    againstVotes: proposal.againstVotes,
+    quorumVotes: getQuorumVotes(proposal),
+  }) > 0;
 
 export const isExecutable = (proposal, { blockNumber }) => {
   const state = getState(proposal, { blockNumber });
@@ -39,6 +142,34 @@ export const getState = (proposal, { blockNumber }) => {
   return "queued";
 };
 
+// Adds hypothetical `{ support, votes }` entries to a proposal’s vote counts
+export const applyHypotheticalVotes = (proposal, votes) =>
+  votes.reduce(
+    (p, { support, votes: count }) => {
+      switch (support) {
+        case 0:
+          return { ...p, againstVotes: p.againstVotes + count };
+        case 1:
+          return { ...p, forVotes: p.forVotes + count };
+        case 2:
+          return { ...p, abstainVotes: p.abstainVotes + count };
+        default:
+          throw new Error(`Invalid support "${support}"`);
+      }
+    },
+    { ...proposal },
+  );
+
+// The state a proposal would settle in if voting ended with its current votes
+export const getOutcomeState = (proposal) =>
+  getState(proposal, {
+    blockNumber:
+      Math.max(
+        Number(proposal.endBlock),
+        Number(proposal.objectionPeriodEndBlock ?? 0),
+      ) + 1,
+  });
+
 export const isFinalState = (state) =>
   ["vetoed", "canceled", "defeated", "executed", "expired"].includes(state);
 
@@ -0,0 +1,171 @@
+import { describe, it, expect } from "vitest";
+import {
+  calculateDynamicQuorumVotes,
+  getQuorumVotes,
+  getAgainstVotesRequiredForMaxQuorum,
+  getForVotesRequiredToPass,
+  projectDynamicQuorum,
+  getState,
+  applyHypotheticalVotes,
+  getOutcomeState,
+} from "./proposals";
+
+const params = {
+  adjustedTotalSupply: 700,
+  minQuorumVotesBPS: 1000,
+  maxQuorumVotesBPS: 1500,
+  quorumCoefficient: 1_000_000,
+};
+
+describe("calculateDynamicQuorumVotes", () => {
+  it("should return the min quorum without against-votes", () => {
+    expect(calculateDynamicQuorumVotes(0, params)).toBe(70);
+  });
+
+  it("should round down like the contract does", () => {
+    expect(calculateDynamicQuorumVotes(10, params)).toBe(79);
+  });
+
+  it("should cap the quorum at the max", () => {
+    expect(calculateDynamicQuorumVotes(35, params)).toBe(105);
+    expect(calculateDynamicQuorumVotes(200, params)).toBe(105);
+  });
+});
+
+describe("getQuorumVotes", () => {
+  it("should fall back to the static quorum for legacy proposals", () => {
+    const proposal = { quorumVotes: 42, againstVotes: 10 };
+    expect(getQuorumVotes(proposal)).toBe(42);
+  });
+
+  it("should use the proposal’s against-votes by default", () => {
+    const proposal = { ...params, quorumVotes: 70, againstVotes: 10 };
+    expect(getQuorumVotes(proposal)).toBe(79);
+    expect(getQuorumVotes(proposal, { againstVotes: 0 })).toBe(70);
+  });
+});
+
+describe("getAgainstVotesRequiredForMaxQuorum", () => {
+  it("should return the against-votes at which the quorum maxes out", () => {
+    expect(getAgainstVotesRequiredForMaxQuorum(params)).toBe(35);
+  });
+});
+
+describe("projectDynamicQuorum", () => {
+  it("should list every against-vote count that raises the quorum", () => {
+    const steps = projectDynamicQuorum(params, { againstVotes: 33 });
+    expect(steps).toEqual([
+      { againstVotes: 34, quorumVotes: 103 },
+      { againstVotes: 35, quorumVotes: 105 },
+    ]);
+  });
+
+  it("should return nothing once the max quorum is reached", () => {
+    expect(projectDynamicQuorum(params, { againstVotes: 40 })).toEqual([]);
+  });
+
+  it("should return nothing when the quorum is static", () => {
+    expect(projectDynamicQuorum({ ...params, quorumCoefficient: 0 })).toEqual(
+      [],
+    );
+  });
+});
+
+describe("getForVotesRequiredToPass", () => {
+  it("should require reaching the quorum", () => {
+    expect(
+      getForVotesRequiredToPass({
+        forVotes: 60,
+        againstVotes: 5,
+        quorumVotes: 70,
+      }),
+    ).toBe(10);
+  });
+
+  it("should require outnumbering against-votes", () => {
+    expect(
+      getForVotesRequiredToPass({
+        forVotes: 80,
+        againstVotes: 90,
+        quorumVotes: 70,
+      }),
+    ).toBe(11);
+  });
+
+  it("should return zero for passing vote counts", () => {
+    expect(
+      getForVotesRequiredToPass({
+        forVotes: 80,
+        againstVotes: 5,
+        quorumVotes: 70,
+      }),
+    ).toBe(0);
+  });
+});
+
+describe("getState", () => {
+  const endedProposal = {
+    ...params,
+    status: "ACTIVE",
+    updatePeriodEndBlock: 1,
+    startBlock: 2,
+    endBlock: 3,
+    objectionPeriodEndBlock: 0,
+    executionEtaTimestamp: null,
+    quorumVotes: 70,
+  };
+
+  it("should defeat proposals below the dynamic quorum", () => {
+    // Passes the min quorum, but 10 against-votes raise it to 79
+    const proposal = { ...endedProposal, forVotes: 75, againstVotes: 10 };
+    expect(getState(proposal, { blockNumber: 10 })).toBe("defeated");
+  });
+
+  it("should succeed proposals above the dynamic quorum", () => {
+    const proposal = { ...endedProposal, forVotes: 79, againstVotes: 10 };
+    expect(getState(proposal, { blockNumber: 10 })).toBe("succeeded");
+  });
+});
+
+describe("applyHypotheticalVotes", () => {
+  it("should add votes to the matching counts", () => {
+    const proposal = { forVotes: 10, againstVotes: 5, abstainVotes: 1 };
+    expect(
+      applyHypotheticalVotes(proposal, [
+        { support: 1, votes: 3 },
+        { support: 0, votes: 2 },
+        { support: 2, votes: 4 },
+        { support: 0, votes: 1 },
+      ]),
+    ).toEqual({ forVotes: 13, againstVotes: 8, abstainVotes: 5 });
+  });
+
+  it("should leave the original proposal untouched", () => {
+    const proposal = { forVotes: 10, againstVotes: 5, abstainVotes: 1 };
+    applyHypotheticalVotes(proposal, [{ support: 1, votes: 3 }]);
+    expect(proposal.forVotes).toBe(10);
+  });
+});
+
+describe("getOutcomeState", () => {
+  const activeProposal = {
+    ...params,
+    status: "ACTIVE",
+    updatePeriodEndBlock: 1n,
+    startBlock: 2n,
+    endBlock: 100n,
+    objectionPeriodEndBlock: null,
+    executionEtaTimestamp: null,
+    quorumVotes: 70,
+    abstainVotes: 0,
+  };
+
+  it("should resolve the state at the end of voting", () => {
+    expect(
+      getOutcomeState({ ...activeProposal, forVotes: 90, againstVotes: 10 }),
+    ).toBe("succeeded");
+    expect(
+      getOutcomeState({ ...activeProposal, forVotes: 70, againstVotes: 30 }),
+    ).toBe("defeated");
+  });
+});
@@ -0,0 +1,229 @@
+import { isAddress, parseEther } from "viem";
+import { extractAmounts } from "@/utils/transactions";
+
+// Saved feeds are named filters over the main activity feed:
+//
+//   {
+//     id: string,
+//     name: string,
+//     pinned: boolean,
+//     accounts: string[],      // Authors, bidders, senders and recipients
+//     proposalIds: string[],
+//     candidateIds: string[],
+//     minRequestedEth: string, // Decimal ETH, e.g. "50"
+//     eventTypes: string[],    // Keys from `EVENT_TYPES`
+//   }
+//
+// Empty criteria match everything. Proposal and candidate ids are one
+// watchlist, so an item has to match either of them, while the remaining
+// criteria all have to match.
+
+export const EVENT_TYPES = [
+  { key: "votes", title: "Votes" },
+  { key: "feedback-posts", title: "Feedback" },
+  { key: "proposal-events", title: "Proposal updates" },
+  { key: "candidate-events", title: "Candidate updates & sponsors" },
+  { key: "propdates", title: "Propdates" },
+  { key: "auction", title: "Auction activity" },
+  { key: "noun-representation", title: "Delegations & transfers" },
+  { key: "flow-votes", title: "Flows votes" },
+  { key: "farcaster-casts", title: "Farcaster casts" },
+];
+
+export const getFeedItemEventType = (item) => {
+  switch (item.type) {
+    case "vote":
+      return "votes";
+    case "feedback-post":
+      return "feedback-posts";
+    case "candidate-signature":
+      return "candidate-events";
+    case "auction-bid":
+      return "auction";
+    case "noun-transfer":
+    case "noun-delegation":
+      return "noun-representation";
+    case "flow-vote":
+      return "flow-votes";
+    case "farcaster-cast":
+      return "farcaster-casts";
+    case "event": {
+      const [prefix] = item.eventType.split("-");
+      switch (prefix) {
+        case "proposal":
+          return "proposal-events";
+        case "candidate":
+          return "candidate-events";
+        case "propdate":
+          return "propdates";
+        case "auction":
+          return "auction";
+        default:
+          return null;
+      }
+    }
+    default:
+      return null;
+  }
+};
+
+const getFeedItemAccounts = (item) =>
+  [item.authorAccount, item.bidderAccount, item.fromAccount, item.toAccount]
+    .filter(Boolean)
+    .map((a) => a.toLowerCase());
+
+// Only ETH denominated assets count towards the ask, everything else would
+// need a price
+const getRequestedEth = (transactions) =>
+  extractAmounts(transactions).reduce((sum, { currency, amount }) => {
+    switch (currency) {
+      case "eth":
+      case "weth":
+      case "steth":
+        return sum + amount;
+      default:
+        return sum;
+    }
+  }, BigInt(0));
+
+const getFeedItemTransactions = (
+  item,
+  { proposalsById, proposalCandidatesById },
+) => {
+  const proposal = proposalsById[item.proposalId];
+  if (proposal?.transactions != null) return proposal.transactions;
+  const candidate = proposalCandidatesById[item.candidateId];
+  return candidate?.latestVersion?.content.transactions ?? null;
+};
+
+export const createEmptyDefinition = () => ({
+  name: "",
+  pinned: true,
+  accounts: [],
+  proposalIds: [],
+  candidateIds: [],
+  minRequestedEth: "",
+  eventTypes: [],
+});
+
+export const isEmptyDefinition = (feed) =>
+  feed.accounts.length === 0 &&
+  feed.proposalIds.length === 0 &&
+  feed.candidateIds.length === 0 &&
+  (feed.minRequestedEth ?? "") === "" &&
+  feed.eventTypes.length === 0;
+
+// Returns a list of `{ field, message }` problems, empty if the definition is
+// good to save
+export const validateDefinition = (feed) => {
+  const errors = [];
+
+  if (feed.name.trim() === "")
+    errors.push({ field: "name", message: "A name is required" });
+
+  const invalidAccount = feed.accounts.find((a) => !isAddress(a));
+  if (invalidAccount != null)
+    errors.push({
+      field: "accounts",
+      message: `"${invalidAccount}" is not a valid address`,
+    });
+
+  const invalidProposalId = feed.proposalIds.find((id) => !/^\d+$/.test(id));
+  if (invalidProposalId != null)
+    errors.push({
+      field: "proposalIds",
+      message: `"${invalidProposalId}" is not a valid proposal id`,
+    });
+
+  if ((feed.minRequestedEth ?? "") !== "") {
+    try {
+      if (parseEther(feed.minRequestedEth) < 0n) throw new Error();
+    } catch (e) {
+      errors.push({
+        field: "minRequestedEth",
+        message: "The amount has to be a positive number",
+      });
+    }
+  }
+
+  const unknownEventType = feed.eventTypes.find(
+    (key) => !EVENT_TYPES.some((t) => t.key === key),
+  );
+  if (unknownEventType != null)
+    errors.push({
+      field: "eventTypes",
+      message: `Unknown event type "${unknownEventType}"`,
+    });
+
+  if (errors.length === 0 && isEmptyDefinition(feed))
+    errors.push({
+      field: null,
+      message: "Add at least one filter",
+    });
+
+  return errors;
+};
+
+// Trims and dedupes list entries, and lowercases addresses, to keep stored
+// definitions comparable
+export const normalizeDefinition = (feed) => {
+  const normalizeList = (list, transform = (s) => s) => [
+    ...new Set(list.map((s) => transform(s.trim())).filter((s) => s !== "")),
+  ];
+  return {
+    ...feed,
+    name: feed.name.trim(),
+    accounts: normalizeList(feed.accounts, (a) => a.toLowerCase()),
+    proposalIds: normalizeList(feed.proposalIds),
+    candidateIds: normalizeList(feed.candidateIds, (id) => id.toLowerCase()),
+    minRequestedEth: (feed.minRequestedEth ?? "").trim(),
+    eventTypes: normalizeList(feed.eventTypes),
+  };
+};
+
+// Returns a predicate matching feed items against a saved feed. Amount
+// thresholds look up requested amounts in `proposalsById` and
+// `proposalCandidatesById`.
+export const createFeedItemFilter = (
+  feed,
+  { proposalsById = {}, proposalCandidatesById = {} } = {},
+) => {
+  const accounts = new Set(feed.accounts.map((a) => a.toLowerCase()));
+  const proposalIds = new Set(feed.proposalIds);
+  const candidateIds = new Set(feed.candidateIds.map((id) => id.toLowerCase()));
+  const eventTypes = new Set(feed.eventTypes);
+  const minRequestedEth =
+    (feed.minRequestedEth ?? "") === ""
+      ? null
+      : parseEther(feed.minRequestedEth);
+
+  return (item) => {
+    if (eventTypes.size > 0 && !eventTypes.has(getFeedItemEventType(item)))
+      return false;
+
+    if (
+      accounts.size > 0 &&
+      !getFeedItemAccounts(item).some((a) => accounts.has(a))
+    )
+      return false;
+
+    if (proposalIds.size > 0 || candidateIds.size > 0) {
+      const isWatched =
+        (item.proposalId != null && proposalIds.has(item.proposalId)) ||
+        (item.candidateId != null &&
+          candidateIds.has(item.candidateId.toLowerCase()));
+      if (!isWatched) return false;
+    }
+
+    if (minRequestedEth != null) {
+      const transactions = getFeedItemTransactions(item, {
+        proposalsById,
+        proposalCandidatesById,
+      });
+      if (transactions == null) return false;
+      if (getRequestedEth(transactions) < minRequestedEth) return false;
+    }
+
+    return true;
+  };
+};
@@ -0,0 +1,136 @@
+import { describe, it, expect } from "vitest";
+import { parseEther } from "viem";
+import {
+  createEmptyDefinition,
+  createFeedItemFilter,
+  getFeedItemEventType,
+  normalizeDefinition,
+  validateDefinition,
+} from "./saved-feeds";
+
+const createFeed = (fields) => ({ ...createEmptyDefinition(), ...fields });
+
+const vote = (fields) => ({
+  type: "vote",
+  id: "vote",
+  authorAccount: "0xa",
+  ...fields,
+});
+
+describe("getFeedItemEventType", () => {
+  it("should group events by prefix", () => {
+    expect(
+      getFeedItemEventType({ type: "event", eventType: "proposal-queued" }),
+    ).toBe("proposal-events");
+    expect(
+      getFeedItemEventType({ type: "event", eventType: "propdate-posted" }),
+    ).toBe("propdates");
+    expect(getFeedItemEventType({ type: "candidate-signature" })).toBe(
+      "candidate-events",
+    );
+    expect(
+      getFeedItemEventType({ type: "event", eventType: "fork-join" }),
+    ).toBe(null);
+  });
+});
+
+describe("createFeedItemFilter", () => {
+  it("should match everything without criteria", () => {
+    const filter = createFeedItemFilter(createFeed());
+    expect(filter(vote())).toBe(true);
+  });
+
+  it("should match accounts case insensitively", () => {
+    const filter = createFeedItemFilter(
+      createFeed({ accounts: ["0xA"], eventTypes: ["votes"] }),
+    );
+    expect(filter(vote({ authorAccount: "0xa" }))).toBe(true);
+    expect(filter(vote({ authorAccount: "0xb" }))).toBe(false);
+    expect(
+      filter({ type: "feedback-post", id: "post", authorAccount: "0xa" }),
+    ).toBe(false);
+    expect(filter({ type: "noun-transfer", id: "t", toAccount: "0xA" })).toBe(
+      false,
+    );
+  });
+
+  it("should treat proposal and candidate ids as one watchlist", () => {
+    const filter = createFeedItemFilter(
+      createFeed({ proposalIds: ["1"], candidateIds: ["0xa-slug"] }),
+    );
+    expect(filter(vote({ proposalId: "1" }))).toBe(true);
+    expect(filter(vote({ candidateId: "0xA-slug" }))).toBe(true);
+    expect(filter(vote({ proposalId: "2" }))).toBe(false);
+  });
+
+  it("should filter by requested amount", () => {
+    const transfer = (value) => ({ type: "transfer", target: "0xa", value });
+    const filter = createFeedItemFilter(createFeed({ minRequestedEth: "50" }), {
+      proposalsById: {
+        1: { transactions: [transfer(parseEther("60"))] },
+        2: { transactions: [transfer(parseEther("40"))] },
+      },
+      proposalCandidatesById: {
+        "0xa-slug": {
+          latestVersion: {
+            content: {
+              transactions: [
+                transfer(parseEther("30")),
+                transfer(parseEther("30")),
+              ],
+            },
+          },
+        },
+      },
+    });
+    expect(filter(vote({ proposalId: "1" }))).toBe(true);
+    expect(filter(vote({ proposalId: "2" }))).toBe(false);
+    expect(filter(vote({ candidateId: "0xa-slug" }))).toBe(true);
+    expect(filter({ type: "auction-bid", id: "bid" })).toBe(false);
+  });
+});
+
+describe("definitions", () => {
+  it("should require a name and at least one filter", () => {
+    expect(validateDefinition(createFeed()).map((e) => e.field)).toEqual([
+      "name",
+    ]);
+    expect(
+      validateDefinition(createFeed({ name: "Empty" })).map((e) => e.field),
+    ).toEqual([null]);
+  });
+
+  it("should reject invalid values", () => {
+    const errors = validateDefinition(
+      createFeed({
+        name: "Invalid",
+        accounts: ["vitalik"],
+        proposalIds: ["abc"],
+        minRequestedEth: "-1",
+        eventTypes: ["foo"],
+      }),
+    );
+    expect(errors.map((e) => e.field)).toEqual([
+      "accounts",
+      "proposalIds",
+      "minRequestedEth",
+      "eventTypes",
+    ]);
+  });
+
+  it("should normalize lists", () => {
+    expect(
+      normalizeDefinition(
+        createFeed({
+          name: " Whales ",
+          accounts: ["0xAB ", "0xab", ""],
+          proposalIds: ["1", " 1"],
+        }),
+      ),
+    ).toMatchObject({
+      name: "Whales",
+      accounts: ["0xab"],
+      proposalIds: ["1"],
+    });
+  });
+});
@@ -0,0 +1,11 @@
+// How far a signed timestamp may be from the server’s clock
+export const MAX_TIMESTAMP_DRIFT = 10 * 60 * 1000;
+
+// A signed message is only accepted if it’s recent, and newer than the one it
+// replaces. This keeps old signatures from being replayed to revert a change.
+export const isAcceptableTimestamp = (
+  timestamp,
+  { now = Date.now(), latestTimestamp } = {},
+) =>
+  Math.abs(now - timestamp) <= MAX_TIMESTAMP_DRIFT &&
+  (latestTimestamp == null || timestamp > latestTimestamp);
@@ -0,0 +1,19 @@
+import { describe, it, expect } from "vitest";
+import { MAX_TIMESTAMP_DRIFT, isAcceptableTimestamp } from "./signed-messages";
+
+describe("isAcceptableTimestamp", () => {
+  const now = 1_000_000_000;
+
+  it("should reject stale, future and replayed timestamps", () => {
+    expect(isAcceptableTimestamp(now - 1000, { now })).toBe(true);
+    expect(isAcceptableTimestamp(now - MAX_TIMESTAMP_DRIFT - 1, { now })).toBe(
+      false,
+    );
+    expect(isAcceptableTimestamp(now + MAX_TIMESTAMP_DRIFT + 1, { now })).toBe(
+      false,
+    );
+    expect(isAcceptableTimestamp(now, { now, latestTimestamp: now })).toBe(
+      false,
+    );
+  });
+});
@@ -0,0 +1,230 @@
+import { decodeEventLog, parseAbi } from "viem";
+import {
+  getEventSignatures,
+  resolveIdentifier as resolveContractIdentifier,
+} from "@/contracts";
+import { resolveTokenAddress } from "@/tokens";
+
+// Effects of simulated transactions, derived from the `logs` (`{ address,
+// topics, data }`) and `ethTransfers` (`{ from, to, value }`) simulation
+// providers return per transaction
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+const ETH_ASSET = { type: "eth" };
+
+// Tried for contracts not in `contracts.js`, and for events a known
+// contract’s ABI doesn’t cover
+const GENERIC_EVENT_ABI = parseAbi([
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+  "event Approval(address indexed owner, address indexed spender, uint256 value)",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+  "event Upgraded(address indexed implementation)",
+  "event BeaconUpgraded(address indexed beacon)",
+  "event AdminChanged(address previousAdmin, address newAdmin)",
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+]);
+
+// Events that change who controls a contract
+export const ROLE_CHANGE_EVENT_NAMES = [
+  "OwnershipTransferred",
+  "NewAdmin",
+  "NewPendingAdmin",
+  "AdminChanged",
+  "NewVetoer",
+  "NewPendingVetoer",
+  "NewImplementation",
+  "Upgraded",
+  "BeaconUpgraded",
+  "RoleGranted",
+  "RoleRevoked",
+  "MinterUpdated",
+  "DescriptorUpdated",
+  "SeederUpdated",
+  "NoundersDAOUpdated",
+  "ArtUpdated",
+  "RendererUpdated",
+];
+
+const knownAbiCache = new Map();
+
+const getKnownEventAbi = (address) => {
+  const key = address.toLowerCase();
+  if (!knownAbiCache.has(key)) {
+    const signatures = getEventSignatures(key);
+    knownAbiCache.set(key, signatures == null ? [] : parseAbi(signatures));
+  }
+  return knownAbiCache.get(key);
+};
+
+// Every event ABI item is tried on its own, since ERC-20 and ERC-721
+// transfers share a selector and only differ in what’s indexed
+export const decodeLog = (log) => {
+  for (const abiItem of [
+    ...getKnownEventAbi(log.address),
+    ...GENERIC_EVENT_ABI,
+  ])
+    try {
+      const { eventName, args } = decodeEventLog({
+        abi: [abiItem],
+        topics: log.topics,
+        data: log.data,
+      });
+      return { address: log.address, eventName, args };
+    } catch (e) {
+      // Try the next one
+    }
+
+  return { address: log.address, eventName: null, args: null };
+};
+
+export const decodeSimulationLogs = (simulation) =>
+  (simulation?.logs ?? []).map(decodeLog);
+
+const getAssetKey = (asset) =>
+  asset.type === "eth" ? "eth" : `${asset.type}:${asset.address}`;
+
+// Net ETH, ERC-20, and ERC-721 (Nouns included) balance changes across
+// successful simulations, per account. The treasury comes first, then
+// accounts in the order they were first touched. Mints and burns don’t count
+// towards the zero address.
+export const getAssetFlows = (simulations) => {
+  const treasuryAddress = resolveContractIdentifier("executor")?.address;
+  const nounsTokenAddress = resolveContractIdentifier("token")?.address;
+  const wethAddress = resolveContractIdentifier("weth-token")?.address;
+
+  const changesByAccount = new Map();
+
+  const getChange = (account, asset) => {
+    const accountKey = account.toLowerCase();
+    if (!changesByAccount.has(accountKey))
+      changesByAccount.set(accountKey, new Map());
+    const changesByAssetKey = changesByAccount.get(accountKey);
+    const assetKey = getAssetKey(asset);
+    if (!changesByAssetKey.has(assetKey))
+      changesByAssetKey.set(assetKey, {
+        asset,
+        amount: 0n,
+        receivedTokenIds: [],
+        sentTokenIds: [],
+      });
+    return changesByAssetKey.get(assetKey);
+  };
+
+  const addFungibleTransfer = ({ from, to, value, asset }) => {
+    if (from.toLowerCase() !== ZERO_ADDRESS)
+      getChange(from, asset).amount -= value;
+    if (to.toLowerCase() !== ZERO_ADDRESS) getChange(to, asset).amount += value;
+  };
+
+  const addTokenTransfer = ({ from, to, tokenId, asset }) => {
+    if (from.toLowerCase() !== ZERO_ADDRESS) {
+      const change = getChange(from, asset);
+      change.amount -= 1n;
+      if (change.receivedTokenIds.includes(tokenId))
+        change.receivedTokenIds = change.receivedTokenIds.filter(
+          (id) => id !== tokenId,
+        );
+      else change.sentTokenIds.push(tokenId);
+    }
+    if (to.toLowerCase() !== ZERO_ADDRESS) {
+      const change = getChange(to, asset);
+      change.amount += 1n;
+      if (change.sentTokenIds.includes(tokenId))
+        change.sentTokenIds = change.sentTokenIds.filter(
+          (id) => id !== tokenId,
+        );
+      else change.receivedTokenIds.push(tokenId);
+    }
+  };
+
+  for (const simulation of simulations) {
+    if (!simulation?.success) continue;
+
+    for (const { from, to, value } of simulation.ethTransfers ?? [])
+      addFungibleTransfer({ from, to, value: BigInt(value), asset: ETH_ASSET });
+
+    for (const event of decodeSimulationLogs(simulation)) {
+      const address = event.address.toLowerCase();
+
+      // Wrapping and unwrapping mint and burn WETH without a `Transfer`,
+      // while the ETH side shows up as a plain transfer
+      if (
+        address === wethAddress?.toLowerCase() &&
+        ["Deposit", "Withdrawal"].includes(event.eventName)
+      ) {
+        const asset = {
+          type: "erc20",
+          address,
+          token: resolveTokenAddress(address),
+        };
+        if (event.eventName === "Deposit")
+          addFungibleTransfer({
+            from: ZERO_ADDRESS,
+            to: event.args.dst,
+            value: event.args.wad,
+            asset,
+          });
+        else
+          addFungibleTransfer({
+            from: event.args.src,
+            to: ZERO_ADDRESS,
+            value: event.args.wad,
+            asset,
+          });
+        continue;
+      }
+
+      if (event.eventName !== "Transfer") continue;
+      const { from, to } = event.args;
+
+      if (event.args.tokenId != null) {
+        const type =
+          address === nounsTokenAddress?.toLowerCase() ? "noun" : "erc721";
+        addTokenTransfer({
+          from,
+          to,
+          tokenId: event.args.tokenId,
+          asset: { type, address },
+        });
+        continue;
+      }
+
+      addFungibleTransfer({
+        from,
+        to,
+        value: event.args.value,
+        asset: { type: "erc20", address, token: resolveTokenAddress(address) },
+      });
+    }
+  }
+
+  const flows = [...changesByAccount.entries()]
+    .map(([account, changesByAssetKey]) => ({
+      account,
+      isTreasury: account === treasuryAddress?.toLowerCase(),
+      changes: [...changesByAssetKey.values()].filter(
+        (c) =>
+          c.amount !== 0n ||
+          c.receivedTokenIds.length > 0 ||
+          c.sentTokenIds.length > 0,
+      ),
+    }))
+    .filter((f) => f.changes.length > 0);
+
+  return [
+    ...flows.filter((f) => f.isTreasury),
+    ...flows.filter((f) => !f.isTreasury),
+  ];
+};
+
+// Decoded role change events from successful simulations, with the index of
+// the transaction emitting them
+export const getRoleChangeWarnings = (simulations) =>
+  simulations.flatMap((simulation, transactionIndex) =>
+    (simulation?.success ? decodeSimulationLogs(simulation) : [])
+      .filter((event) => ROLE_CHANGE_EVENT_NAMES.includes(event.eventName))
+      .map((event) => ({ ...event, transactionIndex })),
+  );
@@ -0,0 +1,144 @@
+import { describe, it, expect, vi } from "vitest";
+import { encodeEventTopics, encodeAbiParameters, parseAbi } from "viem";
+import { resolveIdentifier } from "@/contracts";
+import {
+  decodeLog,
+  getAssetFlows,
+  getRoleChangeWarnings,
+} from "./simulation-effects";
+
+vi.mock("@/constants/env", () => ({ CHAIN_ID: 1 }));
+
+const [erc20Transfer, erc721Transfer, ownershipTransferred, wethDeposit] =
+  parseAbi([
+    "event Transfer(address indexed from, address indexed to, uint256 value)",
+    "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+    "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+    "event Deposit(address indexed dst, uint256 wad)",
+  ]);
+
+const treasury = resolveIdentifier("executor").address;
+const usdc = resolveIdentifier("usdc-token").address;
+const weth = resolveIdentifier("weth-token").address;
+const nounsToken = resolveIdentifier("token").address;
+const alice = "0x0000000000000000000000000000000000000001";
+const bob = "0x0000000000000000000000000000000000000002";
+
+const createLog = (address, abiItem, args, data = "0x") => ({
+  address,
+  topics: encodeEventTopics({ abi: [abiItem], args }),
+  data,
+});
+
+const usdcTransfer = (from, to, value) =>
+  createLog(
+    usdc,
+    erc20Transfer,
+    { from, to },
+    encodeAbiParameters([{ type: "uint256" }], [value]),
+  );
+
+const nounTransfer = (from, to, tokenId) =>
+  createLog(nounsToken, erc721Transfer, { from, to, tokenId });
+
+describe("decodeLog", () => {
+  it("should tell ERC-20 and ERC-721 transfers apart", () => {
+    expect(decodeLog(usdcTransfer(treasury, alice, 5n))).toMatchObject({
+      eventName: "Transfer",
+      args: { value: 5n },
+    });
+    expect(decodeLog(nounTransfer(treasury, alice, 7n))).toMatchObject({
+      eventName: "Transfer",
+      args: { tokenId: 7n },
+    });
+    expect(
+      decodeLog({ address: alice, topics: ["0x1234"], data: "0x" }).eventName,
+    ).toBe(null);
+  });
+});
+
+describe("getAssetFlows", () => {
+  it("should net balance changes with the treasury first", () => {
+    const flows = getAssetFlows([
+      {
+        success: true,
+        ethTransfers: [{ from: treasury, to: bob, value: "100" }],
+        logs: [
+          usdcTransfer(treasury, alice, 10n),
+          nounTransfer(treasury, alice, 7n),
+        ],
+      },
+      {
+        success: true,
+        logs: [usdcTransfer(alice, bob, 4n), nounTransfer(alice, treasury, 7n)],
+      },
+      // Failed simulations don’t count
+      { success: false, logs: [usdcTransfer(treasury, bob, 99n)] },
+    ]);
+
+    expect(flows.map((f) => [f.account, f.isTreasury])).toEqual([
+      [treasury.toLowerCase(), true],
+      [bob, false],
+      [alice, false],
+    ]);
+
+    const [treasuryFlow, bobFlow, aliceFlow] = flows;
+    expect(treasuryFlow.changes.map((c) => [c.asset.type, c.amount])).toEqual([
+      ["eth", -100n],
+      ["erc20", -10n],
+    ]);
+    expect(treasuryFlow.changes[1].asset.token.symbol).toBe("USDC");
+    expect(bobFlow.changes.map((c) => c.amount)).toEqual([100n, 4n]);
+    expect(aliceFlow.changes.map((c) => c.amount)).toEqual([6n]);
+  });
+});
+
+describe("getAssetFlows with WETH", () => {
+  it("should not count wrapped ETH payments twice", () => {
+    const amount = encodeAbiParameters([{ type: "uint256" }], [100n]);
+    const [treasuryFlow, ...otherFlows] = getAssetFlows([
+      {
+        success: true,
+        ethTransfers: [{ from: treasury, to: weth, value: "100" }],
+        logs: [createLog(weth, wethDeposit, { dst: treasury }, amount)],
+      },
+      {
+        success: true,
+        logs: [
+          createLog(weth, erc20Transfer, { from: treasury, to: bob }, amount),
+        ],
+      },
+    ]);
+
+    expect(treasuryFlow.changes.map((c) => [c.asset.type, c.amount])).toEqual([
+      ["eth", -100n],
+    ]);
+    const bobFlow = otherFlows.find((f) => f.account === bob);
+    expect(
+      bobFlow.changes.map((c) => [c.asset.token.symbol, c.amount]),
+    ).toEqual([["WETH", 100n]]);
+  });
+});
+
+describe("getRoleChangeWarnings", () => {
+  it("should pick up ownership changes", () => {
+    const warnings = getRoleChangeWarnings([
+      { success: true, logs: [usdcTransfer(treasury, alice, 1n)] },
+      {
+        success: true,
+        logs: [
+          createLog(alice, ownershipTransferred, {
+            previousOwner: treasury,
+            newOwner: bob,
+          }),
+        ],
+      },
+    ]);
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toMatchObject({
+      eventName: "OwnershipTransferred",
+      transactionIndex: 1,
+      args: { newOwner: bob },
+    });
+  });
+});
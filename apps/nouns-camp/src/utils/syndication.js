@@ -0,0 +1,237 @@
+import { formatEther } from "viem";
+import { ethereum as ethereumUtils } from "@shades/common/utils";
+import {
+  extractSlugFromId as extractSlugFromCandidateId,
+  makeUrlId as makeCandidateUrlId,
+} from "@/utils/candidates";
+
+// Turns feed items (as built by `store-selectors/feeds`) into Atom (RFC 4287)
+// and JSON Feed (1.1) documents
+
+export const FORMATS = ["atom", "json"];
+
+export const CONTENT_TYPES = {
+  atom: "application/atom+xml; charset=utf-8",
+  json: "application/feed+json; charset=utf-8",
+};
+
+const formatAccount = (address) =>
+  address == null ? "Someone" : ethereumUtils.truncateAddress(address);
+
+const formatTarget = (item) => {
+  if (item.proposalId != null) return `Prop ${item.proposalId}`;
+  if (item.candidateId != null)
+    return `“${extractSlugFromCandidateId(item.candidateId)}”`;
+  return null;
+};
+
+const formatVoteAction = (support) =>
+  ({ 0: "voted against", 1: "voted for", 2: "abstained on" })[support] ??
+  "voted on";
+
+const formatFeedbackAction = (support) =>
+  ({ 0: "signaled against", 1: "signaled for", 2: "commented on" })[support] ??
+  "commented on";
+
+// Bulk transfers and delegations are merged into one item
+const formatNouns = (item) => {
+  const nounIds = item.nouns ??
+    item.transfers?.map((t) => t.nounId) ?? [item.nounId];
+  return nounIds.length === 1
+    ? `Noun ${nounIds[0]}`
+    : `${nounIds.length} Nouns`;
+};
+
+const formatEventTitle = (item) => {
+  const target = formatTarget(item);
+  switch (item.eventType) {
+    case "proposal-created":
+      return `${formatAccount(item.authorAccount)} created ${target}`;
+    case "proposal-updated":
+      return `${formatAccount(item.authorAccount)} updated ${target}`;
+    case "proposal-canceled":
+      return `${target} was canceled`;
+    case "proposal-queued":
+      return `${target} was queued for execution`;
+    case "proposal-executed":
+      return `${target} was executed`;
+    case "proposal-started":
+      return `Voting started for ${target}`;
+    case "proposal-objection-period-started":
+      return `${target} entered the objection period`;
+    case "proposal-ended":
+      return `Voting ended for ${target}`;
+    case "candidate-created":
+      return `${formatAccount(item.authorAccount)} created the candidate ${target}`;
+    case "candidate-updated":
+      return `${formatAccount(item.authorAccount)} updated the candidate ${target}`;
+    case "candidate-canceled":
+      return `The candidate ${target} was canceled`;
+    case "propdate-posted":
+      return `New propdate for ${target}`;
+    case "propdate-marked-completed":
+      return `${target} was marked completed`;
+    case "auction-started":
+      return `Auction started for Noun ${item.nounId}`;
+    case "auction-ended":
+      return `Auction ended for Noun ${item.nounId}`;
+    case "auction-settled":
+      return `Noun ${item.nounId} was settled`;
+    default:
+      return item.eventType;
+  }
+};
+
+export const formatFeedItemTitle = (item) => {
+  switch (item.type) {
+    case "vote":
+      return `${formatAccount(item.authorAccount)} ${formatVoteAction(item.support)} ${formatTarget(item)}`;
+    case "feedback-post":
+      return `${formatAccount(item.authorAccount)} ${formatFeedbackAction(item.support)} ${formatTarget(item)}`;
+    case "candidate-signature":
+      return `${formatAccount(item.authorAccount)} sponsored ${formatTarget(item)}`;
+    case "auction-bid":
+      return `${formatAccount(item.authorAccount)} bid Ξ${formatEther(item.amount)} on Noun ${item.nounId}`;
+    case "noun-transfer":
+      return `${formatAccount(item.fromAccount)} transferred ${formatNouns(item)} to ${formatAccount(item.toAccount)}`;
+    case "noun-delegation":
+      return `${formatAccount(item.authorAccount)} delegated ${formatNouns(item)} to ${formatAccount(item.toAccount)}`;
+    case "flow-vote":
+      return `${formatAccount(item.authorAccount)} voted on Flows`;
+    case "farcaster-cast":
+      return `${item.authorDisplayName} commented on ${formatTarget(item)}`;
+    case "event":
+      return formatEventTitle(item);
+    default:
+      return item.type;
+  }
+};
+
+export const buildFeedItemPath = (item) => {
+  if (item.proposalId != null) return `/proposals/${item.proposalId}`;
+  if (item.candidateId != null)
+    return `/candidates/${encodeURIComponent(makeCandidateUrlId(item.candidateId))}`;
+  if (item.nounId != null) return `/nouns/${item.nounId}`;
+  if (item.authorAccount != null) return `/voters/${item.authorAccount}`;
+  return "/";
+};
+
+// Maps feed items to the entries of both formats. Items without a timestamp
+// (e.g. optimistic ones) can’t be syndicated.
+export const buildEntries = (items, { baseUrl }) =>
+  items
+    .filter((item) => item.timestamp != null && !item.isPending)
+    .map((item) => {
+      const url = `${baseUrl}${buildFeedItemPath(item)}`;
+      const content = item.body?.trim() || item.reason?.trim() || null;
+      return {
+        id: `${url}#${item.id}`,
+        url,
+        title: formatFeedItemTitle(item),
+        content,
+        timestamp: item.timestamp,
+        authorAccount: item.authorAccount ?? null,
+      };
+    });
+
+// Control characters other than tab and line breaks aren’t allowed in XML
+// 1.0, even escaped
+const isAllowedXmlCharacter = (c) => {
+  const code = c.charCodeAt(0);
+  return code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0d;
+};
+
+const escapeXml = (string) =>
+  string
+    .split("")
+    .filter(isAllowedXmlCharacter)
+    .join("")
+    .replace(
+      /[<>&'"]/g,
+      (c) =>
+        ({
+          "<": "&lt;",
+          ">": "&gt;",
+          "&": "&amp;",
+          "'": "&apos;",
+          '"': "&quot;",
+        })[c],
+    );
+
+export const buildAtomDocument = ({
+  title,
+  url,
+  feedUrl,
+  baseUrl,
+  entries,
+}) => {
+  const updated = entries[0]?.timestamp ?? new Date(0);
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feedUrl)}</id>`,
+    `  <title>${escapeXml(title)}</title>`,
+    `  <updated>${updated.toISOString()}</updated>`,
+    `  <link rel="self" href="${escapeXml(feedUrl)}"/>`,
+    `  <link rel="alternate" href="${escapeXml(url)}"/>`,
+    `  <generator uri="${escapeXml(baseUrl)}">Nouns Camp</generator>`,
+    // Required by Atom for entries without an author of their own
+    "  <author><name>Nouns Camp</name></author>",
+  ];
+
+  for (const entry of entries) {
+    lines.push(
+      "  <entry>",
+      `    <id>${escapeXml(entry.id)}</id>`,
+      `    <title>${escapeXml(entry.title)}</title>`,
+      `    <link rel="alternate" href="${escapeXml(entry.url)}"/>`,
+      `    <published>${entry.timestamp.toISOString()}</published>`,
+      `    <updated>${entry.timestamp.toISOString()}</updated>`,
+    );
+    if (entry.authorAccount != null)
+      lines.push(
+        "    <author>",
+        `      <name>${escapeXml(entry.authorAccount)}</name>`,
+        `      <uri>${escapeXml(`${baseUrl}/voters/${entry.authorAccount}`)}</uri>`,
+        "    </author>",
+      );
+    if (entry.content != null)
+      lines.push(
+        `    <content type="text">${escapeXml(entry.content)}</content>`,
+      );
+    lines.push("  </entry>");
+  }
+
+  lines.push("</feed>");
+  return lines.join("\n");
+};
+
+export const buildJsonFeedDocument = ({
+  title,
+  url,
+  feedUrl,
+  baseUrl,
+  entries,
+}) => ({
+  version: "https://jsonfeed.org/version/1.1",
+  title,
+  home_page_url: url,
+  feed_url: feedUrl,
+  items: entries.map((entry) => {
+    const item = {
+      id: entry.id,
+      url: entry.url,
+      title: entry.title,
+      content_text: entry.content ?? entry.title,
+      date_published: entry.timestamp.toISOString(),
+    };
+    if (entry.authorAccount != null)
+      item.authors = [
+        {
+          name: entry.authorAccount,
+          url: `${baseUrl}/voters/${entry.authorAccount}`,
+        },
+      ];
+    return item;
+  }),
+});
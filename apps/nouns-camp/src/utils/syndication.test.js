@@ -0,0 +1,107 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildAtomDocument,
+  buildEntries,
+  buildJsonFeedDocument,
+  formatFeedItemTitle,
+} from "./syndication";
+
+const baseUrl = "https://nouns.camp";
+
+const vote = {
+  type: "vote",
+  id: "vote-1",
+  support: 1,
+  authorAccount: "0x1234567890123456789012345678901234567890",
+  proposalId: "42",
+  body: "<3 & more",
+  timestamp: new Date("2024-01-02T00:00:00Z"),
+};
+
+const feed = {
+  title: "Prop 42",
+  url: `${baseUrl}/proposals/42`,
+  feedUrl: `${baseUrl}/api/feeds/proposals/42`,
+  baseUrl,
+};
+
+describe("formatFeedItemTitle", () => {
+  it("should describe votes and events", () => {
+    expect(formatFeedItemTitle(vote)).toBe("0x1234...7890 voted for Prop 42");
+    expect(
+      formatFeedItemTitle({
+        type: "event",
+        eventType: "candidate-created",
+        authorAccount: vote.authorAccount,
+        candidateId: "0xabc-my-idea",
+      }),
+    ).toBe("0x1234...7890 created the candidate “my-idea”");
+    expect(
+      formatFeedItemTitle({
+        type: "noun-delegation",
+        authorAccount: vote.authorAccount,
+        toAccount: vote.authorAccount,
+        nouns: ["1", "2"],
+      }),
+    ).toBe("0x1234...7890 delegated 2 Nouns to 0x1234...7890");
+  });
+});
+
+describe("buildEntries", () => {
+  it("should skip pending items and items without a timestamp", () => {
+    const entries = buildEntries(
+      [
+        vote,
+        { ...vote, id: "pending", isPending: true },
+        { ...vote, id: "x", timestamp: null },
+      ],
+      { baseUrl },
+    );
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({
+      id: `${baseUrl}/proposals/42#vote-1`,
+      url: `${baseUrl}/proposals/42`,
+      content: "<3 & more",
+    });
+  });
+});
+
+describe("documents", () => {
+  const entries = buildEntries([vote], { baseUrl });
+
+  it("should escape Atom content", () => {
+    const document = buildAtomDocument({ ...feed, entries });
+    expect(document).toContain("<updated>2024-01-02T00:00:00.000Z</updated>");
+    expect(document).toContain(
+      '<content type="text">&lt;3 &amp; more</content>',
+    );
+    expect(document).not.toContain("<3 &");
+  });
+
+  it("should strip control characters from Atom content", () => {
+    const document = buildAtomDocument({
+      ...feed,
+      title: "Prop\u0000 42\u001F",
+      entries: [],
+    });
+    expect(document).toContain("<title>Prop 42</title>");
+  });
+
+  it("should build JSON Feed items", () => {
+    const document = buildJsonFeedDocument({ ...feed, entries });
+    expect(document.version).toBe("https://jsonfeed.org/version/1.1");
+    expect(document.items[0]).toEqual({
+      id: `${baseUrl}/proposals/42#vote-1`,
+      url: `${baseUrl}/proposals/42`,
+      title: "0x1234...7890 voted for Prop 42",
+      content_text: "<3 & more",
+      date_published: "2024-01-02T00:00:00.000Z",
+      authors: [
+        {
+          name: vote.authorAccount,
+          url: `${baseUrl}/voters/${vote.authorAccount}`,
+        },
+      ],
+    });
+  });
+});
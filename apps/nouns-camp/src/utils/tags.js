@@ -0,0 +1,107 @@
+import { array as arrayUtils } from "@shades/common/utils";
+
+export const TAGS = [
+  { key: "funding", title: "Funding" },
+  { key: "governance-params", title: "Governance params" },
+  { key: "treasury-management", title: "Treasury management" },
+  { key: "art", title: "Art" },
+  { key: "community", title: "Community" },
+  { key: "events", title: "Events" },
+  { key: "infrastructure", title: "Infrastructure" },
+  { key: "public-goods", title: "Public goods" },
+  { key: "meta", title: "Meta" },
+];
+
+export const MAX_MANUAL_TAG_COUNT = 5;
+
+const tagsByKey = arrayUtils.indexBy((t) => t.key, TAGS);
+
+export const getTitle = (key) => tagsByKey[key]?.title ?? key;
+
+const TRANSACTION_TYPES_BY_TAG = {
+  funding: [
+    "transfer",
+    "weth-transfer",
+    "steth-transfer",
+    "token-transfer",
+    "usdc-transfer-via-payer",
+    "stream",
+    "usdc-stream-funding-via-payer",
+    "weth-stream-funding",
+    "token-stream-funding",
+  ],
+  "governance-params": [
+    "dao-parameter-change",
+    "auction-house-parameter-change",
+    "token-parameter-change",
+    "descriptor-parameter-change",
+  ],
+  "treasury-management": [
+    "weth-deposit",
+    "weth-approval",
+    "usdc-approval",
+    "payer-top-up",
+    "treasury-noun-transfer",
+    "escrow-noun-transfer",
+  ],
+};
+
+// Tags implied by the parsed actions of a proposal or candidate (see
+// `utils/transactions.js`)
+export const getSuggestedTags = (transactions) => {
+  const types = new Set((transactions ?? []).map((t) => t.type));
+  return Object.entries(TRANSACTION_TYPES_BY_TAG)
+    .filter(([, tagTypes]) => tagTypes.some((t) => types.has(t)))
+    .map(([tag]) => tag);
+};
+
+export const validateTags = (tags) => {
+  if (!Array.isArray(tags)) return ["Invalid tags"];
+  const errors = [];
+  if (tags.some((t) => tagsByKey[t] == null)) errors.push("Unknown tag");
+  if (new Set(tags).size !== tags.length) errors.push("Duplicate tags");
+  if (tags.length > MAX_MANUAL_TAG_COUNT)
+    errors.push(`At most ${MAX_MANUAL_TAG_COUNT} tags are allowed`);
+  return errors;
+};
+
+// The message an account signs to set its tags for a proposal or candidate.
+// Each account has one set of tags per item, which a new signature replaces.
+export const createTagsMessage = ({
+  address,
+  targetType,
+  targetId,
+  tags,
+  timestamp,
+}) =>
+  [
+    `Tag ${targetType} ${targetId} on Nouns Camp`,
+    "",
+    `Account: ${address.toLowerCase()}`,
+    `Tags: ${tags.length === 0 ? "(none)" : tags.join(", ")}`,
+    `Timestamp: ${new Date(timestamp).toISOString()}`,
+  ].join("\n");
+
+// Combines suggested tags with the ones set by the proposer and delegates.
+// `entriesByAccountId` maps accounts to their `{ tags }`. Returns tags in
+// vocabulary order, with where each came from.
+export const combineTags = ({
+  transactions,
+  proposerId,
+  entriesByAccountId = {},
+}) => {
+  const suggestedTags = getSuggestedTags(transactions);
+
+  return TAGS.map(({ key }) => {
+    const accountIds = Object.entries(entriesByAccountId)
+      .filter(([, entry]) => entry.tags.includes(key))
+      .map(([accountId]) => accountId);
+
+    const isSuggested = suggestedTags.includes(key);
+    const isSetByProposer = accountIds.includes(proposerId?.toLowerCase());
+
+    if (!isSuggested && accountIds.length === 0) return null;
+
+    return { key, isSuggested, isSetByProposer, accountIds };
+  }).filter(Boolean);
+};
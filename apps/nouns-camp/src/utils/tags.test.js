@@ -0,0 +1,87 @@
+import { describe, it, expect } from "vitest";
+import {
+  MAX_MANUAL_TAG_COUNT,
+  TAGS,
+  combineTags,
+  createTagsMessage,
+  getSuggestedTags,
+  validateTags,
+} from "./tags";
+
+const proposerId = "0x1111111111111111111111111111111111111111";
+const delegateId = "0x2222222222222222222222222222222222222222";
+
+describe("getSuggestedTags", () => {
+  it("should suggest tags from transaction types", () => {
+    expect(
+      getSuggestedTags([
+        { type: "stream" },
+        { type: "dao-parameter-change" },
+        { type: "function-call" },
+      ]),
+    ).toEqual(["funding", "governance-params"]);
+    expect(getSuggestedTags([{ type: "weth-deposit" }])).toEqual([
+      "treasury-management",
+    ]);
+    expect(getSuggestedTags(null)).toEqual([]);
+  });
+});
+
+describe("validateTags", () => {
+  it("should only allow a few known, unique tags", () => {
+    expect(validateTags(["art", "events"])).toEqual([]);
+    expect(validateTags(["nope"])).toHaveLength(1);
+    expect(validateTags(["art", "art"])).toHaveLength(1);
+    expect(
+      validateTags(TAGS.slice(0, MAX_MANUAL_TAG_COUNT + 1).map((t) => t.key)),
+    ).toHaveLength(1);
+    expect(validateTags("art")).toHaveLength(1);
+  });
+});
+
+describe("createTagsMessage", () => {
+  it("should describe the change", () => {
+    const message = createTagsMessage({
+      address: proposerId,
+      targetType: "proposal",
+      targetId: "123",
+      tags: [],
+      timestamp: 0,
+    });
+    expect(message.split("\n")[0]).toBe("Tag proposal 123 on Nouns Camp");
+    expect(message).toContain("Tags: (none)");
+  });
+});
+
+describe("combineTags", () => {
+  it("should merge suggested and manual tags", () => {
+    const tags = combineTags({
+      transactions: [{ type: "transfer" }],
+      proposerId,
+      entriesByAccountId: {
+        [proposerId]: { tags: ["art", "funding"] },
+        [delegateId]: { tags: ["art", "community"] },
+      },
+    });
+    expect(tags).toEqual([
+      {
+        key: "funding",
+        isSuggested: true,
+        isSetByProposer: true,
+        accountIds: [proposerId],
+      },
+      {
+        key: "art",
+        isSuggested: false,
+        isSetByProposer: true,
+        accountIds: [proposerId, delegateId],
+      },
+      {
+        key: "community",
+        isSuggested: false,
+        isSetByProposer: false,
+        accountIds: [delegateId],
+      },
+    ]);
+  });
+});
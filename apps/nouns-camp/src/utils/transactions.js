@@ -13,13 +13,9 @@ import {
   object as objectUtils,
   ethereum as ethereumUtils,
 } from "@shades/common/utils";
-import { resolveAddress, resolveIdentifier } from "@/contracts";
-
-const decimalsByCurrency = {
-  eth: 18,
-  weth: 18,
-  usdc: 6,
-};
+import { resolveIdentifier, resolveAddress } from "@/contracts";
+import { getTokens, resolveCurrency, resolveTokenAddress } from "@/tokens";
+import { resolveSetter, getSetterValue } from "@/governance-parameters";
 
 export const createSignature = ({ functionName, inputTypes }) => {
   const stringifyTuple = ({ components }) =>
@@ -115,7 +111,7 @@ export const parse = (data) => {
 
     if (signature === CREATE_STREAM_SIGNATURE) {
       const tokenContractAddress = functionInputs[2].toLowerCase();
-      const tokenContract = resolveAddress(tokenContractAddress);
+      const token = resolveTokenAddress(tokenContractAddress);
       return {
         type: "stream",
         target,
@@ -123,7 +119,8 @@ export const parse = (data) => {
         functionInputs,
         functionInputTypes,
         receiverAddress: functionInputs[0].toLowerCase(),
-        token: tokenContract?.token,
+        token: token?.symbol,
+        currency: token?.currency,
         tokenAmount: functionInputs[1],
         tokenContractAddress,
         startDate: new Date(Number(functionInputs[3]) * 1000),
@@ -190,6 +187,28 @@ export const parse = (data) => {
       };
     }
 
+    if (signature === "transfer(address,uint256)") {
+      const token = resolveTokenAddress(target);
+
+      if (token != null) {
+        const receiverAddress = functionInputs[0].toLowerCase();
+        const isStreamFunding = predictedStreamContractAddresses.some(
+          (a) => a === receiverAddress,
+        );
+
+        return {
+          type: isStreamFunding ? "token-stream-funding" : "token-transfer",
+          target,
+          functionName,
+          functionInputs,
+          functionInputTypes,
+          receiverAddress: functionInputs[0],
+          currency: token.currency,
+          tokenAmount: BigInt(functionInputs[1]),
+        };
+      }
+    }
+
     if (
       target === usdcTokenContract.address &&
       signature === "approve(address,uint256)"
@@ -261,6 +280,24 @@ export const parse = (data) => {
       };
     }
 
+    const parameterSetter =
+      value > 0
+        ? null
+        : resolveSetter(resolveAddress(target)?.identifier, functionName);
+
+    if (parameterSetter != null)
+      return {
+        type: parameterSetter.transactionType,
+        target,
+        functionName,
+        functionInputs,
+        functionInputTypes,
+        parameter: parameterSetter.parameter,
+        change: parameterSetter.change,
+        // Not `value`, as that’s reserved for the ETH value of the call
+        parameterValue: getSetterValue(parameterSetter, functionInputs),
+      };
+
     if (value > 0)
       return {
         type: "payable-function-call",
@@ -361,10 +398,22 @@ export const unparse = (transactions) => {
             ),
           });
 
+        case "token-transfer":
+        case "token-stream-funding":
+          return append({
+            target: t.target ?? resolveCurrency(t.currency).address,
+            value: "0",
+            signature: "transfer(address,uint256)",
+            calldata: encodeAbiParameters(
+              [{ type: "address" }, { type: "uint256" }],
+              [t.receiverAddress, t.tokenAmount],
+            ),
+          });
+
         case "stream": {
-          const tokenContract = resolveIdentifier(
-            `${t.token.toLowerCase()}-token`,
-          );
+          const tokenContractAddress =
+            t.tokenContractAddress ??
+            resolveCurrency(t.currency ?? t.token).address;
           return append({
             target: nounsStreamFactoryContract.address,
             value: "0",
@@ -382,7 +431,7 @@ export const unparse = (transactions) => {
               [
                 t.receiverAddress,
                 t.tokenAmount,
-                tokenContract.address,
+                tokenContractAddress,
                 t.startDate.getTime() / 1000,
                 t.endDate.getTime() / 1000,
                 0,
@@ -444,7 +493,11 @@ export const unparse = (transactions) => {
 
         case "function-call":
         case "payable-function-call":
-        case "weth-approval": {
+        case "weth-approval":
+        case "dao-parameter-change":
+        case "auction-house-parameter-change":
+        case "token-parameter-change":
+        case "descriptor-parameter-change": {
           const signature = createSignature({
             functionName: t.functionName,
             inputTypes: t.functionInputTypes,
@@ -504,6 +557,18 @@ export const extractAmounts = (parsedTransactions) => {
       t.type === "usdc-stream-funding-via-payer",
   );
 
+  const tokenAmountsByCurrency = parsedTransactions
+    .filter(
+      (t) => t.type === "token-transfer" || t.type === "token-stream-funding",
+    )
+    .reduce(
+      (amounts, t) => ({
+        ...amounts,
+        [t.currency]: (amounts[t.currency] ?? BigInt(0)) + t.tokenAmount,
+      }),
+      {},
+    );
+
   const treasuryNounTransferNounIds = parsedTransactions
     .filter((t) => t.type === "treasury-noun-transfer")
     .map((t) => t.nounId);
@@ -526,14 +591,22 @@ export const extractAmounts = (parsedTransactions) => {
 
   const usdcAmount = usdcTransfers.reduce(
     (sum, t) => sum + t.usdcAmount,
-    BigInt(0),
+    tokenAmountsByCurrency["usdc"] ?? BigInt(0),
   );
 
+  const otherTokenAmounts = getTokens()
+    .filter((t) => !["eth", "weth", "steth", "usdc"].includes(t.currency))
+    .map((t) => ({
+      currency: t.currency,
+      amount: tokenAmountsByCurrency[t.currency] ?? BigInt(0),
+    }));
+
   return [
     { currency: "eth", amount: ethAmount },
     { currency: "weth", amount: wethAmount },
     { currency: "steth", amount: stEthAmount },
     { currency: "usdc", amount: usdcAmount },
+    ...otherTokenAmounts,
     {
       currency: "nouns",
       tokens: [...treasuryNounTransferNounIds, ...escrowNounTransferNounIds],
@@ -541,6 +614,12 @@ export const extractAmounts = (parsedTransactions) => {
   ].filter((e) => e.amount > 0 || e.tokens?.length > 0);
 };
 
+// USDC payment actions resolve to Payer calls, so direct USDC transfers are
+// kept as custom transactions, to not change what they do when edited
+const isDirectUsdcTransfer = (t) =>
+  ["token-transfer", "token-stream-funding"].includes(t.type) &&
+  t.currency === "usdc";
+
 export const buildActions = (transactions) => {
   const getTransactionIndex = (t) => transactions.findIndex((t_) => t_ === t);
 
@@ -568,7 +647,10 @@ export const buildActions = (transactions) => {
         type: "streaming-payment",
         target: streamTx.receiverAddress,
         currency: "usdc",
-        amount: formatUnits(streamTx.tokenAmount, decimalsByCurrency["usdc"]),
+        amount: formatUnits(
+          streamTx.tokenAmount,
+          resolveCurrency("usdc").decimals,
+        ),
         startTimestamp: streamTx.startDate.getTime(),
         endTimestamp: streamTx.endDate.getTime(),
         predictedStreamContractAddress: streamTx.streamContractAddress,
@@ -578,6 +660,36 @@ export const buildActions = (transactions) => {
       };
     }
 
+    const tokenFundingTx = transactionsLeft.find(
+      (t) =>
+        t.type === "token-stream-funding" &&
+        !isDirectUsdcTransfer(t) &&
+        t.receiverAddress.toLowerCase() ===
+          streamTx.streamContractAddress.toLowerCase(),
+    );
+
+    if (tokenFundingTx != null) {
+      transactionsLeft = transactionsLeft.filter(
+        (t) => t !== streamTx && t !== tokenFundingTx,
+      );
+
+      return {
+        type: "streaming-payment",
+        target: streamTx.receiverAddress,
+        currency: tokenFundingTx.currency,
+        amount: formatUnits(
+          streamTx.tokenAmount,
+          resolveCurrency(tokenFundingTx.currency).decimals,
+        ),
+        startTimestamp: streamTx.startDate.getTime(),
+        endTimestamp: streamTx.endDate.getTime(),
+        predictedStreamContractAddress: streamTx.streamContractAddress,
+        firstTransactionIndex: Math.min(
+          ...[streamTx, tokenFundingTx].map(getTransactionIndex),
+        ),
+      };
+    }
+
     const wethFundingTx = transactionsLeft.find(
       (t) =>
         t.type === "weth-stream-funding" &&
@@ -603,7 +715,10 @@ export const buildActions = (transactions) => {
       type: "streaming-payment",
       target: streamTx.receiverAddress,
       currency: "weth",
-      amount: formatUnits(streamTx.tokenAmount, decimalsByCurrency["weth"]),
+      amount: formatUnits(
+        streamTx.tokenAmount,
+        resolveCurrency("weth").decimals,
+      ),
       startTimestamp: streamTx.startDate.getTime(),
       endTimestamp: streamTx.endDate.getTime(),
       predictedStreamContractAddress: streamTx.streamContractAddress,
@@ -639,12 +754,42 @@ export const buildActions = (transactions) => {
         currency: "usdc",
         amount: formatUnits(
           usdcTransferTx.usdcAmount,
-          decimalsByCurrency["usdc"],
+          resolveCurrency("usdc").decimals,
         ),
         firstTransactionIndex: getTransactionIndex(usdcTransferTx),
       };
     }
 
+    const tokenTransferTx = transactionsLeft.find(
+      (t) =>
+        ["token-transfer", "weth-transfer", "steth-transfer"].includes(
+          t.type,
+        ) && !isDirectUsdcTransfer(t),
+    );
+
+    if (tokenTransferTx != null) {
+      transactionsLeft = transactionsLeft.filter((t) => t !== tokenTransferTx);
+
+      const [currency, amount] = (() => {
+        switch (tokenTransferTx.type) {
+          case "weth-transfer":
+            return ["weth", tokenTransferTx.wethAmount];
+          case "steth-transfer":
+            return ["steth", tokenTransferTx.stethAmount];
+          default:
+            return [tokenTransferTx.currency, tokenTransferTx.tokenAmount];
+        }
+      })();
+
+      return {
+        type: "one-time-payment",
+        target: tokenTransferTx.receiverAddress.toLowerCase(),
+        currency,
+        amount: formatUnits(amount, resolveCurrency(currency).decimals),
+        firstTransactionIndex: getTransactionIndex(tokenTransferTx),
+      };
+    }
+
     return null;
   };
 
@@ -749,17 +894,36 @@ export const resolveAction = (a) => {
               },
             ];
 
-          default:
-            throw new Error();
+          default: {
+            const token = resolveCurrency(a.currency);
+            if (token == null)
+              throw new Error(`Unsupported currency "${a.currency}"`);
+            return [
+              {
+                type: "token-transfer",
+                currency: token.currency,
+                receiverAddress: a.target,
+                tokenAmount: parseUnits(a.amount, token.decimals),
+              },
+            ];
+          }
         }
       }
 
       case "streaming-payment": {
+        const token = resolveCurrency(a.currency);
+
+        if (token == null || !token.streamable)
+          throw new Error(`Unsupported stream currency "${a.currency}"`);
+
+        const tokenAmount = parseUnits(a.amount, token.decimals);
+
         const createStreamTransaction = {
           type: "stream",
           receiverAddress: a.target,
-          token: a.currency.toUpperCase(),
-          tokenAmount: parseUnits(a.amount, decimalsByCurrency[a.currency]),
+          token: token.symbol,
+          currency: token.currency,
+          tokenAmount,
           startDate: new Date(a.startTimestamp),
           endDate: new Date(a.endTimestamp),
           streamContractAddress: a.predictedStreamContractAddress,
@@ -771,12 +935,12 @@ export const resolveAction = (a) => {
               createStreamTransaction,
               {
                 type: "weth-deposit",
-                value: parseUnits(a.amount, decimalsByCurrency.eth),
+                value: tokenAmount,
               },
               {
                 type: "weth-stream-funding",
                 receiverAddress: a.predictedStreamContractAddress,
-                wethAmount: parseUnits(a.amount, decimalsByCurrency.weth),
+                wethAmount: tokenAmount,
               },
             ];
 
@@ -786,12 +950,20 @@ export const resolveAction = (a) => {
               {
                 type: "usdc-stream-funding-via-payer",
                 receiverAddress: a.predictedStreamContractAddress,
-                usdcAmount: parseUnits(a.amount, decimalsByCurrency.usdc),
+                usdcAmount: tokenAmount,
               },
             ];
 
           default:
-            throw new Error();
+            return [
+              createStreamTransaction,
+              {
+                type: "token-stream-funding",
+                currency: token.currency,
+                receiverAddress: a.predictedStreamContractAddress,
+                tokenAmount,
+              },
+            ];
         }
       }
 
@@ -0,0 +1,238 @@
+import { describe, it, expect, vi } from "vitest";
+import { encodeAbiParameters, parseAbiItem, parseUnits } from "viem";
+import { resolveIdentifier } from "@/contracts";
+import { getNextValue } from "@/governance-parameters";
+import {
+  parse,
+  unparse,
+  extractAmounts,
+  buildActions,
+  resolveAction,
+} from "./transactions";
+
+vi.mock("@/constants/env", () => ({ CHAIN_ID: 1 }));
+
+const receiverAddress = "0x0000000000000000000000000000000000000001";
+const streamAddress = "0x0000000000000000000000000000000000000002";
+
+const roundTrip = (action) => buildActions(resolveAction(action));
+
+describe("one-time payments", () => {
+  it("should resolve arbitrary registry tokens to token transfers", () => {
+    const [transaction] = resolveAction({
+      type: "one-time-payment",
+      target: receiverAddress,
+      currency: "wsteth",
+      amount: "1.5",
+    });
+    expect(transaction).toMatchObject({
+      type: "token-transfer",
+      target: resolveIdentifier("wsteth-token").address,
+      currency: "wsteth",
+      tokenAmount: parseUnits("1.5", 18),
+    });
+  });
+
+  it("should build back the original action", () => {
+    for (const currency of ["eth", "usdc", "weth", "steth", "reth", "$nouns"]) {
+      const action = {
+        type: "one-time-payment",
+        target: receiverAddress,
+        currency,
+        amount: "12.5",
+      };
+      expect(roundTrip(action)).toEqual([
+        { ...action, firstTransactionIndex: 0 },
+      ]);
+    }
+  });
+
+  it("should keep direct USDC transfers as is", () => {
+    const rawTransactions = unparse([
+      {
+        type: "token-transfer",
+        currency: "usdc",
+        receiverAddress,
+        tokenAmount: 5n,
+      },
+    ]);
+    const actions = buildActions(parse(rawTransactions));
+    expect(actions).toMatchObject([
+      {
+        type: "custom-transaction",
+        contractCallTarget: resolveIdentifier("usdc-token").address,
+        contractCallSignature: "transfer(address,uint256)",
+      },
+    ]);
+    expect(unparse(resolveAction(actions[0]))).toEqual(rawTransactions);
+  });
+
+  it("should reject unknown currencies", () => {
+    expect(() =>
+      resolveAction({
+        type: "one-time-payment",
+        target: receiverAddress,
+        currency: "doge",
+        amount: "1",
+      }),
+    ).toThrow();
+  });
+});
+
+describe("streaming payments", () => {
+  const action = {
+    type: "streaming-payment",
+    target: receiverAddress,
+    currency: "$nouns",
+    amount: "1000",
+    startTimestamp: new Date("2024-01-01").getTime(),
+    endTimestamp: new Date("2025-01-01").getTime(),
+    predictedStreamContractAddress: streamAddress,
+  };
+
+  it("should fund streams with a plain token transfer", () => {
+    const transactions = resolveAction(action);
+    expect(transactions.map((t) => t.type)).toEqual([
+      "stream",
+      "token-stream-funding",
+    ]);
+    expect(transactions[0]).toMatchObject({
+      token: "$nouns",
+      currency: "$nouns",
+      tokenContractAddress: resolveIdentifier("$nouns-token").address,
+    });
+  });
+
+  it("should build back the original action", () => {
+    expect(roundTrip(action)).toEqual([
+      { ...action, firstTransactionIndex: 0 },
+    ]);
+  });
+
+  it("should not stream rebasing tokens", () => {
+    expect(() => resolveAction({ ...action, currency: "steth" })).toThrow();
+  });
+});
+
+describe("extractAmounts", () => {
+  it("should sum amounts per token", () => {
+    const transactions = parse(
+      unparse([
+        {
+          type: "token-transfer",
+          currency: "reth",
+          receiverAddress,
+          tokenAmount: 2n,
+        },
+        {
+          type: "token-transfer",
+          currency: "reth",
+          receiverAddress,
+          tokenAmount: 3n,
+        },
+        {
+          type: "token-transfer",
+          currency: "usdc",
+          receiverAddress,
+          tokenAmount: 4n,
+        },
+        {
+          type: "usdc-transfer-via-payer",
+          receiverAddress,
+          usdcAmount: 5n,
+        },
+      ]),
+    );
+    expect(extractAmounts(transactions)).toEqual([
+      { currency: "usdc", amount: 9n },
+      { currency: "reth", amount: 5n },
+    ]);
+  });
+});
+
+describe("governance parameter changes", () => {
+  const daoAddress = resolveIdentifier("dao").address;
+  const descriptorAddress = resolveIdentifier("descriptor").address;
+
+  const parseCall = ({ target, signature, args = [] }) => {
+    const { inputs } = parseAbiItem(`function ${signature}`);
+    const [transaction] = parse({
+      targets: [target],
+      signatures: [signature],
+      calldatas: [encodeAbiParameters(inputs, args)],
+      values: ["0"],
+    });
+    return transaction;
+  };
+
+  it("should parse DAO setters", () => {
+    expect(
+      parseCall({
+        target: daoAddress,
+        signature: "_setVotingDelay(uint256)",
+        args: [7200n],
+      }),
+    ).toMatchObject({
+      type: "dao-parameter-change",
+      parameter: "voting-delay",
+      change: "set",
+      parameterValue: 7200n,
+    });
+  });
+
+  it("should parse multi-value setters", () => {
+    expect(
+      parseCall({
+        target: daoAddress,
+        signature: "_setDynamicQuorumParams(uint16,uint16,uint32)",
+        args: [1000, 1500, 1_000_000],
+      }).parameterValue,
+    ).toEqual({
+      minQuorumVotesBPS: 1000,
+      maxQuorumVotesBPS: 1500,
+      quorumCoefficient: 1_000_000,
+    });
+  });
+
+  it("should parse art additions as increments", () => {
+    const transaction = parseCall({
+      target: descriptorAddress,
+      signature: "addHeads(bytes,uint80,uint16)",
+      args: ["0x00", 100n, 12],
+    });
+    expect(transaction).toMatchObject({
+      type: "descriptor-parameter-change",
+      parameter: "head-count",
+      change: "increment",
+      parameterValue: 12,
+    });
+    expect(getNextValue({ change: "increment", value: 12 }, 240n)).toBe(252);
+  });
+
+  it("should leave setters on other contracts alone", () => {
+    expect(
+      parseCall({
+        target: receiverAddress,
+        signature: "_setVotingDelay(uint256)",
+        args: [7200n],
+      }).type,
+    ).toBe("function-call");
+  });
+
+  it("should unparse to the original calldata", () => {
+    const data = unparse([
+      parseCall({
+        target: daoAddress,
+        signature: "_setForkPeriod(uint256)",
+        args: [604800n],
+      }),
+    ]);
+    expect(data).toEqual({
+      targets: [daoAddress],
+      values: ["0"],
+      signatures: ["_setForkPeriod(uint256)"],
+      calldatas: [encodeAbiParameters([{ type: "uint256" }], [604800n])],
+    });
+    expect(extractAmounts(parse(data))).toEqual([]);
+  });
+});
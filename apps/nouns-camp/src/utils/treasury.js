@@ -0,0 +1,110 @@
+export const BLOCK_TIME_IN_SECONDS = 12;
+
+// Timestamps are unix seconds, months are calendar months in UTC
+
+// Returns the first second of each of the last `count` months, oldest first.
+// The current (ongoing) month is included last.
+export const getMonthStartTimestamps = ({ count, timestamp }) => {
+  const date = new Date(timestamp * 1000);
+  return Array.from(
+    { length: count },
+    (_, i) =>
+      Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - (count - 1 - i), 1) /
+      1000,
+  );
+};
+
+// Block times have been a steady 12s since the merge, which is good enough for
+// sampling, but not for anything exact
+export const estimateBlockNumber = (
+  timestamp,
+  { blockNumber: referenceBlockNumber, timestamp: referenceTimestamp },
+) => {
+  const blockCount = Math.floor(
+    (referenceTimestamp - timestamp) / BLOCK_TIME_IN_SECONDS,
+  );
+  const blockNumber = referenceBlockNumber - BigInt(blockCount);
+  if (blockNumber < 0n) return 0n;
+  if (blockNumber > referenceBlockNumber) return referenceBlockNumber;
+  return blockNumber;
+};
+
+// Sums the amounts (and concatenates the tokens) of `extractAmounts` results
+export const sumAssets = (...assetLists) =>
+  assetLists.flat().reduce((assets, asset) => {
+    const existingAsset = assets.find((a) => a.currency === asset.currency);
+    if (existingAsset == null) return [...assets, asset];
+    const mergedAsset =
+      asset.tokens != null
+        ? {
+            ...existingAsset,
+            tokens: [...existingAsset.tokens, ...asset.tokens],
+          }
+        : { ...existingAsset, amount: existingAsset.amount + asset.amount };
+    return assets.map((a) => (a === existingAsset ? mergedAsset : a));
+  }, []);
+
+// Buckets `{ timestamp, assets }` items into the given month start timestamps.
+// Items before the first month are dropped.
+export const groupAssetsByMonth = (items, { monthStartTimestamps }) =>
+  monthStartTimestamps.map((timestamp, i) => {
+    const nextTimestamp = monthStartTimestamps[i + 1] ?? Infinity;
+    const monthItems = items.filter(
+      (item) => item.timestamp >= timestamp && item.timestamp < nextTimestamp,
+    );
+    return {
+      timestamp,
+      ids: monthItems.map((item) => item.id),
+      assets: sumAssets(...monthItems.map((item) => item.assets)),
+    };
+  });
+
+// Converts a list of assets to an ETH denominated sum. ETH derivatives are
+// treated as 1:1 with ETH, except rETH which has a price feed. Nouns, and
+// tokens without a rate, are left out.
+export const getEthValue = (assets, { rates }) =>
+  assets.reduce((sum, { currency, amount }) => {
+    switch (currency) {
+      case "eth":
+      case "weth":
+      case "steth":
+      case "wsteth":
+        return sum + amount;
+      case "reth":
+        return sum + (amount * rates.rethEth) / 10n ** 18n;
+      case "usdc":
+        return sum + (amount * rates.usdcEth) / 10n ** 6n;
+      default:
+        return sum;
+    }
+  }, BigInt(0));
+
+export const getAverage = (amounts) => {
+  if (amounts.length === 0) return BigInt(0);
+  return (
+    amounts.reduce((sum, amount) => sum + amount, BigInt(0)) /
+    BigInt(amounts.length)
+  );
+};
+
+// Projects the balance forward one month at a time, assuming a constant
+// monthly spend and no inflows. `monthCount` is the number of whole months the
+// balance lasts, or `null` if it outlasts `maxMonthCount` (e.g. no spend).
+export const projectRunway = ({
+  balance,
+  monthlySpend,
+  maxMonthCount = 60,
+}) => {
+  const balances = [balance];
+
+  for (let i = 0; i < maxMonthCount; i++) {
+    const nextBalance = balances[i] - monthlySpend;
+    if (nextBalance < 0n) {
+      balances.push(BigInt(0));
+      return { monthCount: i, balances };
+    }
+    balances.push(nextBalance);
+  }
+
+  return { monthCount: null, balances };
+};
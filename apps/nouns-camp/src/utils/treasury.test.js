@@ -0,0 +1,119 @@
+import { describe, it, expect } from "vitest";
+import {
+  estimateBlockNumber,
+  getMonthStartTimestamps,
+  groupAssetsByMonth,
+  getEthValue,
+  projectRunway,
+} from "./treasury";
+
+const toTimestamp = (dateString) => Date.parse(dateString) / 1000;
+
+describe("getMonthStartTimestamps", () => {
+  it("should return month starts up to and including the current month", () => {
+    expect(
+      getMonthStartTimestamps({
+        count: 3,
+        timestamp: toTimestamp("2024-02-15T12:00:00Z"),
+      }),
+    ).toEqual([
+      toTimestamp("2023-12-01T00:00:00Z"),
+      toTimestamp("2024-01-01T00:00:00Z"),
+      toTimestamp("2024-02-01T00:00:00Z"),
+    ]);
+  });
+});
+
+describe("estimateBlockNumber", () => {
+  const referenceBlock = { blockNumber: 1000n, timestamp: 12_000 };
+
+  it("should count back in 12 second blocks", () => {
+    expect(estimateBlockNumber(11_880, referenceBlock)).toBe(990n);
+  });
+
+  it("should clamp to the block range", () => {
+    expect(estimateBlockNumber(0, referenceBlock)).toBe(0n);
+    expect(estimateBlockNumber(20_000, referenceBlock)).toBe(1000n);
+  });
+});
+
+describe("groupAssetsByMonth", () => {
+  it("should sum assets executed within each month", () => {
+    const monthStartTimestamps = [
+      toTimestamp("2024-01-01T00:00:00Z"),
+      toTimestamp("2024-02-01T00:00:00Z"),
+    ];
+    const items = [
+      {
+        id: "1",
+        timestamp: toTimestamp("2023-12-31T00:00:00Z"),
+        assets: [{ currency: "eth", amount: 1n }],
+      },
+      {
+        id: "2",
+        timestamp: toTimestamp("2024-01-10T00:00:00Z"),
+        assets: [
+          { currency: "eth", amount: 2n },
+          { currency: "nouns", tokens: ["1"] },
+        ],
+      },
+      {
+        id: "3",
+        timestamp: toTimestamp("2024-01-20T00:00:00Z"),
+        assets: [
+          { currency: "eth", amount: 3n },
+          { currency: "usdc", amount: 4n },
+          { currency: "nouns", tokens: ["2"] },
+        ],
+      },
+    ];
+    expect(groupAssetsByMonth(items, { monthStartTimestamps })).toEqual([
+      {
+        timestamp: monthStartTimestamps[0],
+        ids: ["2", "3"],
+        assets: [
+          { currency: "eth", amount: 5n },
+          { currency: "nouns", tokens: ["1", "2"] },
+          { currency: "usdc", amount: 4n },
+        ],
+      },
+      { timestamp: monthStartTimestamps[1], ids: [], assets: [] },
+    ]);
+  });
+});
+
+describe("getEthValue", () => {
+  it("should convert assets using the given rates", () => {
+    const rates = { rethEth: 2n * 10n ** 18n, usdcEth: 10n ** 15n };
+    expect(
+      getEthValue(
+        [
+          { currency: "eth", amount: 1n * 10n ** 18n },
+          { currency: "reth", amount: 1n * 10n ** 18n },
+          { currency: "usdc", amount: 1000n * 10n ** 6n },
+          { currency: "nouns", tokens: ["1"] },
+        ],
+        { rates },
+      ),
+    ).toBe(4n * 10n ** 18n);
+  });
+});
+
+describe("projectRunway", () => {
+  it("should count the months until the balance runs out", () => {
+    expect(projectRunway({ balance: 100n, monthlySpend: 40n })).toEqual({
+      monthCount: 2,
+      balances: [100n, 60n, 20n, 0n],
+    });
+  });
+
+  it("should cap the projection when spend is zero", () => {
+    const { monthCount, balances } = projectRunway({
+      balance: 100n,
+      monthlySpend: 0n,
+      maxMonthCount: 3,
+    });
+    expect(monthCount).toBe(null);
+    expect(balances).toEqual([100n, 100n, 100n, 100n]);
+  });
+});
@@ -0,0 +1,75 @@
+import { isAddress } from "viem";
+import { array as arrayUtils } from "@shades/common/utils";
+import { getAgreementMatrix } from "@/utils/delegate-analytics";
+
+export const MIN_ACCOUNT_COUNT = 2;
+export const MAX_ACCOUNT_COUNT = 4;
+
+// Compare screen urls list accounts comma separated, e.g.
+// `/voters/compare?accounts=0x...,0x...`
+export const parseAccountsParam = (param) =>
+  arrayUtils
+    .unique((param ?? "").split(",").map((s) => s.trim().toLowerCase()))
+    .filter((s) => isAddress(s))
+    .slice(0, MAX_ACCOUNT_COUNT);
+
+export const buildCompareHref = (accountAddresses) => {
+  const addresses = arrayUtils
+    .unique(accountAddresses.filter(Boolean).map((a) => a.toLowerCase()))
+    .slice(0, MAX_ACCOUNT_COUNT);
+  return `/voters/compare?accounts=${addresses.join(",")}`;
+};
+
+// Lines up votes on proposals at least two of the accounts voted on, newest
+// first. Rows where they didn’t all vote the same way are disagreements.
+export const alignVotes = (accountIds, votesByAccountId) => {
+  const votesByProposalId = {};
+
+  for (const accountId of accountIds)
+    for (const vote of votesByAccountId[accountId] ?? []) {
+      votesByProposalId[vote.proposalId] ??= {};
+      votesByProposalId[vote.proposalId][accountId] = vote;
+    }
+
+  const rows = Object.entries(votesByProposalId)
+    .filter(([, votes]) => Object.keys(votes).length >= 2)
+    .map(([proposalId, votes]) => {
+      const supports = new Set(Object.values(votes).map((v) => v.support));
+      return {
+        proposalId,
+        votesByAccountId: votes,
+        isDisagreement: supports.size > 1,
+      };
+    });
+
+  return arrayUtils.sortBy(
+    { value: (r) => Number(r.proposalId), order: "desc" },
+    rows,
+  );
+};
+
+// Agreement for every pair of accounts, together with how many of the lined
+// up proposals all accounts voted on, and on how many they all agreed
+export const getOverlapStats = (accountIds, votesByAccountId) => {
+  const matrix = getAgreementMatrix(accountIds, votesByAccountId);
+
+  const pairs = [];
+  for (let i = 0; i < accountIds.length; i++)
+    for (let j = i + 1; j < accountIds.length; j++)
+      pairs.push({
+        accountIds: [accountIds[i], accountIds[j]],
+        ...matrix[i][j],
+      });
+
+  const rows = alignVotes(accountIds, votesByAccountId);
+  const fullRows = rows.filter(
+    (r) => Object.keys(r.votesByAccountId).length === accountIds.length,
+  );
+
+  return {
+    pairs,
+    sharedCount: rows.length,
+    allVotedCount: fullRows.length,
+    unanimousCount: fullRows.filter((r) => !r.isDisagreement).length,
+  };
+};
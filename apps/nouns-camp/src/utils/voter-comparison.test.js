@@ -0,0 +1,66 @@
+import { describe, it, expect } from "vitest";
+import {
+  alignVotes,
+  buildCompareHref,
+  getOverlapStats,
+  parseAccountsParam,
+} from "./voter-comparison";
+
+const a = "0x1111111111111111111111111111111111111111";
+const b = "0x2222222222222222222222222222222222222222";
+const c = "0x3333333333333333333333333333333333333333";
+
+const vote = (proposalId, support, reason) => ({
+  proposalId,
+  support,
+  reason,
+});
+
+const votesByAccountId = {
+  [a]: [vote("1", 1), vote("2", 0, "Too expensive"), vote("3", 1)],
+  [b]: [vote("1", 1), vote("2", 1, "Great team")],
+  [c]: [vote("1", 1), vote("4", 2)],
+};
+
+describe("accounts param", () => {
+  it("should keep up to four unique addresses", () => {
+    expect(
+      parseAccountsParam(
+        `${a.toUpperCase().replace("0X", "0x")},${a}, nope,${b},${c},0x4444444444444444444444444444444444444444,0x5555555555555555555555555555555555555555`,
+      ),
+    ).toEqual([a, b, c, "0x4444444444444444444444444444444444444444"]);
+    expect(parseAccountsParam(null)).toEqual([]);
+  });
+
+  it("should build hrefs", () => {
+    expect(buildCompareHref([a, null, b, a])).toBe(
+      `/voters/compare?accounts=${a},${b}`,
+    );
+  });
+});
+
+describe("alignVotes", () => {
+  it("should line up proposals voted on by at least two accounts", () => {
+    const rows = alignVotes([a, b, c], votesByAccountId);
+    expect(rows.map((r) => r.proposalId)).toEqual(["2", "1"]);
+    expect(rows[0].isDisagreement).toBe(true);
+    expect(rows[0].votesByAccountId[b].reason).toBe("Great team");
+    expect(rows[1].isDisagreement).toBe(false);
+  });
+});
+
+describe("getOverlapStats", () => {
+  it("should summarize pairs and full overlap", () => {
+    const stats = getOverlapStats([a, b, c], votesByAccountId);
+    expect(stats.pairs.map((p) => [p.accountIds, p.rate])).toEqual([
+      [[a, b], 0.5],
+      [[a, c], 1],
+      [[b, c], 1],
+    ]);
+    expect(stats).toMatchObject({
+      sharedCount: 2,
+      allVotedCount: 1,
+      unanimousCount: 1,
+    });
+  });
+});
@@ -0,0 +1,105 @@
+import {
+  createCipheriv,
+  createECDH,
+  createPrivateKey,
+  hkdfSync,
+  randomBytes,
+  sign,
+} from "node:crypto";
+
+// Just enough of the Web Push protocol to send notifications: VAPID (RFC
+// 8292) for authenticating with push services, and "aes128gcm" payload
+// encryption (RFC 8188, RFC 8291). Keys are base64url encoded, as handed out
+// by `PushSubscription.toJSON()`.
+
+const RECORD_SIZE = 4096;
+
+// Push services cap messages at 4 KB, which has to fit the 86 byte header, the
+// 16 byte auth tag, and the padding delimiter
+export const MAX_PAYLOAD_SIZE = RECORD_SIZE - 86 - 16 - 1;
+
+const decode = (string) => Buffer.from(string, "base64url");
+const encode = (buffer) => Buffer.from(buffer).toString("base64url");
+
+const hkdf = (ikm, salt, info, length) =>
+  Buffer.from(hkdfSync("sha256", ikm, salt, info, length));
+
+export const createVapidAuthorizationHeader = ({
+  endpoint,
+  publicKey,
+  privateKey,
+  subject,
+  expiresAt,
+}) => {
+  // Uncompressed P-256 points are 0x04 || x || y
+  const rawPublicKey = decode(publicKey);
+  const key = createPrivateKey({
+    key: {
+      kty: "EC",
+      crv: "P-256",
+      d: privateKey,
+      x: encode(rawPublicKey.subarray(1, 33)),
+      y: encode(rawPublicKey.subarray(33, 65)),
+    },
+    format: "jwk",
+  });
+
+  const header = encode(JSON.stringify({ typ: "JWT", alg: "ES256" }));
+  const claims = encode(
+    JSON.stringify({
+      aud: new URL(endpoint).origin,
+      exp: Math.floor(expiresAt.getTime() / 1000),
+      sub: subject,
+    }),
+  );
+  const signature = sign("sha256", Buffer.from(`${header}.${claims}`), {
+    key,
+    dsaEncoding: "ieee-p1363",
+  });
+
+  return `vapid t=${header}.${claims}.${encode(signature)}, k=${publicKey}`;
+};
+
+export const encryptPayload = (payload, { p256dh, auth }) => {
+  const userAgentPublicKey = decode(p256dh);
+  const ecdh = createECDH("prime256v1");
+  const applicationServerPublicKey = ecdh.generateKeys();
+  const sharedSecret = ecdh.computeSecret(userAgentPublicKey);
+  const salt = randomBytes(16);
+
+  const ikm = hkdf(
+    sharedSecret,
+    decode(auth),
+    Buffer.concat([
+      Buffer.from("WebPush: info\0"),
+      userAgentPublicKey,
+      applicationServerPublicKey,
+    ]),
+    32,
+  );
+  const contentEncryptionKey = hkdf(
+    ikm,
+    salt,
+    Buffer.from("Content-Encoding: aes128gcm\0"),
+    16,
+  );
+  const nonce = hkdf(ikm, salt, Buffer.from("Content-Encoding: nonce\0"), 12);
+
+  const plaintext = Buffer.from(payload);
+  if (plaintext.length > MAX_PAYLOAD_SIZE) throw new Error("payload-too-large");
+
+  const cipher = createCipheriv("aes-128-gcm", contentEncryptionKey, nonce);
+  const ciphertext = Buffer.concat([
+    // 0x02 marks the last (and only) record
+    cipher.update(Buffer.concat([plaintext, Buffer.from([2])])),
+    cipher.final(),
+    cipher.getAuthTag(),
+  ]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(applicationServerPublicKey.length, 20);
+
+  return Buffer.concat([header, applicationServerPublicKey, ciphertext]);
+};
@@ -0,0 +1,134 @@
+import { describe, it, expect } from "vitest";
+import {
+  createDecipheriv,
+  createECDH,
+  createPublicKey,
+  hkdfSync,
+  randomBytes,
+  verify,
+} from "node:crypto";
+import {
+  MAX_PAYLOAD_SIZE,
+  createVapidAuthorizationHeader,
+  encryptPayload,
+} from "./web-push";
+
+const hkdf = (ikm, salt, info, length) =>
+  Buffer.from(hkdfSync("sha256", ikm, salt, info, length));
+
+// The user agent side of RFC 8291
+const decryptPayload = (body, { ecdh, auth }) => {
+  const salt = body.subarray(0, 16);
+  const keyLength = body.readUInt8(20);
+  const applicationServerPublicKey = body.subarray(21, 21 + keyLength);
+  const ciphertext = body.subarray(21 + keyLength, -16);
+  const authTag = body.subarray(-16);
+
+  const ikm = hkdf(
+    ecdh.computeSecret(applicationServerPublicKey),
+    auth,
+    Buffer.concat([
+      Buffer.from("WebPush: info\0"),
+      ecdh.getPublicKey(),
+      applicationServerPublicKey,
+    ]),
+    32,
+  );
+  const key = hkdf(ikm, salt, Buffer.from("Content-Encoding: aes128gcm\0"), 16);
+  const nonce = hkdf(ikm, salt, Buffer.from("Content-Encoding: nonce\0"), 12);
+
+  const decipher = createDecipheriv("aes-128-gcm", key, nonce);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+const createSubscriber = () => {
+  const ecdh = createECDH("prime256v1");
+  ecdh.generateKeys();
+  const auth = randomBytes(16);
+  return {
+    ecdh,
+    auth,
+    keys: {
+      p256dh: ecdh.getPublicKey().toString("base64url"),
+      auth: auth.toString("base64url"),
+    },
+  };
+};
+
+describe("encryptPayload", () => {
+  it("should be decryptable by the subscriber", () => {
+    const subscriber = createSubscriber();
+    const body = encryptPayload('{"title":"Prop 1"}', subscriber.keys);
+
+    expect(body.readUInt32BE(16)).toBe(4096);
+
+    const plaintext = decryptPayload(body, subscriber);
+    expect(plaintext.subarray(0, -1).toString()).toBe('{"title":"Prop 1"}');
+    expect(plaintext.at(-1)).toBe(2);
+  });
+
+  it("should use fresh keys for every message", () => {
+    const subscriber = createSubscriber();
+    const a = encryptPayload("hi", subscriber.keys);
+    const b = encryptPayload("hi", subscriber.keys);
+    expect(a.equals(b)).toBe(false);
+  });
+
+  it("should reject payloads that don’t fit in a message", () => {
+    const subscriber = createSubscriber();
+    expect(() =>
+      encryptPayload("a".repeat(MAX_PAYLOAD_SIZE), subscriber.keys),
+    ).not.toThrow();
+    expect(() =>
+      encryptPayload("a".repeat(MAX_PAYLOAD_SIZE + 1), subscriber.keys),
+    ).toThrow("payload-too-large");
+  });
+});
+
+describe("createVapidAuthorizationHeader", () => {
+  it("should sign a token for the push service origin", () => {
+    const ecdh = createECDH("prime256v1");
+    ecdh.generateKeys();
+    const publicKey = ecdh.getPublicKey().toString("base64url");
+
+    const header = createVapidAuthorizationHeader({
+      endpoint: "https://push.example.com/send/abc",
+      publicKey,
+      privateKey: ecdh.getPrivateKey().toString("base64url"),
+      subject: "https://nouns.camp",
+      expiresAt: new Date("2024-01-01T12:00:00Z"),
+    });
+
+    const [, token, k] = header.match(/^vapid t=([^,]+), k=(.+)$/);
+    expect(k).toBe(publicKey);
+
+    const [encodedHeader, encodedClaims, signature] = token.split(".");
+    expect(
+      JSON.parse(Buffer.from(encodedClaims, "base64url").toString()),
+    ).toEqual({
+      aud: "https://push.example.com",
+      exp: 1704110400,
+      sub: "https://nouns.camp",
+    });
+
+    const rawPublicKey = ecdh.getPublicKey();
+    const key = createPublicKey({
+      key: {
+        kty: "EC",
+        crv: "P-256",
+        x: rawPublicKey.subarray(1, 33).toString("base64url"),
+        y: rawPublicKey.subarray(33, 65).toString("base64url"),
+      },
+      format: "jwk",
+    });
+    expect(
+      verify(
+        "sha256",
+        Buffer.from(`${encodedHeader}.${encodedClaims}`),
+        { key, dsaEncoding: "ieee-p1363" },
+        Buffer.from(signature, "base64url"),
+      ),
+    ).toBe(true);
+  });
+});
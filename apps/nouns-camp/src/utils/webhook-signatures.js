@@ -0,0 +1,37 @@
+import { createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+
+// Receivers should reject payloads signed longer ago than this, to prevent
+// replays
+export const SIGNATURE_TOLERANCE_IN_SECONDS = 5 * 60;
+
+export const createSecret = () => `whsec_${randomBytes(24).toString("hex")}`;
+
+const sign = (secret, timestamp, body) =>
+  createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+// Same scheme as Stripe: `t=<unix seconds>,v1=<hex HMAC-SHA256 of
+// "<t>.<body>">`
+export const createSignatureHeader = (
+  secret,
+  body,
+  { timestamp = Math.floor(Date.now() / 1000) } = {},
+) => `t=${timestamp},v1=${sign(secret, timestamp, body)}`;
+
+export const verifySignatureHeader = (
+  secret,
+  body,
+  header,
+  { now = Date.now() } = {},
+) => {
+  const fields = Object.fromEntries(
+    (header ?? "").split(",").map((part) => part.trim().split("=")),
+  );
+  const timestamp = Number(fields.t);
+  if (!Number.isInteger(timestamp) || typeof fields.v1 !== "string")
+    return false;
+  if (Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE_IN_SECONDS)
+    return false;
+  const expected = Buffer.from(sign(secret, timestamp, body), "hex");
+  const actual = Buffer.from(fields.v1, "hex");
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+};
@@ -0,0 +1,40 @@
+import { describe, it, expect } from "vitest";
+import {
+  createSecret,
+  createSignatureHeader,
+  verifySignatureHeader,
+} from "./webhook-signatures";
+
+describe("signatures", () => {
+  const secret = "whsec_test";
+  const body = JSON.stringify({ type: "vote-cast" });
+  const timestamp = 1700000000;
+  const now = timestamp * 1000;
+
+  it("should verify its own signatures", () => {
+    const header = createSignatureHeader(secret, body, { timestamp });
+    expect(header).toMatch(/^t=1700000000,v1=[0-9a-f]{64}$/);
+    expect(verifySignatureHeader(secret, body, header, { now })).toBe(true);
+  });
+
+  it("should reject tampered, foreign, and stale signatures", () => {
+    const header = createSignatureHeader(secret, body, { timestamp });
+    expect(verifySignatureHeader(secret, `${body} `, header, { now })).toBe(
+      false,
+    );
+    expect(verifySignatureHeader("whsec_other", body, header, { now })).toBe(
+      false,
+    );
+    expect(
+      verifySignatureHeader(secret, body, header, { now: now + 10 * 60_000 }),
+    ).toBe(false);
+    expect(verifySignatureHeader(secret, body, "v1=abc", { now })).toBe(false);
+  });
+});
+
+describe("createSecret", () => {
+  it("should create unique prefixed secrets", () => {
+    expect(createSecret()).toMatch(/^whsec_[0-9a-f]{48}$/);
+    expect(createSecret()).not.toBe(createSecret());
+  });
+});
@@ -0,0 +1,132 @@
+import { getState, isFinalState } from "@/utils/proposals";
+
+// Governance events delivered to webhooks. Payloads are signed with the
+// webhook secret, see `utils/webhook-signatures`.
+
+export const EVENT_TYPES = [
+  { key: "proposal-created", title: "New proposals" },
+  { key: "proposal-state-changed", title: "Proposal state changes" },
+  { key: "vote-cast", title: "Votes" },
+  { key: "candidate-sponsored", title: "Candidate sponsorships" },
+];
+
+export const SIGNATURE_HEADER = "X-Camp-Signature";
+
+export const MAX_ATTEMPT_COUNT = 6;
+
+const BASE_RETRY_DELAY_IN_MILLIS = 60 * 1000;
+const MAX_RETRY_DELAY_IN_MILLIS = 60 * 60 * 1000;
+
+// Exponential backoff, starting at a minute and capped at an hour. Returns
+// `null` once all attempts are used up.
+export const getRetryDelay = (attemptCount) => {
+  if (attemptCount >= MAX_ATTEMPT_COUNT) return null;
+  return Math.min(
+    BASE_RETRY_DELAY_IN_MILLIS * 2 ** (attemptCount - 1),
+    MAX_RETRY_DELAY_IN_MILLIS,
+  );
+};
+
+const isPrivateIpv4Address = (address) => {
+  const octets = address.split(".").map(Number);
+  if (octets.length !== 4 || octets.some((o) => !Number.isInteger(o)))
+    return false;
+  const [a, b] = octets;
+  return (
+    a === 0 ||
+    a === 10 ||
+    a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168)
+  );
+};
+
+// Loopback, private, link-local, and carrier-grade NAT ranges, for IPv4 and
+// IPv6 addresses (IPv4-mapped ones included)
+export const isPrivateIpAddress = (address) => {
+  if (!address.includes(":")) return isPrivateIpv4Address(address);
+  const normalizedAddress = address.toLowerCase().replace(/^\[|\]$/g, "");
+  const mappedIpv4Address = normalizedAddress.match(
+    /^::ffff:(\d+\.\d+\.\d+\.\d+)$/,
+  )?.[1];
+  if (mappedIpv4Address != null) return isPrivateIpv4Address(mappedIpv4Address);
+  return (
+    normalizedAddress === "::" ||
+    normalizedAddress === "::1" ||
+    /^f[cd]/.test(normalizedAddress) ||
+    /^fe[89ab]/.test(normalizedAddress)
+  );
+};
+
+// Only looks at the URL itself. Delivery also checks what the hostname
+// resolves to, see `app/api/webhook-utils`.
+const isPrivateHostname = (hostname) => {
+  if (hostname === "localhost" || hostname.endsWith(".localhost")) return true;
+  if (hostname.endsWith(".local") || hostname.endsWith(".internal"))
+    return true;
+  // IPv6 literals, which includes loopback and link-local addresses
+  if (hostname.startsWith("[")) return true;
+  return isPrivateIpv4Address(hostname);
+};
+
+// Returns a list of `{ field, message }` errors, empty if valid
+export const validateWebhook = ({ url, events }) => {
+  const errors = [];
+
+  const parsedUrl = (() => {
+    try {
+      return new URL(url);
+    } catch (e) {
+      return null;
+    }
+  })();
+
+  if (parsedUrl == null || parsedUrl.protocol !== "https:")
+    errors.push({ field: "url", message: "Must be an https:// URL" });
+  else if (isPrivateHostname(parsedUrl.hostname))
+    errors.push({ field: "url", message: "Must be a public host" });
+
+  if (
+    !Array.isArray(events) ||
+    events.some((e) => !EVENT_TYPES.some((t) => t.key === e))
+  )
+    errors.push({ field: "events", message: "Unknown event type" });
+
+  return errors;
+};
+
+// An empty `events` list subscribes to everything
+export const isSubscribed = (webhook, event) =>
+  webhook.events.length === 0 || webhook.events.includes(event.type);
+
+// Compares the current state of proposals with what was seen last, returning
+// "proposal-state-changed" events together with the states to remember for
+// next time. Proposals are forgotten once they reach a final state.
+export const diffProposalStates = (
+  proposals,
+  previousStatesById,
+  { blockNumber },
+) => {
+  const events = [];
+  const statesById = {};
+
+  for (const proposal of proposals) {
+    const state = getState(proposal, { blockNumber });
+    if (state == null) continue;
+
+    const previousState = previousStatesById[proposal.id];
+
+    if (previousState != null && previousState !== state)
+      events.push({
+        id: `proposal-state-changed:${proposal.id}:${state}`,
+        type: "proposal-state-changed",
+        data: { proposalId: proposal.id, previousState, state },
+      });
+
+    if (!isFinalState(state)) statesById[proposal.id] = state;
+  }
+
+  return { events, statesById };
+};
@@ -0,0 +1,95 @@
+import { describe, it, expect } from "vitest";
+import {
+  MAX_ATTEMPT_COUNT,
+  diffProposalStates,
+  getRetryDelay,
+  isPrivateIpAddress,
+  validateWebhook,
+} from "./webhooks";
+
+describe("getRetryDelay", () => {
+  it("should back off exponentially up to the attempt limit", () => {
+    expect(getRetryDelay(1)).toBe(60_000);
+    expect(getRetryDelay(2)).toBe(120_000);
+    expect(getRetryDelay(5)).toBe(960_000);
+    expect(getRetryDelay(MAX_ATTEMPT_COUNT)).toBe(null);
+  });
+});
+
+describe("validateWebhook", () => {
+  it("should only accept public https URLs", () => {
+    const getFields = (url) =>
+      validateWebhook({ url, events: [] }).map((e) => e.field);
+    expect(getFields("https://bot.example.com/hook")).toEqual([]);
+    expect(getFields("http://bot.example.com/hook")).toEqual(["url"]);
+    expect(getFields("https://localhost:3000")).toEqual(["url"]);
+    expect(getFields("https://192.168.1.1")).toEqual(["url"]);
+    expect(getFields("https://[::1]")).toEqual(["url"]);
+    expect(getFields("nope")).toEqual(["url"]);
+  });
+
+  it("should reject unknown event types", () => {
+    expect(
+      validateWebhook({ url: "https://example.com", events: ["foo"] }),
+    ).toEqual([{ field: "events", message: "Unknown event type" }]);
+  });
+});
+
+describe("isPrivateIpAddress", () => {
+  it("should catch private IPv4 and IPv6 ranges", () => {
+    for (const address of [
+      "10.0.0.1",
+      "127.0.0.1",
+      "100.64.0.1",
+      "169.254.169.254",
+      "::1",
+      "fd00::1",
+      "fe80::1",
+      "::ffff:10.0.0.1",
+    ])
+      expect(isPrivateIpAddress(address), address).toBe(true);
+    for (const address of ["1.1.1.1", "100.128.0.1", "2606:4700::1111"])
+      expect(isPrivateIpAddress(address), address).toBe(false);
+  });
+});
+
+describe("diffProposalStates", () => {
+  const proposal = {
+    id: "1",
+    status: "ACTIVE",
+    updatePeriodEndBlock: 10n,
+    startBlock: 20n,
+    endBlock: 30n,
+    objectionPeriodEndBlock: null,
+    forVotes: 10,
+    againstVotes: 0,
+    quorumVotes: 5,
+    executionEtaTimestamp: null,
+  };
+
+  it("should emit transitions of known proposals", () => {
+    const { events, statesById } = diffProposalStates(
+      [proposal, { ...proposal, id: "2" }],
+      { 1: "pending" },
+      { blockNumber: 25n },
+    );
+    expect(events).toEqual([
+      {
+        id: "proposal-state-changed:1:active",
+        type: "proposal-state-changed",
+        data: { proposalId: "1", previousState: "pending", state: "active" },
+      },
+    ]);
+    expect(statesById).toEqual({ 1: "active", 2: "active" });
+  });
+
+  it("should forget proposals in a final state", () => {
+    const { events, statesById } = diffProposalStates(
+      [{ ...proposal, status: "CANCELLED" }],
+      { 1: "active" },
+      { blockNumber: 25n },
+    );
+    expect(events.map((e) => e.data.state)).toEqual(["canceled"]);
+    expect(statesById).toEqual({});
+  });
+});
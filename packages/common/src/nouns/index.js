@@ -3,3 +3,9 @@ export {
   buildAccountPlaceholderDataUri as generatePlaceholderAvatarDataUri,
   buildDataUriFromSeed,
 } from "./assets.js";
+export {
+  TRAIT_TYPES,
+  getTraitCount,
+  getTraitName,
+  getTraitsFromSeed,
+} from "./traits.js";
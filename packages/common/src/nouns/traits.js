@@ -0,0 +1,36 @@
+import { ImageData } from "@nomonouns/assets";
+
+export const TRAIT_TYPES = [
+  "background",
+  "body",
+  "accessory",
+  "head",
+  "glasses",
+];
+
+const BACKGROUND_NAMES = ["cool", "warm"];
+
+const imagesByTraitType = {
+  body: ImageData.images.bodies,
+  accessory: ImageData.images.accessories,
+  head: ImageData.images.heads,
+  glasses: ImageData.images.glasses,
+};
+
+export const getTraitCount = (type) =>
+  type === "background"
+    ? BACKGROUND_NAMES.length
+    : (imagesByTraitType[type]?.length ?? 0);
+
+// Names come from the image filenames, e.g. "head-aardvark" -> "aardvark"
+export const getTraitName = (type, index) => {
+  if (type === "background") return BACKGROUND_NAMES[index] ?? null;
+  const image = imagesByTraitType[type]?.[index];
+  if (image == null) return null;
+  return image.filename.replace(`${type}-`, "").replaceAll("-", " ");
+};
+
+export const getTraitsFromSeed = (seed) =>
+  Object.fromEntries(
+    TRAIT_TYPES.map((type) => [type, getTraitName(type, seed[type])]),
+  );
@@ -0,0 +1,28 @@
+import { describe, expect, test } from "vitest";
+import { getTraitCount, getTraitName, getTraitsFromSeed } from "./traits.js";
+
+describe("traits", () => {
+  test("names traits from seeds", () => {
+    expect(
+      getTraitsFromSeed({
+        background: 1,
+        body: 0,
+        accessory: 1,
+        head: 0,
+        glasses: 0,
+      }),
+    ).toEqual({
+      background: "warm",
+      body: "bege bsod",
+      accessory: "aardvark",
+      head: "aardvark",
+      glasses: "hip rose",
+    });
+  });
+
+  test("handles out of range indices", () => {
+    expect(getTraitName("head", getTraitCount("head"))).toBe(null);
+    expect(getTraitName("nope", 0)).toBe(null);
+    expect(getTraitCount("background")).toBe(2);
+  });
+});